@@ -0,0 +1,27 @@
+// Rules for changing a booking after it has been made
+//
+// Patients (and guests using their manage link) can move a booking until
+// RESCHEDULE_CUTOFF_HOURS before the appointment starts, at most
+// MAX_RESCHEDULES times. Staff with bookings:manage are not held to either
+// limit, e.g. when the lab itself has to move an appointment.
+//
+// When a place frees up it is held for the next patient on the waitlist
+// for WAITLIST_OFFER_MINUTES before moving on to the one after.
+
+const RESCHEDULE_CUTOFF_HOURS = Number(process.env.RESCHEDULE_CUTOFF_HOURS) >= 0
+    ? Number(process.env.RESCHEDULE_CUTOFF_HOURS)
+    : 2;
+
+const MAX_RESCHEDULES = Number(process.env.MAX_RESCHEDULES) >= 0
+    ? Number(process.env.MAX_RESCHEDULES)
+    : 2;
+
+const WAITLIST_OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES) > 0
+    ? Number(process.env.WAITLIST_OFFER_MINUTES)
+    : 30;
+
+module.exports = {
+    RESCHEDULE_CUTOFF_HOURS,
+    MAX_RESCHEDULES,
+    WAITLIST_OFFER_MINUTES
+};
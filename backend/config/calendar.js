@@ -0,0 +1,27 @@
+// Calendar (.ics) exports and subscription feeds
+//
+// Calendar apps fetch subscription feeds themselves, so feed links point at
+// API_URL (where this server is reachable from outside) rather than the
+// website. A patient's feed keeps bookings from the last FEED_PAST_DAYS; a
+// location's staff feed covers today and the following STAFF_FEED_DAYS - 1
+// days.
+
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+
+const FEED_PAST_DAYS = Number(process.env.CALENDAR_FEED_PAST_DAYS) >= 0
+    ? Number(process.env.CALENDAR_FEED_PAST_DAYS)
+    : 30;
+
+const STAFF_FEED_DAYS = Number(process.env.STAFF_FEED_DAYS) > 0
+    ? Number(process.env.STAFF_FEED_DAYS)
+    : 7;
+
+// How often subscribed calendars should check for changes
+const REFRESH_MINUTES = 60;
+
+module.exports = {
+    API_URL,
+    FEED_PAST_DAYS,
+    STAFF_FEED_DAYS,
+    REFRESH_MINUTES
+};
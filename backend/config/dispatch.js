@@ -0,0 +1,30 @@
+// Home collection dispatch
+//
+// Home visits are assigned to phlebotomists (models/Collector.js) who cover
+// the visit's zone and are on shift at its time, preferring whoever has the
+// fewest visits that day. A collector takes at most their dailyCapacity
+// visits a day (DEFAULT_DAILY_VISITS unless set on their profile).
+//
+// Addresses are tagged with a zone by coordinates when the patient shares
+// them, otherwise by the area names listed on each zone. Set GEOCODER_URL to
+// a Nominatim-compatible search endpoint (e.g.
+// https://nominatim.openstreetmap.org/search) to look coordinates up from
+// the address text as well.
+
+const DEFAULT_DAILY_VISITS = Number(process.env.DEFAULT_DAILY_VISITS) > 0
+    ? Number(process.env.DEFAULT_DAILY_VISITS)
+    : 8;
+
+const GEOCODER_URL = process.env.GEOCODER_URL || '';
+
+// Appended to addresses sent to the geocoder so results stay in the lab's area
+const GEOCODER_REGION = process.env.GEOCODER_REGION || 'Kaduna, Nigeria';
+
+const GEOCODER_TIMEOUT_MS = 5000;
+
+module.exports = {
+    DEFAULT_DAILY_VISITS,
+    GEOCODER_URL,
+    GEOCODER_REGION,
+    GEOCODER_TIMEOUT_MS
+};
@@ -0,0 +1,115 @@
+// Role → permission matrix for staff accounts
+//
+// Permissions are "<resource>:<action>" strings checked by the authorize()
+// middleware. Patients ("user" role) have no staff permissions; their access
+// is handled by ownership checks inside the routes.
+
+const PERMISSIONS = [
+    'dashboard:view',
+    'patients:read',
+    'patients:manage',
+    'patients:delete',
+    'sessions:revoke',
+    'accounts:unlock',
+    'logins:read',
+    'staff:manage',
+    'api-clients:manage',
+    'locations:manage',
+    'catalog:manage',
+    'results:read',
+    'results:create',
+    'results:update',
+    'results:verify',
+    'results:delete',
+    'uploads:manage',
+    'bookings:read',
+    'bookings:manage',
+    'bookings:delete',
+    'visits:read',
+    'visits:manage',
+    'visits:field',
+    'queue:read',
+    'queue:manage',
+    'payments:read',
+    'payments:refund',
+    'contacts:read',
+    'contacts:manage'
+];
+
+const ROLE_PERMISSIONS = {
+    super_admin: PERMISSIONS,
+
+    // Everything except creating and managing other staff accounts
+    admin: PERMISSIONS.filter(permission => permission !== 'staff:manage'),
+
+    // Bench staff: enter and correct results, but sign-off stays with admins
+    lab_technician: [
+        'dashboard:view',
+        'patients:read',
+        'results:read',
+        'results:create',
+        'results:update',
+        'uploads:manage',
+        'bookings:read',
+        'queue:read'
+    ],
+
+    // Front desk: appointments, reception queue, enquiries and payments
+    staff: [
+        'dashboard:view',
+        'patients:read',
+        'results:read',
+        'bookings:read',
+        'bookings:manage',
+        'visits:read',
+        'visits:manage',
+        'queue:read',
+        'queue:manage',
+        'payments:read',
+        'contacts:read',
+        'contacts:manage'
+    ],
+
+    // Home collection: their own route sheet and visit updates from the field
+    phlebotomist: [
+        'visits:field'
+    ],
+
+    user: []
+};
+
+// Scopes that can be granted to partner API keys (referring clinics,
+// hospitals and doctors). Keyed requests only ever see their own referrals.
+const API_SCOPES = [
+    'bookings:create',
+    'results:read:own-referrals'
+];
+
+// Roles that must enrol in TOTP two-factor auth before using staff routes,
+// e.g. TWO_FACTOR_REQUIRED_ROLES=admin,super_admin. Optional for everyone when unset.
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS).filter(role => ROLE_PERMISSIONS[role].length > 0);
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+const isStaffRole = (role) => STAFF_ROLES.includes(role);
+
+const requiresTwoFactor = (role) => TWO_FACTOR_REQUIRED_ROLES.includes(role);
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    API_SCOPES,
+    STAFF_ROLES,
+    TWO_FACTOR_REQUIRED_ROLES,
+    getPermissions,
+    hasPermission,
+    isStaffRole,
+    requiresTwoFactor
+};
@@ -0,0 +1,25 @@
+// Booking prices and discounts
+//
+// Prices come from the test catalog (models/CatalogItem.js). A booking's
+// subtotal is the sum of its lines; VOLUME_DISCOUNTS then takes a
+// percentage off visits that combine several tests. Only the best matching
+// tier applies. Amounts are whole Naira.
+
+const CURRENCY = 'NGN';
+
+// Most tests first
+const VOLUME_DISCOUNTS = [
+    { minTests: 5, percent: 10, label: '10% off 5 or more tests' },
+    { minTests: 3, percent: 5, label: '5% off 3 or more tests' }
+];
+
+// Limits on a single booking's order
+const MAX_ORDER_LINES = 20;
+const MAX_QUANTITY = 10;
+
+module.exports = {
+    CURRENCY,
+    VOLUME_DISCOUNTS,
+    MAX_ORDER_LINES,
+    MAX_QUANTITY
+};
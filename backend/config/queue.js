@@ -0,0 +1,27 @@
+// Branch reception queue
+//
+// Patients arriving at a branch get a numbered ticket: booked patients by
+// scanning the QR code from their confirmation, walk-ins from the reception
+// desk. Waiting times are estimated from how long the branch has taken per
+// patient today (its last SERVICE_SAMPLE_SIZE served tickets), falling back
+// to SERVICE_MINUTES before anyone has been seen. Each desk serves one
+// patient at a time; a branch has as many desks as its slot capacity.
+
+const SERVICE_MINUTES = Number(process.env.QUEUE_SERVICE_MINUTES) > 0
+    ? Number(process.env.QUEUE_SERVICE_MINUTES)
+    : 6;
+
+const SERVICE_SAMPLE_SIZE = 10;
+
+// Recently called tickets shown on the "now serving" display
+const DISPLAY_CALLED = 4;
+
+// Comment line sent on idle display streams so proxies keep them open
+const HEARTBEAT_SECONDS = 25;
+
+module.exports = {
+    SERVICE_MINUTES,
+    SERVICE_SAMPLE_SIZE,
+    DISPLAY_CALLED,
+    HEARTBEAT_SECONDS
+};
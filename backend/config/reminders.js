@@ -0,0 +1,28 @@
+// Appointment reminders
+//
+// Patients get a reminder REMINDER_OFFSETS_HOURS before each appointment
+// (set REMINDER_OFFSETS_HOURS="24,2" to change them). Reminders include the
+// preparation notes of the booked catalog tests; bookings made with a single
+// test type fall back to DEFAULT_PREPARATION.
+
+const parseOffsets = (value) => (value || '')
+    .split(',')
+    .map(Number)
+    .filter(hours => hours > 0);
+
+const REMINDER_OFFSETS_HOURS = parseOffsets(process.env.REMINDER_OFFSETS_HOURS).length > 0
+    ? parseOffsets(process.env.REMINDER_OFFSETS_HOURS)
+    : [24, 2];
+
+const DEFAULT_PREPARATION = {
+    lipid: 'Fast for 10-12 hours before your test. Water is fine.',
+    diabetes: 'Fast for 8 hours before your test. Water is fine.',
+    liver: 'Avoid alcohol for 24 hours before your test.',
+    kidney: 'Drink water as normal and bring a list of your current medications.',
+    thyroid: 'Take thyroid medication after your sample is taken, not before.'
+};
+
+module.exports = {
+    REMINDER_OFFSETS_HOURS,
+    DEFAULT_PREPARATION
+};
@@ -0,0 +1,39 @@
+// Default appointment schedule for collection locations
+//
+// Each location (models/Location.js) takes bookings between `open` and
+// `close` in `slotMinutes` steps. `capacity` is how many patients can be
+// seen in one slot (the number of phlebotomists on duty, or riders for home
+// collection). Slots that overlap a break are not offered, and nothing is
+// offered on `closedDays` (0 = Sunday ... 6 = Saturday). Times are lab-local
+// "HH:MM". Admins change these per location from the admin dashboard.
+
+const DEFAULT_SCHEDULE = {
+    open: '07:00',
+    close: '19:00',
+    slotMinutes: 60,
+    capacity: 2,
+    breaks: [{ start: '12:00', end: '14:00' }],
+    closedDays: [0]
+};
+
+// Offset of lab-local time from UTC, in minutes (Nigeria is UTC+1 all year)
+const LAB_UTC_OFFSET_MINUTES = Number.isFinite(Number(process.env.LAB_UTC_OFFSET_MINUTES))
+    ? Number(process.env.LAB_UTC_OFFSET_MINUTES)
+    : 60;
+
+// Full schedule for a location document, or null if it doesn't take bookings
+const getSchedule = (location) => {
+    if (!location || location.active === false) return null;
+
+    const schedule = location.schedule && location.schedule.toObject
+        ? location.schedule.toObject()
+        : location.schedule;
+
+    return { ...DEFAULT_SCHEDULE, ...schedule };
+};
+
+module.exports = {
+    DEFAULT_SCHEDULE,
+    LAB_UTC_OFFSET_MINUTES,
+    getSchedule
+};
@@ -1,43 +1,218 @@
+/**
+ * Bootstrap CLI for the first GOLDBOND LABORATORIES super admin
+ *
+ * Usage:
+ *   node createAdmin.js                    prompts for every detail
+ *   node createAdmin.js --email you@goldbondlabs.com --first-name Ada --last-name Obi --phone 08031234567
+ *   node createAdmin.js --email you@goldbondlabs.com --promote
+ *                                          give an existing account the role and a new password
+ *
+ * Options: --email, --first-name, --last-name, --phone, --role (default super_admin),
+ *          --promote, --help
+ *
+ * The password is never taken from the command line (it would end up in shell
+ * history): it is prompted for, or read from ADMIN_PASSWORD when there is no
+ * terminal. Once one super admin exists, invite everyone else from the staff
+ * portal (/api/admin/staff) instead.
+ */
+
+const readline = require('readline');
 const mongoose = require('mongoose');
-const User = require('./models/User');
 require('dotenv').config();
 
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/goldbond')
-    .then(() => console.log('Connected to MongoDB'))
-    .catch(err => console.error('MongoDB connection error:', err));
+const User = require('./models/User');
+const { STAFF_ROLES } = require('./config/permissions');
+
+const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI || 'mongodb://localhost:27017/goldbond-lab';
+
+// Credentials that shipped with earlier versions of this script, plus the usual suspects
+const BLOCKED_EMAILS = ['goldbondadmin@gmail.com', 'admin@goldbond.com', 'admin@example.com'];
+const BLOCKED_PASSWORDS = ['goldbond123', 'goldbondadmin', 'admin123', 'administrator', 'password', 'password123', 'changeme', '123456789012', 'qwertyuiop'];
+
+const USAGE = `Usage: node createAdmin.js [--email <email>] [--first-name <name>] [--last-name <name>]
+                          [--phone <phone>] [--role <${STAFF_ROLES.join('|')}>] [--promote]`;
+
+const parseArgs = (argv) => {
+    const options = { role: 'super_admin', promote: false };
+    const valueFlags = {
+        '--email': 'email',
+        '--first-name': 'firstName',
+        '--last-name': 'lastName',
+        '--phone': 'phone',
+        '--role': 'role'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--help' || arg === '-h') options.help = true;
+        else if (arg === '--promote') options.promote = true;
+        else if (arg === '--password' || arg.startsWith('--password=')) {
+            throw new Error('Passwords are not accepted as flags. Enter it at the prompt or set ADMIN_PASSWORD.');
+        } else if (valueFlags[arg.split('=')[0]]) {
+            const [flag, inline] = arg.split('=');
+            const value = inline !== undefined ? inline : argv[++i];
+            if (!value || value.startsWith('--')) throw new Error(`Missing value for ${flag}`);
+            options[valueFlags[flag]] = value.trim();
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+};
+
+const validateEmail = (email) => {
+    if (!/^\S+@\S+\.\S+$/.test(email)) return 'Please enter a valid email address';
+    if (BLOCKED_EMAILS.includes(email.toLowerCase())) return `${email} is a default account and cannot be used`;
+    return null;
+};
+
+const validatePassword = (password, email, role) => {
+    const minLength = User.minPasswordLength(role);
+    const lowered = password.toLowerCase();
+    const localPart = (email || '').split('@')[0].toLowerCase();
+
+    if (password.length < minLength) return `Password must be at least ${minLength} characters`;
+    if (BLOCKED_PASSWORDS.includes(lowered)) return 'That is a default password and cannot be used';
+    if (lowered.includes('goldbond')) return 'Password must not contain the lab name';
+    if (localPart.length >= 4 && lowered.includes(localPart)) return 'Password must not contain your email address';
+    return null;
+};
+
+// ---------------------- PROMPTS ----------------------
+const createPrompt = () => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+
+    const ask = (question) => new Promise(resolve => rl.question(question, answer => resolve(answer.trim())));
+
+    // Echo nothing while the password is typed
+    const askHidden = (question) => new Promise(resolve => {
+        const write = rl._writeToOutput;
+        rl._writeToOutput = (text) => {
+            if (text.includes(question)) write.call(rl, text);
+        };
+        rl.question(question, answer => {
+            rl._writeToOutput = write;
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+
+    return { ask, askHidden, close: () => rl.close() };
+};
+
+const askUntilValid = async (ask, question, validate) => {
+    for (;;) {
+        const answer = await ask(question);
+        const error = validate(answer);
+        if (!error) return answer;
+        console.log(`  ✖ ${error}`);
+    }
+};
+
+const getPassword = async (prompt, email, role) => {
+    if (!prompt) {
+        const password = process.env.ADMIN_PASSWORD || '';
+        if (!password) throw new Error('No terminal available: set ADMIN_PASSWORD to provide the password');
+
+        const error = validatePassword(password, email, role);
+        if (error) throw new Error(`ADMIN_PASSWORD rejected: ${error}`);
+        return password;
+    }
+
+    for (;;) {
+        const password = await prompt.askHidden(`Password (min ${User.minPasswordLength(role)} characters): `);
+        const error = validatePassword(password, email, role);
+        if (error) {
+            console.log(`  ✖ ${error}`);
+            continue;
+        }
 
+        const confirmation = await prompt.askHidden('Confirm password: ');
+        if (confirmation === password) return password;
+        console.log('  ✖ Passwords do not match');
+    }
+};
+
+// ---------------------- MAIN ----------------------
 async function createAdmin() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (!STAFF_ROLES.includes(options.role))
+        throw new Error(`Role must be one of: ${STAFF_ROLES.join(', ')}`);
+
+    const prompt = process.stdin.isTTY ? createPrompt() : null;
+    const required = (field, flag, question) => {
+        if (options[field]) return options[field];
+        if (!prompt) throw new Error(`Missing ${flag} (no terminal available to prompt for it)`);
+        return askUntilValid(prompt.ask, question, answer => (answer ? null : 'This field is required'));
+    };
+
     try {
-        // Check if admin exists
-        const existingAdmin = await User.findOne({ email: 'goldbondadmin@gmail.com' });
-        
-        if (existingAdmin) {
-            console.log('Updating existing admin...');
-            existingAdmin.role = 'super_admin';
-            existingAdmin.status = 'active';
-            existingAdmin.password = 'goldbond123'; // Will be hashed by pre-save hook
-            await existingAdmin.save();
-            console.log('✅ Admin updated successfully!');
-        } else {
-            console.log('Creating new admin...');
-            const admin = await User.create({
-                fullName: 'Goldbond Admin',
-                firstName: 'Goldbond',
-                lastName: 'Admin',
-                email: 'goldbondadmin@gmail.com',
-                phone: '08012345678',
-                password: 'goldbond123',
-                role: 'super_admin',
-                status: 'active'
-            });
-            console.log('✅ Admin created successfully!');
+        if (!options.email) {
+            if (!prompt) throw new Error('Missing --email (no terminal available to prompt for it)');
+            options.email = await askUntilValid(prompt.ask, 'Email: ', validateEmail);
         }
-        
-        process.exit(0);
-    } catch (error) {
-        console.error('❌ Error:', error);
-        process.exit(1);
+
+        const emailError = validateEmail(options.email);
+        if (emailError) throw new Error(emailError);
+        options.email = options.email.toLowerCase();
+
+        await mongoose.connect(MONGO_URI);
+        console.log(`Connected to ${mongoose.connection.name}`);
+
+        const existing = await User.findOne({ email: options.email });
+
+        if (existing && !options.promote)
+            throw new Error(`An account for ${options.email} already exists. Re-run with --promote to make it a ${options.role}.`);
+
+        if (!existing) {
+            options.firstName = await required('firstName', '--first-name', 'First name: ');
+            options.lastName = await required('lastName', '--last-name', 'Last name: ');
+            options.phone = await required('phone', '--phone', 'Phone: ');
+        }
+
+        const password = await getPassword(prompt, options.email, options.role);
+
+        if (existing) {
+            existing.role = options.role;
+            existing.status = 'active';
+            existing.password = password; // hashed by the pre-save hook
+            existing.passwordResetRequired = false;
+            existing.lockedUntil = undefined;
+            await existing.save();
+            console.log(`✅ ${options.email} is now an active ${options.role}`);
+            return;
+        }
+
+        await User.create({
+            fullName: `${options.firstName} ${options.lastName}`,
+            firstName: options.firstName,
+            lastName: options.lastName,
+            email: options.email,
+            phone: options.phone,
+            password,
+            role: options.role,
+            status: 'active'
+        });
+
+        console.log(`✅ Created ${options.role} account for ${options.email}`);
+        console.log('   Sign in at /pages/admin-login.html and invite further staff from the staff portal.');
+    } finally {
+        if (prompt) prompt.close();
+        await mongoose.disconnect();
     }
 }
 
-createAdmin();
\ No newline at end of file
+createAdmin()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
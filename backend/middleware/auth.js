@@ -1,6 +1,11 @@
 // backend/middleware/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiClient = require('../models/ApiClient');
+const ApiUsage = require('../models/ApiUsage');
+const { JWT_SECRET } = require('../utils/authTokens');
+const { hasPermission, isStaffRole, requiresTwoFactor } = require('../config/permissions');
 
 // Protect routes for both users and admins
 exports.protect = async (req, res, next) => {
@@ -15,22 +20,143 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    // Every access token is bound to a session that can be revoked server-side
+    const session = decoded.sid && await Session.findById(decoded.sid);
+    if (!session || !session.isActive || !session.user.equals(decoded.id)) {
+      return res.status(401).json({ code: 'SESSION_REVOKED', message: 'Session has ended, please log in again' });
+    }
+
     req.user = await User.findById(decoded.id).select('-password');
-    next();
+    if (!req.user) {
+      return res.status(401).json({ message: 'Not authorized, user not found' });
+    }
+
+    req.authSession = session;
   } catch (err) {
-    console.error(err);
-    res.status(401).json({ message: 'Token failed or expired' });
+    const code = err.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID';
+    return res.status(401).json({ code, message: 'Token failed or expired' });
   }
+
+  next();
+};
+
+// Attach req.user when a token is sent, but let anonymous requests through
+// (e.g. guest bookings). An invalid or expired token is still rejected so
+// the client knows to refresh it.
+exports.optionalAuth = async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return next();
+  }
+
+  await exports.protect(req, res, next);
 };
 
-// Restrict to admin only
-exports.adminAuth = async (req, res, next) => {
-  await exports.protect(req, res, async () => {
-    if (req.user && req.user.role === 'admin') {
-      next();
-    } else {
-      res.status(403).json({ message: 'Access denied: Admins only' });
+// Restrict to staff roles holding every listed permission (see config/permissions.js)
+exports.authorize = (...permissions) => async (req, res, next) => {
+  await exports.protect(req, res, () => {
+    if (!isStaffRole(req.user.role)) {
+      return res.status(403).json({ message: 'Access denied: Staff only' });
     }
+
+    if (requiresTwoFactor(req.user.role) && !(req.user.twoFactor && req.user.twoFactor.enabled)) {
+      return res.status(403).json({
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication must be enabled for your account'
+      });
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        message: 'Access denied: insufficient permissions',
+        required: missing
+      });
+    }
+
+    next();
+  });
+};
+
+// Any staff account (admin, super_admin, staff, lab_technician, phlebotomist)
+exports.adminAuth = exports.authorize();
+
+// Staff account without the 2FA policy check, so 2FA enrollment itself stays reachable
+exports.staffAuth = async (req, res, next) => {
+  await exports.protect(req, res, () => {
+    if (!isStaffRole(req.user.role)) {
+      return res.status(403).json({ message: 'Access denied: Staff only' });
+    }
+    next();
   });
 };
+
+// Partner API: authenticate an X-API-Key header, check its scopes and apply
+// the client's per-minute rate limit. Sets req.apiClient.
+exports.apiKeyAuth = (...scopes) => async (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+
+  if (!apiKey) {
+    return res.status(401).json({ success: false, message: 'API key required (X-API-Key header)' });
+  }
+
+  try {
+    const client = await ApiClient.findByKey(apiKey);
+    if (!client || client.status !== 'active') {
+      return res.status(401).json({ success: false, message: 'Invalid or revoked API key' });
+    }
+
+    const missing = scopes.filter(scope => !client.hasScope(scope));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'API key is missing a required scope',
+        required: missing
+      });
+    }
+
+    const usage = await ApiUsage.hit(client._id);
+    const resetSeconds = Math.ceil((usage.windowStart.getTime() + 60000 - Date.now()) / 1000);
+
+    res.set({
+      'X-RateLimit-Limit': String(client.rateLimitPerMinute),
+      'X-RateLimit-Remaining': String(Math.max(client.rateLimitPerMinute - usage.count, 0)),
+      'X-RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (usage.count > client.rateLimitPerMinute) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Rate limit of ${client.rateLimitPerMinute} requests per minute exceeded`,
+        retryAfter: resetSeconds
+      });
+    }
+
+    // Not awaited: usage tracking shouldn't slow the request down
+    ApiClient.updateOne({ _id: client._id }, { lastUsedAt: new Date() })
+      .catch(err => console.error('API client lastUsedAt error:', err));
+
+    req.apiClient = client;
+  } catch (err) {
+    console.error('API key auth error:', err);
+    return res.status(500).json({ success: false, message: 'API authentication failed' });
+  }
+
+  next();
+};
+
+// Require a confirmed email address (use after protect). Phone-only accounts
+// have no email, so a phone confirmed through an SMS login code counts instead.
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (req.user && (req.user.emailVerified || (!req.user.email && req.user.phoneVerified))) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address to view your results'
+  });
+};
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * One-off migration from the old location codes to Location documents
+ *
+ * Usage:
+ *   node migrateLocations.js            create the locations and move bookings onto them
+ *   node migrateLocations.js --dry-run  only report what would change
+ *
+ * Bookings used to store one of 'home', 'lab1', 'lab2' or 'lab3' as their
+ * location. This creates a Location for each of those codes (unless one
+ * already exists, so it is safe to run more than once), then points every
+ * booking and slot reservation that still holds a code at the new document.
+ * Edit names, addresses and schedules afterwards from the admin dashboard.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Location = require('./models/Location');
+const Booking = require('./models/Booking');
+const SlotReservation = require('./models/SlotReservation');
+
+const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI || 'mongodb://localhost:27017/goldbond-lab';
+
+// What the booking form used to show for each code
+const LEGACY_LOCATIONS = [
+    {
+        code: 'home',
+        name: 'Home Collection',
+        type: 'home',
+        sortOrder: 0,
+        schedule: { capacity: 1 }
+    },
+    {
+        code: 'lab1',
+        name: 'Main Lab - Kaduna',
+        address: 'Dialogue Close by Daraja Supermarket, Shehu Laminu Road by Tafawa Balewa Way, U/Rimi, Kaduna',
+        phone: '08035944767',
+        sortOrder: 1,
+        schedule: { capacity: 3 }
+    },
+    { code: 'lab2', name: 'Branch - Northside', sortOrder: 2 },
+    { code: 'lab3', name: 'Branch - Southside', sortOrder: 3 }
+];
+
+async function migrateLocations() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        await mongoose.connect(MONGO_URI);
+        console.log(`Connected to ${mongoose.connection.name}${dryRun ? ' (dry run)' : ''}`);
+
+        for (const legacy of LEGACY_LOCATIONS) {
+            let location = await Location.findOne({ code: legacy.code });
+
+            if (!location) {
+                if (!dryRun) location = await Location.create(legacy);
+                console.log(`➕ ${dryRun ? 'Would create' : 'Created'} location ${legacy.code} (${legacy.name})`);
+            }
+
+            // The raw collections are used because the schema now expects an ObjectId
+            const legacyFilter = { location: legacy.code };
+
+            if (dryRun) {
+                const bookings = await Booking.collection.countDocuments(legacyFilter);
+                console.log(`   ${bookings} booking(s) would move to ${legacy.code}`);
+                continue;
+            }
+
+            const bookings = await Booking.collection.updateMany(legacyFilter, { $set: { location: location._id } });
+            const reservations = await SlotReservation.collection.updateMany(
+                legacyFilter,
+                { $set: { location: String(location._id) } }
+            );
+
+            console.log(`   ${bookings.modifiedCount} booking(s) and ${reservations.modifiedCount} slot counter(s) moved to ${legacy.code}`);
+        }
+
+        const leftover = await Booking.collection.countDocuments({ location: { $type: 'string' } });
+        if (leftover > 0) {
+            console.warn(`⚠️  ${leftover} booking(s) still have an unrecognised location code; fix them by hand`);
+        }
+
+        console.log('✅ Location migration finished');
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+migrateLocations()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
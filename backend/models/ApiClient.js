@@ -0,0 +1,91 @@
+// API Client Model - referring clinics, hospitals and doctors using the partner API
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_SCOPES } = require('../config/permissions');
+
+const KEY_PREFIX = 'gbk_';
+
+const apiClientSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Client name is required'],
+        trim: true
+    },
+
+    type: {
+        type: String,
+        enum: ['clinic', 'hospital', 'doctor', 'laboratory', 'other'],
+        default: 'clinic'
+    },
+
+    contactName: { type: String, trim: true },
+    contactEmail: { type: String, trim: true, lowercase: true },
+    contactPhone: { type: String, trim: true },
+
+    // SHA-256 of the API key; the key itself is only shown once when issued
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+
+    // First characters of the key, so admins and partners can tell keys apart
+    keyPrefix: { type: String, required: true },
+    keyRotatedAt: Date,
+
+    scopes: {
+        type: [{ type: String, enum: API_SCOPES }],
+        validate: {
+            validator: scopes => scopes.length > 0,
+            message: 'At least one scope is required'
+        }
+    },
+
+    rateLimitPerMinute: {
+        type: Number,
+        default: 60,
+        min: [1, 'Rate limit must be at least 1 request per minute'],
+        max: [6000, 'Rate limit cannot exceed 6000 requests per minute']
+    },
+
+    status: {
+        type: String,
+        enum: ['active', 'revoked'],
+        default: 'active'
+    },
+
+    lastUsedAt: Date,
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revokedAt: Date,
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+    timestamps: true
+});
+
+apiClientSchema.statics.hashKey = function(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+};
+
+apiClientSchema.statics.findByKey = function(apiKey) {
+    if (!apiKey || !String(apiKey).startsWith(KEY_PREFIX)) return Promise.resolve(null);
+    return this.findOne({ keyHash: this.hashKey(apiKey) });
+};
+
+// Issue a new key (replacing any previous one) and return it in plain text
+apiClientSchema.methods.generateKey = function() {
+    const apiKey = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+
+    this.keyHash = this.constructor.hashKey(apiKey);
+    this.keyPrefix = apiKey.slice(0, KEY_PREFIX.length + 8);
+    this.keyRotatedAt = new Date();
+
+    return apiKey;
+};
+
+apiClientSchema.methods.hasScope = function(scope) {
+    return this.scopes.includes(scope);
+};
+
+module.exports = mongoose.model('ApiClient', apiClientSchema);
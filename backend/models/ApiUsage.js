@@ -0,0 +1,50 @@
+// API Usage Model - per-minute request counters for each API client
+//
+// Used both to enforce the client's rate limit and to show recent traffic
+// to admins. Counters are dropped after a day.
+const mongoose = require('mongoose');
+
+const USAGE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const apiUsageSchema = new mongoose.Schema({
+    client: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiClient',
+        required: true
+    },
+
+    // Start of the one-minute window
+    windowStart: {
+        type: Date,
+        required: true
+    },
+
+    count: {
+        type: Number,
+        default: 0
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+apiUsageSchema.index({ client: 1, windowStart: 1 }, { unique: true });
+apiUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Count one request in the current window; returns the updated counter
+apiUsageSchema.statics.hit = function(clientId, now = new Date()) {
+    const windowStart = new Date(Math.floor(now.getTime() / 60000) * 60000);
+
+    return this.findOneAndUpdate(
+        { client: clientId, windowStart },
+        {
+            $inc: { count: 1 },
+            $setOnInsert: { expiresAt: new Date(windowStart.getTime() + USAGE_RETENTION_MS) }
+        },
+        { upsert: true, new: true }
+    );
+};
+
+module.exports = mongoose.model('ApiUsage', apiUsageSchema);
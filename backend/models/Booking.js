@@ -1,5 +1,98 @@
 // Booking Model
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const sendEmail = require('../utils/sendEmail');
+const sendSms = require('../utils/sendSms');
+const { JWT_SECRET } = require('../utils/authTokens');
+const { reserveSlot, releaseSlot, countSlot, labToday, toDateKey } = require('../utils/slots');
+const reminders = require('../utils/reminders');
+const { offerFreedSlot } = require('../utils/waitlist');
+const dispatch = require('../utils/dispatch');
+const { DEFAULT_PREPARATION } = require('../config/reminders');
+const Sample = require('./Sample');
+const CatalogItem = require('./CatalogItem');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Where this server is reachable from outside, for links into the API
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+// Booking lifecycle: the statuses each status may move to. completed,
+// cancelled and no_show are final.
+const STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['checked_in', 'cancelled', 'no_show'],
+    checked_in: ['sample_collected', 'cancelled'],
+    sample_collected: ['completed'],
+    completed: [],
+    cancelled: [],
+    no_show: []
+};
+
+const STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Statuses that give the booking's place in its slot back
+const RELEASES_SLOT = ['cancelled', 'no_show'];
+
+// What the patient is told when their booking reaches a status
+const STATUS_MESSAGES = {
+    confirmed: (b) => `Your ${b.testsLabel} on ${b.formattedDate} at ${b.appointmentTime} is confirmed.`,
+    cancelled: (b) => `Your ${b.testsLabel} on ${b.formattedDate} at ${b.appointmentTime} has been cancelled.`,
+    no_show: (b) => `We missed you at your ${b.testsLabel} on ${b.formattedDate}. You can book a new time online.`
+};
+
+// One entry in a booking's change history
+const bookingChangeSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['rescheduled', 'edited', 'status_changed', 'cancelled', 'partially_refunded', 'refunded'],
+        required: true
+    },
+    // { field: { from, to } } for every field the change touched
+    changes: mongoose.Schema.Types.Mixed,
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Who made the change when there is no account (guest manage link, partner API)
+    actorType: {
+        type: String,
+        enum: ['patient', 'guest', 'staff', 'partner', 'system'],
+        required: true
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// A catalog test or panel on the booking, priced when it was added so later
+// catalog changes don't alter what the patient was quoted
+const bookingItemSchema = new mongoose.Schema({
+    catalogItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CatalogItem',
+        required: true
+    },
+    code: { type: String, required: true },
+    name: { type: String, required: true },
+    kind: { type: String, enum: ['test', 'panel'], default: 'test' },
+    testType: { type: String, enum: CatalogItem.TEST_TYPES, default: 'other' },
+    unitPrice: { type: Number, required: true, min: 0 },
+    quantity: { type: Number, required: true, min: 1, default: 1 },
+    lineTotal: { type: Number, required: true, min: 0 },
+    // Fasting or other instructions, repeated in the appointment reminders
+    preparation: { type: String }
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema({
     bookingId: {
@@ -14,9 +107,9 @@ const bookingSchema = new mongoose.Schema({
         trim: true,
         minlength: [2, 'Name must be at least 2 characters']
     },
+    // Optional for patients who registered with a phone number only
     email: {
         type: String,
-        required: [true, 'Email is required'],
         trim: true,
         lowercase: true,
         match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
@@ -26,10 +119,51 @@ const bookingSchema = new mongoose.Schema({
         required: [true, 'Phone number is required'],
         trim: true
     },
+    // Patient account that made the booking (unset for guest bookings, which
+    // are managed through the signed link sent at creation instead)
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    // Dependent sub-profile the test is for (unset = the person booking)
+    dependent: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    patientName: {
+        type: String,
+        trim: true
+    },
+    // Set from the items when there are any (see utils/pricing.js); older
+    // and single-test bookings only carry this
     testType: {
         type: String,
         required: [true, 'Test type is required'],
-        enum: ['blood', 'thyroid', 'diabetes', 'lipid', 'liver', 'kidney', 'vitamin', 'other']
+        enum: CatalogItem.TEST_TYPES
+    },
+    items: [bookingItemSchema],
+    // Order summary in whole Naira, computed on the server
+    subtotal: {
+        type: Number,
+        min: 0
+    },
+    discounts: [{
+        _id: false,
+        label: { type: String, required: true },
+        amount: { type: Number, required: true, min: 0 }
+    }],
+    total: {
+        type: Number,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'NGN'
+    },
+    paymentStatus: {
+        type: String,
+        enum: ['unpaid', 'paid', 'refunded'],
+        default: 'unpaid'
     },
     appointmentDate: {
         type: Date,
@@ -45,25 +179,66 @@ const bookingSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Appointment time is required']
     },
+    // Branch or home collection service (see models/Location.js)
     location: {
-        type: String,
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
         required: [true, 'Location is required'],
-        enum: ['home', 'lab1', 'lab2', 'lab3']
+        index: true
     },
     address: {
         type: String,
         trim: true
     },
+    // Where a home collection patient is, if they shared it from the booking form
+    addressCoordinates: {
+        lat: { type: Number, min: -90, max: 90 },
+        lng: { type: Number, min: -180, max: 180 }
+    },
     notes: {
         type: String,
         trim: true,
         maxlength: [500, 'Notes cannot exceed 500 characters']
     },
+    // Only changed through transitionTo() (see STATUS_TRANSITIONS)
     status: {
         type: String,
-        enum: ['pending', 'confirmed', 'completed', 'cancelled'],
+        enum: STATUSES,
         default: 'pending'
     },
+    // When the booking last entered each status
+    statusChangedAt: {
+        confirmed: Date,
+        checked_in: Date,
+        sample_collected: Date,
+        completed: Date,
+        cancelled: Date,
+        no_show: Date
+    },
+    // Times the appointment has been moved (see config/bookingPolicy.js)
+    rescheduleCount: {
+        type: Number,
+        default: 0
+    },
+    history: [bookingChangeSchema],
+    // Whether this booking currently holds a place in its slot's capacity
+    // (see models/SlotReservation.js); older bookings predate the counters
+    // until backfillSlotReservations() counts them in
+    slotReserved: {
+        type: Boolean,
+        default: false
+    },
+    // Partner (clinic/hospital API client) that referred the patient
+    referredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiClient',
+        index: true
+    },
+    // The partner's own request/patient reference, echoed back to them
+    referralReference: {
+        type: String,
+        trim: true
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -79,12 +254,41 @@ bookingSchema.index({ email: 1 });
 bookingSchema.index({ appointmentDate: 1 });
 bookingSchema.index({ bookingId: 1 });
 
+// A booking with several tests is filed under their shared type, or "other"
+bookingSchema.statics.testTypeFor = function(items) {
+    const types = [...new Set(items.map(item => item.testType))];
+    return types.length === 1 ? types[0] : 'other';
+};
+
+bookingSchema.pre('validate', function(next) {
+    if (this.items && this.items.length > 0) this.testType = this.constructor.testTypeFor(this.items);
+    next();
+});
+
 // Update timestamp before save
 bookingSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
     next();
 });
 
+// What the booking is for, e.g. "Lipid Profile and Liver Function Test"
+// or, for single-test bookings, "thyroid test"
+bookingSchema.virtual('testsLabel').get(function() {
+    if (!this.items || this.items.length === 0) return `${this.testType} test`;
+
+    const names = this.items.map(item => (item.quantity > 1 ? `${item.name} x${item.quantity}` : item.name));
+    return names.length === 1 ? names[0] : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+});
+
+// Preparation instructions for everything on the booking, without repeats
+bookingSchema.virtual('preparationNotes').get(function() {
+    const notes = this.items && this.items.length > 0
+        ? this.items.filter(item => item.preparation).map(item => `${item.name}: ${item.preparation}`)
+        : [DEFAULT_PREPARATION[this.testType]].filter(Boolean);
+
+    return [...new Set(notes)];
+});
+
 // Virtual for formatted date
 bookingSchema.virtual('formattedDate').get(function() {
     return this.appointmentDate.toLocaleDateString('en-US', {
@@ -94,20 +298,370 @@ bookingSchema.virtual('formattedDate').get(function() {
     });
 });
 
-// Method to send confirmation email (placeholder)
+// Take a place in the booking's slot at the given Location document (its
+// schedule sets the capacity); false when the slot is full
+bookingSchema.methods.reserveSlot = async function(location) {
+    const reserved = await reserveSlot(location, this.appointmentDate, this.appointmentTime);
+    if (reserved) this.slotReserved = true;
+    return reserved;
+};
+
+// Give the booking's place back, if it holds one, and offer it to the
+// waitlist
+bookingSchema.methods.releaseSlot = async function() {
+    if (!this.slotReserved) return;
+    await releaseSlot(this.location, this.appointmentDate, this.appointmentTime);
+    this.slotReserved = false;
+
+    await offerFreedSlot(this.location, this.appointmentDate, this.appointmentTime);
+};
+
+// Bookings made before the slot counters existed hold no place in them, so
+// capacity checks would ignore them and overbook their slots. Count every
+// upcoming active one in, however full its slot; each booking is claimed
+// before its slot is counted, so running this again (or on two servers at
+// once) never counts a booking twice. Resolves to how many were counted.
+bookingSchema.statics.backfillSlotReservations = async function() {
+    const uncounted = await this.find({
+        slotReserved: { $ne: true },
+        status: { $nin: RELEASES_SLOT },
+        appointmentDate: { $gte: new Date(labToday()) }
+    }).select('location appointmentDate appointmentTime');
+
+    let counted = 0;
+    for (const booking of uncounted) {
+        const claimed = await this.updateOne({ _id: booking._id, slotReserved: { $ne: true } }, { slotReserved: true });
+        if (claimed.modifiedCount === 0) continue;
+
+        await countSlot(booking.location, booking.appointmentDate, booking.appointmentTime);
+        counted++;
+    }
+
+    return counted;
+};
+
+bookingSchema.methods.allowedTransitions = function() {
+    return STATUS_TRANSITIONS[this.status] || [];
+};
+
+bookingSchema.methods.canTransitionTo = function(status) {
+    return this.allowedTransitions().includes(status);
+};
+
+// Move the booking to a new status, recording who did it and when, then run
+// the status hooks. The update only applies if the status hasn't changed
+// since this document was loaded; resolves to the updated booking, or null
+// if someone else got there first.
+bookingSchema.methods.transitionTo = async function(status, { actor, actorType = 'system', reason } = {}) {
+    if (!this.canTransitionTo(status)) {
+        throw new Error(`A ${this.status} booking cannot be moved to ${status}`);
+    }
+
+    const update = {
+        status,
+        [`statusChangedAt.${status}`]: Date.now(),
+        updatedAt: Date.now(),
+        $push: {
+            history: {
+                action: status === 'cancelled' ? 'cancelled' : 'status_changed',
+                changes: { status: { from: this.status, to: status } },
+                reason,
+                actor,
+                actorType
+            }
+        }
+    };
+    if (RELEASES_SLOT.includes(status)) update.slotReserved = false;
+
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, status: this.status },
+        update,
+        { new: true }
+    );
+    if (!updated) return null;
+
+    await updated.runStatusHooks(this, actor);
+    return updated;
+};
+
+// Side effects of reaching a status. `previous` is the booking as it was
+// before the transition. Failures are logged rather than undoing the move.
+bookingSchema.methods.runStatusHooks = async function(previous, actor) {
+    try {
+        if (RELEASES_SLOT.includes(this.status)) {
+            await previous.releaseSlot();
+            await dispatch.cancelVisit(this, actor);
+        }
+
+        if (this.status === 'sample_collected') await Sample.createForBooking(this, actor);
+
+        // Patients are only reminded about appointments still ahead of them
+        if (!reminders.REMINDER_STATUSES.includes(this.status)) await this.cancelReminders();
+
+        if (STATUS_MESSAGES[this.status]) await this.sendStatusNotification();
+    } catch (error) {
+        console.error(`Status hooks failed for ${this.bookingId} (${this.status}):`, error);
+    }
+};
+
+// (Re)queue the appointment reminders (see utils/reminders.js). A booking
+// is still valid without them, so failures are only logged.
+bookingSchema.methods.scheduleReminders = async function() {
+    try {
+        await reminders.scheduleReminders(this);
+    } catch (error) {
+        console.error(`Scheduling reminders failed for ${this.bookingId}:`, error);
+    }
+};
+
+bookingSchema.methods.cancelReminders = async function() {
+    try {
+        await reminders.cancelReminders(this);
+    } catch (error) {
+        console.error(`Cancelling reminders failed for ${this.bookingId}:`, error);
+    }
+};
+
+// Create or update the home collection visit for the booking, if it needs one
+bookingSchema.methods.syncHomeVisit = async function() {
+    try {
+        await dispatch.syncVisit(this);
+    } catch (error) {
+        console.error(`Home visit update failed for ${this.bookingId}:`, error);
+    }
+};
+
+// Manage-link token for guest bookings: an HMAC of the booking id, so it
+// never needs storing and stays valid for the life of the booking
+bookingSchema.methods.generateManageToken = function() {
+    return crypto.createHmac('sha256', JWT_SECRET)
+        .update(`booking-manage:${this._id}`)
+        .digest('base64url');
+};
+
+bookingSchema.methods.verifyManageToken = function(token) {
+    if (!token || typeof token !== 'string') return false;
+
+    const expected = Buffer.from(this.generateManageToken());
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+bookingSchema.methods.getManageUrl = function() {
+    return `${FRONTEND_URL}/pages/manage-booking.html?booking=${encodeURIComponent(this.bookingId)}` +
+        `&token=${this.generateManageToken()}`;
+};
+
+// Where the patient can view or cancel this booking: their dashboard if they
+// have an account, otherwise the signed manage link
+bookingSchema.methods.getManageLink = function() {
+    return this.user ? `${FRONTEND_URL}/pages/dashboard.html` : this.getManageUrl();
+};
+
+// Code in the booking's check-in QR: the booking id and an HMAC of the
+// booking, so reception can find the booking from the code alone
+bookingSchema.methods.generateCheckInCode = function() {
+    const signature = crypto.createHmac('sha256', JWT_SECRET)
+        .update(`booking-check-in:${this._id}`)
+        .digest('base64url');
+    return `${this.bookingId}.${signature}`;
+};
+
+// The booking a scanned check-in code belongs to, or null if the code is
+// unknown or forged
+bookingSchema.statics.findByCheckInCode = async function(code) {
+    if (!code || typeof code !== 'string') return null;
+
+    const [bookingId, signature] = code.trim().split('.');
+    if (!bookingId || !signature) return null;
+
+    const booking = await this.findOne({ bookingId });
+    if (!booking) return null;
+
+    const expected = Buffer.from(booking.generateCheckInCode());
+    const given = Buffer.from(code.trim());
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? booking : null;
+};
+
+// Patients only check in at branches; home collection comes to them
+bookingSchema.methods.hasCheckIn = function() {
+    return !(this.location && this.location.type === 'home');
+};
+
+// PNG of the check-in QR code, for emails and the booking pages
+bookingSchema.methods.getCheckInQrUrl = function() {
+    return `${API_URL}/api/bookings/check-in/${encodeURIComponent(this.generateCheckInCode())}.png`;
+};
+
+// Send the booking confirmation email (no-op for phone-only bookings)
 bookingSchema.methods.sendConfirmationEmail = async function() {
-    // In production, integrate with email service (SendGrid, Nodemailer, etc.)
-    console.log(`Sending confirmation email to ${this.email} for booking ${this.bookingId}`);
-    return true;
+    if (!this.email) return false;
+
+    const total = this.total !== undefined ? `Total: ₦${this.total.toLocaleString('en-NG')}` : '';
+    const checkIn = this.hasCheckIn() ? this.getCheckInQrUrl() : null;
+
+    try {
+        await sendEmail({
+            to: this.email,
+            subject: `Booking confirmed - ${this.bookingId}`,
+            text: `Hello ${this.fullName},\n\n` +
+                `Your ${this.testsLabel} is booked for ${this.formattedDate} at ${this.appointmentTime}.\n` +
+                `Booking ID: ${this.bookingId}\n` +
+                (total ? `${total}\n\n` : '\n') +
+                (checkIn ? `When you arrive, show this QR code at reception to check in: ${checkIn}\n\n` : '') +
+                `View or cancel your booking: ${this.getManageLink()}\n\n` +
+                'GOLDBOND LABORATORIES',
+            html: `<p>Hello ${escapeHtml(this.fullName)},</p>` +
+                `<p>Your ${escapeHtml(this.testsLabel)} is booked for ${this.formattedDate} at ${this.appointmentTime}.<br>` +
+                `Booking ID: ${this.bookingId}` +
+                (total ? `<br>${total}` : '') + '</p>' +
+                (checkIn
+                    ? '<p>When you arrive, show this QR code at reception to check in:</p>' +
+                        `<p><img src="${escapeHtml(checkIn)}" alt="Check-in code for ${this.bookingId}" width="200" height="200"></p>`
+                    : '') +
+                `<p><a href="${escapeHtml(this.getManageLink())}">View or cancel your booking</a></p>` +
+                '<p>GOLDBOND LABORATORIES</p>'
+        });
+        return true;
+    } catch (error) {
+        console.error(`Booking confirmation email failed for ${this.bookingId}:`, error);
+        return false;
+    }
 };
 
-// Method to send SMS notification (placeholder)
+// Send the booking confirmation SMS
 bookingSchema.methods.sendSMSNotification = async function() {
-    // In production, integrate with SMS service (Twilio, etc.)
-    console.log(`Sending SMS to ${this.phone} for booking ${this.bookingId}`);
-    return true;
+    try {
+        await sendSms({
+            to: this.phone,
+            text: `GOLDBOND: ${this.testsLabel} booked for ${this.formattedDate} ${this.appointmentTime}. ` +
+                `Ref ${this.bookingId}. Manage: ${this.getManageLink()}`
+        });
+        return true;
+    } catch (error) {
+        console.error(`Booking SMS failed for ${this.bookingId}:`, error);
+        return false;
+    }
 };
 
+// Let the patient know their appointment moved
+bookingSchema.methods.sendRescheduleNotification = async function() {
+    const when = `${this.formattedDate} at ${this.appointmentTime}`;
+
+    try {
+        if (this.email) {
+            await sendEmail({
+                to: this.email,
+                subject: `Booking rescheduled - ${this.bookingId}`,
+                text: `Hello ${this.fullName},\n\n` +
+                    `Your ${this.testsLabel} (booking ${this.bookingId}) has been moved to ${when}.\n\n` +
+                    `View or change your booking: ${this.getManageLink()}\n\n` +
+                    'GOLDBOND LABORATORIES'
+            });
+        }
+
+        await sendSms({
+            to: this.phone,
+            text: `GOLDBOND: booking ${this.bookingId} moved to ${when}. Manage: ${this.getManageLink()}`
+        });
+        return true;
+    } catch (error) {
+        console.error(`Reschedule notification failed for ${this.bookingId}:`, error);
+        return false;
+    }
+};
+
+// Appointment reminder, sent by the scheduler. Errors are thrown so the
+// job is retried.
+bookingSchema.methods.sendReminder = async function(hoursBefore) {
+    // Days from the lab's today to the appointment day, as the reminder goes out
+    const daysAway = Math.round((new Date(toDateKey(this.appointmentDate)) - new Date(labToday())) / (24 * 60 * 60 * 1000));
+    let when = `on ${this.formattedDate}`;
+    if (hoursBefore < 24) when = `in ${hoursBefore} hour${hoursBefore === 1 ? '' : 's'}`;
+    else if (daysAway === 0) when = 'today';
+    else if (daysAway === 1) when = 'tomorrow';
+
+    const day = when.startsWith('on ') ? '' : `, ${this.formattedDate}`;
+    const place = this.location && this.location.name ? ` at ${this.location.name}` : '';
+    const preparation = this.preparationNotes;
+
+    if (this.email) {
+        await sendEmail({
+            to: this.email,
+            subject: `Reminder: your appointment ${when} - ${this.bookingId}`,
+            text: `Hello ${this.fullName},\n\n` +
+                `This is a reminder that your ${this.testsLabel} is ${when}${day} at ${this.appointmentTime}${place}.\n\n` +
+                (preparation.length > 0 ? `How to prepare:\n${preparation.map(note => `- ${note}`).join('\n')}\n\n` : '') +
+                `Need to change it? ${this.getManageLink()}\n\n` +
+                'GOLDBOND LABORATORIES'
+        });
+    }
+
+    await sendSms({
+        to: this.phone,
+        text: `GOLDBOND reminder: ${this.testsLabel} ${when}, ${this.appointmentTime}${place}. ` +
+            (preparation.length > 0 ? `${preparation.join(' ')} ` : '') +
+            `Ref ${this.bookingId}.`
+    });
+};
+
+// Ask the patient to move an appointment that falls in a holiday or branch
+// closure (see utils/closures.js). Errors are thrown so the job is retried.
+bookingSchema.methods.sendClosureNotice = async function(closure) {
+    const place = this.location && this.location.name ? this.location.name : 'Our laboratory';
+    const hours = closure.allDay ? '' : ` from ${closure.startTime} to ${closure.endTime}`;
+
+    if (this.email) {
+        await sendEmail({
+            to: this.email,
+            subject: `Please reschedule your appointment - ${this.bookingId}`,
+            text: `Hello ${this.fullName},\n\n` +
+                `${place} will be closed${hours} on ${this.formattedDate} (${closure.reason}), ` +
+                `so we can't see you for your ${this.testsLabel} at ${this.appointmentTime} as booked (booking ${this.bookingId}).\n\n` +
+                `Please choose a new date or time: ${this.getManageLink()}\n\n` +
+                'We are sorry for the inconvenience.\n\n' +
+                'GOLDBOND LABORATORIES'
+        });
+    }
+
+    await sendSms({
+        to: this.phone,
+        text: `GOLDBOND: ${place} is closed${hours} on ${this.formattedDate} (${closure.reason}). ` +
+            `Please move booking ${this.bookingId}: ${this.getManageLink()}`
+    });
+};
+
+// Tell the patient their booking reached a new status (see STATUS_MESSAGES)
+bookingSchema.methods.sendStatusNotification = async function() {
+    const message = STATUS_MESSAGES[this.status];
+    if (!message) return false;
+
+    try {
+        if (this.email) {
+            await sendEmail({
+                to: this.email,
+                subject: `Booking ${this.status.replace(/_/g, ' ')} - ${this.bookingId}`,
+                text: `Hello ${this.fullName},\n\n${message(this)}\n\n` +
+                    `Booking ID: ${this.bookingId}\n` +
+                    `View your booking: ${this.getManageLink()}\n\n` +
+                    'GOLDBOND LABORATORIES'
+            });
+        }
+
+        await sendSms({
+            to: this.phone,
+            text: `GOLDBOND: ${message(this)} Ref ${this.bookingId}.`
+        });
+        return true;
+    } catch (error) {
+        console.error(`Status notification failed for ${this.bookingId}:`, error);
+        return false;
+    }
+};
+
+bookingSchema.statics.STATUSES = STATUSES;
+bookingSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 const Booking = mongoose.model('Booking', bookingSchema);
 
 module.exports = Booking;
\ No newline at end of file
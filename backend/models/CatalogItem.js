@@ -0,0 +1,71 @@
+// CatalogItem Model - a test or panel patients can add to a booking
+const mongoose = require('mongoose');
+
+// Broad test categories; locations list the ones they offer (Location.supportedTests)
+const TEST_TYPES = ['blood', 'thyroid', 'diabetes', 'lipid', 'liver', 'kidney', 'vitamin', 'other'];
+
+const catalogItemSchema = new mongoose.Schema({
+    // Short stable identifier used by the booking forms, e.g. "lipid-profile"
+    code: {
+        type: String,
+        required: [true, 'Code is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9-]{2,40}$/, 'Code may only contain letters, numbers and dashes']
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    // A panel is several tests sold together, usually for less
+    kind: {
+        type: String,
+        enum: ['test', 'panel'],
+        default: 'test'
+    },
+    testType: {
+        type: String,
+        enum: TEST_TYPES,
+        default: 'other'
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    // Codes of the tests a panel covers (for display only)
+    includes: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    // Naira
+    price: {
+        type: Number,
+        required: [true, 'Price is required'],
+        min: [0, 'Price cannot be negative']
+    },
+    // e.g. "8 hours fasting"
+    preparation: {
+        type: String,
+        trim: true
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+catalogItemSchema.index({ active: 1, sortOrder: 1 });
+
+catalogItemSchema.statics.TEST_TYPES = TEST_TYPES;
+
+module.exports = mongoose.model('CatalogItem', catalogItemSchema);
@@ -0,0 +1,122 @@
+// Closure Model - a public holiday or branch closure on the booking calendar
+//
+// A closure covers every day from startDate to endDate (inclusive) at one
+// location, or at all of them when no location is set. With startTime and
+// endTime it only covers that part of each day (e.g. a staff training
+// afternoon). No slots are offered while a location is closed (see
+// utils/slots.js), and patients already booked in are asked to reschedule
+// (see utils/closures.js).
+const mongoose = require('mongoose');
+
+const DATE_KEY = [/^\d{4}-\d{2}-\d{2}$/, 'Dates must be in YYYY-MM-DD format'];
+const TIME = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be in HH:MM format'];
+
+const KINDS = ['holiday', 'closure'];
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const closureSchema = new mongoose.Schema({
+    // Unset: the whole lab is closed
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location'
+    },
+
+    // Lab-local days as "YYYY-MM-DD"; endDate defaults to startDate
+    startDate: { type: String, required: [true, 'Start date is required'], match: DATE_KEY },
+    endDate: { type: String, match: DATE_KEY },
+
+    // Only part of each day is closed when both are set
+    startTime: { type: String, match: TIME },
+    endTime: { type: String, match: TIME },
+
+    kind: {
+        type: String,
+        enum: KINDS,
+        default: 'closure'
+    },
+
+    // Shown to patients, e.g. "Eid al-Fitr" or "Generator maintenance"
+    reason: {
+        type: String,
+        required: [true, 'Reason is required'],
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Bookings whose patients have been asked to reschedule, so editing the
+    // closure only notifies the ones it newly covers
+    notifiedBookings: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    }]
+}, {
+    timestamps: true
+});
+
+closureSchema.index({ endDate: 1, startDate: 1 });
+
+closureSchema.pre('validate', function(next) {
+    if (this.startDate && !this.endDate) this.endDate = this.startDate;
+
+    if (this.startDate && this.endDate && this.endDate < this.startDate) {
+        this.invalidate('endDate', 'The closure must end on or after its first day');
+    }
+    if (Boolean(this.startTime) !== Boolean(this.endTime)) {
+        this.invalidate('endTime', 'Give both a start and an end time, or neither for the whole day');
+    } else if (this.startTime && this.endTime && this.startTime >= this.endTime) {
+        this.invalidate('endTime', 'The end time must be after the start time');
+    }
+    next();
+});
+
+closureSchema.virtual('allDay').get(function() {
+    return !this.startTime;
+});
+
+closureSchema.set('toJSON', { virtuals: true });
+
+closureSchema.methods.includesDay = function(dateKey) {
+    return dateKey >= this.startDate && dateKey <= (this.endDate || this.startDate);
+};
+
+closureSchema.methods.appliesTo = function(location) {
+    if (!this.location) return true;
+    return Boolean(location) && this.location.equals(location._id || location);
+};
+
+// Whether a slot starting at `time` and lasting `slotMinutes` on `dateKey`
+// falls in the closure (location aside)
+closureSchema.methods.coversSlot = function(dateKey, time, slotMinutes) {
+    if (!this.includesDay(dateKey)) return false;
+    if (this.allDay) return true;
+
+    const start = toMinutes(time);
+    return start < toMinutes(this.endTime) && start + slotMinutes > toMinutes(this.startTime);
+};
+
+closureSchema.methods.coversDay = function(dateKey) {
+    return this.allDay && this.includesDay(dateKey);
+};
+
+// Closures in force at a location on a day, including lab-wide ones
+closureSchema.statics.forDay = function(location, dateKey) {
+    return this.find({
+        startDate: { $lte: dateKey },
+        endDate: { $gte: dateKey },
+        // null also matches closures without a location
+        location: { $in: [null, location && location._id ? location._id : location] }
+    });
+};
+
+closureSchema.statics.KINDS = KINDS;
+
+module.exports = mongoose.model('Closure', closureSchema);
@@ -0,0 +1,70 @@
+// CollectionZone Model - an area the home collection service covers
+//
+// Home visits are tagged with a zone so they can go to the phlebotomists
+// who work there. A visit falls in a zone when its coordinates are within
+// radiusKm of the zone's center, or when its address mentions one of the
+// zone's areas.
+const mongoose = require('mongoose');
+
+const collectionZoneSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Zone code is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9-]{2,30}$/, 'Code may only contain letters, numbers and dashes']
+    },
+    name: {
+        type: String,
+        required: [true, 'Zone name is required'],
+        trim: true
+    },
+    // Neighbourhoods and street names, e.g. "barnawa", "u/rimi"
+    areas: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    center: {
+        lat: { type: Number, min: -90, max: 90 },
+        lng: { type: Number, min: -180, max: 180 }
+    },
+    radiusKm: {
+        type: Number,
+        min: 0
+    },
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Straight-line distance between two { lat, lng } points
+const distanceKm = (a, b) => {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.sqrt(h));
+};
+
+const hasPoint = (point) => Boolean(point && Number.isFinite(point.lat) && Number.isFinite(point.lng));
+
+// Distance from the zone's center, or null if either point is unknown
+collectionZoneSchema.methods.distanceTo = function(coordinates) {
+    if (!hasPoint(this.center) || !hasPoint(coordinates)) return null;
+    return distanceKm(this.center, coordinates);
+};
+
+collectionZoneSchema.methods.mentionedIn = function(address) {
+    const text = String(address || '').toLowerCase();
+    return Boolean(text) && this.areas.some(area => area && text.includes(area));
+};
+
+collectionZoneSchema.statics.distanceKm = distanceKm;
+collectionZoneSchema.statics.hasPoint = hasPoint;
+
+module.exports = mongoose.model('CollectionZone', collectionZoneSchema);
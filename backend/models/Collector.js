@@ -0,0 +1,61 @@
+// Collector Model - a phlebotomist's home collection profile: the zones they
+// cover, when they are on shift and how many visits they can take a day
+const mongoose = require('mongoose');
+const { DEFAULT_DAILY_VISITS } = require('../config/dispatch');
+
+const TIME = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be in HH:MM format'];
+
+// Weekly working hours, e.g. Mon-Fri 07:00-15:00 is { days: [1,2,3,4,5], start: '07:00', end: '15:00' }
+const shiftSchema = new mongoose.Schema({
+    days: [{ type: Number, min: 0, max: 6 }],
+    start: { type: String, required: true, match: TIME },
+    end: { type: String, required: true, match: TIME }
+}, { _id: false });
+
+const collectorSchema = new mongoose.Schema({
+    // Staff account with the phlebotomist role
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    // Empty means the collector can be sent anywhere
+    zones: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CollectionZone'
+    }],
+    shifts: [shiftSchema],
+    dailyCapacity: {
+        type: Number,
+        min: 0,
+        default: DEFAULT_DAILY_VISITS
+    },
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+collectorSchema.pre('validate', function(next) {
+    this.shifts.forEach((shift, i) => {
+        if (shift.start >= shift.end) this.invalidate(`shifts.${i}.end`, 'A shift must end after it starts');
+    });
+    next();
+});
+
+// Whether a visit starting at `time` on a "YYYY-MM-DD" day falls in one of
+// the collector's shifts
+collectorSchema.methods.worksAt = function(dateKey, time) {
+    const day = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    return this.active && this.shifts.some(shift =>
+        shift.days.includes(day) && time >= shift.start && time < shift.end);
+};
+
+collectorSchema.methods.covers = function(zoneId) {
+    return this.zones.length === 0 || Boolean(zoneId && this.zones.some(zone => String(zone._id || zone) === String(zoneId)));
+};
+
+module.exports = mongoose.model('Collector', collectorSchema);
@@ -0,0 +1,47 @@
+// Deletion Request Model - patient requests to close their account (kept after anonymisation)
+const mongoose = require('mongoose');
+
+const deletionRequestSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: ['pending', 'cancelled', 'completed'],
+        default: 'pending'
+    },
+
+    // "patient" when requested from the dashboard, "admin" when staff deleted the account
+    requestedBy: {
+        type: String,
+        enum: ['patient', 'admin'],
+        default: 'patient'
+    },
+
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+
+    cancelledAt: Date,
+    processedAt: Date,
+    processedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // What was kept and until when
+    resultsRetained: { type: Number, default: 0 },
+    retainUntil: Date
+}, {
+    timestamps: true
+});
+
+deletionRequestSchema.index({ user: 1, status: 1 });
+deletionRequestSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('DeletionRequest', deletionRequestSchema);
@@ -0,0 +1,140 @@
+// HomeVisit Model - a phlebotomist's trip to collect a home collection
+// booking's sample
+//
+// Created and kept in step with its booking by utils/dispatch.js. Dispatch
+// assigns a collector (unassigned ⇄ assigned); the collector then reports
+// progress from the field: en_route → arrived → collected, or failed.
+const mongoose = require('mongoose');
+
+const STATUS_TRANSITIONS = {
+    unassigned: ['assigned', 'cancelled'],
+    assigned: ['unassigned', 'en_route', 'failed', 'cancelled'],
+    en_route: ['arrived', 'failed', 'cancelled'],
+    arrived: ['collected', 'failed'],
+    collected: [],
+    failed: [],
+    cancelled: []
+};
+
+const STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Statuses a collector reports from the field
+const FIELD_STATUSES = ['en_route', 'arrived', 'collected', 'failed'];
+
+// Visits still to be made
+const OPEN_STATUSES = ['unassigned', 'assigned', 'en_route', 'arrived'];
+
+const point = {
+    lat: { type: Number, min: -90, max: 90 },
+    lng: { type: Number, min: -180, max: 180 }
+};
+
+const visitEventSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: STATUSES,
+        required: true
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    // Where the collector was when they reported it
+    coordinates: point
+}, { _id: false });
+
+const homeVisitSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true,
+        unique: true
+    },
+    bookingId: {
+        type: String,
+        required: true
+    },
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location'
+    },
+    // Day as "YYYY-MM-DD" and the lab-local window the collector should arrive in
+    date: {
+        type: String,
+        required: true
+    },
+    windowStart: {
+        type: String,
+        required: true
+    },
+    windowEnd: {
+        type: String,
+        required: true
+    },
+    patientName: {
+        type: String,
+        trim: true
+    },
+    phone: String,
+    address: {
+        type: String,
+        trim: true
+    },
+    coordinates: point,
+    // How the coordinates were found: shared by the patient, geocoded from the address or set by dispatch
+    coordinatesSource: {
+        type: String,
+        enum: ['patient', 'geocoder', 'dispatch']
+    },
+    zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CollectionZone'
+    },
+    collector: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    // Set when dispatch picked the collector by hand rather than auto-assignment
+    assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    assignedAt: Date,
+    status: {
+        type: String,
+        enum: STATUSES,
+        default: 'unassigned'
+    },
+    failureReason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    events: [visitEventSchema]
+}, {
+    timestamps: true
+});
+
+homeVisitSchema.index({ date: 1, status: 1 });
+homeVisitSchema.index({ collector: 1, date: 1 });
+
+homeVisitSchema.methods.canTransitionTo = function(status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+homeVisitSchema.statics.STATUSES = STATUSES;
+homeVisitSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+homeVisitSchema.statics.FIELD_STATUSES = FIELD_STATUSES;
+homeVisitSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = mongoose.model('HomeVisit', homeVisitSchema);
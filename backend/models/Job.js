@@ -0,0 +1,68 @@
+// Job Model - background work scheduled for a later time (see utils/jobs.js)
+//
+// Jobs live in Mongo so they survive restarts. A worker claims a due job by
+// flipping it from pending to running in one update, so with several server
+// processes each job still runs once. Finished and cancelled jobs are
+// dropped after a month.
+const mongoose = require('mongoose');
+
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const jobSchema = new mongoose.Schema({
+    // Handler name registered with utils/jobs.js, e.g. "booking-reminder"
+    type: {
+        type: String,
+        required: true
+    },
+
+    // Groups a record's jobs so they can be cancelled together, e.g. "booking:<id>"
+    key: {
+        type: String,
+        index: true
+    },
+
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    runAt: {
+        type: Date,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+        default: 'pending'
+    },
+
+    attempts: {
+        type: Number,
+        default: 0
+    },
+
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+
+    lastError: String,
+
+    // Worker holding a running job, and since when
+    lockedBy: String,
+    lockedAt: Date,
+
+    completedAt: Date,
+
+    purgeAt: Date
+}, {
+    timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+jobSchema.statics.RETENTION_MS = RETENTION_MS;
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,117 @@
+// Location Model - a lab branch, or home collection, that patients can book
+const mongoose = require('mongoose');
+const { DEFAULT_SCHEDULE } = require('../config/schedules');
+
+const TIME = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be in HH:MM format'];
+
+// Opening hours and slot settings used by the slot engine (utils/slots.js)
+const scheduleSchema = new mongoose.Schema({
+    open: { type: String, default: DEFAULT_SCHEDULE.open, match: TIME },
+    close: { type: String, default: DEFAULT_SCHEDULE.close, match: TIME },
+    slotMinutes: {
+        type: Number,
+        default: DEFAULT_SCHEDULE.slotMinutes,
+        min: [5, 'Slots must be at least 5 minutes'],
+        max: [240, 'Slots cannot be longer than 4 hours']
+    },
+    // Patients seen in parallel per slot (phlebotomists on duty, or riders for home collection)
+    capacity: {
+        type: Number,
+        default: DEFAULT_SCHEDULE.capacity,
+        min: [0, 'Capacity cannot be negative']
+    },
+    breaks: {
+        type: [{
+            _id: false,
+            start: { type: String, required: true, match: TIME },
+            end: { type: String, required: true, match: TIME }
+        }],
+        default: () => DEFAULT_SCHEDULE.breaks.map(b => ({ ...b }))
+    },
+    // 0 = Sunday ... 6 = Saturday
+    closedDays: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: () => [...DEFAULT_SCHEDULE.closedDays]
+    }
+}, { _id: false });
+
+const locationSchema = new mongoose.Schema({
+    // Short stable identifier, e.g. "lab1" or "zaria"; also accepted in place of the id
+    code: {
+        type: String,
+        required: [true, 'Location code is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9-]{2,30}$/, 'Code may only contain letters, numbers and dashes']
+    },
+    name: {
+        type: String,
+        required: [true, 'Location name is required'],
+        trim: true
+    },
+    // "home" is the home sample collection service rather than a building
+    type: {
+        type: String,
+        enum: ['branch', 'home'],
+        default: 'branch'
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    coordinates: {
+        lat: { type: Number, min: -90, max: 90 },
+        lng: { type: Number, min: -180, max: 180 }
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    schedule: {
+        type: scheduleSchema,
+        default: () => ({})
+    },
+    // Booking test types offered here; empty means every test
+    supportedTests: [{
+        type: String,
+        trim: true
+    }],
+    active: {
+        type: Boolean,
+        default: true
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    // Bumped to revoke the staff calendar feed link (see utils/calendar.js)
+    calendarFeedVersion: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+locationSchema.index({ active: 1, sortOrder: 1 });
+
+locationSchema.pre('validate', function(next) {
+    if (this.schedule && this.schedule.open >= this.schedule.close) {
+        this.invalidate('schedule.close', 'Closing time must be after opening time');
+    }
+    next();
+});
+
+// Look a location up by id or code
+locationSchema.statics.resolve = function(value) {
+    if (!value) return Promise.resolve(null);
+    if (mongoose.isValidObjectId(value) && String(value).length === 24) return this.findById(value);
+    return this.findOne({ code: String(value).toLowerCase() });
+};
+
+locationSchema.methods.offersTest = function(testType) {
+    return this.supportedTests.length === 0 || this.supportedTests.includes(testType);
+};
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -0,0 +1,49 @@
+// Lockout Event Model - audit trail of temporary lockouts and admin unlocks
+const mongoose = require('mongoose');
+
+const lockoutEventSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+
+    scope: {
+        type: String,
+        enum: ['account', 'ip', 'results'],
+        required: true
+    },
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Which login form was being attacked
+    loginType: {
+        type: String,
+        enum: ['patient', 'admin', 'results'],
+        required: true
+    },
+
+    ipAddress: { type: String, trim: true },
+    userAgent: { type: String, trim: true },
+    failures: { type: Number, required: true },
+
+    lockedUntil: {
+        type: Date,
+        required: true
+    },
+
+    unlockedAt: Date,
+    unlockedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+lockoutEventSchema.index({ user: 1, createdAt: -1 });
+lockoutEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('LockoutEvent', lockoutEventSchema);
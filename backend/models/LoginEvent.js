@@ -0,0 +1,61 @@
+// Login Event Model - one record per sign-in attempt (patients, result lookups, staff)
+const mongoose = require('mongoose');
+const { getClientIp } = require('../utils/authTokens');
+
+const RETENTION_DAYS = 365;
+
+const loginEventSchema = new mongoose.Schema({
+    // Unset when the attempt didn't match any account
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Email, phone or registration number as entered
+    identifier: { type: String, trim: true },
+
+    method: {
+        type: String,
+        enum: ['password', 'phone-otp', 'results-credentials', 'admin'],
+        required: true
+    },
+
+    outcome: {
+        type: String,
+        enum: ['success', 'failure', 'blocked'],
+        required: true
+    },
+
+    // Why it failed (invalid_password, account_locked, ...) or, for staff,
+    // which second factor passed (totp, recovery_code)
+    reason: { type: String, trim: true },
+
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session'
+    },
+
+    ipAddress: { type: String, trim: true },
+    userAgent: { type: String, trim: true }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Never let audit logging break a login
+loginEventSchema.statics.record = async function (req, data) {
+    try {
+        return await this.create({
+            ...data,
+            ipAddress: getClientIp(req),
+            userAgent: req.headers['user-agent']
+        });
+    } catch (error) {
+        console.error('Login event error:', error);
+        return null;
+    }
+};
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
@@ -0,0 +1,35 @@
+// Login Throttle Model - failed-attempt counters per account, IP or result credential
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema({
+    // e.g. "account:jane@example.com", "ip:102.89.1.4", "results:REG-1700000000"
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    scope: {
+        type: String,
+        enum: ['account', 'ip', 'results'],
+        required: true
+    },
+
+    failures: {
+        type: Number,
+        default: 0
+    },
+
+    lastFailureAt: Date,
+    lockedUntil: Date,
+
+    // Counters are forgotten after a quiet period
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
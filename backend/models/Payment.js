@@ -46,7 +46,7 @@ const paymentSchema = new mongoose.Schema({
     status: {
         type: String,
         required: true,
-        enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded'],
+        enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'partially_refunded', 'refunded'],
         default: 'pending'
     },
     
@@ -89,12 +89,17 @@ const paymentSchema = new mongoose.Schema({
         default: ''
     },
     
-    // Refund Information
+    // Refund Information (refundAmount is the total refunded so far)
     refundAmount: {
         type: Number,
         default: 0
     },
     
+    // What the provider said about the latest refund
+    refundResponse: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    
     refundedAt: {
         type: Date
     },
@@ -210,19 +215,29 @@ paymentSchema.methods.markAsFailed = function(reason, providerResponse = {}) {
     return this.save();
 };
 
-// Instance method to process refund
-paymentSchema.methods.processRefund = function(amount, reason) {
-    if (this.status !== 'completed') {
-        throw new Error('Can only refund completed payments');
+// Why `amount` can't be refunded from this payment, or null if it can
+paymentSchema.methods.refundError = function(amount) {
+    if (!['completed', 'partially_refunded'].includes(this.status)) {
+        return 'Can only refund completed payments';
     }
     
-    if (amount > this.amount) {
-        throw new Error('Refund amount cannot exceed payment amount');
+    if (amount > this.amount - (this.refundAmount || 0)) {
+        return 'Refund amount cannot exceed what is left of the payment';
     }
     
-    this.status = 'refunded';
-    this.refundAmount = amount;
+    return null;
+};
+
+// Instance method to record a refund; partial refunds add up until the
+// whole amount has gone back
+paymentSchema.methods.processRefund = function(amount, reason, refundResponse) {
+    const error = this.refundError(amount);
+    if (error) throw new Error(error);
+    
+    this.refundAmount = (this.refundAmount || 0) + amount;
+    this.status = this.refundAmount >= this.amount ? 'refunded' : 'partially_refunded';
     this.refundReason = reason;
+    this.refundResponse = refundResponse;
     this.refundedAt = new Date();
     return this.save();
 };
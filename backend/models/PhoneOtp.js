@@ -0,0 +1,37 @@
+// Phone OTP Model - the current one-time login code for a phone number
+const mongoose = require('mongoose');
+
+const phoneOtpSchema = new mongoose.Schema({
+    // E.164, e.g. "+2348031234567"
+    phone: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // HMAC of the code; unset once it has been used or exhausted
+    codeHash: String,
+    expiresAt: Date,
+    attempts: { type: Number, default: 0 },
+
+    // Send rate limiting
+    lastSentAt: Date,
+    sendCount: { type: Number, default: 0 },
+    sendWindowStartedAt: Date,
+
+    // MongoDB removes the record once the send window is long over
+    purgeAt: {
+        type: Date,
+        required: true
+    }
+});
+
+phoneOtpSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PhoneOtp', phoneOtpSchema);
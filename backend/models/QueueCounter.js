@@ -0,0 +1,57 @@
+// Queue Counter Model - the last ticket number issued at a branch on a day
+//
+// One counter per location and day, incremented atomically so two
+// receptionists issuing tickets at once never get the same number.
+// Counters are dropped a week after the day.
+const mongoose = require('mongoose');
+
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const queueCounterSchema = new mongoose.Schema({
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: true
+    },
+
+    // Lab-local day as "YYYY-MM-DD"
+    date: {
+        type: String,
+        required: true
+    },
+
+    seq: {
+        type: Number,
+        default: 0
+    },
+
+    purgeAt: {
+        type: Date,
+        required: true
+    }
+});
+
+queueCounterSchema.index({ location: 1, date: 1 }, { unique: true });
+queueCounterSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+// Next ticket number for the day, starting at 1. When two first tickets of
+// the day race, one upsert hits the unique index; it then finds the
+// counter the other created.
+queueCounterSchema.statics.next = async function(location, date, retry = true) {
+    try {
+        const counter = await this.findOneAndUpdate(
+            { location, date },
+            {
+                $inc: { seq: 1 },
+                $setOnInsert: { purgeAt: new Date(new Date(date).getTime() + RETENTION_MS) }
+            },
+            { upsert: true, new: true }
+        );
+        return counter.seq;
+    } catch (error) {
+        if (error.code === 11000 && retry) return this.next(location, date, false);
+        throw error;
+    }
+};
+
+module.exports = mongoose.model('QueueCounter', queueCounterSchema);
@@ -0,0 +1,135 @@
+// Queue Ticket Model - a patient waiting to be seen at a branch
+//
+// Tickets are issued at reception (see utils/queue.js): to booked patients
+// when their check-in QR code is scanned, and to walk-ins. Patients are
+// called in ticket order to a desk. Tickets are dropped a week after the
+// day they were issued.
+const mongoose = require('mongoose');
+
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// waiting → called → served, or no_show if they don't come to the desk.
+// A called patient can be put back in the queue (e.g. stepped out).
+const STATUS_TRANSITIONS = {
+    waiting: ['called', 'cancelled'],
+    called: ['served', 'no_show', 'waiting'],
+    served: [],
+    no_show: [],
+    cancelled: []
+};
+
+const STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Still in the queue
+const ACTIVE_STATUSES = ['waiting', 'called'];
+
+// Ticket codes read "A007" for appointments and "W008" for walk-ins
+const CODE_PREFIX = { appointment: 'A', walk_in: 'W' };
+
+const queueTicketSchema = new mongoose.Schema({
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: true
+    },
+
+    // Lab-local day as "YYYY-MM-DD"
+    date: {
+        type: String,
+        required: true
+    },
+
+    // Issue order for the day at this location (see models/QueueCounter.js)
+    number: {
+        type: Number,
+        required: true
+    },
+
+    kind: {
+        type: String,
+        enum: Object.keys(CODE_PREFIX),
+        required: true
+    },
+
+    // Set for booked patients
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    bookingId: String,
+
+    name: {
+        type: String,
+        required: [true, 'Patient name is required'],
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    // Walk-ins: what they came for
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Note cannot exceed 200 characters']
+    },
+
+    status: {
+        type: String,
+        enum: STATUSES,
+        default: 'waiting'
+    },
+
+    // Desk or room the patient was called to, e.g. "2"
+    desk: {
+        type: String,
+        trim: true
+    },
+
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    calledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    calledAt: Date,
+    // When the ticket was served, marked a no-show or cancelled
+    closedAt: Date,
+
+    purgeAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+queueTicketSchema.index({ location: 1, date: 1, number: 1 }, { unique: true });
+queueTicketSchema.index({ location: 1, date: 1, status: 1 });
+queueTicketSchema.index({ booking: 1 });
+queueTicketSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+queueTicketSchema.pre('validate', function(next) {
+    if (!this.purgeAt && this.date) {
+        this.purgeAt = new Date(new Date(this.date).getTime() + RETENTION_MS);
+    }
+    next();
+});
+
+queueTicketSchema.virtual('code').get(function() {
+    return `${CODE_PREFIX[this.kind] || ''}${String(this.number).padStart(3, '0')}`;
+});
+
+queueTicketSchema.set('toJSON', { virtuals: true });
+
+queueTicketSchema.methods.canTransitionTo = function(status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+queueTicketSchema.statics.STATUSES = STATUSES;
+queueTicketSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+queueTicketSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = mongoose.model('QueueTicket', queueTicketSchema);
@@ -0,0 +1,83 @@
+// Sample Model - the specimen taken from a patient at a booking, tracked
+// through the lab until its result is reported
+const mongoose = require('mongoose');
+
+const sampleSchema = new mongoose.Schema({
+    // Accession number written on the tube/label
+    sampleId: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => 'SMP' + Date.now() + Math.floor(Math.random() * 1000)
+    },
+    // One sample record per booking
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true,
+        unique: true
+    },
+    bookingId: {
+        type: String,
+        required: true
+    },
+    patientName: {
+        type: String,
+        trim: true
+    },
+    testType: {
+        type: String,
+        required: true
+    },
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['collected', 'received', 'processing', 'reported', 'rejected'],
+        default: 'collected'
+    },
+    collectedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Staff member who took the sample (unset when recorded by the system)
+    collectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    result: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TestResult'
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    }
+}, {
+    timestamps: true
+});
+
+sampleSchema.index({ status: 1, collectedAt: -1 });
+
+// Record the sample for a booking; safe to call more than once
+sampleSchema.statics.createForBooking = function(booking, collectedBy) {
+    return this.findOneAndUpdate(
+        { booking: booking._id },
+        {
+            $setOnInsert: {
+                bookingId: booking.bookingId,
+                patientName: booking.patientName || booking.fullName,
+                testType: booking.testType,
+                location: booking.location && booking.location._id ? booking.location._id : booking.location,
+                collectedBy
+            }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+module.exports = mongoose.model('Sample', sampleSchema);
@@ -0,0 +1,135 @@
+// Session Model - one document per signed-in device (refresh token holder)
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How many rotated-out refresh tokens a session remembers, to spot one being reused
+const PREVIOUS_TOKENS_KEPT = 20;
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // SHA-256 of the current refresh token; rotated on every refresh
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // SHA-256 of the most recent refresh tokens this one replaced
+    previousRefreshTokenHashes: {
+        type: [String],
+        index: true
+    },
+
+    userAgent: { type: String, trim: true },
+    ipAddress: { type: String, trim: true },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    revokedAt: Date,
+    revokedReason: { type: String, trim: true },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+sessionSchema.statics.generateRefreshToken = function() {
+    return crypto.randomBytes(48).toString('hex');
+};
+
+// Find a live session by the raw refresh token presented by a client
+sessionSchema.statics.findActiveByRefreshToken = function(refreshToken) {
+    return this.findOne({
+        refreshTokenHash: this.hashToken(refreshToken),
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+// Signed-in devices for a user, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+    return this.find({
+        user: userId,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+};
+
+// Issue a new refresh token for this session, invalidating the previous one.
+// Only applies if the token this document was loaded with is still current,
+// so of two refreshes racing with the same token only one gets a new token;
+// resolves to null for the other.
+sessionSchema.methods.rotate = async function() {
+    const refreshToken = this.constructor.generateRefreshToken();
+    const refreshTokenHash = this.constructor.hashToken(refreshToken);
+    const lastUsedAt = new Date();
+
+    const rotated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, refreshTokenHash: this.refreshTokenHash, revokedAt: { $exists: false } },
+        {
+            $set: { refreshTokenHash, lastUsedAt },
+            $push: { previousRefreshTokenHashes: { $each: [this.refreshTokenHash], $slice: -PREVIOUS_TOKENS_KEPT } }
+        },
+        { new: true }
+    );
+    if (!rotated) return null;
+
+    this.refreshTokenHash = refreshTokenHash;
+    this.lastUsedAt = lastUsedAt;
+    return refreshToken;
+};
+
+// A refresh token that was already rotated out has been presented again, so
+// it was probably copied: revoke the session it belonged to
+sessionSchema.statics.revokeByRotatedToken = function(refreshToken) {
+    return this.updateOne(
+        { previousRefreshTokenHashes: this.hashToken(refreshToken), revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+    );
+};
+
+sessionSchema.methods.revoke = function(reason = 'logout', revokedBy) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    if (revokedBy) this.revokedBy = revokedBy;
+    return this.save();
+};
+
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout_all', revokedBy) {
+    const update = { revokedAt: new Date(), revokedReason: reason };
+    if (revokedBy) update.revokedBy = revokedBy;
+
+    return this.updateMany(
+        { user: userId, revokedAt: { $exists: false } },
+        { $set: update }
+    );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,86 @@
+// Slot Reservation Model - how many places are taken in one appointment slot
+//
+// One counter per location, day and start time. Bookings take a place with
+// reserve(), which only increments while the count is below capacity, so two
+// patients racing for the last place can't both get it. Counters are
+// dropped a week after the appointment day.
+const mongoose = require('mongoose');
+
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const slotReservationSchema = new mongoose.Schema({
+    location: {
+        type: String,
+        required: true
+    },
+
+    // Appointment day as "YYYY-MM-DD"
+    date: {
+        type: String,
+        required: true
+    },
+
+    // Slot start, "HH:MM"
+    time: {
+        type: String,
+        required: true
+    },
+
+    count: {
+        type: Number,
+        default: 0
+    },
+
+    purgeAt: {
+        type: Date,
+        required: true
+    }
+});
+
+slotReservationSchema.index({ location: 1, date: 1, time: 1 }, { unique: true });
+slotReservationSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+// Take one place in the slot; resolves false when it is already full.
+// A full slot doesn't match the filter, so the upsert tries to insert a
+// second counter and hits the unique index instead of overbooking.
+slotReservationSchema.statics.reserve = async function({ location, date, time }, capacity) {
+    if (!(capacity > 0)) return false;
+
+    try {
+        const reservation = await this.findOneAndUpdate(
+            { location, date, time, count: { $lt: capacity } },
+            {
+                $inc: { count: 1 },
+                $setOnInsert: { purgeAt: new Date(new Date(date).getTime() + RETENTION_MS) }
+            },
+            { upsert: true, new: true }
+        );
+        return Boolean(reservation);
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+// Count a place that is already taken, whatever the capacity (bookings made
+// before the counters existed)
+slotReservationSchema.statics.add = function({ location, date, time }) {
+    return this.updateOne(
+        { location, date, time },
+        {
+            $inc: { count: 1 },
+            $setOnInsert: { purgeAt: new Date(new Date(date).getTime() + RETENTION_MS) }
+        },
+        { upsert: true }
+    );
+};
+
+// Give a place back (cancelled or moved booking)
+slotReservationSchema.statics.release = function({ location, date, time }) {
+    return this.updateOne(
+        { location, date, time, count: { $gt: 0 } },
+        { $inc: { count: -1 } }
+    );
+};
+
+module.exports = mongoose.model('SlotReservation', slotReservationSchema);
@@ -1,6 +1,7 @@
 // Test Result Model
 const mongoose = require("mongoose");
 const path = require("path");
+const { phoneVariants } = require("../utils/phone");
 
 const PUBLIC_UPLOAD_URL = "/uploads/";
 
@@ -12,6 +13,12 @@ const testResultSchema = new mongoose.Schema({
         index: true
     },
 
+    // Set when the result belongs to one of the account holder's dependents
+    dependentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        index: true
+    },
+
     registrationNumber: {
         type: String,
         required: true,
@@ -88,6 +95,15 @@ const testResultSchema = new mongoose.Schema({
         }
     ],
 
+    // Booking the sample came from, and the partner that referred it (copied
+    // from the booking so partners can fetch their own results)
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+    referredBy: { type: mongoose.Schema.Types.ObjectId, ref: "ApiClient", index: true },
+
+    // Set when the patient's account is deleted: the record is kept for the
+    // legal retention period, then purged together with its PDF
+    retainUntil: { type: Date, index: true },
+
     // Tracking
     isViewed: { type: Boolean, default: false },
     viewedAt: { type: Date },
@@ -131,12 +147,40 @@ testResultSchema.methods.sendResultNotification = function () {
     return true;
 };
 
+// Apply a staff edit. Verified results are signed off, so staff who can't
+// verify may neither verify a result nor change one that already is.
+// Resolves to { result }, or { status, error } when the edit is refused.
+testResultSchema.statics.editByStaff = async function (registrationNumber, update, { canVerify }) {
+    if (update.status === "verified" && !canVerify) {
+        return { status: 403, error: "Only authorised staff can verify results" };
+    }
+
+    const current = await this.findOne({ registrationNumber }).select("status");
+    if (!current) return { status: 404, error: "Result not found" };
+
+    if (current.status === "verified" && !canVerify) {
+        return { status: 403, error: "Only authorised staff can change a verified result" };
+    }
+
+    // Only applies if nobody verified it since it was loaded
+    const result = await this.findOneAndUpdate(
+        { registrationNumber, status: current.status },
+        update,
+        { new: true }
+    );
+    if (!result) return { status: 409, error: "The result was changed by someone else. Please reload it and try again." };
+
+    return { result };
+};
+
 // Public lookup
 testResultSchema.statics.findByCredentials = async function (
     registrationNumber,
     phone
 ) {
-    const result = await this.findOne({ registrationNumber, phone });
+    // Matches results stored before phone numbers were normalised, whatever
+    // shape the patient types the number in
+    const result = await this.findOne({ registrationNumber, phone: { $in: phoneVariants(phone) } });
     if (!result) throw new Error("No results found with provided credentials");
 
     return result;
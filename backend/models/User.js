@@ -1,5 +1,45 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const totp = require("../utils/totp");
+const { normalizePhone } = require("../utils/phone");
+const { isStaffRole } = require("../config/permissions");
+
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const INVITE_TOKEN_TTL_MS = 72 * 60 * 60 * 1000; // 72 hours
+
+// Shortest passwords accounts may choose; staff can open patient records, so theirs are longer
+const PASSWORD_MIN_LENGTH = 6;
+const STAFF_PASSWORD_MIN_LENGTH = 8;
+
+// Tokens sent by email are stored hashed so a database leak can't be replayed
+const hashToken = (token) =>
+    crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Family members and others the account holder books tests for
+const dependentSchema = new mongoose.Schema({
+    firstName: { type: String, required: [true, "First name is required"], trim: true },
+    lastName: { type: String, required: [true, "Last name is required"], trim: true },
+    dateOfBirth: { type: Date, required: [true, "Date of birth is required"] },
+    gender: {
+        type: String,
+        enum: ["Male", "Female", "Other"],
+        required: [true, "Gender is required"]
+    },
+    relationship: {
+        type: String,
+        enum: ["child", "spouse", "parent", "sibling", "grandparent", "ward", "other"],
+        required: [true, "Relationship is required"]
+    },
+    createdAt: { type: Date, default: Date.now }
+});
+
+dependentSchema.virtual("fullName").get(function () {
+    return `${this.firstName} ${this.lastName}`;
+});
+
+dependentSchema.set("toJSON", { virtuals: true });
 
 const userSchema = new mongoose.Schema({
     fullName: {
@@ -10,36 +50,41 @@ const userSchema = new mongoose.Schema({
     firstName: { type: String, trim: true },
     lastName: { type: String, trim: true },
 
+    // Optional: phone-only patients sign in with an SMS code instead.
+    // Sparse so any number of accounts can have no email (existing databases
+    // need the old email_1 index rebuilt, e.g. with User.syncIndexes()).
     email: {
         type: String,
-        required: [true, "Email is required"],
         unique: true,
+        sparse: true,
         lowercase: true,
         trim: true,
         match: [/^\S+@\S+\.\S+$/, "Please enter a valid email"]
     },
 
+    // Stored in E.164 (see utils/phone.js)
     phone: {
         type: String,
         required: [true, "Phone number is required"],
         trim: true
     },
 
+    // Accounts with an email log in with a password; phone-only accounts have none
     password: {
         type: String,
-        required: [true, "Password is required"],
-        minlength: [6, "Password must be at least 6 characters"]
+        required: [function () { return Boolean(this.email); }, "Password is required"],
+        minlength: [PASSWORD_MIN_LENGTH, `Password must be at least ${PASSWORD_MIN_LENGTH} characters`]
     },
 
     role: {
         type: String,
-        enum: ["user", "admin", "super_admin", "staff", "lab_technician"],
+        enum: ["user", "admin", "super_admin", "staff", "lab_technician", "phlebotomist"],
         default: "user"
     },
 
     status: {
         type: String,
-        enum: ["active", "inactive", "suspended"],
+        enum: ["active", "inactive", "suspended", "invited"],
         default: "active"
     },
 
@@ -57,6 +102,9 @@ const userSchema = new mongoose.Schema({
         { type: mongoose.Schema.Types.ObjectId, ref: "Booking" }
     ],
 
+    // Dependent sub-profiles (results and bookings can target one of these)
+    dependents: [dependentSchema],
+
     // NEW — User feedback about results
     feedback: [
         {
@@ -73,15 +121,57 @@ const userSchema = new mongoose.Schema({
 
     isVerified: { type: Boolean, default: false },
     emailVerified: { type: Boolean, default: false },
+    // Set once the patient has signed in with a code sent to their phone
+    phoneVerified: { type: Boolean, default: false },
 
     verificationToken: String,
+    verificationTokenExpire: Date,
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    // Set by an admin; login is refused until the password has been reset
+    passwordResetRequired: { type: Boolean, default: false },
+
+    // Staff invitations (status stays "invited" until accepted)
+    inviteToken: String,
+    inviteTokenExpire: Date,
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    invitedAt: Date,
+
+    // TOTP two-factor authentication (staff accounts)
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, select: false },
+        pendingSecret: { type: String, select: false }, // set during enrollment, until confirmed
+        recoveryCodes: { type: [String], select: false }, // SHA-256 hashes, removed once used
+        lastUsedStep: { type: Number, select: false }, // blocks replaying the same code
+        enabledAt: Date
+    },
+
+    // Set while the account is suspended by a failed-login lockout
+    lockedUntil: Date,
+
+    // Bumped to revoke the patient's calendar feed link (see utils/calendar.js)
+    calendarFeedVersion: { type: Number, default: 0 },
+
+    // Personal details were erased after a deletion request (see utils/patientData.js)
+    anonymisedAt: Date,
 
     createdAt: { type: Date, default: Date.now },
     lastLogin: Date
 });
 
+// ===============================
+// NORMALISE PHONE BEFORE VALIDATION
+// ===============================
+// Numbers that can't be parsed are kept as entered (e.g. older records);
+// the routes reject them on input.
+userSchema.pre("validate", function (next) {
+    if (this.isModified("phone") && this.phone) {
+        this.phone = normalizePhone(this.phone) || this.phone;
+    }
+    next();
+});
+
 // ===============================
 // PASSWORD HASH BEFORE SAVE
 // ===============================
@@ -98,6 +188,7 @@ userSchema.pre("save", async function (next) {
 // COMPARE PASSWORD
 // ===============================
 userSchema.methods.comparePassword = function (enteredPassword) {
+    if (!this.password || !enteredPassword) return Promise.resolve(false);
     return bcrypt.compare(enteredPassword, this.password);
 };
 
@@ -109,4 +200,141 @@ userSchema.methods.updateLastLogin = function () {
     return this.save();
 };
 
+// ===============================
+// PASSWORD RESET TOKEN
+// ===============================
+userSchema.methods.getResetPasswordToken = function () {
+    const resetToken = crypto.randomBytes(32).toString("hex");
+
+    this.resetPasswordToken = hashToken(resetToken);
+    this.resetPasswordExpire = Date.now() + RESET_TOKEN_TTL_MS;
+
+    return resetToken;
+};
+
+userSchema.methods.clearResetPasswordToken = function () {
+    this.resetPasswordToken = undefined;
+    this.resetPasswordExpire = undefined;
+};
+
+// ===============================
+// EMAIL VERIFICATION TOKEN
+// ===============================
+userSchema.methods.getEmailVerificationToken = function () {
+    const verifyToken = crypto.randomBytes(32).toString("hex");
+
+    this.verificationToken = hashToken(verifyToken);
+    this.verificationTokenExpire = Date.now() + VERIFICATION_TOKEN_TTL_MS;
+
+    return verifyToken;
+};
+
+userSchema.methods.markEmailVerified = function () {
+    this.isVerified = true;
+    this.emailVerified = true;
+    this.verificationToken = undefined;
+    this.verificationTokenExpire = undefined;
+};
+
+// ===============================
+// STAFF INVITATION TOKEN
+// ===============================
+userSchema.methods.getInviteToken = function () {
+    const inviteToken = crypto.randomBytes(32).toString("hex");
+
+    this.inviteToken = hashToken(inviteToken);
+    this.inviteTokenExpire = Date.now() + INVITE_TOKEN_TTL_MS;
+
+    return inviteToken;
+};
+
+// The invite link was delivered by email, so accepting it also verifies the address
+userSchema.methods.acceptInvite = function (password) {
+    this.password = password;
+    this.status = "active";
+    this.inviteToken = undefined;
+    this.inviteTokenExpire = undefined;
+    this.markEmailVerified();
+};
+
+// ===============================
+// TWO-FACTOR AUTHENTICATION
+// ===============================
+// Callers must load the secret fields first:
+// .select("+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep")
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    this.twoFactor.recoveryCodes = codes.map(hashToken);
+    return codes;
+};
+
+// Returns "totp" or "recovery" when the code is accepted, otherwise null
+userSchema.methods.verifyTwoFactorCode = function (code) {
+    if (!this.twoFactor || !this.twoFactor.enabled || !code) return null;
+
+    const matchedStep = totp.verifyCode(this.twoFactor.secret, code);
+    if (matchedStep !== null) {
+        if (this.twoFactor.lastUsedStep && matchedStep <= this.twoFactor.lastUsedStep) {
+            return null;
+        }
+        this.twoFactor.lastUsedStep = matchedStep;
+        return "totp";
+    }
+
+    const hashed = hashToken(String(code).trim().toLowerCase());
+    const index = (this.twoFactor.recoveryCodes || []).indexOf(hashed);
+    if (index !== -1) {
+        this.twoFactor.recoveryCodes.splice(index, 1);
+        return "recovery";
+    }
+
+    return null;
+};
+
+// ===============================
+// FAILED-LOGIN LOCKOUT
+// ===============================
+// Lockouts suspend the account with a lockedUntil date; once it has passed
+// the account is reactivated on the next login attempt. Suspensions without
+// lockedUntil are manual and only an admin can lift them.
+userSchema.methods.releaseExpiredLock = function () {
+    if (this.status !== "suspended" || !this.lockedUntil) return false;
+    if (this.lockedUntil.getTime() > Date.now()) return false;
+
+    this.status = "active";
+    this.lockedUntil = undefined;
+    return true;
+};
+
+userSchema.methods.unlock = function () {
+    this.status = "active";
+    this.lockedUntil = undefined;
+};
+
+// ===============================
+// DEPENDENTS
+// ===============================
+// Match a result's patient name against the account's dependents, so a
+// child's result sent to the parent's phone lands on the child's profile
+userSchema.methods.findDependentByName = function (name) {
+    const normalise = (value) => String(value || "").trim().toLowerCase().replace(/\s+/g, " ");
+    const target = normalise(name);
+    if (!target) return null;
+
+    return this.dependents.find(dependent =>
+        normalise(`${dependent.firstName} ${dependent.lastName}`) === target ||
+        normalise(`${dependent.lastName} ${dependent.firstName}`) === target
+    ) || null;
+};
+
+userSchema.statics.hashToken = hashToken;
+
+// Shortest password an account with this role may choose
+userSchema.statics.minPasswordLength = (role) =>
+    isStaffRole(role) ? STAFF_PASSWORD_MIN_LENGTH : PASSWORD_MIN_LENGTH;
+
 module.exports = mongoose.model("User", userSchema);
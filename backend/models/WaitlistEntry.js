@@ -0,0 +1,151 @@
+// Waitlist Entry Model - a patient waiting for a place at a location on a day
+//
+// Entries cover a window of slot start times. When a place in that window
+// frees up it is held for the first patient still waiting and offered to
+// them through a claim link (see utils/waitlist.js); if the offer runs out
+// the place goes to the next patient.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sendEmail = require('../utils/sendEmail');
+const sendSms = require('../utils/sendSms');
+const { JWT_SECRET } = require('../utils/authTokens');
+const { LAB_UTC_OFFSET_MINUTES } = require('../config/schedules');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const TIME = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be in HH:MM format'];
+
+// Entries are dropped a week after the day they were waiting for
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const waitlistEntrySchema = new mongoose.Schema({
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: true
+    },
+
+    // Appointment day as "YYYY-MM-DD"
+    date: {
+        type: String,
+        required: true
+    },
+
+    // Any slot starting from windowStart to windowEnd (inclusive) will do
+    windowStart: { type: String, required: true, match: TIME },
+    windowEnd: { type: String, required: true, match: TIME },
+
+    // Patient account that joined (unset for guests)
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+
+    // What the booking will be made with when the offer is claimed
+    details: {
+        fullName: { type: String, required: [true, 'Full name is required'], trim: true },
+        email: { type: String, trim: true, lowercase: true },
+        phone: { type: String, required: [true, 'Phone number is required'], trim: true },
+        dependent: mongoose.Schema.Types.ObjectId,
+        patientName: { type: String, trim: true },
+        testType: String,
+        // Catalog lines, priced when the booking is made
+        items: [{ _id: false, code: String, quantity: Number }],
+        address: { type: String, trim: true },
+        notes: { type: String, trim: true, maxlength: 500 }
+    },
+
+    status: {
+        type: String,
+        enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+        default: 'waiting'
+    },
+
+    // The place currently held for this patient
+    offer: {
+        time: String,
+        offeredAt: Date,
+        expiresAt: Date
+    },
+
+    // Booking made from a claimed offer
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+
+    purgeAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+waitlistEntrySchema.index({ location: 1, date: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+waitlistEntrySchema.pre('validate', function(next) {
+    if (this.windowStart && this.windowEnd && this.windowStart > this.windowEnd) {
+        this.invalidate('windowEnd', 'The end of the window must be after its start');
+    }
+    if (!this.purgeAt && this.date) {
+        this.purgeAt = new Date(new Date(this.date).getTime() + RETENTION_MS);
+    }
+    next();
+});
+
+// Signed token for the current offer, so each offer gets its own claim link
+// and old links stop working once the place has moved on
+waitlistEntrySchema.methods.generateClaimToken = function() {
+    const offeredAt = this.offer && this.offer.offeredAt ? this.offer.offeredAt.getTime() : 0;
+    return crypto.createHmac('sha256', JWT_SECRET)
+        .update(`waitlist-claim:${this._id}:${offeredAt}`)
+        .digest('base64url');
+};
+
+waitlistEntrySchema.methods.verifyClaimToken = function(token) {
+    if (!token || typeof token !== 'string' || this.status !== 'offered') return false;
+
+    const expected = Buffer.from(this.generateClaimToken());
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+waitlistEntrySchema.methods.getClaimUrl = function() {
+    return `${FRONTEND_URL}/pages/claim-offer.html?entry=${this._id}&token=${this.generateClaimToken()}`;
+};
+
+// Let the patient know a place is being held for them
+waitlistEntrySchema.methods.sendOfferNotification = async function(locationName) {
+    // Lab-local "HH:MM"
+    const until = new Date(this.offer.expiresAt.getTime() + LAB_UTC_OFFSET_MINUTES * 60 * 1000).toISOString().slice(11, 16);
+    const place = locationName ? ` at ${locationName}` : '';
+
+    try {
+        if (this.details.email) {
+            await sendEmail({
+                to: this.details.email,
+                subject: `A place is free on ${this.date} at ${this.offer.time}`,
+                text: `Hello ${this.details.fullName},\n\n` +
+                    `A place has opened up${place} on ${this.date} at ${this.offer.time}, and we are holding it for you until ${until}.\n\n` +
+                    `Claim it here: ${this.getClaimUrl()}\n\n` +
+                    'If you don\'t claim it by then it will be offered to the next person on the waitlist.\n\n' +
+                    'GOLDBOND LABORATORIES'
+            });
+        }
+
+        await sendSms({
+            to: this.details.phone,
+            text: `GOLDBOND: a place is free${place} on ${this.date} at ${this.offer.time}. ` +
+                `Held for you until ${until}: ${this.getClaimUrl()}`
+        });
+        return true;
+    } catch (error) {
+        console.error(`Waitlist offer notification failed for ${this._id}:`, error);
+        return false;
+    }
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -4,19 +4,83 @@
 
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const router = express.Router();
 
 const User = require('../models/User');
 const TestResult = require('../models/TestResult');
-const { adminAuth } = require('../middleware/auth');
-
-const generateToken = (user, expiresIn = '24h') => {
-    return jwt.sign(
-        { id: user._id, email: user.email, role: user.role },
-        process.env.JWT_SECRET || 'fallback_secret_key',
-        { expiresIn }
+const Session = require('../models/Session');
+const LockoutEvent = require('../models/LockoutEvent');
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginEvent = require('../models/LoginEvent');
+const DeletionRequest = require('../models/DeletionRequest');
+const { authorize, staffAuth } = require('../middleware/auth');
+const { STAFF_ROLES, getPermissions, hasPermission, requiresTwoFactor } = require('../config/permissions');
+const {
+    createSession,
+    signChallengeToken,
+    verifyChallengeToken,
+    SESSION_TTL_MS,
+    getClientIp
+} = require('../utils/authTokens');
+const totp = require('../utils/totp');
+const { normalizePhone } = require('../utils/phone');
+const { anonymisePatient, purgeExpiredResults } = require('../utils/patientData');
+const {
+    throttleKeys,
+    accountThrottleKeys,
+    checkLoginAllowed,
+    recordLoginFailure,
+    clearLoginFailures,
+    sendTooManyAttempts
+} = require('../utils/loginThrottle');
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Profile details staff may correct for a patient; email, status, roles and
+// credentials go through the auth flows and /api/admin/staff
+const PATIENT_FIELDS = ['firstName', 'lastName', 'phone', 'dateOfBirth', 'gender', 'address'];
+
+const pickFields = (fields, body) => fields.reduce((picked, key) => {
+    if (body[key] !== undefined) picked[key] = body[key];
+    return picked;
+}, {});
+
+// Issue the session once every login step has passed
+const completeLogin = async (admin, req, res, remember, secondFactor) => {
+    admin.lastLogin = new Date();
+    await admin.save();
+
+    const { session, token, refreshToken, expiresIn } = await createSession(
+        admin,
+        req,
+        remember ? SESSION_TTL_MS.adminRemember : SESSION_TTL_MS.admin
     );
+
+    await LoginEvent.record(req, {
+        user: admin._id,
+        identifier: admin.email,
+        method: 'admin',
+        outcome: 'success',
+        reason: secondFactor,
+        session: session._id
+    });
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        token,
+        refreshToken,
+        expiresIn,
+        admin: {
+            id: admin._id,
+            name: `${admin.firstName} ${admin.lastName}`,
+            email: admin.email,
+            role: admin.role,
+            permissions: getPermissions(admin.role),
+            twoFactorEnabled: !!admin.twoFactor?.enabled,
+            twoFactorSetupRequired: requiresTwoFactor(admin.role) && !admin.twoFactor?.enabled
+        }
+    });
 };
 
 // ---------------------- ADMIN LOGIN ----------------------
@@ -27,43 +91,258 @@ router.post('/login', async (req, res) => {
         if (!email || !password)
             return res.status(400).json({ success: false, message: 'Email and password required' });
 
+        const throttle = [throttleKeys.account(email), throttleKeys.ip(getClientIp(req))];
+        const allowed = await checkLoginAllowed(throttle);
+        if (!allowed.allowed) {
+            await LoginEvent.record(req, { identifier: email.toLowerCase(), method: 'admin', outcome: 'blocked', reason: 'too_many_attempts' });
+            return sendTooManyAttempts(res, allowed);
+        }
+
         const admin = await User.findOne({
             email: email.toLowerCase(),
-            role: { $in: ['admin', 'super_admin'] },
-            status: 'active'
+            role: { $in: STAFF_ROLES }
         });
 
-        if (!admin)
+        // Invited staff have no usable password until they accept the invitation
+        if (!admin || admin.status === 'inactive' || admin.status === 'invited') {
+            await recordLoginFailure(throttle, { req, loginType: 'admin' });
+            await LoginEvent.record(req, {
+                user: admin?._id,
+                identifier: email.toLowerCase(),
+                method: 'admin',
+                outcome: 'failure',
+                reason: admin ? `account_${admin.status}` : 'unknown_account'
+            });
             return res.status(401).json({ success: false, message: 'Invalid email or password' });
+        }
+
+        if (admin.status === 'suspended') {
+            if (!admin.releaseExpiredLock()) {
+                await LoginEvent.record(req, {
+                    user: admin._id,
+                    identifier: email.toLowerCase(),
+                    method: 'admin',
+                    outcome: 'blocked',
+                    reason: admin.lockedUntil ? 'account_locked' : 'account_suspended'
+                });
+                return res.status(423).json({
+                    success: false,
+                    message: admin.lockedUntil
+                        ? 'Account is temporarily locked after too many failed login attempts'
+                        : 'Account is suspended',
+                    lockedUntil: admin.lockedUntil
+                });
+            }
+
+            // Lock has run out; persist now so the 2FA step finds an active account
+            await admin.save();
+        }
 
         const isValid = await admin.comparePassword(password);
-        if (!isValid)
+        if (!isValid) {
+            await recordLoginFailure(throttle, { req, loginType: 'admin', user: admin });
+            await LoginEvent.record(req, { user: admin._id, identifier: email.toLowerCase(), method: 'admin', outcome: 'failure', reason: 'invalid_password' });
             return res.status(401).json({ success: false, message: 'Invalid email or password' });
+        }
+
+        if (admin.passwordResetRequired) {
+            await LoginEvent.record(req, { user: admin._id, identifier: email.toLowerCase(), method: 'admin', outcome: 'blocked', reason: 'password_reset_required' });
+            return res.status(403).json({
+                success: false,
+                code: 'PASSWORD_RESET_REQUIRED',
+                message: 'A password reset is required. Use the link sent to your email, or request a new one.'
+            });
+        }
+
+        // The second factor still has to pass before the counter is cleared
+        if (!admin.twoFactor?.enabled)
+            await clearLoginFailures([throttleKeys.account(email)]);
+
+        // Second step: the client must come back with a code to /login/2fa
+        if (admin.twoFactor?.enabled) {
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                message: 'Enter the code from your authenticator app',
+                challengeToken: signChallengeToken(admin, { remember: !!remember })
+            });
+        }
+
+        await completeLogin(admin, req, res, remember);
+
+    } catch (err) {
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// ---------------------- ADMIN LOGIN: 2FA STEP ----------------------
+router.post('/login/2fa', async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+
+        const challenge = verifyChallengeToken(challengeToken);
+        if (!challenge)
+            return res.status(401).json({ success: false, message: 'Login attempt expired, please sign in again' });
+
+        if (!code)
+            return res.status(400).json({ success: false, message: 'Authentication code required' });
+
+        const admin = await User.findOne({
+            _id: challenge.id,
+            role: { $in: STAFF_ROLES },
+            status: 'active'
+        }).select(TWO_FACTOR_FIELDS);
+
+        if (!admin)
+            return res.status(401).json({ success: false, message: 'Login attempt expired, please sign in again' });
+
+        // Codes are only 6 digits, so wrong ones count towards the same lockout
+        const throttle = [throttleKeys.account(admin.email), throttleKeys.ip(getClientIp(req))];
+        const allowed = await checkLoginAllowed(throttle);
+        if (!allowed.allowed) {
+            await LoginEvent.record(req, { user: admin._id, identifier: admin.email, method: 'admin', outcome: 'blocked', reason: 'too_many_attempts' });
+            return sendTooManyAttempts(res, allowed);
+        }
+
+        const method = admin.verifyTwoFactorCode(code);
+        if (!method) {
+            await recordLoginFailure(throttle, { req, loginType: 'admin', user: admin });
+            await LoginEvent.record(req, { user: admin._id, identifier: admin.email, method: 'admin', outcome: 'failure', reason: 'invalid_2fa_code' });
+            return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+        }
+
+        await clearLoginFailures([throttleKeys.account(admin.email)]);
 
-        admin.lastLogin = new Date();
-        await admin.save();
+        await completeLogin(admin, req, res, challenge.remember, method === 'recovery' ? 'recovery_code' : 'totp');
 
-        const token = generateToken(admin, remember ? '30d' : '8h');
+    } catch (err) {
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// ------------------------------------------------------------
+// ---------------------- TWO-FACTOR ENROLLMENT ---------------
+// ------------------------------------------------------------
+
+// Current 2FA state for the signed-in staff member
+router.get('/2fa', staffAuth, async (req, res) => {
+    try {
+        const admin = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
 
         res.json({
             success: true,
-            message: 'Login successful',
-            token,
-            admin: {
-                id: admin._id,
-                name: `${admin.firstName} ${admin.lastName}`,
-                email: admin.email,
-                role: admin.role
+            twoFactor: {
+                enabled: !!admin.twoFactor?.enabled,
+                enabledAt: admin.twoFactor?.enabledAt,
+                required: requiresTwoFactor(admin.role),
+                recoveryCodesRemaining: admin.twoFactor?.recoveryCodes?.length || 0
             }
         });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load 2FA status' });
+    }
+});
 
-    } catch (err) {
-        res.status(500).json({ success: false, message: 'Server error' });
+// Start enrollment: returns the secret and otpauth:// URI to render as a QR code
+router.post('/2fa/setup', staffAuth, async (req, res) => {
+    try {
+        const admin = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+        if (admin.twoFactor?.enabled)
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+
+        const secret = totp.generateSecret();
+        admin.twoFactor.pendingSecret = secret;
+        await admin.save({ validateBeforeSave: false });
+
+        res.json({
+            success: true,
+            secret,
+            otpauthUrl: totp.keyUri({ secret, accountName: admin.email })
+        });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to start 2FA setup' });
+    }
+});
+
+// Confirm enrollment with a code from the app; recovery codes are shown once
+router.post('/2fa/enable', staffAuth, async (req, res) => {
+    try {
+        const { code } = req.body;
+        const admin = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+        if (!admin.twoFactor?.pendingSecret)
+            return res.status(400).json({ success: false, message: 'Start 2FA setup first' });
+
+        const matchedStep = totp.verifyCode(admin.twoFactor.pendingSecret, code);
+        if (matchedStep === null)
+            return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+
+        admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+        admin.twoFactor.pendingSecret = undefined;
+        admin.twoFactor.enabled = true;
+        admin.twoFactor.enabledAt = new Date();
+        admin.twoFactor.lastUsedStep = matchedStep;
+        const recoveryCodes = admin.generateRecoveryCodes();
+        await admin.save({ validateBeforeSave: false });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            recoveryCodes
+        });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to enable 2FA' });
+    }
+});
+
+// Replace all recovery codes (requires a current code)
+router.post('/2fa/recovery-codes', staffAuth, async (req, res) => {
+    try {
+        const admin = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+        if (!admin.twoFactor?.enabled)
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+
+        if (admin.verifyTwoFactorCode(req.body.code) !== 'totp')
+            return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+
+        const recoveryCodes = admin.generateRecoveryCodes();
+        await admin.save({ validateBeforeSave: false });
+
+        res.json({ success: true, recoveryCodes });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to regenerate recovery codes' });
+    }
+});
+
+// Turn 2FA off (password + code); blocked for roles where policy requires it
+router.post('/2fa/disable', staffAuth, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+        const admin = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+        if (requiresTwoFactor(admin.role))
+            return res.status(403).json({ success: false, message: 'Two-factor authentication is required for your role' });
+
+        if (!admin.twoFactor?.enabled)
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+
+        const isValid = password && await admin.comparePassword(password);
+        if (!isValid || !admin.verifyTwoFactorCode(code))
+            return res.status(400).json({ success: false, message: 'Invalid password or authentication code' });
+
+        admin.twoFactor = { enabled: false };
+        await admin.save({ validateBeforeSave: false });
+
+        res.json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to disable 2FA' });
     }
 });
 
 // ---------------------- DASHBOARD STATS ----------------------
-router.get('/dashboard/stats', adminAuth, async (req, res) => {
+router.get('/dashboard/stats', authorize('dashboard:view'), async (req, res) => {
     try {
         const activePatients = await User.countDocuments({ status: 'active', role: 'user' });
         const totalResults = await TestResult.countDocuments();
@@ -85,7 +364,7 @@ router.get('/dashboard/stats', adminAuth, async (req, res) => {
 });
 
 // ---------------------- LIST PATIENTS ----------------------
-router.get('/patients', adminAuth, async (req, res) => {
+router.get('/patients', authorize('patients:read'), async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 20;
@@ -114,10 +393,21 @@ router.get('/patients', adminAuth, async (req, res) => {
 });
 
 // ---------------------- EDIT PATIENT ----------------------
-router.put('/patients/:id', adminAuth, async (req, res) => {
+router.put('/patients/:id', authorize('patients:manage'), async (req, res) => {
     try {
-        const update = req.body;
-        const user = await User.findByIdAndUpdate(req.params.id, update, { new: true });
+        const update = pickFields(PATIENT_FIELDS, req.body);
+
+        if (update.phone !== undefined) {
+            update.phone = normalizePhone(update.phone);
+            if (!update.phone)
+                return res.status(400).json({ success: false, message: 'Please provide a valid phone number, e.g. 08031234567' });
+        }
+
+        const user = await User.findOneAndUpdate(
+            { _id: req.params.id, role: 'user' },
+            update,
+            { new: true, runValidators: true }
+        ).select('-password');
 
         if (!user)
             return res.status(404).json({ success: false, message: 'Patient not found' });
@@ -130,21 +420,252 @@ router.put('/patients/:id', adminAuth, async (req, res) => {
 });
 
 // ---------------------- DELETE PATIENT ----------------------
-router.delete('/patients/:id', adminAuth, async (req, res) => {
+// Anonymises the account; results stay (linked) until their retention period ends
+router.delete('/patients/:id', authorize('patients:delete'), async (req, res) => {
     try {
-        await User.findByIdAndDelete(req.params.id);
-        res.json({ success: true, message: 'Patient deleted' });
-    } catch {
+        const patient = await User.findOne({ _id: req.params.id, role: 'user' });
+
+        if (!patient)
+            return res.status(404).json({ success: false, message: 'Patient not found' });
+
+        if (patient.anonymisedAt)
+            return res.status(400).json({ success: false, message: 'Patient account was already deleted' });
+
+        const request = await anonymisePatient(patient, {
+            processedBy: req.user._id,
+            requestedBy: 'admin',
+            reason: req.body?.reason
+        });
+
+        res.json({
+            success: true,
+            message: 'Patient deleted. Personal details were erased; test results are retained for the legal period.',
+            deletionRequest: request
+        });
+    } catch (err) {
+        console.error('Delete patient error:', err);
         res.status(500).json({ success: false, message: 'Failed to delete patient' });
     }
 });
 
+// ---------------------- DELETION REQUESTS ----------------------
+router.get('/deletion-requests', authorize('patients:delete'), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+
+        const requests = await DeletionRequest.find(filter)
+            .populate('user', 'firstName lastName email phone status anonymisedAt')
+            .populate('processedBy', 'firstName lastName email')
+            .sort({ createdAt: -1 })
+            .limit(200);
+
+        res.json({ success: true, requests });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load deletion requests' });
+    }
+});
+
+router.post('/deletion-requests/:id/process', authorize('patients:delete'), async (req, res) => {
+    try {
+        const request = await DeletionRequest.findById(req.params.id);
+
+        if (!request)
+            return res.status(404).json({ success: false, message: 'Deletion request not found' });
+
+        if (request.status !== 'pending')
+            return res.status(400).json({ success: false, message: `Request is already ${request.status}` });
+
+        const patient = await User.findById(request.user);
+        if (!patient)
+            return res.status(404).json({ success: false, message: 'Patient not found' });
+
+        const completed = await anonymisePatient(patient, { processedBy: req.user._id });
+
+        res.json({ success: true, message: 'Account deleted', deletionRequest: completed });
+
+    } catch (err) {
+        console.error('Process deletion request error:', err);
+        res.status(500).json({ success: false, message: 'Failed to process deletion request' });
+    }
+});
+
+// Delete retained results whose retention period has ended
+router.post('/retention/purge', authorize('patients:delete'), async (req, res) => {
+    try {
+        const purged = await purgeExpiredResults();
+        res.json({ success: true, message: `${purged} expired result(s) purged`, purged });
+    } catch (err) {
+        console.error('Retention purge error:', err);
+        res.status(500).json({ success: false, message: 'Failed to purge expired results' });
+    }
+});
+
+// ---------------------- KILL USER SESSIONS ----------------------
+router.post('/users/:id/revoke-sessions', authorize('sessions:revoke'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user)
+            return res.status(404).json({ success: false, message: 'User not found' });
+
+        const result = await Session.revokeAllForUser(user._id, 'admin_revoked', req.user._id);
+
+        res.json({
+            success: true,
+            message: 'All sessions revoked for user',
+            sessionsRevoked: result.modifiedCount
+        });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to revoke sessions' });
+    }
+});
+
+// ---------------------- LOGIN HISTORY ----------------------
+const buildLoginEventFilter = (query) => {
+    const { method, outcome, ip, from, to } = query;
+    const filter = {};
+
+    if (method) filter.method = method;
+    if (outcome) filter.outcome = outcome;
+    if (ip) filter.ipAddress = ip;
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    return filter;
+};
+
+router.get('/users/:id/login-events', authorize('logins:read'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('firstName lastName email role status lastLogin');
+
+        if (!user)
+            return res.status(404).json({ success: false, message: 'User not found' });
+
+        const events = await LoginEvent.find({ ...buildLoginEventFilter(req.query), user: user._id })
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(req.query.limit) || 50, 500));
+
+        const sessions = await Session.findActiveForUser(user._id)
+            .select('userAgent ipAddress createdAt lastUsedAt expiresAt');
+
+        res.json({ success: true, user, events, sessions });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load login events' });
+    }
+});
+
+// Across all users, e.g. every attempt from one IP address
+router.get('/login-events', authorize('logins:read'), async (req, res) => {
+    try {
+        const filter = buildLoginEventFilter(req.query);
+        if (req.query.identifier) filter.identifier = req.query.identifier.trim();
+
+        const events = await LoginEvent.find(filter)
+            .populate('user', 'firstName lastName email role')
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(req.query.limit) || 50, 500));
+
+        res.json({ success: true, events });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load login events' });
+    }
+});
+
+// ---------------------- LOGIN LOCKOUTS ----------------------
+router.get('/lockouts', authorize('accounts:unlock'), async (req, res) => {
+    try {
+        const { active, userId, limit = 50 } = req.query;
+        const filter = {};
+
+        if (userId) filter.user = userId;
+        if (active === 'true') {
+            filter.unlockedAt = { $exists: false };
+            filter.lockedUntil = { $gt: new Date() };
+        }
+
+        const lockouts = await LockoutEvent.find(filter)
+            .populate('user', 'firstName lastName email role status')
+            .populate('unlockedBy', 'firstName lastName email')
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(limit) || 50, 200));
+
+        res.json({ success: true, lockouts });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load lockouts' });
+    }
+});
+
+// Unlock a single lockout (account, IP or results number)
+router.post('/lockouts/:id/unlock', authorize('accounts:unlock'), async (req, res) => {
+    try {
+        const lockout = await LockoutEvent.findById(req.params.id);
+
+        if (!lockout)
+            return res.status(404).json({ success: false, message: 'Lockout not found' });
+
+        await LoginThrottle.deleteOne({ key: lockout.key });
+
+        if (lockout.user) {
+            const user = await User.findById(lockout.user);
+            if (user && user.status === 'suspended' && user.lockedUntil) {
+                user.unlock();
+                await user.save({ validateBeforeSave: false });
+            }
+        }
+
+        await LockoutEvent.updateMany(
+            { key: lockout.key, unlockedAt: { $exists: false } },
+            { unlockedAt: new Date(), unlockedBy: req.user._id }
+        );
+
+        res.json({ success: true, message: 'Lockout cleared' });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to clear lockout' });
+    }
+});
+
+router.post('/users/:id/unlock', authorize('accounts:unlock'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user)
+            return res.status(404).json({ success: false, message: 'User not found' });
+
+        if (user.status === 'suspended' && user.lockedUntil) {
+            user.unlock();
+            await user.save({ validateBeforeSave: false });
+        }
+
+        const keys = accountThrottleKeys(user);
+        await LoginThrottle.deleteMany({ key: { $in: keys } });
+        await LockoutEvent.updateMany(
+            { key: { $in: keys }, unlockedAt: { $exists: false } },
+            { unlockedAt: new Date(), unlockedBy: req.user._id }
+        );
+
+        res.json({ success: true, message: 'Account unlocked', status: user.status });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to unlock account' });
+    }
+});
+
 // ------------------------------------------------------------
 // ---------------------- TEST RESULT MANAGEMENT --------------
 // ------------------------------------------------------------
 
 // List all results
-router.get('/results', adminAuth, async (req, res) => {
+router.get('/results', authorize('results:read'), async (req, res) => {
     try {
         const results = await TestResult.find().sort({ createdAt: -1 });
         res.json({ success: true, results });
@@ -154,18 +675,16 @@ router.get('/results', adminAuth, async (req, res) => {
 });
 
 // Edit/update result
-router.put('/results/:reg', adminAuth, async (req, res) => {
+router.put('/results/:reg', authorize('results:update'), async (req, res) => {
     try {
         const update = { ...req.body, updatedAt: Date.now() };
 
-        const result = await TestResult.findOneAndUpdate(
-            { registrationNumber: req.params.reg },
-            update,
-            { new: true }
-        );
+        const { result, status, error } = await TestResult.editByStaff(req.params.reg, update, {
+            canVerify: hasPermission(req.user.role, 'results:verify')
+        });
 
-        if (!result)
-            return res.status(404).json({ success: false, message: 'Result not found' });
+        if (error)
+            return res.status(status).json({ success: false, message: error });
 
         res.json({ success: true, message: 'Result updated', result });
 
@@ -175,7 +694,7 @@ router.put('/results/:reg', adminAuth, async (req, res) => {
 });
 
 // Delete a result
-router.delete('/results/:reg', adminAuth, async (req, res) => {
+router.delete('/results/:reg', authorize('results:delete'), async (req, res) => {
     try {
         const deleted = await TestResult.findOneAndDelete({ registrationNumber: req.params.reg });
 
@@ -190,7 +709,7 @@ router.delete('/results/:reg', adminAuth, async (req, res) => {
 });
 
 // View feedback for a test result
-router.get('/results/:reg/feedback', adminAuth, async (req, res) => {
+router.get('/results/:reg/feedback', authorize('results:read'), async (req, res) => {
     try {
         const result = await TestResult.findOne({ registrationNumber: req.params.reg });
 
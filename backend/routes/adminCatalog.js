@@ -0,0 +1,99 @@
+/**
+ * Test Catalog Management for GOLDBOND LABORATORIES
+ *
+ * Admins add tests and panels, set their prices and deactivate the ones no
+ * longer offered. Price changes only affect new bookings: each booking keeps
+ * the prices it was made with. Items already on bookings are deactivated
+ * rather than deleted.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const CatalogItem = require('../models/CatalogItem');
+const Booking = require('../models/Booking');
+const { authorize } = require('../middleware/auth');
+
+const EDITABLE_FIELDS = ['code', 'name', 'kind', 'testType', 'description', 'includes', 'price', 'preparation', 'active', 'sortOrder'];
+
+const pickCatalogFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+}, {});
+
+const validationMessage = (err) => {
+    if (err.name === 'ValidationError') return Object.values(err.errors).map(error => error.message).join(', ');
+    if (err.code === 11000) return 'Another catalog item already uses that code';
+    return null;
+};
+
+// ---------------------- LIST ----------------------
+router.get('/', authorize('catalog:manage'), async (req, res) => {
+    try {
+        const items = await CatalogItem.find().sort({ sortOrder: 1, name: 1 });
+
+        res.json({ success: true, items, testTypes: CatalogItem.TEST_TYPES });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load the test catalog' });
+    }
+});
+
+// ---------------------- CREATE ----------------------
+router.post('/', authorize('catalog:manage'), async (req, res) => {
+    try {
+        const item = await CatalogItem.create(pickCatalogFields(req.body));
+
+        res.status(201).json({ success: true, message: 'Catalog item created', item });
+
+    } catch (err) {
+        const message = validationMessage(err);
+        if (message) return res.status(400).json({ success: false, message });
+        res.status(500).json({ success: false, message: 'Failed to create catalog item' });
+    }
+});
+
+// ---------------------- UPDATE ----------------------
+router.put('/:id', authorize('catalog:manage'), async (req, res) => {
+    try {
+        const item = await CatalogItem.findById(req.params.id);
+
+        if (!item)
+            return res.status(404).json({ success: false, message: 'Catalog item not found' });
+
+        item.set(pickCatalogFields(req.body));
+        await item.save();
+
+        res.json({ success: true, message: 'Catalog item updated', item });
+
+    } catch (err) {
+        const message = validationMessage(err);
+        if (message) return res.status(400).json({ success: false, message });
+        res.status(500).json({ success: false, message: 'Failed to update catalog item' });
+    }
+});
+
+// ---------------------- DELETE ----------------------
+router.delete('/:id', authorize('catalog:manage'), async (req, res) => {
+    try {
+        const item = await CatalogItem.findById(req.params.id);
+
+        if (!item)
+            return res.status(404).json({ success: false, message: 'Catalog item not found' });
+
+        if (await Booking.exists({ 'items.catalogItem': item._id }))
+            return res.status(409).json({
+                success: false,
+                message: 'This item is on existing bookings. Deactivate it instead.'
+            });
+
+        await item.deleteOne();
+
+        res.json({ success: true, message: 'Catalog item deleted' });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to delete catalog item' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+/**
+ * Holiday and Closure Calendar for GOLDBOND LABORATORIES
+ *
+ * Admins record public holidays and ad-hoc branch closures, for one
+ * location or all of them, for whole days or part of a day. No slots are
+ * offered while a location is closed. Adding or changing a closure returns
+ * the bookings it covers so staff can follow up, and asks those patients to
+ * reschedule (utils/closures.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const Closure = require('../models/Closure');
+const Location = require('../models/Location');
+const { authorize } = require('../middleware/auth');
+const { labToday } = require('../utils/slots');
+const closures = require('../utils/closures');
+
+const EDITABLE_FIELDS = ['startDate', 'endDate', 'startTime', 'endTime', 'kind', 'reason'];
+
+const LOCATION_FIELDS = 'code name type';
+
+const pickClosureFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+    // An empty value clears an optional field (e.g. times for a whole day)
+    if (body[key] !== undefined) fields[key] = body[key] === '' ? undefined : body[key];
+    return fields;
+}, {});
+
+const validationMessage = (err) => {
+    if (err.name === 'ValidationError') return Object.values(err.errors).map(error => error.message).join(', ');
+    return null;
+};
+
+// Location from the body: id or code, or empty for every location.
+// Resolves to { location } or { error }.
+const resolveLocation = async (value) => {
+    if (!value) return { location: undefined };
+
+    const location = await Location.resolve(value);
+    return location ? { location: location._id } : { error: 'Location not found' };
+};
+
+// What staff need to follow up an affected booking
+const affectedSummary = (booking) => ({
+    _id: booking._id,
+    bookingId: booking.bookingId,
+    fullName: booking.fullName,
+    phone: booking.phone,
+    email: booking.email,
+    appointmentDate: booking.appointmentDate,
+    appointmentTime: booking.appointmentTime,
+    status: booking.status,
+    location: booking.location ? { _id: booking.location._id, name: booking.location.name } : null
+});
+
+// Save the closure and ask the patients it newly covers to reschedule
+const saveAndNotify = async (closure) => {
+    await closure.save();
+    await closure.populate('location', LOCATION_FIELDS);
+
+    const { affected, notified } = await closures.notifyAffected(closure);
+    return { affected: affected.map(affectedSummary), notified };
+};
+
+// ---------------------- LIST ----------------------
+// Closures that haven't ended by ?from= (default today), optionally only
+// those in force at ?location= (id or code, lab-wide ones included)
+router.get('/', authorize('locations:manage'), async (req, res) => {
+    try {
+        const filter = { endDate: { $gte: req.query.from || labToday() } };
+
+        if (req.query.location) {
+            const location = await Location.resolve(req.query.location);
+            if (!location)
+                return res.status(404).json({ success: false, message: 'Location not found' });
+            filter.location = { $in: [null, location._id] };
+        }
+
+        const list = await Closure.find(filter)
+            .populate('location', LOCATION_FIELDS)
+            .populate('createdBy', 'firstName lastName')
+            .sort({ startDate: 1, startTime: 1 });
+
+        res.json({ success: true, closures: list, kinds: Closure.KINDS });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load closures' });
+    }
+});
+
+// ---------------------- CREATE ----------------------
+router.post('/', authorize('locations:manage'), async (req, res) => {
+    try {
+        const { location, error } = await resolveLocation(req.body.location);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const closure = new Closure({ ...pickClosureFields(req.body), location, createdBy: req.user._id });
+        const { affected, notified } = await saveAndNotify(closure);
+
+        res.status(201).json({
+            success: true,
+            message: affected.length > 0
+                ? `Closure added. ${affected.length} booking(s) fall in it and ${notified} patient(s) have been asked to reschedule.`
+                : 'Closure added',
+            closure,
+            affected
+        });
+
+    } catch (err) {
+        const message = validationMessage(err);
+        if (message) return res.status(400).json({ success: false, message });
+        res.status(500).json({ success: false, message: 'Failed to add closure' });
+    }
+});
+
+// ---------------------- UPDATE ----------------------
+// Patients already told about this closure aren't told again
+router.put('/:id', authorize('locations:manage'), async (req, res) => {
+    try {
+        const closure = await Closure.findById(req.params.id);
+
+        if (!closure)
+            return res.status(404).json({ success: false, message: 'Closure not found' });
+
+        const fields = pickClosureFields(req.body);
+
+        if (req.body.location !== undefined) {
+            const { location, error } = await resolveLocation(req.body.location);
+            if (error) return res.status(400).json({ success: false, message: error });
+            fields.location = location;
+        }
+
+        closure.set(fields);
+        const { affected, notified } = await saveAndNotify(closure);
+
+        res.json({
+            success: true,
+            message: notified > 0
+                ? `Closure updated. ${notified} more patient(s) have been asked to reschedule.`
+                : 'Closure updated',
+            closure,
+            affected
+        });
+
+    } catch (err) {
+        const message = validationMessage(err);
+        if (message) return res.status(400).json({ success: false, message });
+        res.status(500).json({ success: false, message: 'Failed to update closure' });
+    }
+});
+
+// ---------------------- AFFECTED BOOKINGS ----------------------
+// Bookings still inside the closure, i.e. those left to reschedule
+router.get('/:id/affected', authorize('locations:manage'), async (req, res) => {
+    try {
+        const closure = await Closure.findById(req.params.id);
+
+        if (!closure)
+            return res.status(404).json({ success: false, message: 'Closure not found' });
+
+        const affected = await closures.affectedBookings(closure);
+
+        res.json({
+            success: true,
+            affected: affected.map(booking => ({
+                ...affectedSummary(booking),
+                notified: closure.notifiedBookings.some(id => id.equals(booking._id))
+            }))
+        });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load affected bookings' });
+    }
+});
+
+// ---------------------- DELETE ----------------------
+// Notices already sent stay sent; bookings that were moved stay moved
+router.delete('/:id', authorize('locations:manage'), async (req, res) => {
+    try {
+        const closure = await Closure.findById(req.params.id);
+
+        if (!closure)
+            return res.status(404).json({ success: false, message: 'Closure not found' });
+
+        await closure.deleteOne();
+        await closures.cancelNotices(closure);
+
+        res.json({ success: true, message: 'Closure removed' });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to remove closure' });
+    }
+});
+
+module.exports = router;
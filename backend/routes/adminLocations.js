@@ -0,0 +1,167 @@
+/**
+ * Location Management for GOLDBOND LABORATORIES
+ *
+ * Admins add branches (and the home collection service), set their opening
+ * hours, slot length and capacity, choose which tests each one offers, and
+ * deactivate them. Locations that have bookings are deactivated rather
+ * than deleted so those bookings keep their reference. Each location also
+ * has a calendar feed of its appointments for the staff working there.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const Location = require('../models/Location');
+const Booking = require('../models/Booking');
+const { authorize } = require('../middleware/auth');
+const calendar = require('../utils/calendar');
+
+const EDITABLE_FIELDS = ['code', 'name', 'type', 'address', 'coordinates', 'phone', 'schedule', 'supportedTests', 'active', 'sortOrder'];
+
+const TEST_TYPES = Booking.schema.path('testType').enumValues;
+
+const pickLocationFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+}, {});
+
+const validationMessage = (err) => {
+    if (err.name === 'ValidationError') return Object.values(err.errors).map(error => error.message).join(', ');
+    if (err.code === 11000) return 'Another location already uses that code';
+    return null;
+};
+
+const feedUrl = (location) => `${calendar.API_URL}/api/locations/feed/${calendar.feedToken('location', location)}.ics`;
+
+const unknownTests = (fields) => (fields.supportedTests || []).filter(test => !TEST_TYPES.includes(test));
+
+// ---------------------- LIST ----------------------
+router.get('/', authorize('locations:manage'), async (req, res) => {
+    try {
+        const [locations, counts] = await Promise.all([
+            Location.find().sort({ sortOrder: 1, name: 1 }),
+            Booking.aggregate([
+                { $match: { appointmentDate: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) }, status: { $ne: 'cancelled' } } },
+                { $group: { _id: '$location', upcoming: { $sum: 1 } } }
+            ])
+        ]);
+
+        const upcomingByLocation = new Map(counts.map(entry => [String(entry._id), entry.upcoming]));
+
+        res.json({
+            success: true,
+            locations: locations.map(location => ({
+                ...location.toObject(),
+                upcomingBookings: upcomingByLocation.get(String(location._id)) || 0
+            })),
+            testTypes: TEST_TYPES
+        });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load locations' });
+    }
+});
+
+// ---------------------- CREATE ----------------------
+router.post('/', authorize('locations:manage'), async (req, res) => {
+    try {
+        const fields = pickLocationFields(req.body);
+
+        if (unknownTests(fields).length > 0)
+            return res.status(400).json({ success: false, message: `Unknown test types: ${unknownTests(fields).join(', ')}` });
+
+        const location = await Location.create(fields);
+
+        res.status(201).json({ success: true, message: 'Location created', location });
+
+    } catch (err) {
+        const message = validationMessage(err);
+        if (message) return res.status(400).json({ success: false, message });
+        res.status(500).json({ success: false, message: 'Failed to create location' });
+    }
+});
+
+// ---------------------- UPDATE ----------------------
+// Schedule changes apply to new bookings; existing ones keep their slot
+router.put('/:id', authorize('locations:manage'), async (req, res) => {
+    try {
+        const location = await Location.findById(req.params.id);
+
+        if (!location)
+            return res.status(404).json({ success: false, message: 'Location not found' });
+
+        const fields = pickLocationFields(req.body);
+
+        if (unknownTests(fields).length > 0)
+            return res.status(400).json({ success: false, message: `Unknown test types: ${unknownTests(fields).join(', ')}` });
+
+        location.set(fields);
+        await location.save();
+
+        res.json({ success: true, message: 'Location updated', location });
+
+    } catch (err) {
+        const message = validationMessage(err);
+        if (message) return res.status(400).json({ success: false, message });
+        res.status(500).json({ success: false, message: 'Failed to update location' });
+    }
+});
+
+// ---------------------- STAFF CALENDAR FEED ----------------------
+router.get('/:id/calendar-feed', authorize('locations:manage'), async (req, res) => {
+    try {
+        const location = await Location.findById(req.params.id);
+
+        if (!location)
+            return res.status(404).json({ success: false, message: 'Location not found' });
+
+        res.json({ success: true, url: feedUrl(location) });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load calendar feed link' });
+    }
+});
+
+// New link for when the old one has been shared too widely
+router.post('/:id/calendar-feed/reset', authorize('locations:manage'), async (req, res) => {
+    try {
+        const location = await Location.findByIdAndUpdate(
+            req.params.id,
+            { $inc: { calendarFeedVersion: 1 } },
+            { new: true }
+        );
+
+        if (!location)
+            return res.status(404).json({ success: false, message: 'Location not found' });
+
+        res.json({ success: true, message: 'Calendar feed link reset', url: feedUrl(location) });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to reset calendar feed link' });
+    }
+});
+
+// ---------------------- DELETE ----------------------
+router.delete('/:id', authorize('locations:manage'), async (req, res) => {
+    try {
+        const location = await Location.findById(req.params.id);
+
+        if (!location)
+            return res.status(404).json({ success: false, message: 'Location not found' });
+
+        if (await Booking.exists({ location: location._id }))
+            return res.status(409).json({
+                success: false,
+                message: 'This location has bookings. Deactivate it instead so they keep their location.'
+            });
+
+        await location.deleteOne();
+
+        res.json({ success: true, message: 'Location deleted' });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to delete location' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+/**
+ * Partner API Client Management for GOLDBOND LABORATORIES
+ *
+ * Admins register referring clinics, hospitals and doctors, choose what
+ * their key may do and how fast it may be used, and rotate or revoke keys.
+ * A key is shown once when it is issued; only its hash is stored.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const ApiClient = require('../models/ApiClient');
+const ApiUsage = require('../models/ApiUsage');
+const { authorize } = require('../middleware/auth');
+const { API_SCOPES } = require('../config/permissions');
+
+const EDITABLE_FIELDS = ['name', 'type', 'contactName', 'contactEmail', 'contactPhone', 'scopes', 'rateLimitPerMinute'];
+
+const pickClientFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+}, {});
+
+const validationMessage = (err) => err.name === 'ValidationError'
+    ? Object.values(err.errors).map(error => error.message).join(', ')
+    : null;
+
+// ---------------------- LIST CLIENTS ----------------------
+router.get('/', authorize('api-clients:manage'), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.status) filter.status = String(req.query.status);
+
+        const [clients, usage] = await Promise.all([
+            ApiClient.find(filter).populate('createdBy', 'firstName lastName email').sort({ createdAt: -1 }),
+            // Usage counters are kept for 24 hours
+            ApiUsage.aggregate([{ $group: { _id: '$client', requests: { $sum: '$count' } } }])
+        ]);
+
+        const requestsByClient = new Map(usage.map(entry => [String(entry._id), entry.requests]));
+
+        res.json({
+            success: true,
+            clients: clients.map(client => ({
+                ...client.toObject(),
+                requestsLast24h: requestsByClient.get(String(client._id)) || 0
+            })),
+            scopes: API_SCOPES
+        });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load API clients' });
+    }
+});
+
+// ---------------------- ISSUE KEY ----------------------
+router.post('/', authorize('api-clients:manage'), async (req, res) => {
+    try {
+        const client = new ApiClient({ ...pickClientFields(req.body), createdBy: req.user._id });
+        const apiKey = client.generateKey();
+        await client.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'API client created. Copy the key now; it will not be shown again.',
+            client: await ApiClient.findById(client._id),
+            apiKey
+        });
+
+    } catch (err) {
+        const message = validationMessage(err);
+        if (message) return res.status(400).json({ success: false, message });
+        res.status(500).json({ success: false, message: 'Failed to create API client' });
+    }
+});
+
+// ---------------------- UPDATE CLIENT ----------------------
+router.put('/:id', authorize('api-clients:manage'), async (req, res) => {
+    try {
+        const client = await ApiClient.findById(req.params.id);
+
+        if (!client)
+            return res.status(404).json({ success: false, message: 'API client not found' });
+
+        client.set(pickClientFields(req.body));
+        await client.save();
+
+        res.json({ success: true, message: 'API client updated', client });
+
+    } catch (err) {
+        const message = validationMessage(err);
+        if (message) return res.status(400).json({ success: false, message });
+        res.status(500).json({ success: false, message: 'Failed to update API client' });
+    }
+});
+
+// ---------------------- ROTATE KEY ----------------------
+// The old key stops working immediately
+router.post('/:id/rotate', authorize('api-clients:manage'), async (req, res) => {
+    try {
+        const client = await ApiClient.findById(req.params.id);
+
+        if (!client)
+            return res.status(404).json({ success: false, message: 'API client not found' });
+
+        if (client.status !== 'active')
+            return res.status(400).json({ success: false, message: 'Revoked clients cannot be given a new key' });
+
+        const apiKey = client.generateKey();
+        await client.save();
+
+        res.json({
+            success: true,
+            message: 'API key rotated. The previous key no longer works; copy the new key now.',
+            client,
+            apiKey
+        });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to rotate API key' });
+    }
+});
+
+// ---------------------- REVOKE ----------------------
+router.post('/:id/revoke', authorize('api-clients:manage'), async (req, res) => {
+    try {
+        const client = await ApiClient.findOneAndUpdate(
+            { _id: req.params.id, status: 'active' },
+            { status: 'revoked', revokedAt: new Date(), revokedBy: req.user._id },
+            { new: true }
+        );
+
+        if (!client)
+            return res.status(404).json({ success: false, message: 'Active API client not found' });
+
+        res.json({ success: true, message: 'API client revoked', client });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to revoke API client' });
+    }
+});
+
+module.exports = router;
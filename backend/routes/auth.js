@@ -1,32 +1,96 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const DeletionRequest = require('../models/DeletionRequest');
+const TestResult = require('../models/TestResult');
 const { protect } = require('../middleware/auth');
+const sendEmail = require('../utils/sendEmail');
+const sendSms = require('../utils/sendSms');
+const { createSession, refreshSession, getClientIp } = require('../utils/authTokens');
+const { buildPatientExport, RESULT_RETENTION_YEARS } = require('../utils/patientData');
+const { createZip } = require('../utils/zip');
+const { normalizePhone, maskPhone } = require('../utils/phone');
+const { SETTINGS: OTP_SETTINGS, findPatientByPhone, issueLoginOtp, verifyLoginOtp } = require('../utils/phoneOtp');
+const {
+  throttleKeys,
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  sendTooManyAttempts
+} = require('../utils/loginThrottle');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'fallback_secret_key', {
-    expiresIn: '30d'
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Email the confirmation link for a freshly issued verification token
+const sendVerificationEmail = (user, verifyToken) => {
+  const verifyUrl = `${FRONTEND_URL}/pages/login.html?verifyToken=${verifyToken}`;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'GOLDBOND LABORATORIES - Confirm your email address',
+    text: `Welcome to GOLDBOND LABORATORIES!\n\n` +
+      `Please confirm your email address within 24 hours by opening this link:\n${verifyUrl}\n\n` +
+      `You will be able to view your test results online once your email is confirmed.`
   });
 };
 
 // @route   POST /api/auth/register
-// @desc    Register a new user
+// @desc    Register a new user (email + password, or phone only)
 // @access  Public
 router.post('/register', async (req, res) => {
   try {
-    const { firstName, lastName, email, password, phone } = req.body;
+    const { firstName, lastName, email, password } = req.body;
 
     // Validation
-    if (!firstName || !lastName || !email || !password) {
+    if (!firstName || !lastName || !req.body.phone || (email && !password)) {
       return res.status(400).json({
         success: false,
         message: 'Please provide all required fields'
       });
     }
 
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid phone number, e.g. 08031234567'
+      });
+    }
+
+    // Phone-only account: no password, the patient logs in with an SMS code
+    if (!email) {
+      const existing = await findPatientByPhone(phone);
+      if (existing.user || existing.ambiguous) {
+        return res.status(400).json({
+          success: false,
+          message: 'An account already uses this phone number. Log in with a code sent to it instead.'
+        });
+      }
+
+      const user = await User.create({ firstName, lastName, phone, role: 'user' });
+
+      // The account exists either way; the patient can ask for another code
+      let otpSent = false;
+      try {
+        otpSent = (await issueLoginOtp(user, phone)).sent;
+      } catch (smsError) {
+        console.error('Registration OTP error:', smsError);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: otpSent
+          ? 'Registration successful. Enter the code we sent to your phone to log in.'
+          : 'Registration successful. Request a login code to sign in.',
+        otpSent,
+        phone: maskPhone(phone),
+        expiresIn: OTP_SETTINGS.codeTtlMs / 1000
+      });
+    }
+
     // Check if user exists
     const userExists = await User.findOne({ email: email.toLowerCase() });
     if (userExists) {
@@ -37,7 +101,7 @@ router.post('/register', async (req, res) => {
     }
 
     // Create user
-    const user = await User.create({
+    const user = new User({
       firstName,
       lastName,
       email: email.toLowerCase(),
@@ -45,20 +109,34 @@ router.post('/register', async (req, res) => {
       phone,
       role: 'user'
     });
+    const verifyToken = user.getEmailVerificationToken();
+    await user.save();
+
+    // A failed email shouldn't block registration; the user can request a resend
+    try {
+      await sendVerificationEmail(user, verifyToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
     if (user) {
+      const { token, refreshToken, expiresIn } = await createSession(user, req);
+
       res.status(201).json({
         success: true,
-        message: 'Registration successful',
+        message: 'Registration successful. Please check your email to confirm your address.',
         user: {
           id: user._id,
           firstName: user.firstName,
           lastName: user.lastName,
           email: user.email,
           phone: user.phone,
-          role: user.role
+          role: user.role,
+          emailVerified: user.emailVerified
         },
-        token: generateToken(user._id)
+        token,
+        refreshToken,
+        expiresIn
       });
     }
   } catch (error) {
@@ -85,9 +163,19 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Brute-force protection (per account and per client IP)
+    const throttle = [throttleKeys.account(email), throttleKeys.ip(getClientIp(req))];
+    const allowed = await checkLoginAllowed(throttle);
+    if (!allowed.allowed) {
+      await LoginEvent.record(req, { identifier: email.toLowerCase(), method: 'password', outcome: 'blocked', reason: 'too_many_attempts' });
+      return sendTooManyAttempts(res, allowed);
+    }
+
     // Check for user
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user) {
+      await recordLoginFailure(throttle, { req, loginType: 'patient' });
+      await LoginEvent.record(req, { identifier: email.toLowerCase(), method: 'password', outcome: 'failure', reason: 'unknown_account' });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -95,26 +183,60 @@ router.post('/login', async (req, res) => {
     }
 
     // Check if account is active
-    if (user.status === 'inactive') {
+    if (user.status === 'inactive' || user.status === 'invited') {
+      await LoginEvent.record(req, { user: user._id, identifier: email.toLowerCase(), method: 'password', outcome: 'blocked', reason: `account_${user.status}` });
       return res.status(401).json({
         success: false,
         message: 'Account is inactive. Please contact support.'
       });
     }
 
+    if (user.status === 'suspended' && !user.releaseExpiredLock()) {
+      await LoginEvent.record(req, {
+        user: user._id,
+        identifier: email.toLowerCase(),
+        method: 'password',
+        outcome: 'blocked',
+        reason: user.lockedUntil ? 'account_locked' : 'account_suspended'
+      });
+      return res.status(423).json({
+        success: false,
+        message: user.lockedUntil
+          ? 'Account is temporarily locked after too many failed login attempts. Please try again later or contact support.'
+          : 'Account is suspended. Please contact support.',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(throttle, { req, loginType: 'patient', user });
+      await LoginEvent.record(req, { user: user._id, identifier: email.toLowerCase(), method: 'password', outcome: 'failure', reason: 'invalid_password' });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    await clearLoginFailures([throttleKeys.account(email)]);
+
+    if (user.passwordResetRequired) {
+      await LoginEvent.record(req, { user: user._id, identifier: email.toLowerCase(), method: 'password', outcome: 'blocked', reason: 'password_reset_required' });
+      return res.status(403).json({
+        success: false,
+        code: 'PASSWORD_RESET_REQUIRED',
+        message: 'You must reset your password before logging in. Check your email for the reset link or use "Forgot Password".'
+      });
+    }
+
     // Update last login
     user.lastLogin = Date.now();
     await user.save();
 
+    const { session, token, refreshToken, expiresIn } = await createSession(user, req);
+    await LoginEvent.record(req, { user: user._id, identifier: email.toLowerCase(), method: 'password', outcome: 'success', session: session._id });
+
     res.json({
       success: true,
       message: 'Login successful',
@@ -124,9 +246,12 @@ router.post('/login', async (req, res) => {
         lastName: user.lastName,
         email: user.email,
         phone: user.phone,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       },
-      token: generateToken(user._id)
+      token,
+      refreshToken,
+      expiresIn
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -137,6 +262,486 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/otp/request
+// @desc    Text a one-time login code to a patient's phone
+// @access  Public
+router.post('/otp/request', async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid phone number, e.g. 08031234567'
+      });
+    }
+
+    const allowed = await checkLoginAllowed([throttleKeys.account(phone), throttleKeys.ip(getClientIp(req))]);
+    if (!allowed.allowed) {
+      return sendTooManyAttempts(res, allowed);
+    }
+
+    // Same response whether or not the number is registered (or rate limited),
+    // so phone numbers can't be enumerated
+    const genericResponse = {
+      success: true,
+      message: 'If an account uses this number, a login code has been sent by SMS',
+      phone: maskPhone(phone),
+      expiresIn: OTP_SETTINGS.codeTtlMs / 1000,
+      resendAfter: OTP_SETTINGS.resendCooldownMs / 1000
+    };
+
+    const { user, ambiguous } = await findPatientByPhone(phone);
+
+    if (ambiguous) {
+      await sendSms({
+        to: phone,
+        text: 'More than one GOLDBOND LABORATORIES account uses this phone number, ' +
+          'so we cannot send a login code. Please log in with your email address instead.'
+      }).catch(smsError => console.error('OTP notice SMS error:', smsError));
+      return res.json(genericResponse);
+    }
+
+    if (!user || user.status === 'inactive' || user.status === 'invited') {
+      return res.json(genericResponse);
+    }
+
+    await issueLoginOtp(user, phone);
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('OTP request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not send a login code. Please try again later.'
+    });
+  }
+});
+
+// @route   POST /api/auth/otp/verify
+// @desc    Log in with the code sent to the patient's phone
+// @access  Public
+router.post('/otp/verify', async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    const { code } = req.body;
+
+    if (!phone || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your phone number and the code you received'
+      });
+    }
+
+    const throttle = [throttleKeys.account(phone), throttleKeys.ip(getClientIp(req))];
+    const allowed = await checkLoginAllowed(throttle);
+    if (!allowed.allowed) {
+      await LoginEvent.record(req, { identifier: phone, method: 'phone-otp', outcome: 'blocked', reason: 'too_many_attempts' });
+      return sendTooManyAttempts(res, allowed);
+    }
+
+    const check = await verifyLoginOtp(phone, code);
+    const user = check.userId && await User.findById(check.userId);
+
+    if (!check.valid || !user) {
+      await recordLoginFailure(throttle, { req, loginType: 'patient', user });
+      await LoginEvent.record(req, {
+        user: user ? user._id : undefined,
+        identifier: phone,
+        method: 'phone-otp',
+        outcome: 'failure',
+        reason: check.reason
+      });
+      return res.status(401).json({
+        success: false,
+        message: check.reason === 'invalid_code'
+          ? 'Incorrect code. Please check the SMS and try again.'
+          : 'This code has expired or was already used. Please request a new one.',
+        attemptsRemaining: check.attemptsRemaining
+      });
+    }
+
+    if (user.status === 'inactive' || user.status === 'invited') {
+      await LoginEvent.record(req, { user: user._id, identifier: phone, method: 'phone-otp', outcome: 'blocked', reason: `account_${user.status}` });
+      return res.status(401).json({
+        success: false,
+        message: 'Account is inactive. Please contact support.'
+      });
+    }
+
+    if (user.status === 'suspended' && !user.releaseExpiredLock()) {
+      await LoginEvent.record(req, {
+        user: user._id,
+        identifier: phone,
+        method: 'phone-otp',
+        outcome: 'blocked',
+        reason: user.lockedUntil ? 'account_locked' : 'account_suspended'
+      });
+      return res.status(423).json({
+        success: false,
+        message: user.lockedUntil
+          ? 'Account is temporarily locked after too many failed login attempts. Please try again later or contact support.'
+          : 'Account is suspended. Please contact support.',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
+    await clearLoginFailures([throttleKeys.account(phone)]);
+
+    // Receiving the code proves the patient holds this number
+    user.phoneVerified = true;
+    user.lastLogin = Date.now();
+    await user.save();
+
+    const { session, token, refreshToken, expiresIn } = await createSession(user, req);
+    await LoginEvent.record(req, { user: user._id, identifier: phone, method: 'phone-otp', outcome: 'success', session: session._id });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        phone: user.phone,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        phoneVerified: user.phoneVerified
+      },
+      token,
+      refreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    console.error('OTP verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const refreshed = await refreshSession(refreshToken);
+    if (!refreshed || refreshed.user.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired, please log in again'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: refreshed.token,
+      refreshToken: refreshed.refreshToken,
+      expiresIn: refreshed.expiresIn
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session for the current user (all devices)
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all', req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      sessionsRevoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out from all devices'
+    });
+  }
+});
+
+// @route   GET /api/auth/login-history
+// @desc    Recent sign-in attempts on the current user's account
+// @access  Private
+router.get('/login-history', protect, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const events = await LoginEvent.find({ user: req.user._id })
+      .select('method outcome reason ipAddress userAgent createdAt')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      events
+    });
+  } catch (error) {
+    console.error('Login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load login history'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Devices currently signed in to the current user's account
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        signedInAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load signed-in devices'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out a single device
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: { $exists: false }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('device_signed_out', req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out device'
+    });
+  }
+});
+
+// @route   GET /api/auth/me/export
+// @desc    Download everything held about the current user (?format=json for the data file only)
+// @access  Private
+router.get('/me/export', protect, async (req, res) => {
+  try {
+    const { data, reports } = await buildPatientExport(req.user._id);
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (req.query.format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="goldbond-data-${stamp}.json"`);
+      return res.json(data);
+    }
+
+    const archive = createZip([
+      { name: 'data.json', data: JSON.stringify(data, null, 2) },
+      {
+        name: 'README.txt',
+        data: 'GOLDBOND LABORATORIES - personal data export\r\n\r\n' +
+          'data.json      your profile, bookings, waitlist entries, payments, test results and login history\r\n' +
+          'reports/       PDF reports for your test results, named by registration number\r\n'
+      },
+      ...reports
+    ]);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="goldbond-data-${stamp}.zip"`,
+      'Content-Length': archive.length
+    });
+    res.send(archive);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export your data'
+    });
+  }
+});
+
+// @route   GET /api/auth/me/deletion-request
+// @desc    Status of the current user's account deletion request
+// @access  Private
+router.get('/me/deletion-request', protect, async (req, res) => {
+  try {
+    const request = await DeletionRequest.findOne({ user: req.user._id, status: 'pending' });
+
+    res.json({
+      success: true,
+      deletionRequest: request,
+      resultRetentionYears: RESULT_RETENTION_YEARS
+    });
+  } catch (error) {
+    console.error('Deletion request status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load deletion request'
+    });
+  }
+});
+
+// @route   POST /api/auth/me/deletion-request
+// @desc    Ask for the current user's account to be deleted
+// @access  Private
+router.post('/me/deletion-request', protect, async (req, res) => {
+  try {
+    const { password, code, reason } = req.body;
+
+    if (req.user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Staff accounts are closed by a super admin'
+      });
+    }
+
+    // Phone-only accounts have no password and confirm with an SMS login code
+    const user = await User.findById(req.user._id);
+    const passwordless = !user.password;
+
+    if (passwordless ? !code : !password) {
+      return res.status(400).json({
+        success: false,
+        message: passwordless ? 'Please enter the code sent to your phone' : 'Please confirm your password'
+      });
+    }
+
+    if (passwordless) {
+      const check = await verifyLoginOtp(user.phone, code);
+      if (!check.valid || !user._id.equals(check.userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Code is incorrect or has expired'
+        });
+      }
+    } else if (!(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const existing = await DeletionRequest.findOne({ user: user._id, status: 'pending' });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a pending deletion request',
+        deletionRequest: existing
+      });
+    }
+
+    const request = await DeletionRequest.create({ user: user._id, reason });
+
+    res.status(201).json({
+      success: true,
+      message: 'Deletion request received. Our team will process it shortly; you can cancel it until then.',
+      deletionRequest: request
+    });
+  } catch (error) {
+    console.error('Deletion request error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to submit deletion request'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/me/deletion-request
+// @desc    Cancel a pending deletion request
+// @access  Private
+router.delete('/me/deletion-request', protect, async (req, res) => {
+  try {
+    const request = await DeletionRequest.findOneAndUpdate(
+      { user: req.user._id, status: 'pending' },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    );
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending deletion request'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Deletion request cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel deletion request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel deletion request'
+    });
+  }
+});
+
 // @route   GET /api/auth/profile
 // @desc    Get user profile
 // @access  Private
@@ -161,6 +766,9 @@ router.get('/profile', protect, async (req, res) => {
         phone: user.phone,
         role: user.role,
         status: user.status,
+        emailVerified: user.emailVerified,
+        phoneVerified: user.phoneVerified,
+        dependents: user.dependents,
         createdAt: user.createdAt
       }
     });
@@ -173,6 +781,125 @@ router.get('/profile', protect, async (req, res) => {
   }
 });
 
+const DEPENDENT_FIELDS = ['firstName', 'lastName', 'dateOfBirth', 'gender', 'relationship'];
+
+const pickDependentFields = (body) => DEPENDENT_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// @route   GET /api/auth/dependents
+// @desc    List the dependent profiles on the current account
+// @access  Private
+router.get('/dependents', protect, async (req, res) => {
+  res.json({
+    success: true,
+    dependents: req.user.dependents
+  });
+});
+
+// @route   POST /api/auth/dependents
+// @desc    Add a dependent (child, relative, ...) to the current account
+// @access  Private
+router.post('/dependents', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    user.dependents.push(pickDependentFields(req.body));
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Dependent added',
+      dependent: user.dependents[user.dependents.length - 1],
+      dependents: user.dependents
+    });
+  } catch (error) {
+    console.error('Add dependent error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.name === 'ValidationError'
+        ? Object.values(error.errors).map(err => err.message).join(', ')
+        : 'Failed to add dependent'
+    });
+  }
+});
+
+// @route   PUT /api/auth/dependents/:id
+// @desc    Update a dependent's details
+// @access  Private
+router.put('/dependents/:id', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const dependent = user.dependents.id(req.params.id);
+
+    if (!dependent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependent not found'
+      });
+    }
+
+    dependent.set(pickDependentFields(req.body));
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Dependent updated',
+      dependent
+    });
+  } catch (error) {
+    console.error('Update dependent error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.name === 'ValidationError'
+        ? Object.values(error.errors).map(err => err.message).join(', ')
+        : 'Failed to update dependent'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/dependents/:id
+// @desc    Remove a dependent who has no test results
+// @access  Private
+router.delete('/dependents/:id', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const dependent = user.dependents.id(req.params.id);
+
+    if (!dependent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependent not found'
+      });
+    }
+
+    // Results are medical records; removing the profile would orphan them
+    const results = await TestResult.countDocuments({ patientId: user._id, dependentId: dependent._id });
+    if (results > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This person has test results on your account and cannot be removed'
+      });
+    }
+
+    dependent.deleteOne();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Dependent removed',
+      dependents: user.dependents
+    });
+  } catch (error) {
+    console.error('Remove dependent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove dependent'
+    });
+  }
+});
+
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
@@ -189,10 +916,20 @@ router.put('/profile', protect, async (req, res) => {
       });
     }
 
+    if (phone && !normalizePhone(phone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid phone number, e.g. 08031234567'
+      });
+    }
+
     // Update fields
     if (firstName) user.firstName = firstName;
     if (lastName) user.lastName = lastName;
-    if (phone) user.phone = phone;
+    if (phone && normalizePhone(phone) !== user.phone) {
+      user.phone = normalizePhone(phone);
+      user.phoneVerified = false;
+    }
 
     await user.save();
 
@@ -232,6 +969,13 @@ router.put('/change-password', protect, async (req, res) => {
     }
 
     const user = await User.findById(req.user._id);
+
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account signs in with a code sent to your phone and has no password'
+      });
+    }
     
     // Check current password
     const isMatch = await user.comparePassword(currentPassword);
@@ -242,6 +986,14 @@ router.put('/change-password', protect, async (req, res) => {
       });
     }
 
+    const minLength = User.minPasswordLength(user.role);
+    if (newPassword.length < minLength) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${minLength} characters`
+      });
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
@@ -259,4 +1011,186 @@ router.put('/change-password', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email address'
+      });
+    }
+
+    // Same response whether or not the account exists, so emails can't be enumerated
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user || user.status === 'inactive' || user.status === 'invited') {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${FRONTEND_URL}/pages/login.html?resetToken=${resetToken}`;
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'GOLDBOND LABORATORIES - Password Reset',
+        text: `You requested a password reset for your GOLDBOND LABORATORIES account.\n\n` +
+          `Open this link within 30 minutes to choose a new password:\n${resetUrl}\n\n` +
+          `If you did not request this, you can ignore this email.`
+      });
+    } catch (mailError) {
+      // Still the generic response: an error here would only show for real accounts
+      console.error('Reset email error:', mailError);
+      user.clearResetPasswordToken();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password/:token', async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(req.params.token),
+      resetPasswordExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Staff accounts need longer passwords than patients
+    const minLength = User.minPasswordLength(user.role);
+    if (!password || password.length < minLength) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${minLength} characters`
+      });
+    }
+
+    // Token is single-use: clear it together with the password change
+    user.password = password;
+    user.passwordResetRequired = false;
+    user.clearResetPasswordToken();
+    await user.save();
+
+    // Anyone holding the old password may still be signed in
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. You can now log in.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Confirm a user's email address
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      verificationToken: User.hashToken(req.params.token),
+      verificationTokenExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.markEmailVerified();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Public
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email address'
+      });
+    }
+
+    const genericResponse = {
+      success: true,
+      message: 'If that account still needs verification, a new link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user || user.emailVerified) {
+      return res.json(genericResponse);
+    }
+
+    const verifyToken = user.getEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendVerificationEmail(user, verifyToken);
+    } catch (mailError) {
+      // Still the generic response: an error here would only show for real accounts
+      console.error('Verification email error:', mailError);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend verification email'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,24 +1,197 @@
 const express = require("express");
 const router = express.Router();
 const Booking = require("../models/Booking");
-const { adminAuth } = require("../middleware/auth");
+const Location = require("../models/Location");
+const { protect, authorize, optionalAuth } = require("../middleware/auth");
+const { hasPermission, isStaffRole, requiresTwoFactor } = require("../config/permissions");
+const { checkLocation, checkSlot, checkClosure, getDayAvailability, slotStartsAt, toDateKey } = require("../utils/slots");
+const { RESCHEDULE_CUTOFF_HOURS, MAX_RESCHEDULES } = require("../config/bookingPolicy");
+const { buildOrder } = require("../utils/pricing");
+const calendar = require("../utils/calendar");
+const { FEED_PAST_DAYS } = require("../config/calendar");
+const User = require("../models/User");
+const QRCode = require("qrcode");
+
+const SLOT_FULL_MESSAGE = "This time slot is fully booked. Please choose another time.";
+
+// Location details shown alongside bookings
+const LOCATION_FIELDS = "code name type address phone";
+
+// Set by the server only: identifiers, account links, lifecycle, slot
+// bookkeeping and prices
+const SERVER_FIELDS = [
+    "bookingId", "user",
+    "status", "statusChangedAt", "history", "rescheduleCount", "slotReserved",
+    "subtotal", "discounts", "total", "currency", "paymentStatus"
+];
+
+const withoutServerFields = (body) => {
+    const fields = { ...body };
+    SERVER_FIELDS.forEach(field => delete fields[field]);
+    return fields;
+};
+
+// Staff holding the permission, with the same 2FA policy as authorize()
+const staffCan = (user, permission) =>
+    isStaffRole(user.role) &&
+    hasPermission(user.role, permission) &&
+    !(requiresTwoFactor(user.role) && !(user.twoFactor && user.twoFactor.enabled));
+
+// Bookings made before accounts were linked only carry the patient's email
+const legacyEmailMatch = (user) =>
+    user.email && user.emailVerified ? [{ user: { $exists: false }, email: user.email }] : [];
+
+// Who may view or cancel a booking:
+//  - staff with the given permission
+//  - the patient account that made it (or, for older bookings, the verified email owner)
+//  - anyone holding the signed manage-link token sent to a guest at creation
+const canAccessBooking = (req, booking, staffPermission) => {
+    if (req.user) {
+        if (staffCan(req.user, staffPermission)) return true;
+        if (booking.user && booking.user.equals(req.user._id)) return true;
+        if (!booking.user && req.user.emailVerified && booking.email && booking.email === req.user.email) return true;
+    }
+
+    return booking.verifyManageToken(req.query.token || req.headers["x-booking-token"]);
+};
+
+// Code for the booking's check-in QR and where to fetch it as an image
+const checkInDetails = (booking) => ({
+    code: booking.generateCheckInCode(),
+    qrUrl: booking.getCheckInQrUrl()
+});
+
+// Who is making a change, for the booking's history
+const actorFor = (req) => {
+    if (!req.user) return { actorType: "guest" };
+    return { actor: req.user._id, actorType: isStaffRole(req.user.role) ? "staff" : "patient" };
+};
+
+// { field: { from, to } } for the fields that differ between two versions of a booking
+const diffBooking = (before, after, fields) => fields.reduce((changes, field) => {
+    const format = (value) => (value instanceof Date ? toDateKey(value) : value == null ? value : String(value));
+    const from = format(before[field]);
+    const to = format(after[field]);
+    if (from !== to) changes[field] = { from, to };
+    return changes;
+}, {});
+
+// 409 for a status change the booking's lifecycle doesn't allow
+const invalidTransition = (res, booking, status) => res.status(409).json({
+    success: false,
+    code: "INVALID_TRANSITION",
+    message: `A ${booking.status} booking cannot be moved to ${status}`,
+    status: booking.status,
+    allowed: booking.allowedTransitions()
+});
+
+// Apply a status change, reloading once if someone else changed the
+// booking in the meantime. Resolves to the updated booking, or responds
+// with 409 and resolves to null when the move isn't allowed.
+const changeStatus = async (req, res, booking, status) => {
+    for (let attempt = 0; attempt < 2 && booking; attempt++) {
+        if (!booking.canTransitionTo(status)) {
+            invalidTransition(res, booking, status);
+            return null;
+        }
+
+        const updated = await booking.transitionTo(status, { ...actorFor(req), reason: req.body.reason });
+        if (updated) return updated;
+
+        booking = await Booking.findById(booking._id);
+    }
+
+    res.status(409).json({ success: false, message: "This booking was changed by someone else. Please reload and try again." });
+    return null;
+};
 
 // ===============================
 // CREATE NEW BOOKING
 // ===============================
-router.post("/", async (req, res) => {
+router.post("/", optionalAuth, async (req, res) => {
     try {
-        const booking = new Booking(req.body);
-        await booking.save();
+        const { dependentId, dependent, patientName, referredBy, referralReference, items, ...data } = withoutServerFields(req.body);
+
+        // Tests chosen from the catalog, priced here rather than by the client
+        if (items !== undefined) {
+            const { order, error } = await buildOrder(items);
+            if (error)
+                return res.status(400).json({ success: false, message: error });
+            Object.assign(data, order);
+        }
+
+        // Accepts the location's id or code
+        const location = await Location.resolve(data.location);
+        const locationError = checkLocation(location, data);
+        if (locationError)
+            return res.status(400).json({ success: false, message: locationError });
+
+        const booking = new Booking({ ...data, location: location._id });
+
+        // Booking for a family member: only their account holder may do so
+        if (dependentId) {
+            const profile = req.user && req.user.dependents.id(dependentId);
+            if (!profile) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Dependent not found on your account"
+                });
+            }
+
+            booking.dependent = profile._id;
+            booking.patientName = profile.fullName;
+        } else {
+            booking.patientName = booking.fullName;
+        }
+
+        // Patients' bookings belong to their account; staff booking on
+        // someone's behalf create a guest booking
+        if (req.user && req.user.role === "user") {
+            booking.user = req.user._id;
+        }
+
+        await booking.validate();
+
+        const slotError = checkSlot(location, booking.appointmentDate, booking.appointmentTime) ||
+            await checkClosure(location, booking.appointmentDate, booking.appointmentTime);
+        if (slotError)
+            return res.status(400).json({ success: false, message: slotError });
+
+        if (!(await booking.reserveSlot(location)))
+            return res.status(409).json({ success: false, message: SLOT_FULL_MESSAGE });
+
+        try {
+            await booking.save();
+        } catch (error) {
+            await booking.releaseSlot();
+            throw error;
+        }
+
+        await booking.populate("location", LOCATION_FIELDS);
 
         await booking.sendConfirmationEmail();
         await booking.sendSMSNotification();
+        await booking.scheduleReminders();
+        await booking.syncHomeVisit();
 
-        res.status(201).json({
+        const response = {
             success: true,
             message: "Booking created successfully",
             booking
-        });
+        };
+
+        // Shown at reception on arrival (also in the confirmation email)
+        if (booking.hasCheckIn()) {
+            response.checkIn = checkInDetails(booking);
+        }
+
+        // Guests manage the booking through this link (also sent by email/SMS)
+        if (!booking.user) {
+            response.manageToken = booking.generateManageToken();
+            response.manageUrl = booking.getManageUrl();
+        }
+
+        res.status(201).json(response);
     } catch (error) {
         res.status(400).json({
             success: false,
@@ -28,14 +201,15 @@ router.post("/", async (req, res) => {
 });
 
 // ===============================
-// GET ALL BOOKINGS (PAGINATION)
+// GET ALL BOOKINGS (PAGINATION) — STAFF
 // ===============================
-router.get("/", async (req, res) => {
+router.get("/", authorize("bookings:read"), async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10;
 
         const bookings = await Booking.find()
+            .populate("location", LOCATION_FIELDS)
             .sort({ appointmentDate: -1 })
             .skip((page - 1) * limit)
             .limit(limit);
@@ -61,14 +235,108 @@ router.get("/", async (req, res) => {
 });
 
 // ===============================
-// GET BOOKING BY ID
+// MY BOOKINGS — PATIENT
 // ===============================
-router.get("/:bookingId", async (req, res) => {
+router.get("/mine", protect, async (req, res) => {
+    try {
+        const bookings = await Booking.find({
+            $or: [{ user: req.user._id }, ...legacyEmailMatch(req.user)]
+        }).populate("location", LOCATION_FIELDS).sort({ appointmentDate: -1 });
+
+        res.json({
+            success: true,
+            count: bookings.length,
+            bookings
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Failed to fetch your bookings" });
+    }
+});
+
+// ===============================
+// CALENDAR FEED LINK — PATIENT
+// ===============================
+// Calendar apps subscribe to this link and pick up new and changed bookings
+const feedUrl = (user) => `${calendar.API_URL}/api/bookings/feed/${calendar.feedToken("patient", user)}.ics`;
+
+router.get("/feed", protect, (req, res) => {
+    res.json({ success: true, url: feedUrl(req.user) });
+});
+
+// New link; the old one stops working
+router.post("/feed/reset", protect, async (req, res) => {
+    try {
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { $inc: { calendarFeedVersion: 1 } },
+            { new: true }
+        );
+
+        res.json({ success: true, message: "Your calendar link has been reset", url: feedUrl(user) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Failed to reset your calendar link" });
+    }
+});
+
+// ===============================
+// CALENDAR FEED — SIGNED LINK
+// ===============================
+router.get("/feed/:token.ics", async (req, res) => {
+    try {
+        const userId = calendar.feedTokenOwnerId(req.params.token);
+        const user = userId && await User.findById(userId);
+
+        if (!calendar.verifyFeedToken("patient", user, req.params.token))
+            return res.status(404).json({ success: false, message: "Calendar feed not found" });
+
+        const bookings = await Booking.find({
+            $or: [{ user: user._id }, ...legacyEmailMatch(user)],
+            appointmentDate: { $gte: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000) }
+        }).populate("location", LOCATION_FIELDS + " schedule").sort({ appointmentDate: 1 }).limit(500);
+
+        calendar.sendCalendar(res, calendar.buildCalendar({
+            name: "GOLDBOND LABORATORIES appointments",
+            events: bookings.map(booking => calendar.bookingEvent(booking))
+        }));
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Failed to build calendar feed" });
+    }
+});
+
+// ===============================
+// CHECK-IN QR CODE — SIGNED CODE
+// ===============================
+// The image in confirmation emails and on the booking pages; reception scans it
+router.get("/check-in/:code.png", async (req, res) => {
+    try {
+        const booking = await Booking.findByCheckInCode(req.params.code);
+        if (!booking)
+            return res.status(404).json({ success: false, message: "Check-in code not found" });
+
+        const png = await QRCode.toBuffer(booking.generateCheckInCode(), { type: "png", width: 300, margin: 2 });
+
+        res.set("Content-Type", "image/png");
+        res.set("Cache-Control", "private, max-age=86400");
+        res.send(png);
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Failed to draw check-in code" });
+    }
+});
+
+// ===============================
+// GET BOOKING BY ID — OWNER, MANAGE LINK OR STAFF
+// ===============================
+router.get("/:bookingId", optionalAuth, async (req, res) => {
     try {
         const booking = await Booking.findOne({ bookingId: req.params.bookingId });
         if (!booking)
             return res.status(404).json({ success: false, message: "Booking not found" });
 
+        if (!canAccessBooking(req, booking, "bookings:read"))
+            return res.status(403).json({ success: false, message: "You do not have access to this booking" });
+
+        await booking.populate("location", LOCATION_FIELDS);
+
         res.json({ success: true, booking });
     } catch (error) {
         res.status(500).json({ success: false, message: "Failed to fetch booking" });
@@ -76,44 +344,249 @@ router.get("/:bookingId", async (req, res) => {
 });
 
 // ===============================
-// UPDATE BOOKING STATUS
+// ADD TO CALENDAR (.ics) — OWNER, MANAGE LINK OR STAFF
 // ===============================
-router.patch("/:bookingId/status", async (req, res) => {
+router.get("/:bookingId/calendar.ics", optionalAuth, async (req, res) => {
+    try {
+        const booking = await Booking.findOne({ bookingId: req.params.bookingId });
+        if (!booking)
+            return res.status(404).json({ success: false, message: "Booking not found" });
+
+        if (!canAccessBooking(req, booking, "bookings:read"))
+            return res.status(403).json({ success: false, message: "You do not have access to this booking" });
+
+        await booking.populate("location", LOCATION_FIELDS + " schedule");
+
+        calendar.sendCalendar(res, calendar.buildCalendar({
+            name: `GOLDBOND LABORATORIES booking ${booking.bookingId}`,
+            events: [calendar.bookingEvent(booking)]
+        }), `goldbond-${booking.bookingId}.ics`);
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Failed to export booking" });
+    }
+});
+
+// ===============================
+// CHECK-IN CODE — OWNER, MANAGE LINK OR STAFF
+// ===============================
+router.get("/:bookingId/check-in", optionalAuth, async (req, res) => {
+    try {
+        const booking = await Booking.findOne({ bookingId: req.params.bookingId }).populate("location", LOCATION_FIELDS);
+        if (!booking)
+            return res.status(404).json({ success: false, message: "Booking not found" });
+
+        if (!canAccessBooking(req, booking, "bookings:read"))
+            return res.status(403).json({ success: false, message: "You do not have access to this booking" });
+
+        if (!booking.hasCheckIn())
+            return res.status(400).json({ success: false, message: "Home collection bookings don't need to check in" });
+
+        res.json({ success: true, ...checkInDetails(booking) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Failed to fetch check-in code" });
+    }
+});
+
+// ===============================
+// UPDATE BOOKING STATUS — STAFF
+// ===============================
+// pending → confirmed → checked_in → sample_collected → completed, or
+// cancelled / no_show (see STATUS_TRANSITIONS in models/Booking.js)
+router.patch("/:bookingId/status", authorize("bookings:manage"), async (req, res) => {
     try {
         const { status } = req.body;
 
-        if (!["pending", "confirmed", "completed", "cancelled"].includes(status))
+        if (!Booking.STATUSES.includes(status))
             return res.status(400).json({ success: false, message: "Invalid status" });
 
-        const booking = await Booking.findOneAndUpdate(
-            { bookingId: req.params.bookingId },
-            { status, updatedAt: Date.now() },
-            { new: true }
-        );
+        const booking = await Booking.findOne({ bookingId: req.params.bookingId });
 
         if (!booking)
             return res.status(404).json({ success: false, message: "Booking not found" });
 
-        res.json({ success: true, message: "Status updated", booking });
+        const updated = await changeStatus(req, res, booking, status);
+        if (!updated) return;
+
+        res.json({ success: true, message: "Status updated", booking: updated });
     } catch (error) {
         res.status(500).json({ success: false, message: "Failed to update status" });
     }
 });
 
 // ===============================
-// ADMIN — EDIT ANY BOOKING (FULL EDIT)
+// RESCHEDULE — OWNER, MANAGE LINK OR STAFF
 // ===============================
-router.put("/:bookingId/edit", adminAuth, async (req, res) => {
+// Patients may move a booking up to RESCHEDULE_CUTOFF_HOURS before it starts,
+// at most MAX_RESCHEDULES times; staff are not limited
+router.post("/:bookingId/reschedule", optionalAuth, async (req, res) => {
     try {
-        const booking = await Booking.findOneAndUpdate(
-            { bookingId: req.params.bookingId },
-            { ...req.body, updatedAt: Date.now() },
+        const { appointmentDate, appointmentTime, reason } = req.body;
+        const booking = await Booking.findOne({ bookingId: req.params.bookingId });
+
+        if (!booking)
+            return res.status(404).json({ success: false, message: "Booking not found" });
+
+        if (!canAccessBooking(req, booking, "bookings:manage"))
+            return res.status(403).json({ success: false, message: "You do not have access to this booking" });
+
+        if (!["pending", "confirmed"].includes(booking.status))
+            return res.status(400).json({ success: false, message: `A ${booking.status} booking cannot be rescheduled` });
+
+        if (!(req.user && staffCan(req.user, "bookings:manage"))) {
+            const cutoff = slotStartsAt(booking.appointmentDate, booking.appointmentTime) - RESCHEDULE_CUTOFF_HOURS * 60 * 60 * 1000;
+            if (Date.now() > cutoff) {
+                return res.status(400).json({
+                    success: false,
+                    code: "RESCHEDULE_CUTOFF",
+                    message: `Bookings can't be changed within ${RESCHEDULE_CUTOFF_HOURS} hours of the appointment. Please call us instead.`
+                });
+            }
+
+            if (booking.rescheduleCount >= MAX_RESCHEDULES) {
+                return res.status(400).json({
+                    success: false,
+                    code: "RESCHEDULE_LIMIT",
+                    message: `This booking has already been rescheduled ${booking.rescheduleCount} times. Please call us to change it again.`
+                });
+            }
+        }
+
+        const location = await Location.resolve(req.body.location || booking.location);
+        if (!location)
+            return res.status(400).json({ success: false, message: "Location not found" });
+
+        const target = new Booking({
+            ...booking.toObject(),
+            appointmentDate,
+            appointmentTime,
+            location: location._id,
+            slotReserved: false
+        });
+        await target.validate(["appointmentDate", "appointmentTime"]);
+
+        const changes = diffBooking(booking, target, ["appointmentDate", "appointmentTime", "location"]);
+        if (Object.keys(changes).length === 0)
+            return res.status(400).json({ success: false, message: "Please choose a different date or time" });
+
+        const slotError = checkLocation(location, target) ||
+            checkSlot(location, target.appointmentDate, target.appointmentTime) ||
+            await checkClosure(location, target.appointmentDate, target.appointmentTime);
+        if (slotError)
+            return res.status(400).json({ success: false, message: slotError });
+
+        if (!(await target.reserveSlot(location)))
+            return res.status(409).json({ success: false, message: SLOT_FULL_MESSAGE });
+
+        // Only applies if nobody moved or cancelled the booking in the meantime
+        const rescheduled = await Booking.findOneAndUpdate(
+            {
+                _id: booking._id,
+                status: booking.status,
+                appointmentDate: booking.appointmentDate,
+                appointmentTime: booking.appointmentTime,
+                location: booking.location,
+                rescheduleCount: booking.rescheduleCount
+            },
+            {
+                appointmentDate: target.appointmentDate,
+                appointmentTime: target.appointmentTime,
+                location: location._id,
+                slotReserved: true,
+                updatedAt: Date.now(),
+                $inc: { rescheduleCount: 1 },
+                $push: { history: { action: "rescheduled", changes, reason, ...actorFor(req) } }
+            },
             { new: true }
         );
 
-        if (!booking)
+        if (!rescheduled) {
+            await target.releaseSlot();
+            return res.status(409).json({ success: false, message: "This booking was changed by someone else. Please reload and try again." });
+        }
+
+        await booking.releaseSlot();
+        await rescheduled.populate("location", LOCATION_FIELDS);
+        await rescheduled.sendRescheduleNotification();
+        await rescheduled.scheduleReminders();
+        await rescheduled.syncHomeVisit();
+
+        res.json({ success: true, message: "Booking rescheduled", booking: rescheduled });
+    } catch (error) {
+        if (error.name === "ValidationError")
+            return res.status(400).json({ success: false, message: error.message });
+
+        res.status(500).json({ success: false, message: "Failed to reschedule booking" });
+    }
+});
+
+// ===============================
+// ADMIN — EDIT ANY BOOKING (FULL EDIT)
+// ===============================
+router.put("/:bookingId/edit", authorize("bookings:manage"), async (req, res) => {
+    try {
+        const { items, ...changes } = withoutServerFields(req.body);
+        const existing = await Booking.findOne({ bookingId: req.params.bookingId });
+
+        if (!existing)
             return res.status(404).json({ success: false, message: "Booking not found" });
 
+        // Changing the tests re-prices the booking, so not once it has been paid for
+        let order;
+        if (items !== undefined) {
+            if (existing.paymentStatus === "paid")
+                return res.status(409).json({ success: false, message: "This booking has been paid for, so its tests can't be changed" });
+
+            const built = await buildOrder(items);
+            if (built.error)
+                return res.status(400).json({ success: false, message: built.error });
+
+            order = built.order;
+            Object.assign(changes, order, { testType: Booking.testTypeFor(order.items) });
+        }
+
+        // Moving an active booking takes a place in the new slot before
+        // giving up the old one. Status changes go through PATCH /status.
+        const location = await Location.resolve(changes.location || existing.location);
+        if (!location)
+            return res.status(400).json({ success: false, message: "Location not found" });
+        changes.location = location._id;
+
+        const target = new Booking({ ...existing.toObject(), ...changes, slotReserved: false });
+        const moved = !location._id.equals(existing.location) ||
+            target.appointmentTime !== existing.appointmentTime ||
+            toDateKey(target.appointmentDate) !== toDateKey(existing.appointmentDate);
+
+        if (moved && existing.status !== "cancelled") {
+            const slotError = checkLocation(location, target) ||
+                checkSlot(location, target.appointmentDate, target.appointmentTime) ||
+                await checkClosure(location, target.appointmentDate, target.appointmentTime);
+            if (slotError)
+                return res.status(400).json({ success: false, message: slotError });
+
+            if (!(await target.reserveSlot(location)))
+                return res.status(409).json({ success: false, message: SLOT_FULL_MESSAGE });
+
+            changes.slotReserved = true;
+        }
+
+        const edited = diffBooking(existing, target, Object.keys(changes).filter(field => !["slotReserved", "items", "discounts", "currency"].includes(field)));
+        if (order) edited.items = { from: existing.items.map(item => item.code), to: order.items.map(item => item.code) };
+        const update = { ...changes, updatedAt: Date.now() };
+        if (Object.keys(edited).length > 0)
+            update.$push = { history: { action: "edited", changes: edited, ...actorFor(req) } };
+
+        let booking;
+        try {
+            booking = await Booking.findByIdAndUpdate(existing._id, update, { new: true });
+        } catch (error) {
+            if (changes.slotReserved) await target.releaseSlot();
+            throw error;
+        }
+
+        if (changes.slotReserved) await existing.releaseSlot();
+        if (moved) await booking.scheduleReminders();
+        await booking.syncHomeVisit();
+
         res.json({
             success: true,
             message: "Booking updated successfully",
@@ -125,20 +598,29 @@ router.put("/:bookingId/edit", adminAuth, async (req, res) => {
 });
 
 // ===============================
-// CANCEL BOOKING (USER)
+// CANCEL BOOKING — OWNER, MANAGE LINK OR STAFF
 // ===============================
-router.delete("/:bookingId", async (req, res) => {
+router.delete("/:bookingId", optionalAuth, async (req, res) => {
     try {
-        const booking = await Booking.findOneAndUpdate(
-            { bookingId: req.params.bookingId },
-            { status: "cancelled", updatedAt: Date.now() },
-            { new: true }
-        );
+        const booking = await Booking.findOne({ bookingId: req.params.bookingId });
 
         if (!booking)
             return res.status(404).json({ success: false, message: "Booking not found" });
 
-        res.json({ success: true, message: "Booking cancelled", booking });
+        if (!canAccessBooking(req, booking, "bookings:manage"))
+            return res.status(403).json({ success: false, message: "You do not have access to this booking" });
+
+        // Once the patient has arrived only the lab can call it off
+        if (!(req.user && staffCan(req.user, "bookings:manage")) && !["pending", "confirmed", "cancelled"].includes(booking.status))
+            return res.status(400).json({ success: false, message: "This booking can no longer be cancelled online" });
+
+        // Cancelling twice is harmless
+        const cancelled = booking.status === "cancelled" ? booking : await changeStatus(req, res, booking, "cancelled");
+        if (!cancelled) return;
+
+        await cancelled.populate("location", LOCATION_FIELDS);
+
+        res.json({ success: true, message: "Booking cancelled", booking: cancelled });
     } catch (error) {
         res.status(500).json({ success: false, message: "Cancel failed" });
     }
@@ -147,13 +629,15 @@ router.delete("/:bookingId", async (req, res) => {
 // ===============================
 // ADMIN — DELETE BOOKING COMPLETELY
 // ===============================
-router.delete("/:bookingId/admin", adminAuth, async (req, res) => {
+router.delete("/:bookingId/admin", authorize("bookings:delete"), async (req, res) => {
     try {
         const booking = await Booking.findOneAndDelete({ bookingId: req.params.bookingId });
 
         if (!booking)
             return res.status(404).json({ success: false, message: "Booking not found" });
 
+        await booking.releaseSlot();
+
         res.json({
             success: true,
             message: "Booking permanently deleted"
@@ -164,11 +648,17 @@ router.delete("/:bookingId/admin", adminAuth, async (req, res) => {
 });
 
 // ===============================
-// GET BOOKINGS BY EMAIL
+// GET BOOKINGS BY EMAIL — STAFF, OR THE VERIFIED EMAIL OWNER
 // ===============================
-router.get("/user/:email", async (req, res) => {
+router.get("/user/:email", protect, async (req, res) => {
     try {
-        const bookings = await Booking.find({ email: req.params.email }).sort({
+        const email = String(req.params.email).toLowerCase();
+        const isOwner = req.user.email === email && req.user.emailVerified;
+
+        if (!isOwner && !staffCan(req.user, "bookings:read"))
+            return res.status(403).json({ success: false, message: "You can only view your own bookings" });
+
+        const bookings = await Booking.find({ email }).sort({
             appointmentDate: -1
         });
 
@@ -188,34 +678,24 @@ router.get("/user/:email", async (req, res) => {
 // ===============================
 // AVAILABLE SLOTS
 // ===============================
+// Remaining capacity of every slot at a location on a day
 router.get("/slots/:date", async (req, res) => {
     try {
-        const date = new Date(req.params.date);
-        const location = req.query.location || "lab1";
-
-        const bookings = await Booking.find({
-            appointmentDate: {
-                $gte: new Date(date.setHours(0, 0, 0, 0)),
-                $lt: new Date(date.setHours(23, 59, 59, 999))
-            },
-            location,
-            status: { $ne: "cancelled" }
-        }).select("appointmentTime");
-
-        const allSlots = [
-            "07:00", "08:00", "09:00", "10:00", "11:00",
-            "14:00", "15:00", "16:00", "17:00", "18:00"
-        ];
+        const location = await Location.resolve(req.query.location);
+        if (!location || !location.active)
+            return res.status(400).json({ success: false, message: "Please choose one of our locations" });
 
-        const booked = bookings.map(b => b.appointmentTime);
-        const available = allSlots.filter(slot => !booked.includes(slot));
+        const { closed, reason, slots } = await getDayAvailability(location, req.params.date);
 
         res.json({
             success: true,
             date: req.params.date,
-            location,
-            availableSlots: available,
-            bookedSlots: booked
+            location: { _id: location._id, code: location.code, name: location.name },
+            closed,
+            reason,
+            slots,
+            availableSlots: slots.filter(slot => slot.remaining > 0).map(slot => slot.time),
+            bookedSlots: slots.filter(slot => slot.remaining === 0).map(slot => slot.time)
         });
     } catch (error) {
         res.status(500).json({ success: false, message: "Failed to load slots" });
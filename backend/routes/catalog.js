@@ -0,0 +1,42 @@
+/**
+ * Public test catalog for GOLDBOND LABORATORIES
+ *
+ * Lists the tests and panels patients can book, with prices, and prices a
+ * prospective order so the booking forms can show the same subtotal,
+ * discounts and total the booking will be created with. Admins manage the
+ * catalog through /api/admin/catalog.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const CatalogItem = require('../models/CatalogItem');
+const { buildOrder } = require('../utils/pricing');
+
+const PUBLIC_FIELDS = 'code name kind testType description includes price preparation';
+
+router.get('/', async (req, res) => {
+    try {
+        const items = await CatalogItem.find({ active: true })
+            .select(PUBLIC_FIELDS)
+            .sort({ sortOrder: 1, name: 1 });
+
+        res.json({ success: true, items });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load the test catalog' });
+    }
+});
+
+// Body: { items: ["lipid-profile", { code, quantity }, ...] }
+router.post('/quote', async (req, res) => {
+    try {
+        const { order, error } = await buildOrder(req.body.items);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        res.json({ success: true, order });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to price these tests' });
+    }
+});
+
+module.exports = router;
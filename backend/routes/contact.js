@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const Contact = require('../models/Contact');
+const { authorize } = require('../middleware/auth');
 
 // Submit contact form
 router.post('/', async (req, res) => {
@@ -37,8 +38,8 @@ router.post('/', async (req, res) => {
     }
 });
 
-// Get all contact messages (Admin only - add authentication in production)
-router.get('/', async (req, res) => {
+// Get all contact messages (Admin only)
+router.get('/', authorize('contacts:read'), async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 20;
@@ -77,7 +78,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get contact by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('contacts:read'), async (req, res) => {
     try {
         const contact = await Contact.findById(req.params.id);
         
@@ -102,7 +103,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Update contact status
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', authorize('contacts:manage'), async (req, res) => {
     try {
         const { status } = req.body;
         
@@ -141,7 +142,7 @@ router.patch('/:id/status', async (req, res) => {
 });
 
 // Mark contact as responded
-router.patch('/:id/respond', async (req, res) => {
+router.patch('/:id/respond', authorize('contacts:manage'), async (req, res) => {
     try {
         const contact = await Contact.findById(req.params.id);
         
@@ -169,7 +170,7 @@ router.patch('/:id/respond', async (req, res) => {
 });
 
 // Delete contact message
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('contacts:manage'), async (req, res) => {
     try {
         const contact = await Contact.findByIdAndDelete(req.params.id);
         
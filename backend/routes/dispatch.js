@@ -0,0 +1,318 @@
+/**
+ * Home Collection Dispatch for GOLDBOND LABORATORIES
+ *
+ * Dispatchers define collection zones, set each phlebotomist's zones, shifts
+ * and daily capacity, and assign home visits (automatically or by hand).
+ * Phlebotomists fetch their route sheet for the day and report each visit's
+ * progress from the field. Visits are created from home collection bookings
+ * by utils/dispatch.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const User = require('../models/User');
+const HomeVisit = require('../models/HomeVisit');
+const Collector = require('../models/Collector');
+const CollectionZone = require('../models/CollectionZone');
+const { authorize } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { labToday, toDateKey } = require('../utils/slots');
+const dispatch = require('../utils/dispatch');
+
+const ZONE_FIELDS = ['code', 'name', 'areas', 'center', 'radiusKm', 'active'];
+const COLLECTOR_FIELDS = ['zones', 'shifts', 'dailyCapacity', 'active'];
+const USER_FIELDS = 'firstName lastName phone';
+
+const pickFields = (fields, body) => fields.reduce((picked, key) => {
+    if (body[key] !== undefined) picked[key] = body[key];
+    return picked;
+}, {});
+
+const validationMessage = (err) => {
+    if (err.name === 'ValidationError') return Object.values(err.errors).map(error => error.message).join(', ');
+    if (err.name === 'CastError') return `Invalid ${err.path}`;
+    if (err.code === 11000) return 'Another zone already uses that code';
+    return null;
+};
+
+const findCollectorUser = (id) => User.findOne({ _id: id, role: 'phlebotomist', status: { $ne: 'inactive' } }).select(USER_FIELDS);
+
+// Lab-local today as "YYYY-MM-DD" unless ?date= is given
+const requestedDate = (req) => toDateKey(req.query.date || req.body.date || labToday());
+
+// ---------------------- ZONES ----------------------
+router.get('/zones', authorize('visits:read'), async (req, res) => {
+    try {
+        const zones = await CollectionZone.find().sort({ name: 1 });
+        res.json({ success: true, zones });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load zones' });
+    }
+});
+
+router.post('/zones', authorize('visits:manage'), async (req, res) => {
+    try {
+        const zone = await CollectionZone.create(pickFields(ZONE_FIELDS, req.body));
+        res.status(201).json({ success: true, message: 'Zone created', zone });
+    } catch (err) {
+        const message = validationMessage(err);
+        if (message) return res.status(400).json({ success: false, message });
+        res.status(500).json({ success: false, message: 'Failed to create zone' });
+    }
+});
+
+// New areas only tag visits booked (or changed) from now on
+router.put('/zones/:id', authorize('visits:manage'), async (req, res) => {
+    try {
+        const zone = await CollectionZone.findById(req.params.id);
+        if (!zone) return res.status(404).json({ success: false, message: 'Zone not found' });
+
+        zone.set(pickFields(ZONE_FIELDS, req.body));
+        await zone.save();
+
+        res.json({ success: true, message: 'Zone updated', zone });
+    } catch (err) {
+        const message = validationMessage(err);
+        if (message) return res.status(400).json({ success: false, message });
+        res.status(500).json({ success: false, message: 'Failed to update zone' });
+    }
+});
+
+router.delete('/zones/:id', authorize('visits:manage'), async (req, res) => {
+    try {
+        const zone = await CollectionZone.findById(req.params.id);
+        if (!zone) return res.status(404).json({ success: false, message: 'Zone not found' });
+
+        if (await HomeVisit.exists({ zone: zone._id, status: { $in: HomeVisit.OPEN_STATUSES } }))
+            return res.status(409).json({
+                success: false,
+                message: 'This zone has visits still to be made. Deactivate it instead.'
+            });
+
+        await Collector.updateMany({ zones: zone._id }, { $pull: { zones: zone._id } });
+        await zone.deleteOne();
+
+        res.json({ success: true, message: 'Zone deleted' });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to delete zone' });
+    }
+});
+
+// ---------------------- COLLECTORS ----------------------
+// Phlebotomist accounts with their dispatch profile (defaults until one is saved)
+router.get('/collectors', authorize('visits:read'), async (req, res) => {
+    try {
+        const [users, profiles] = await Promise.all([
+            User.find({ role: 'phlebotomist', status: { $ne: 'inactive' } }).select(USER_FIELDS).sort({ firstName: 1 }),
+            Collector.find()
+        ]);
+
+        const byUser = new Map(profiles.map(profile => [String(profile.user), profile]));
+
+        res.json({
+            success: true,
+            collectors: users.map(user => ({
+                user,
+                profile: byUser.get(String(user._id)) || new Collector({ user: user._id })
+            }))
+        });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load collectors' });
+    }
+});
+
+// Body: { zones: [zoneId], shifts: [{ days: [1..5], start: "07:00", end: "15:00" }], dailyCapacity, active }
+router.put('/collectors/:userId', authorize('visits:manage'), async (req, res) => {
+    try {
+        const user = await findCollectorUser(req.params.userId);
+        if (!user) return res.status(404).json({ success: false, message: 'Phlebotomist not found' });
+
+        const profile = await Collector.findOne({ user: user._id }) || new Collector({ user: user._id });
+        profile.set(pickFields(COLLECTOR_FIELDS, req.body));
+        await profile.save();
+
+        res.json({ success: true, message: 'Collector updated', collector: { user, profile } });
+    } catch (err) {
+        const message = validationMessage(err);
+        if (message) return res.status(400).json({ success: false, message });
+        res.status(500).json({ success: false, message: 'Failed to update collector' });
+    }
+});
+
+// ---------------------- VISITS ----------------------
+// ?date= (default today) &status= &collector= &zone=
+router.get('/visits', authorize('visits:read'), async (req, res) => {
+    try {
+        const filter = { date: requestedDate(req) };
+        if (req.query.status) filter.status = String(req.query.status);
+        if (req.query.collector) filter.collector = String(req.query.collector);
+        if (req.query.zone) filter.zone = String(req.query.zone);
+
+        const visits = await HomeVisit.find(filter)
+            .populate('collector', USER_FIELDS)
+            .populate('zone', 'code name')
+            .sort({ windowStart: 1, createdAt: 1 });
+
+        res.json({ success: true, date: filter.date, count: visits.length, visits });
+    } catch (err) {
+        const message = validationMessage(err);
+        if (message) return res.status(400).json({ success: false, message });
+        res.status(500).json({ success: false, message: 'Failed to load visits' });
+    }
+});
+
+// Assign every unassigned visit on the day to the collectors on shift
+router.post('/visits/auto-assign', authorize('visits:manage'), async (req, res) => {
+    try {
+        const date = requestedDate(req);
+        if (!date) return res.status(400).json({ success: false, message: 'Please choose a valid date' });
+
+        const { assigned, unassigned } = await dispatch.autoAssignDay(date);
+
+        res.json({
+            success: true,
+            message: `${assigned.length} visit(s) assigned` +
+                (unassigned.length > 0 ? `, ${unassigned.length} still need a collector` : ''),
+            assigned: assigned.length,
+            unassigned: unassigned.map(visit => visit._id)
+        });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to assign visits' });
+    }
+});
+
+// Body: { collector: userId } or { collector: null } to unassign
+router.put('/visits/:id/assign', authorize('visits:manage'), async (req, res) => {
+    try {
+        const visit = await HomeVisit.findById(req.params.id);
+        if (!visit) return res.status(404).json({ success: false, message: 'Visit not found' });
+
+        let collector = null;
+        if (req.body.collector) {
+            collector = await findCollectorUser(req.body.collector);
+            if (!collector) return res.status(400).json({ success: false, message: 'Phlebotomist not found' });
+        }
+
+        const updated = await dispatch.assignTo(visit, collector && collector._id, req.user._id);
+        if (!updated)
+            return res.status(409).json({
+                success: false,
+                message: `This visit is already ${visit.status.replace(/_/g, ' ')} and can no longer be reassigned`
+            });
+
+        res.json({ success: true, message: collector ? 'Visit assigned' : 'Visit unassigned', visit: updated });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to assign visit' });
+    }
+});
+
+// Pin the visit's coordinates and/or zone by hand, e.g. after calling the patient.
+// Body: { coordinates: { lat, lng }, zone: zoneId }
+router.put('/visits/:id/place', authorize('visits:manage'), async (req, res) => {
+    try {
+        const { coordinates, zone } = req.body;
+        const update = {};
+
+        if (coordinates !== undefined) {
+            if (!CollectionZone.hasPoint(coordinates))
+                return res.status(400).json({ success: false, message: 'Coordinates need a numeric lat and lng' });
+            update.coordinates = { lat: coordinates.lat, lng: coordinates.lng };
+            update.coordinatesSource = 'dispatch';
+        }
+
+        if (zone !== undefined) {
+            if (zone && !(await CollectionZone.exists({ _id: zone })))
+                return res.status(400).json({ success: false, message: 'Zone not found' });
+            if (zone) update.zone = zone;
+            else update.$unset = { zone: 1 };
+        }
+
+        const visit = await HomeVisit.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+        if (!visit) return res.status(404).json({ success: false, message: 'Visit not found' });
+
+        res.json({ success: true, message: 'Visit updated', visit: await dispatch.autoAssign(visit) });
+    } catch (err) {
+        const message = validationMessage(err);
+        if (message) return res.status(400).json({ success: false, message });
+        res.status(500).json({ success: false, message: 'Failed to update visit' });
+    }
+});
+
+// ---------------------- FIELD UPDATES ----------------------
+// Body: { status: en_route | arrived | collected | failed, note, coordinates }
+// Collectors update their own visits; dispatchers can update any.
+router.patch('/visits/:id/status', authorize(), async (req, res) => {
+    try {
+        const canDispatch = hasPermission(req.user.role, 'visits:manage');
+        if (!canDispatch && !hasPermission(req.user.role, 'visits:field'))
+            return res.status(403).json({ message: 'Access denied: insufficient permissions', required: ['visits:field'] });
+
+        const { status, note, coordinates } = req.body;
+        if (!HomeVisit.FIELD_STATUSES.includes(status))
+            return res.status(400).json({ success: false, message: `Status must be one of: ${HomeVisit.FIELD_STATUSES.join(', ')}` });
+
+        if (status === 'failed' && !(note && String(note).trim()))
+            return res.status(400).json({ success: false, message: 'Please say why the visit failed' });
+
+        const visit = await HomeVisit.findById(req.params.id);
+        if (!visit || !(canDispatch || (visit.collector && visit.collector.equals(req.user._id))))
+            return res.status(404).json({ success: false, message: 'Visit not found' });
+
+        if (!visit.canTransitionTo(status))
+            return res.status(409).json({
+                success: false,
+                code: 'INVALID_TRANSITION',
+                message: `A visit that is ${visit.status.replace(/_/g, ' ')} cannot be marked ${status.replace(/_/g, ' ')}`,
+                status: visit.status,
+                allowed: HomeVisit.STATUS_TRANSITIONS[visit.status].filter(next => HomeVisit.FIELD_STATUSES.includes(next))
+            });
+
+        const updated = await dispatch.recordFieldStatus(visit, status, { by: req.user._id, note, coordinates });
+        if (!updated)
+            return res.status(409).json({ success: false, message: 'This visit was changed by someone else. Please reload and try again.' });
+
+        res.json({ success: true, message: 'Visit updated', visit: updated });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to update visit' });
+    }
+});
+
+// ---------------------- ROUTE SHEETS ----------------------
+// ?date= (default today). Collectors get their own sheet; dispatchers pass ?collector=
+router.get('/route-sheet', authorize(), async (req, res) => {
+    try {
+        const canRead = hasPermission(req.user.role, 'visits:read');
+        if (!canRead && !hasPermission(req.user.role, 'visits:field'))
+            return res.status(403).json({ message: 'Access denied: insufficient permissions', required: ['visits:field'] });
+
+        const date = requestedDate(req);
+        if (!date) return res.status(400).json({ success: false, message: 'Please choose a valid date' });
+
+        const collector = canRead && req.query.collector
+            ? await findCollectorUser(req.query.collector)
+            : req.user;
+        if (!collector) return res.status(404).json({ success: false, message: 'Phlebotomist not found' });
+
+        const visits = await dispatch.routeSheet(collector._id, date);
+
+        res.json({
+            success: true,
+            date,
+            collector: { _id: collector._id, firstName: collector.firstName, lastName: collector.lastName, phone: collector.phone },
+            stops: visits.map((visit, i) => ({
+                stop: i + 1,
+                visit,
+                tests: visit.booking ? visit.booking.testsLabel : undefined,
+                preparation: visit.booking ? visit.booking.preparationNotes : [],
+                mapUrl: CollectionZone.hasPoint(visit.coordinates)
+                    ? `https://www.google.com/maps/search/?api=1&query=${visit.coordinates.lat},${visit.coordinates.lng}`
+                    : `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(visit.address || '')}`
+            }))
+        });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to build route sheet' });
+    }
+});
+
+module.exports = router;
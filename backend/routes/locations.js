@@ -0,0 +1,79 @@
+/**
+ * Public list of GOLDBOND LABORATORIES locations
+ *
+ * Used by the booking forms and the chatbot. Only active locations are
+ * listed; admins manage them through /api/admin/locations. Upcoming holidays
+ * and closures are listed here too. Staff calendar feeds are served behind
+ * the signed link admins hand out.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const Location = require('../models/Location');
+const Booking = require('../models/Booking');
+const Closure = require('../models/Closure');
+const calendar = require('../utils/calendar');
+const { STAFF_FEED_DAYS } = require('../config/calendar');
+const { labToday } = require('../utils/slots');
+
+const PUBLIC_FIELDS = 'code name type address coordinates phone schedule supportedTests';
+
+// Closures listed publicly at a time
+const UPCOMING_CLOSURES = 20;
+
+router.get('/', async (req, res) => {
+    try {
+        const locations = await Location.find({ active: true })
+            .select(PUBLIC_FIELDS)
+            .sort({ sortOrder: 1, name: 1 });
+
+        res.json({ success: true, locations });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load locations' });
+    }
+});
+
+// Holidays and closures that haven't ended yet (lab-wide ones have no location)
+router.get('/closures', async (req, res) => {
+    try {
+        const closures = await Closure.find({ endDate: { $gte: labToday() } })
+            .select('location startDate endDate startTime endTime kind reason')
+            .populate('location', 'code name')
+            .sort({ startDate: 1, startTime: 1 })
+            .limit(UPCOMING_CLOSURES);
+
+        res.json({ success: true, closures });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load closures' });
+    }
+});
+
+// Appointments at a location from today (lab time) for STAFF_FEED_DAYS
+router.get('/feed/:token.ics', async (req, res) => {
+    try {
+        const locationId = calendar.feedTokenOwnerId(req.params.token);
+        const location = locationId && await Location.findById(locationId);
+
+        if (!calendar.verifyFeedToken('location', location, req.params.token))
+            return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+
+        // Booking dates are stored as UTC midnight of the lab-local day
+        const today = new Date(labToday());
+        const until = new Date(today.getTime() + STAFF_FEED_DAYS * 24 * 60 * 60 * 1000);
+
+        const bookings = await Booking.find({
+            location: location._id,
+            appointmentDate: { $gte: today, $lt: until }
+        }).populate('location', 'code name type address schedule').sort({ appointmentDate: 1, appointmentTime: 1 });
+
+        calendar.sendCalendar(res, calendar.buildCalendar({
+            name: `GOLDBOND ${location.name} appointments`,
+            events: bookings.map(booking => calendar.bookingEvent(booking, { staff: true }))
+        }));
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to build calendar feed' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+/**
+ * Partner API for referring clinics, hospitals and doctors
+ *
+ * Authenticated with an X-API-Key header (see models/ApiClient.js). Every
+ * query is scoped to the calling client, so a partner only ever sees the
+ * bookings it created and the results that came from them.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const Booking = require('../models/Booking');
+const TestResult = require('../models/TestResult');
+const Location = require('../models/Location');
+const { apiKeyAuth } = require('../middleware/auth');
+const { checkLocation, checkSlot, checkClosure } = require('../utils/slots');
+const { buildOrder } = require('../utils/pricing');
+
+// Fields a partner may set when referring a patient
+const BOOKING_FIELDS = [
+    'fullName', 'email', 'phone', 'testType', 'appointmentDate', 'appointmentTime',
+    'location', 'address', 'notes', 'referralReference', 'items'
+];
+
+const PARTNER_BOOKING_FIELDS = 'bookingId referralReference fullName email phone testType items subtotal discounts total currency appointmentDate appointmentTime location status createdAt updatedAt';
+
+const PARTNER_LOCATION_FIELDS = 'code name address phone';
+
+// Internal notes, feedback and account links stay with the lab
+const PARTNER_RESULT_FIELDS = '-feedback -patientId -dependentId -retainUntil -isViewed -viewedAt -referredBy';
+
+// Results are released to partners once the lab has finished them
+const RELEASED_STATUSES = ['completed', 'verified'];
+
+const pagination = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+const formatResult = (result) => {
+    const obj = result.toObject();
+    obj.reportUrl = result.pdfUrl;
+    return obj;
+};
+
+// ------------------------------------------------------------
+// ---------------------- BOOKINGS ----------------------------
+// ------------------------------------------------------------
+
+router.post('/bookings', apiKeyAuth('bookings:create'), async (req, res) => {
+    try {
+        const data = BOOKING_FIELDS.reduce((fields, key) => {
+            if (req.body[key] !== undefined) fields[key] = req.body[key];
+            return fields;
+        }, {});
+
+        // Catalog codes (see GET /api/catalog), priced by the lab
+        if (data.items !== undefined) {
+            const { order, error } = await buildOrder(data.items);
+            if (error) return res.status(400).json({ success: false, message: error });
+            Object.assign(data, order);
+        }
+
+        // Accepts the location's id or code (see GET /api/locations)
+        const location = await Location.resolve(data.location);
+        const locationError = checkLocation(location, data);
+        if (locationError)
+            return res.status(400).json({ success: false, message: locationError });
+
+        const booking = new Booking({
+            ...data,
+            location: location._id,
+            patientName: data.fullName,
+            referredBy: req.apiClient._id
+        });
+        await booking.validate();
+
+        const slotError = checkSlot(location, booking.appointmentDate, booking.appointmentTime) ||
+            await checkClosure(location, booking.appointmentDate, booking.appointmentTime);
+        if (slotError)
+            return res.status(400).json({ success: false, message: slotError });
+
+        if (!(await booking.reserveSlot(location)))
+            return res.status(409).json({ success: false, message: 'This time slot is fully booked' });
+
+        try {
+            await booking.save();
+        } catch (error) {
+            await booking.releaseSlot();
+            throw error;
+        }
+
+        // The confirmation only carries a check-in code for branch visits
+        await booking.populate('location', 'code name type address phone');
+
+        await booking.sendConfirmationEmail();
+        await booking.sendSMSNotification();
+        await booking.scheduleReminders();
+        await booking.syncHomeVisit();
+
+        res.status(201).json({
+            success: true,
+            booking: await Booking.findById(booking._id).select(PARTNER_BOOKING_FIELDS).populate('location', PARTNER_LOCATION_FIELDS)
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError')
+            return res.status(400).json({ success: false, message: error.message });
+
+        console.error('Partner booking error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create booking' });
+    }
+});
+
+router.get('/bookings', apiKeyAuth('bookings:create'), async (req, res) => {
+    try {
+        const { page, limit, skip } = pagination(req.query);
+        const filter = { referredBy: req.apiClient._id };
+        if (req.query.status) filter.status = String(req.query.status);
+        if (req.query.referralReference) filter.referralReference = String(req.query.referralReference);
+
+        const [bookings, total] = await Promise.all([
+            Booking.find(filter).select(PARTNER_BOOKING_FIELDS).populate('location', PARTNER_LOCATION_FIELDS).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            Booking.countDocuments(filter)
+        ]);
+
+        res.json({ success: true, bookings, page, limit, total });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load bookings' });
+    }
+});
+
+router.get('/bookings/:bookingId', apiKeyAuth('bookings:create'), async (req, res) => {
+    try {
+        const booking = await Booking.findOne({ bookingId: req.params.bookingId, referredBy: req.apiClient._id })
+            .select(PARTNER_BOOKING_FIELDS)
+            .populate('location', PARTNER_LOCATION_FIELDS);
+
+        if (!booking)
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+
+        res.json({ success: true, booking });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load booking' });
+    }
+});
+
+// ------------------------------------------------------------
+// ---------------------- RESULTS -----------------------------
+// ------------------------------------------------------------
+
+// ?since=<ISO date> returns only results released or updated after that time,
+// so partners can poll for new results
+router.get('/results', apiKeyAuth('results:read:own-referrals'), async (req, res) => {
+    try {
+        const { page, limit, skip } = pagination(req.query);
+        const filter = { referredBy: req.apiClient._id, status: { $in: RELEASED_STATUSES } };
+
+        if (req.query.since) {
+            const since = new Date(String(req.query.since));
+            if (isNaN(since))
+                return res.status(400).json({ success: false, message: 'since must be a valid date' });
+            filter.updatedAt = { $gt: since };
+        }
+
+        const [results, total] = await Promise.all([
+            TestResult.find(filter).select(PARTNER_RESULT_FIELDS).sort({ updatedAt: -1 }).skip(skip).limit(limit),
+            TestResult.countDocuments(filter)
+        ]);
+
+        res.json({ success: true, results: results.map(formatResult), page, limit, total });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load results' });
+    }
+});
+
+router.get('/results/:reg', apiKeyAuth('results:read:own-referrals'), async (req, res) => {
+    try {
+        const result = await TestResult.findOne({
+            registrationNumber: req.params.reg,
+            referredBy: req.apiClient._id,
+            status: { $in: RELEASED_STATUSES }
+        }).select(PARTNER_RESULT_FIELDS);
+
+        if (!result)
+            return res.status(404).json({ success: false, message: 'Result not found' });
+
+        res.json({ success: true, result: formatResult(result) });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load result' });
+    }
+});
+
+module.exports = router;
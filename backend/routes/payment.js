@@ -6,7 +6,7 @@ const axios = require('axios');
 const Payment = require('../models/Payment');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
-const { protect, adminAuth } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 
 // Paystack configuration
 const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY || 'sk_test_your_secret_key';
@@ -21,23 +21,85 @@ const verifyPaystackSignature = (payload, signature) => {
   return hash === signature;
 };
 
+// Record the booking as paid and confirm it if it was still pending
+const markBookingPaid = async (booking) => {
+  await Booking.updateOne({ _id: booking._id }, { paymentStatus: 'paid', updatedAt: Date.now() });
+
+  if (booking.canTransitionTo('confirmed')) {
+    await booking.transitionTo('confirmed', { actorType: 'system', reason: 'Payment received' });
+  }
+};
+
+// Ask Paystack to send `amount` of a charge back to the patient. Resolves to
+// Paystack's refund record, which may still be pending on their side.
+const refundWithPaystack = async (payment, amount, reason) => {
+  const response = await axios.post(
+    'https://api.paystack.co/refund',
+    { transaction: payment.reference, amount: Math.round(amount * 100), currency: payment.currency, merchant_note: reason },
+    { headers: { Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`, 'Content-Type': 'application/json' } }
+  );
+
+  if (!response.data.status) throw new Error(response.data.message || 'Paystack did not accept the refund');
+  return response.data.data;
+};
+
+// Record a refund of `amount` from a payment in its booking's history, with
+// the staff member and reason. The booking only counts as refunded once the
+// whole payment has gone back.
+const markBookingRefunded = async (payment, amount, { actor, reason }) => {
+  const booking = await Booking.findById(payment.booking);
+  if (!booking) return;
+
+  const fullyRefunded = payment.status === 'refunded';
+  const changes = { refundAmount: { from: payment.refundAmount - amount, to: payment.refundAmount } };
+  const update = {
+    updatedAt: Date.now(),
+    $push: {
+      history: {
+        action: fullyRefunded ? 'refunded' : 'partially_refunded',
+        changes,
+        reason,
+        actor,
+        actorType: 'staff'
+      }
+    }
+  };
+
+  if (fullyRefunded && booking.paymentStatus !== 'refunded') {
+    changes.paymentStatus = { from: booking.paymentStatus, to: 'refunded' };
+    update.paymentStatus = 'refunded';
+  }
+
+  await Booking.updateOne({ _id: booking._id }, update);
+};
+
 // -------------------------
 // Initialize Payment
 // -------------------------
 router.post('/initialize', protect, async (req, res) => {
   try {
-    const { bookingId, amount, paymentMethod = 'card', currency = 'NGN' } = req.body;
+    const { bookingId, paymentMethod = 'card' } = req.body;
 
-    if (!bookingId || !amount) {
-      return res.status(400).json({ error: 'Booking ID and amount are required' });
+    if (!bookingId) {
+      return res.status(400).json({ error: 'Booking ID is required' });
     }
 
     const booking = await Booking.findOne({ _id: bookingId, user: req.user._id });
     if (!booking) return res.status(404).json({ error: 'Booking not found' });
 
+    // The amount is always the booking's server-computed total; anything the
+    // client sends is ignored
+    if (!(booking.total > 0)) {
+      return res.status(400).json({ error: 'This booking has no priced tests to pay for online. Please pay at the lab.' });
+    }
+    if (booking.paymentStatus === 'paid') return res.status(400).json({ error: 'This booking has already been paid for' });
+
+    const amount = booking.total;
+    const currency = booking.currency;
+
     const existingPayment = await Payment.findOne({
       booking: bookingId,
-      status: { $in: ['completed', 'processing'] }
+      status: { $in: ['completed', 'processing', 'partially_refunded'] }
     });
     if (existingPayment) return res.status(400).json({ error: 'Payment already exists for this booking' });
 
@@ -48,10 +110,13 @@ router.post('/initialize', protect, async (req, res) => {
       currency,
       paymentMethod,
       paymentProvider: paymentMethod === 'cash' ? 'cash' : 'paystack',
-      description: `Payment for ${booking.testType} - ${booking.referenceNumber}`,
+      description: `Payment for ${booking.testsLabel} - ${booking.bookingId}`,
       metadata: {
-        bookingReference: booking.referenceNumber,
+        bookingReference: booking.bookingId,
         testType: booking.testType,
+        items: booking.items.map(item => ({ code: item.code, quantity: item.quantity, lineTotal: item.lineTotal })),
+        subtotal: booking.subtotal,
+        discounts: booking.discounts,
         customerName: `${req.user.firstName} ${req.user.lastName}`,
         customerEmail: req.user.email
       }
@@ -87,8 +152,8 @@ router.post('/initialize', protect, async (req, res) => {
           payment_id: payment._id.toString(),
           booking_id: bookingId,
           custom_fields: [
-            { display_name: 'Test Type', variable_name: 'test_type', value: booking.testType },
-            { display_name: 'Booking Reference', variable_name: 'booking_reference', value: booking.referenceNumber }
+            { display_name: 'Tests', variable_name: 'tests', value: booking.testsLabel },
+            { display_name: 'Booking Reference', variable_name: 'booking_reference', value: booking.bookingId }
           ]
         }
       },
@@ -146,11 +211,7 @@ router.post('/verify/:reference', protect, async (req, res) => {
       if (verificationData.status === 'success') {
         await payment.markAsCompleted(verificationData.id, verificationData);
 
-        if (payment.booking) {
-          payment.booking.status = 'confirmed';
-          payment.booking.paymentStatus = 'paid';
-          await payment.booking.save();
-        }
+        if (payment.booking) await markBookingPaid(payment.booking);
       } else {
         await payment.markAsFailed('Payment verification failed', verificationData);
       }
@@ -177,7 +238,7 @@ router.get('/user', protect, async (req, res) => {
     if (endDate) query.createdAt.$lte = new Date(endDate);
 
     const payments = await Payment.find(query)
-      .populate('booking', 'testType referenceNumber scheduledDate')
+      .populate('booking', 'bookingId testType items total appointmentDate')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -222,6 +283,59 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// -------------------------
+// Refund Payment (Staff)
+// -------------------------
+// Paystack payments are refunded through Paystack before anything is recorded;
+// cash and bank transfer refunds are paid back at the lab and only recorded here.
+// Without an amount, whatever is left of the payment is refunded.
+router.post('/:id/refund', authorize('payments:refund'), async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) return res.status(404).json({ error: 'Payment not found' });
+
+    const refundAmount = amount !== undefined ? Number(amount) : payment.amount - payment.refundAmount;
+    if (!(refundAmount > 0)) {
+      return res.status(400).json({ error: 'Refund amount must be greater than zero' });
+    }
+
+    const refundError = payment.refundError(refundAmount);
+    if (refundError) return res.status(400).json({ error: refundError });
+
+    const refundReason = reason || `Refunded by ${req.user.email}`;
+
+    let refundResponse;
+    if (payment.paymentProvider === 'paystack') {
+      try {
+        refundResponse = await refundWithPaystack(payment, refundAmount, refundReason);
+      } catch (providerError) {
+        console.error('Paystack refund error:', providerError.response?.data || providerError.message);
+        return res.status(502).json({
+          error: 'Paystack did not accept the refund, so nothing was refunded',
+          message: providerError.response?.data?.message || providerError.message
+        });
+      }
+    }
+
+    await payment.processRefund(refundAmount, refundReason, refundResponse);
+
+    if (payment.booking) {
+      await markBookingRefunded(payment, refundAmount, { actor: req.user._id, reason: refundReason });
+    }
+
+    res.json({
+      success: true,
+      message: refundResponse ? 'Refund sent to Paystack' : 'Refund recorded; pay it back to the patient at the lab',
+      payment
+    });
+  } catch (error) {
+    console.error('Refund payment error:', error.message);
+    res.status(500).json({ error: 'Failed to refund payment', message: error.message });
+  }
+});
+
 // -------------------------
 // Paystack Webhook
 // -------------------------
@@ -241,11 +355,7 @@ router.post('/webhook/paystack', express.raw({ type: 'application/json' }), asyn
         await payment.markAsCompleted(transactionId, event.data);
 
         const booking = await Booking.findById(payment.booking);
-        if (booking) {
-          booking.status = 'confirmed';
-          booking.paymentStatus = 'paid';
-          await booking.save();
-        }
+        if (booking) await markBookingPaid(booking);
       }
     } else if (event.event === 'charge.failed') {
       const { reference } = event.data;
@@ -0,0 +1,225 @@
+/**
+ * Branch Reception Queue for GOLDBOND LABORATORIES
+ *
+ * Reception checks booked patients in by scanning the QR code from their
+ * booking confirmation, issues tickets to walk-ins, and calls patients to
+ * desks. The "now serving" display (frontend/pages/queue-display.html)
+ * follows a branch's queue over server-sent events. Branches are given by
+ * id or code; the public views only ever show ticket codes.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const Location = require('../models/Location');
+const Booking = require('../models/Booking');
+const QueueTicket = require('../models/QueueTicket');
+const { authorize } = require('../middleware/auth');
+const { labToday, toDateKey } = require('../utils/slots');
+const queue = require('../utils/queue');
+const { HEARTBEAT_SECONDS } = require('../config/queue');
+
+// Bookings that can still be checked in
+const CHECK_IN_STATUSES = ['pending', 'confirmed', 'checked_in'];
+
+// Ticket statuses reception sets by hand (calling is done with /call-next)
+const DESK_STATUSES = ['served', 'no_show', 'waiting', 'cancelled'];
+
+// Active branch from :location, or responds 404 and resolves to null
+const findBranch = async (req, res) => {
+    const location = await Location.resolve(req.params.location);
+
+    if (!location || !location.active || location.type === 'home') {
+        res.status(404).json({ success: false, message: 'Branch not found' });
+        return null;
+    }
+    return location;
+};
+
+const deskFrom = (value) => (value === undefined || value === null ? '' : String(value).trim().slice(0, 20));
+
+// ---------------------- PUBLIC DISPLAY ----------------------
+router.get('/:location', async (req, res) => {
+    try {
+        const location = await findBranch(req, res);
+        if (!location) return;
+
+        res.json({ success: true, queue: await queue.snapshot(location) });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load queue' });
+    }
+});
+
+// Server-sent events: a "queue" event with the snapshot on connect and
+// after every change
+router.get('/:location/stream', async (req, res) => {
+    try {
+        const location = await findBranch(req, res);
+        if (!location) return;
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const send = (snapshot) => res.write(`event: queue\ndata: ${JSON.stringify(snapshot)}\n\n`);
+        const unsubscribe = queue.subscribe(location, send);
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_SECONDS * 1000);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+
+        send(await queue.snapshot(location));
+    } catch {
+        if (!res.headersSent) return res.status(500).json({ success: false, message: 'Failed to open queue stream' });
+        res.end();
+    }
+});
+
+// ---------------------- RECEPTION ----------------------
+// Today's tickets with patient details; ?status= to filter
+router.get('/:location/tickets', authorize('queue:read'), async (req, res) => {
+    try {
+        const location = await findBranch(req, res);
+        if (!location) return;
+
+        const filter = { location: location._id, date: labToday() };
+        if (req.query.status) filter.status = String(req.query.status);
+
+        const tickets = await QueueTicket.find(filter).sort({ number: 1 });
+
+        res.json({ success: true, date: filter.date, tickets, queue: await queue.snapshot(location) });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load tickets' });
+    }
+});
+
+// Body: { code } as scanned from the booking's QR code
+router.post('/:location/check-in', authorize('queue:manage'), async (req, res) => {
+    try {
+        const location = await findBranch(req, res);
+        if (!location) return;
+
+        const booking = await Booking.findByCheckInCode(req.body.code);
+        if (!booking) return res.status(404).json({ success: false, message: 'This check-in code is not valid' });
+
+        if (!booking.location || !booking.location.equals(location._id))
+            return res.status(409).json({ success: false, message: `Booking ${booking.bookingId} is for a different branch` });
+
+        if (toDateKey(booking.appointmentDate) !== labToday())
+            return res.status(409).json({
+                success: false,
+                message: `Booking ${booking.bookingId} is for ${toDateKey(booking.appointmentDate)}, not today`
+            });
+
+        if (!CHECK_IN_STATUSES.includes(booking.status))
+            return res.status(409).json({
+                success: false,
+                message: `Booking ${booking.bookingId} is ${booking.status.replace(/_/g, ' ')} and cannot be checked in`
+            });
+
+        const checkedIn = await queue.checkInBooking(location, booking, req.user._id);
+        if (!checkedIn)
+            return res.status(409).json({ success: false, message: 'This booking was changed by someone else. Please scan again.' });
+
+        res.status(checkedIn.repeat ? 200 : 201).json({
+            success: true,
+            message: checkedIn.repeat
+                ? `${checkedIn.ticket.name} is already checked in as ${checkedIn.ticket.code}`
+                : `${checkedIn.ticket.name} checked in as ${checkedIn.ticket.code}`,
+            ticket: checkedIn.ticket,
+            booking: {
+                bookingId: checkedIn.booking.bookingId,
+                appointmentTime: checkedIn.booking.appointmentTime,
+                testsLabel: checkedIn.booking.testsLabel,
+                status: checkedIn.booking.status
+            },
+            estimatedWaitMinutes: (await queue.snapshot(location)).estimatedWaitMinutes
+        });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to check in' });
+    }
+});
+
+// Body: { name, phone?, note? }
+router.post('/:location/walk-in', authorize('queue:manage'), async (req, res) => {
+    try {
+        const location = await findBranch(req, res);
+        if (!location) return;
+
+        const { name, phone, note } = req.body;
+        if (!name || !String(name).trim())
+            return res.status(400).json({ success: false, message: 'Please enter the patient\'s name' });
+
+        const ticket = await queue.issueTicket(location, { kind: 'walk_in', name, phone, note }, req.user._id);
+
+        res.status(201).json({
+            success: true,
+            message: `Ticket ${ticket.code} issued`,
+            ticket,
+            estimatedWaitMinutes: (await queue.snapshot(location)).estimatedWaitMinutes
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError')
+            return res.status(400).json({ success: false, message: Object.values(err.errors).map(error => error.message).join(', ') });
+        res.status(500).json({ success: false, message: 'Failed to issue ticket' });
+    }
+});
+
+// Body: { desk }. The desk's current patient is marked served.
+router.post('/:location/call-next', authorize('queue:manage'), async (req, res) => {
+    try {
+        const location = await findBranch(req, res);
+        if (!location) return;
+
+        const desk = deskFrom(req.body.desk);
+        if (!desk) return res.status(400).json({ success: false, message: 'Please say which desk is calling' });
+
+        const ticket = await queue.callNext(location, desk, req.user._id);
+
+        res.json({
+            success: true,
+            message: ticket ? `${ticket.code} called to desk ${desk}` : 'Nobody is waiting',
+            ticket
+        });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to call the next patient' });
+    }
+});
+
+// Body: { status: served | no_show | waiting | cancelled }
+router.patch('/tickets/:id', authorize('queue:manage'), async (req, res) => {
+    try {
+        const { status } = req.body;
+        if (!DESK_STATUSES.includes(status))
+            return res.status(400).json({ success: false, message: `Status must be one of: ${DESK_STATUSES.join(', ')}` });
+
+        const ticket = await QueueTicket.findById(req.params.id);
+        if (!ticket) return res.status(404).json({ success: false, message: 'Ticket not found' });
+
+        if (!ticket.canTransitionTo(status))
+            return res.status(409).json({
+                success: false,
+                code: 'INVALID_TRANSITION',
+                message: `Ticket ${ticket.code} is ${ticket.status.replace(/_/g, ' ')} and cannot be marked ${status.replace(/_/g, ' ')}`,
+                status: ticket.status,
+                allowed: QueueTicket.STATUS_TRANSITIONS[ticket.status]
+            });
+
+        const location = await Location.findById(ticket.location);
+        const updated = await queue.setTicketStatus(location, ticket, status);
+        if (!updated)
+            return res.status(409).json({ success: false, message: 'This ticket was changed by someone else. Please reload and try again.' });
+
+        res.json({ success: true, message: 'Ticket updated', ticket: updated });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to update ticket' });
+    }
+});
+
+module.exports = router;
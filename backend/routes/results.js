@@ -4,7 +4,19 @@ const path = require('path');
 const router = express.Router();
 const TestResult = require('../models/TestResult');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const Booking = require('../models/Booking');
+const LoginEvent = require('../models/LoginEvent');
+const { protect, authorize, requireVerifiedEmail } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { getClientIp } = require('../utils/authTokens');
+const { phoneVariants } = require('../utils/phone');
+const {
+    throttleKeys,
+    checkLoginAllowed,
+    recordLoginFailure,
+    clearLoginFailures,
+    sendTooManyAttempts
+} = require('../utils/loginThrottle');
 
 // Master upload folder
 const PUBLIC_UPLOAD_URL = '/uploads/';
@@ -43,8 +55,45 @@ router.post('/login', async (req, res) => {
             });
         }
 
-        const result = await TestResult.findByCredentials(registrationNumber, phone);
+        // Phone numbers are easy to guess, so throttle per registration number and IP
+        const throttle = [throttleKeys.results(registrationNumber), throttleKeys.ip(getClientIp(req))];
+        const allowed = await checkLoginAllowed(throttle);
+        if (!allowed.allowed) {
+            await LoginEvent.record(req, {
+                identifier: registrationNumber,
+                method: 'results-credentials',
+                outcome: 'blocked',
+                reason: 'too_many_attempts'
+            });
+            return sendTooManyAttempts(res, allowed);
+        }
+
+        let result;
+        try {
+            result = await TestResult.findByCredentials(registrationNumber, phone);
+        } catch (error) {
+            await recordLoginFailure(throttle, { req, loginType: 'results' });
+
+            // Attach failed guesses to the patient whose result was targeted
+            const targeted = await TestResult.findOne({ registrationNumber }).select('patientId');
+            await LoginEvent.record(req, {
+                user: targeted?.patientId,
+                identifier: registrationNumber,
+                method: 'results-credentials',
+                outcome: 'failure',
+                reason: targeted ? 'invalid_phone' : 'unknown_registration_number'
+            });
+            throw error;
+        }
+
+        await clearLoginFailures([throttleKeys.results(registrationNumber)]);
         await result.markAsViewed();
+        await LoginEvent.record(req, {
+            user: result.patientId,
+            identifier: registrationNumber,
+            method: 'results-credentials',
+            outcome: 'success'
+        });
 
         res.json({
             success: true,
@@ -63,7 +112,7 @@ router.post('/login', async (req, res) => {
 // ==============================
 // CREATE NEW TEST RESULT
 // ==============================
-router.post('/', async (req, res) => {
+router.post('/', authorize('results:create'), async (req, res) => {
     try {
         const data = { ...req.body };
 
@@ -72,22 +121,45 @@ router.post('/', async (req, res) => {
             data.reportPdfUrl = PUBLIC_UPLOAD_URL + fileName;
         }
 
+        // Referrals are only ever derived from the booking
+        delete data.referredBy;
         const result = new TestResult(data);
 
-        // Link to user if found
+        if (data.bookingId) {
+            const booking = await Booking.findOne({ bookingId: data.bookingId });
+            if (!booking) {
+                return res.status(400).json({ success: false, message: 'Booking not found' });
+            }
+            result.booking = booking._id;
+            result.referredBy = booking.referredBy;
+        }
+
+        // Link to user if found (an explicit patientId from staff wins)
         try {
-            const orConditions = [];
-            if (result.email) orConditions.push({ email: result.email.toLowerCase() });
-            if (result.phone) orConditions.push({ phone: result.phone });
-
-            if (orConditions.length > 0) {
-                const user = await User.findOne({ $or: orConditions });
-                if (user) {
-                    result.patientId = user._id;
-                    user.testResults.push(result._id);
-                    await user.save();
+            let user = data.patientId ? await User.findById(data.patientId) : null;
+
+            if (!user) {
+                const orConditions = [];
+                if (result.email) orConditions.push({ email: result.email.toLowerCase() });
+                if (result.phone) orConditions.push({ phone: { $in: phoneVariants(result.phone) } });
+
+                if (orConditions.length > 0) {
+                    user = await User.findOne({ $or: orConditions });
                 }
             }
+
+            if (user) {
+                result.patientId = user._id;
+
+                // Family accounts share contact details, so pick the dependent by id or name
+                const dependent = data.dependentId
+                    ? user.dependents.id(data.dependentId)
+                    : user.findDependentByName(result.patientName);
+                result.dependentId = dependent ? dependent._id : undefined;
+
+                user.testResults.push(result._id);
+                await user.save();
+            }
         } catch {}
 
         await result.save();
@@ -110,7 +182,7 @@ router.post('/', async (req, res) => {
 // ==============================
 // GET RESULTS
 // ==============================
-router.get('/', async (req, res) => {
+router.get('/', authorize('results:read'), async (req, res) => {
     try {
         const { page = 1, limit = 20 } = req.query;
 
@@ -138,7 +210,7 @@ router.get('/', async (req, res) => {
 });
 
 // Logged-in user
-router.get('/user-results', protect, async (req, res) => {
+router.get('/user-results', protect, requireVerifiedEmail, async (req, res) => {
     try {
         const userId = req.user._id;
         const results = await TestResult.find({ patientId: userId }).sort({ reportDate: -1 });
@@ -154,8 +226,8 @@ router.get('/user-results', protect, async (req, res) => {
     }
 });
 
-// Patient ID
-router.get('/patient/:id', async (req, res) => {
+// Patient ID (staff)
+router.get('/patient/:id', authorize('results:read'), async (req, res) => {
     try {
         const results = await TestResult.find({ patientId: req.params.id })
             .sort({ reportDate: -1 });
@@ -172,7 +244,7 @@ router.get('/patient/:id', async (req, res) => {
 });
 
 // Search
-router.get('/search', async (req, res) => {
+router.get('/search', authorize('results:read'), async (req, res) => {
     try {
         const q = {};
         if (req.query.patientName) q.patientName = { $regex: req.query.patientName, $options: 'i' };
@@ -191,8 +263,8 @@ router.get('/search', async (req, res) => {
     }
 });
 
-// Get by registration
-router.get('/:reg', async (req, res) => {
+// Get by registration (staff; patients use /login or /user-results)
+router.get('/:reg', authorize('results:read'), async (req, res) => {
     try {
         const result = await TestResult.findOne({ registrationNumber: req.params.reg });
 
@@ -209,7 +281,7 @@ router.get('/:reg', async (req, res) => {
 // ==============================
 // UPDATE RESULT (Admin editing)
 // ==============================
-router.put('/:reg', async (req, res) => {
+router.put('/:reg', authorize('results:update'), async (req, res) => {
     try {
         const update = { ...req.body, updatedAt: Date.now() };
 
@@ -218,14 +290,12 @@ router.put('/:reg', async (req, res) => {
             update.reportPdfUrl = PUBLIC_UPLOAD_URL + fileName;
         }
 
-        const result = await TestResult.findOneAndUpdate(
-            { registrationNumber: req.params.reg },
-            update,
-            { new: true }
-        );
+        const { result, status, error } = await TestResult.editByStaff(req.params.reg, update, {
+            canVerify: hasPermission(req.user.role, 'results:verify')
+        });
 
-        if (!result)
-            return res.status(404).json({ success: false, message: 'Result not found' });
+        if (error)
+            return res.status(status).json({ success: false, message: error });
 
         res.json({
             success: true,
@@ -241,16 +311,16 @@ router.put('/:reg', async (req, res) => {
 // ==============================
 // UPDATE STATUS
 // ==============================
-router.patch('/:reg/status', async (req, res) => {
+router.patch('/:reg/status', authorize('results:update'), async (req, res) => {
     try {
-        const result = await TestResult.findOneAndUpdate(
-            { registrationNumber: req.params.reg },
+        const { result, status, error } = await TestResult.editByStaff(
+            req.params.reg,
             { status: req.body.status, updatedAt: Date.now() },
-            { new: true }
+            { canVerify: hasPermission(req.user.role, 'results:verify') }
         );
 
-        if (!result)
-            return res.status(404).json({ success: false, message: 'Result not found' });
+        if (error)
+            return res.status(status).json({ success: false, message: error });
 
         res.json({
             success: true,
@@ -266,7 +336,7 @@ router.patch('/:reg/status', async (req, res) => {
 // ==============================
 // DELETE RESULT
 // ==============================
-router.delete('/:reg', async (req, res) => {
+router.delete('/:reg', authorize('results:delete'), async (req, res) => {
     try {
         const result = await TestResult.findOneAndDelete({ registrationNumber: req.params.reg });
 
@@ -291,6 +361,10 @@ router.post('/:reg/feedback', protect, async (req, res) => {
         if (!result)
             return res.status(404).json({ success: false, message: 'Result not found' });
 
+        // Only the patient the result belongs to may leave feedback on it
+        if (!result.patientId || !result.patientId.equals(req.user._id))
+            return res.status(403).json({ success: false, message: 'You can only leave feedback on your own results' });
+
         result.feedback.push({
             userId: req.user._id,
             message,
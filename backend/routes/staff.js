@@ -0,0 +1,342 @@
+/**
+ * Staff Account Management for GOLDBOND LABORATORIES
+ *
+ * Super admins invite staff by email, assign roles and can deactivate
+ * accounts or force a password reset. Invitees choose their own password
+ * through the emailed link; nobody else ever sees it.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { authorize } = require('../middleware/auth');
+const { STAFF_ROLES } = require('../config/permissions');
+const sendEmail = require('../utils/sendEmail');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const STAFF_FIELDS = 'firstName lastName email phone role status twoFactor.enabled invitedBy invitedAt inviteTokenExpire passwordResetRequired lastLogin createdAt';
+
+const ROLE_LABELS = {
+    super_admin: 'Super Administrator',
+    admin: 'Administrator',
+    lab_technician: 'Lab Technician',
+    staff: 'Front Desk Staff',
+    phlebotomist: 'Phlebotomist'
+};
+
+const sendInviteEmail = (staff, inviteToken, invitedBy) => {
+    const inviteUrl = `${FRONTEND_URL}/pages/admin-login.html?inviteToken=${inviteToken}`;
+
+    return sendEmail({
+        to: staff.email,
+        subject: 'GOLDBOND LABORATORIES - You have been invited to the staff portal',
+        text: `Hello ${staff.firstName},\n\n` +
+            `${invitedBy.firstName} ${invitedBy.lastName} has invited you to the GOLDBOND LABORATORIES staff portal ` +
+            `as ${ROLE_LABELS[staff.role] || staff.role}.\n\n` +
+            `Open this link within 72 hours to choose your password and activate your account:\n${inviteUrl}\n\n` +
+            `If you were not expecting this invitation, you can ignore this email.`
+    });
+};
+
+// Keep at least one active super admin, or nobody could manage staff any more
+const isLastSuperAdmin = async (staff) => {
+    if (staff.role !== 'super_admin' || staff.status !== 'active') return false;
+    const activeSuperAdmins = await User.countDocuments({ role: 'super_admin', status: 'active' });
+    return activeSuperAdmins <= 1;
+};
+
+const findStaff = (id) => User.findOne({ _id: id, role: { $in: STAFF_ROLES } });
+
+// ------------------------------------------------------------
+// ---------------------- INVITATION (PUBLIC) -----------------
+// ------------------------------------------------------------
+
+const findByInviteToken = (token) => User.findOne({
+    inviteToken: User.hashToken(token),
+    inviteTokenExpire: { $gt: Date.now() },
+    status: 'invited'
+});
+
+// Lets the accept form show who the invitation is for
+router.get('/invite/:token', async (req, res) => {
+    try {
+        const staff = await findByInviteToken(req.params.token);
+
+        if (!staff)
+            return res.status(400).json({ success: false, message: 'Invitation link is invalid or has expired' });
+
+        res.json({
+            success: true,
+            invite: {
+                firstName: staff.firstName,
+                lastName: staff.lastName,
+                email: staff.email,
+                role: staff.role
+            }
+        });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load invitation' });
+    }
+});
+
+router.post('/invite/:token/accept', async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        const staff = await findByInviteToken(req.params.token);
+
+        if (!staff)
+            return res.status(400).json({ success: false, message: 'Invitation link is invalid or has expired' });
+
+        const minLength = User.minPasswordLength(staff.role);
+        if (!password || password.length < minLength)
+            return res.status(400).json({ success: false, message: `Password must be at least ${minLength} characters` });
+
+        staff.acceptInvite(password);
+        await staff.save();
+
+        res.json({ success: true, message: 'Your account is active. You can now sign in.' });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to accept invitation' });
+    }
+});
+
+// ------------------------------------------------------------
+// ---------------------- STAFF MANAGEMENT --------------------
+// ------------------------------------------------------------
+
+// ---------------------- LIST STAFF ----------------------
+router.get('/', authorize('staff:manage'), async (req, res) => {
+    try {
+        const filter = { role: { $in: STAFF_ROLES } };
+        if (STAFF_ROLES.includes(req.query.role)) filter.role = req.query.role;
+        if (req.query.status) filter.status = req.query.status;
+
+        const staff = await User.find(filter)
+            .select(STAFF_FIELDS)
+            .populate('invitedBy', 'firstName lastName email')
+            .sort({ createdAt: -1 });
+
+        res.json({ success: true, staff, roles: STAFF_ROLES });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load staff' });
+    }
+});
+
+// ---------------------- INVITE STAFF ----------------------
+router.post('/invite', authorize('staff:manage'), async (req, res) => {
+    try {
+        const { email, firstName, lastName, phone, role } = req.body;
+
+        if (!email || !firstName || !lastName || !phone || !role)
+            return res.status(400).json({ success: false, message: 'Email, first name, last name, phone and role are required' });
+
+        if (!STAFF_ROLES.includes(role))
+            return res.status(400).json({ success: false, message: `Role must be one of: ${STAFF_ROLES.join(', ')}` });
+
+        const existing = await User.findOne({ email: email.toLowerCase() });
+        if (existing)
+            return res.status(409).json({ success: false, message: 'An account with this email already exists' });
+
+        const staff = new User({
+            firstName,
+            lastName,
+            fullName: `${firstName} ${lastName}`,
+            email,
+            phone,
+            role,
+            status: 'invited',
+            // Placeholder nobody knows; replaced when the invitation is accepted
+            password: crypto.randomBytes(32).toString('hex'),
+            invitedBy: req.user._id,
+            invitedAt: new Date()
+        });
+
+        const inviteToken = staff.getInviteToken();
+        await staff.save();
+
+        try {
+            await sendInviteEmail(staff, inviteToken, req.user);
+        } catch (mailError) {
+            console.error('Invite email error:', mailError);
+            return res.status(502).json({
+                success: false,
+                message: 'Staff account created but the invitation email could not be sent. Try resending it.',
+                staff: { id: staff._id, email: staff.email, role: staff.role, status: staff.status }
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Invitation sent to ${staff.email}`,
+            staff: { id: staff._id, email: staff.email, role: staff.role, status: staff.status }
+        });
+
+    } catch (err) {
+        res.status(400).json({ success: false, message: err.message || 'Failed to invite staff member' });
+    }
+});
+
+// ---------------------- RESEND INVITATION ----------------------
+router.post('/:id/resend-invite', authorize('staff:manage'), async (req, res) => {
+    try {
+        const staff = await findStaff(req.params.id);
+
+        if (!staff)
+            return res.status(404).json({ success: false, message: 'Staff member not found' });
+
+        if (staff.status !== 'invited')
+            return res.status(400).json({ success: false, message: 'This invitation has already been accepted' });
+
+        const inviteToken = staff.getInviteToken();
+        await staff.save({ validateBeforeSave: false });
+        await sendInviteEmail(staff, inviteToken, req.user);
+
+        res.json({ success: true, message: `Invitation resent to ${staff.email}` });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to resend invitation' });
+    }
+});
+
+// ---------------------- ASSIGN ROLE ----------------------
+router.put('/:id/role', authorize('staff:manage'), async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!STAFF_ROLES.includes(role))
+            return res.status(400).json({ success: false, message: `Role must be one of: ${STAFF_ROLES.join(', ')}` });
+
+        if (req.params.id === String(req.user._id))
+            return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+
+        const staff = await findStaff(req.params.id);
+
+        if (!staff)
+            return res.status(404).json({ success: false, message: 'Staff member not found' });
+
+        if (role !== 'super_admin' && await isLastSuperAdmin(staff))
+            return res.status(400).json({ success: false, message: 'Cannot demote the last active super admin' });
+
+        staff.role = role;
+        await staff.save({ validateBeforeSave: false });
+
+        res.json({ success: true, message: 'Role updated', staff: { id: staff._id, email: staff.email, role: staff.role } });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to update role' });
+    }
+});
+
+// ---------------------- DEACTIVATE / REACTIVATE ----------------------
+router.post('/:id/deactivate', authorize('staff:manage'), async (req, res) => {
+    try {
+        if (req.params.id === String(req.user._id))
+            return res.status(400).json({ success: false, message: 'You cannot deactivate your own account' });
+
+        const staff = await findStaff(req.params.id);
+
+        if (!staff)
+            return res.status(404).json({ success: false, message: 'Staff member not found' });
+
+        if (await isLastSuperAdmin(staff))
+            return res.status(400).json({ success: false, message: 'Cannot deactivate the last active super admin' });
+
+        // Pending invitations are withdrawn as well
+        staff.status = 'inactive';
+        staff.inviteToken = undefined;
+        staff.inviteTokenExpire = undefined;
+        await staff.save({ validateBeforeSave: false });
+
+        const result = await Session.revokeAllForUser(staff._id, 'account_deactivated', req.user._id);
+
+        res.json({
+            success: true,
+            message: 'Staff account deactivated',
+            sessionsRevoked: result.modifiedCount
+        });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to deactivate staff account' });
+    }
+});
+
+router.post('/:id/reactivate', authorize('staff:manage'), async (req, res) => {
+    try {
+        const staff = await findStaff(req.params.id);
+
+        if (!staff)
+            return res.status(404).json({ success: false, message: 'Staff member not found' });
+
+        if (staff.status !== 'inactive')
+            return res.status(400).json({ success: false, message: `Account is ${staff.status}, not deactivated` });
+
+        // Deactivated before accepting the invitation: there is no password yet, so invite again
+        if (staff.invitedAt && !staff.emailVerified) {
+            staff.status = 'invited';
+            const inviteToken = staff.getInviteToken();
+            await staff.save({ validateBeforeSave: false });
+            await sendInviteEmail(staff, inviteToken, req.user);
+
+            return res.json({ success: true, message: `Invitation re-sent to ${staff.email}` });
+        }
+
+        staff.status = 'active';
+        await staff.save({ validateBeforeSave: false });
+
+        res.json({ success: true, message: 'Staff account reactivated' });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to reactivate staff account' });
+    }
+});
+
+// ---------------------- FORCE PASSWORD RESET ----------------------
+router.post('/:id/force-password-reset', authorize('staff:manage'), async (req, res) => {
+    try {
+        const staff = await findStaff(req.params.id);
+
+        if (!staff)
+            return res.status(404).json({ success: false, message: 'Staff member not found' });
+
+        if (staff.status !== 'active' && staff.status !== 'suspended')
+            return res.status(400).json({ success: false, message: `Account is ${staff.status}` });
+
+        staff.passwordResetRequired = true;
+        const resetToken = staff.getResetPasswordToken();
+        await staff.save({ validateBeforeSave: false });
+
+        const result = await Session.revokeAllForUser(staff._id, 'password_reset_forced', req.user._id);
+
+        const resetUrl = `${FRONTEND_URL}/pages/login.html?resetToken=${resetToken}`;
+        try {
+            await sendEmail({
+                to: staff.email,
+                subject: 'GOLDBOND LABORATORIES - Password reset required',
+                text: `An administrator has required you to choose a new password for the GOLDBOND LABORATORIES staff portal.\n\n` +
+                    `Open this link within 30 minutes to set it:\n${resetUrl}\n\n` +
+                    `If the link expires, use "Forgot Password" on the login page to get a new one.`
+            });
+        } catch (mailError) {
+            console.error('Forced reset email error:', mailError);
+        }
+
+        res.json({
+            success: true,
+            message: 'Password reset required. The staff member has been signed out and emailed a reset link.',
+            sessionsRevoked: result.modifiedCount
+        });
+
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to force password reset' });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
+const { authorize } = require("../middleware/auth");
 
 // Root uploads folder (global)
 const ROOT_UPLOAD_DIR = path.join(__dirname, "../../uploads");
@@ -40,7 +41,7 @@ const upload = multer({
 // ===============================
 // UPLOAD NEW RESULT PDF
 // ===============================
-router.post("/result", upload.single("pdf"), (req, res) => {
+router.post("/result", authorize("uploads:manage"), upload.single("pdf"), (req, res) => {
     if (!req.file) {
         return res.status(400).json({
             success: false,
@@ -58,7 +59,7 @@ router.post("/result", upload.single("pdf"), (req, res) => {
 // ===============================
 // REPLACE EXISTING PDF (ADMIN USE)
 // ===============================
-router.post("/replace", upload.single("pdf"), (req, res) => {
+router.post("/replace", authorize("uploads:manage"), upload.single("pdf"), (req, res) => {
     const oldPath = req.body.oldPath; // "/uploads/old.pdf"
 
     if (!req.file) {
@@ -89,7 +90,7 @@ router.post("/replace", upload.single("pdf"), (req, res) => {
 // ===============================
 // DELETE UPLOADED PDF FILE
 // ===============================
-router.delete("/delete", (req, res) => {
+router.delete("/delete", authorize("uploads:manage"), (req, res) => {
     const { fileUrl } = req.body; // "/uploads/xxx.pdf"
 
     if (!fileUrl)
@@ -0,0 +1,338 @@
+/**
+ * Appointment waitlist for GOLDBOND LABORATORIES
+ *
+ * Patients whose slot is taken can wait for a place at a location on a day,
+ * within a window of start times. When a booking in that window gives its
+ * place back the first patient waiting is sent a time-limited claim link
+ * (see utils/waitlist.js); claiming it turns the held place into a booking.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const Booking = require('../models/Booking');
+const Location = require('../models/Location');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const jobs = require('../utils/jobs');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { buildOrder } = require('../utils/pricing');
+const { checkLocation, checkSlot, getDayAvailability, slotTimes, toDateKey } = require('../utils/slots');
+const { getSchedule } = require('../config/schedules');
+const { ACTIVE_STATUSES, EXPIRY_JOB, jobKey, withdrawOffer } = require('../utils/waitlist');
+
+const LOCATION_FIELDS = 'code name type address phone';
+
+const isOwner = (req, entry) => Boolean(req.user && entry.user && entry.user.equals(req.user._id));
+
+// The booking an entry turns into when its offer for `time` is claimed.
+// `order` is the priced catalog order, if the entry has items.
+const bookingFor = (entry, time, order) => {
+    const { details } = entry;
+    const booking = new Booking({
+        fullName: details.fullName,
+        email: details.email,
+        phone: details.phone,
+        dependent: details.dependent,
+        patientName: details.patientName || details.fullName,
+        testType: details.testType,
+        address: details.address,
+        notes: details.notes,
+        location: entry.location,
+        appointmentDate: entry.date,
+        appointmentTime: time,
+        user: entry.user,
+        // The place was reserved when it was offered
+        slotReserved: true
+    });
+
+    if (order) booking.set(order);
+    return booking;
+};
+
+// ----------------------------------------------------------------------------
+// POST /api/waitlist - join the waitlist (patients)
+// Body: { location, date, windowStart?, windowEnd?, items?, testType?,
+//         dependentId?, address?, notes? }
+// ----------------------------------------------------------------------------
+router.post('/', protect, async (req, res) => {
+    try {
+        const { date, windowStart = '00:00', windowEnd = '23:59', dependentId, items, testType, address, notes } = req.body;
+
+        if (items === undefined && !testType) {
+            return res.status(400).json({ success: false, message: 'Please choose the tests you are waiting for' });
+        }
+
+        let order;
+        if (items !== undefined) {
+            const built = await buildOrder(items);
+            if (built.error) return res.status(400).json({ success: false, message: built.error });
+            order = built.order;
+        }
+
+        const location = await Location.resolve(req.body.location);
+        const locationError = checkLocation(location, { testType, address, ...order });
+        if (locationError) return res.status(400).json({ success: false, message: locationError });
+
+        const dateKey = toDateKey(date);
+        if (!dateKey) return res.status(400).json({ success: false, message: 'Please choose a valid date' });
+
+        const { reason, slots } = await getDayAvailability(location, dateKey);
+        if (reason) {
+            return res.status(400).json({ success: false, message: `This location is closed on that day (${reason})` });
+        }
+
+        // Only worth waiting for real, upcoming slots in the window, outside any closure
+        const closedTimes = slots.filter(slot => slot.closedReason).map(slot => slot.time);
+        const schedule = getSchedule(location);
+        const times = slotTimes(schedule).filter(time =>
+            time >= windowStart && time <= windowEnd && !checkSlot(location, dateKey, time) && !closedTimes.includes(time));
+        if (times.length === 0) {
+            return res.status(400).json({ success: false, message: 'There are no appointment times in that window' });
+        }
+
+        const open = slots.filter(slot => times.includes(slot.time) && slot.remaining > 0);
+        if (open.length > 0) {
+            return res.status(409).json({
+                success: false,
+                code: 'SLOTS_AVAILABLE',
+                message: 'There are still free places in that window. Please book one of them.',
+                times: open.map(slot => slot.time)
+            });
+        }
+
+        const alreadyWaiting = await WaitlistEntry.exists({
+            user: req.user._id,
+            location: location._id,
+            date: dateKey,
+            status: { $in: ACTIVE_STATUSES }
+        });
+        if (alreadyWaiting) {
+            return res.status(409).json({ success: false, message: 'You are already on the waitlist for this day' });
+        }
+
+        const details = {
+            fullName: req.user.fullName || [req.user.firstName, req.user.lastName].filter(Boolean).join(' '),
+            email: req.user.email,
+            phone: req.user.phone,
+            testType,
+            items: order ? order.items.map(({ code, quantity }) => ({ code, quantity })) : [],
+            address,
+            notes
+        };
+
+        if (dependentId) {
+            const profile = req.user.dependents.id(dependentId);
+            if (!profile) return res.status(400).json({ success: false, message: 'Dependent not found on your account' });
+
+            details.dependent = profile._id;
+            details.patientName = profile.fullName;
+        }
+
+        const entry = new WaitlistEntry({
+            location: location._id,
+            date: dateKey,
+            windowStart,
+            windowEnd,
+            user: req.user._id,
+            details
+        });
+
+        // Checked now so an offer made later can always be claimed
+        await bookingFor(entry, times[0], order).validate();
+        await entry.save();
+
+        const ahead = await WaitlistEntry.countDocuments({
+            location: location._id,
+            date: dateKey,
+            status: 'waiting',
+            createdAt: { $lt: entry.createdAt }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'You are on the waitlist. We will send you a link if a place opens up.',
+            entry,
+            position: ahead + 1
+        });
+    } catch (error) {
+        const status = error.name === 'ValidationError' ? 400 : 500;
+        res.status(status).json({ success: false, message: status === 400 ? error.message : 'Failed to join the waitlist' });
+    }
+});
+
+// ----------------------------------------------------------------------------
+// GET /api/waitlist/mine - the patient's waitlist entries
+// ----------------------------------------------------------------------------
+router.get('/mine', protect, async (req, res) => {
+    try {
+        const entries = await WaitlistEntry.find({ user: req.user._id })
+            .populate('location', LOCATION_FIELDS)
+            .sort({ date: -1, createdAt: -1 });
+
+        res.json({ success: true, count: entries.length, entries });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to fetch your waitlist entries' });
+    }
+});
+
+// ----------------------------------------------------------------------------
+// GET /api/waitlist - all entries, filtered by ?date= ?location= ?status= (staff)
+// ----------------------------------------------------------------------------
+router.get('/', authorize('bookings:read'), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.date) filter.date = toDateKey(req.query.date);
+        if (req.query.status) filter.status = String(req.query.status);
+        if (req.query.location) {
+            const location = await Location.resolve(req.query.location);
+            if (!location) return res.status(400).json({ success: false, message: 'Location not found' });
+            filter.location = location._id;
+        }
+
+        const entries = await WaitlistEntry.find(filter)
+            .populate('location', LOCATION_FIELDS)
+            .sort({ date: 1, createdAt: 1 })
+            .limit(500);
+
+        res.json({ success: true, count: entries.length, entries });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to fetch the waitlist' });
+    }
+});
+
+// ----------------------------------------------------------------------------
+// GET /api/waitlist/:id/offer - the place held for an entry (owner or ?token=)
+// ----------------------------------------------------------------------------
+router.get('/:id/offer', optionalAuth, async (req, res) => {
+    try {
+        const entry = await WaitlistEntry.findById(req.params.id).populate('location', LOCATION_FIELDS);
+        if (!entry) return res.status(404).json({ success: false, message: 'Waitlist entry not found' });
+
+        if (!isOwner(req, entry) && !entry.verifyClaimToken(req.query.token)) {
+            return res.status(403).json({ success: false, message: 'This link is no longer valid' });
+        }
+
+        const available = entry.status === 'offered' && entry.offer.expiresAt > new Date();
+
+        res.json({
+            success: true,
+            available,
+            status: entry.status,
+            location: entry.location,
+            date: entry.date,
+            time: entry.offer && entry.offer.time,
+            expiresAt: entry.offer && entry.offer.expiresAt,
+            patientName: entry.details.patientName || entry.details.fullName
+        });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to load this offer' });
+    }
+});
+
+// ----------------------------------------------------------------------------
+// POST /api/waitlist/:id/claim - book the held place (owner or ?token=)
+// ----------------------------------------------------------------------------
+router.post('/:id/claim', optionalAuth, async (req, res) => {
+    try {
+        const entry = await WaitlistEntry.findById(req.params.id);
+        if (!entry) return res.status(404).json({ success: false, message: 'Waitlist entry not found' });
+
+        const token = req.query.token || req.body.token;
+        if (!isOwner(req, entry) && !entry.verifyClaimToken(token)) {
+            return res.status(403).json({ success: false, message: 'This link is no longer valid' });
+        }
+
+        if (entry.status !== 'offered' || entry.offer.expiresAt <= new Date()) {
+            return res.status(410).json({ success: false, message: 'Sorry, this place is no longer being held for you' });
+        }
+
+        let order;
+        if (entry.details.items.length > 0) {
+            const built = await buildOrder(entry.details.items);
+            if (built.error) return res.status(400).json({ success: false, message: built.error });
+            order = built.order;
+        }
+
+        const booking = bookingFor(entry, entry.offer.time, order);
+        await booking.validate();
+
+        // Claim the offer only while it is still running, so an expiring
+        // offer can't be both booked and passed on
+        const claimed = await WaitlistEntry.findOneAndUpdate(
+            {
+                _id: entry._id,
+                status: 'offered',
+                'offer.offeredAt': entry.offer.offeredAt,
+                'offer.expiresAt': { $gt: new Date() }
+            },
+            { status: 'claimed', booking: booking._id },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.status(410).json({ success: false, message: 'Sorry, this place is no longer being held for you' });
+        }
+
+        try {
+            await booking.save();
+        } catch (error) {
+            // Give the patient their offer back; the expiry job still stands
+            await WaitlistEntry.updateOne({ _id: entry._id, status: 'claimed' }, { status: 'offered', $unset: { booking: 1 } });
+            throw error;
+        }
+
+        await jobs.cancel(jobKey(entry), EXPIRY_JOB);
+
+        await booking.populate('location', LOCATION_FIELDS);
+        await booking.sendConfirmationEmail();
+        await booking.sendSMSNotification();
+        await booking.scheduleReminders();
+        await booking.syncHomeVisit();
+
+        const response = { success: true, message: 'Your booking is confirmed', booking };
+
+        // Guests manage the booking through this link (also sent by email/SMS)
+        if (!booking.user) {
+            response.manageToken = booking.generateManageToken();
+            response.manageUrl = booking.getManageUrl();
+        }
+
+        res.status(201).json(response);
+    } catch (error) {
+        const status = error.name === 'ValidationError' ? 400 : 500;
+        res.status(status).json({ success: false, message: status === 400 ? error.message : 'Failed to claim this place' });
+    }
+});
+
+// ----------------------------------------------------------------------------
+// DELETE /api/waitlist/:id - leave the waitlist (owner); a held place is
+// passed on to the next patient
+// ----------------------------------------------------------------------------
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const entry = await WaitlistEntry.findById(req.params.id);
+        if (!entry || !isOwner(req, entry)) {
+            return res.status(404).json({ success: false, message: 'Waitlist entry not found' });
+        }
+
+        let left = null;
+        if (entry.status === 'waiting') {
+            left = await WaitlistEntry.findOneAndUpdate(
+                { _id: entry._id, status: 'waiting' },
+                { status: 'cancelled' },
+                { new: true }
+            );
+        } else if (entry.status === 'offered') {
+            left = await withdrawOffer(entry, 'cancelled');
+        }
+
+        if (!left) {
+            return res.status(400).json({ success: false, message: 'You are no longer on the waitlist for this day' });
+        }
+
+        res.json({ success: true, message: 'You have left the waitlist', entry: left });
+    } catch {
+        res.status(500).json({ success: false, message: 'Failed to leave the waitlist' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+/**
+ * Seed the test catalog with GOLDBOND's standard tests and panels
+ *
+ * Usage:
+ *   node seedCatalog.js            add any missing items
+ *   node seedCatalog.js --dry-run  only report what would be added
+ *
+ * Items are matched by code, so existing ones (and any price changes made
+ * since) are left alone and it is safe to run more than once. Manage prices
+ * afterwards through /api/admin/catalog.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const CatalogItem = require('./models/CatalogItem');
+
+const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI || 'mongodb://localhost:27017/goldbond-lab';
+
+// Prices in Naira
+const DEFAULT_CATALOG = [
+    { code: 'full-blood-count', name: 'Complete Blood Count (CBC)', testType: 'blood', price: 5000, sortOrder: 1 },
+    { code: 'lipid-profile', name: 'Lipid Profile', testType: 'lipid', price: 6000, preparation: '10-12 hours fasting', sortOrder: 2 },
+    { code: 'fasting-blood-sugar', name: 'Fasting Blood Sugar', testType: 'diabetes', price: 4000, preparation: '8 hours fasting', sortOrder: 3 },
+    { code: 'hba1c', name: 'HbA1c', testType: 'diabetes', price: 7000, sortOrder: 4 },
+    { code: 'liver-function', name: 'Liver Function Test', testType: 'liver', price: 8000, sortOrder: 5 },
+    { code: 'kidney-function', name: 'Kidney Function Test (E/U/Cr)', testType: 'kidney', price: 7500, sortOrder: 6 },
+    { code: 'thyroid-function', name: 'Thyroid Function Test', testType: 'thyroid', price: 9000, sortOrder: 7 },
+    { code: 'vitamin-d', name: 'Vitamin D (25-OH)', testType: 'vitamin', price: 15000, sortOrder: 8 },
+    { code: 'urinalysis', name: 'Urinalysis', testType: 'other', price: 3000, sortOrder: 9 },
+    { code: 'hiv-screening', name: 'HIV Screening', testType: 'blood', price: 5000, sortOrder: 10 },
+    {
+        code: 'wellness-panel',
+        name: 'Wellness Panel',
+        kind: 'panel',
+        testType: 'other',
+        description: 'A yearly check-up: blood count, lipids, blood sugar, liver and kidney function',
+        includes: ['full-blood-count', 'lipid-profile', 'fasting-blood-sugar', 'liver-function', 'kidney-function'],
+        price: 25000,
+        preparation: '10-12 hours fasting',
+        sortOrder: 0
+    },
+    {
+        code: 'diabetes-panel',
+        name: 'Diabetes Panel',
+        kind: 'panel',
+        testType: 'diabetes',
+        includes: ['fasting-blood-sugar', 'hba1c', 'kidney-function'],
+        price: 16000,
+        preparation: '8 hours fasting',
+        sortOrder: 0
+    }
+];
+
+async function seedCatalog() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        await mongoose.connect(MONGO_URI);
+        console.log(`Connected to ${mongoose.connection.name}${dryRun ? ' (dry run)' : ''}`);
+
+        let added = 0;
+        for (const item of DEFAULT_CATALOG) {
+            if (await CatalogItem.exists({ code: item.code })) continue;
+
+            if (!dryRun) await CatalogItem.create(item);
+            console.log(`➕ ${dryRun ? 'Would add' : 'Added'} ${item.code} (${item.name}, ₦${item.price})`);
+            added++;
+        }
+
+        console.log(`✅ Catalog seeded: ${added} item(s) ${dryRun ? 'to add' : 'added'}, ${DEFAULT_CATALOG.length - added} already present`);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+seedCatalog()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
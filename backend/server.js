@@ -9,6 +9,13 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Proxies allowed to set X-Forwarded-For, so req.ip is the real client (login
+// throttling and lockouts key on it). TRUST_PROXY is a hop count or a list of
+// addresses/subnets, e.g. "loopback" for nginx on the same host; unset, the
+// header is ignored because anyone can send it.
+const TRUST_PROXY = process.env.TRUST_PROXY || false;
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
 // =========================
 // MIDDLEWARE
 // =========================
@@ -20,22 +27,27 @@ app.use('/api/payments/webhook/paystack', express.raw({ type: 'application/json'
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
-// =========================
-// DATABASE
-// =========================
-const connectDB = require('./config/database');
-connectDB();
-
 // =========================
 // ROUTES
 // =========================
+app.use('/api/admin/staff', require('./routes/staff'));
+app.use('/api/admin/api-clients', require('./routes/apiClients'));
+app.use('/api/admin/locations', require('./routes/adminLocations'));
+app.use('/api/admin/catalog', require('./routes/adminCatalog'));
+app.use('/api/admin/closures', require('./routes/adminClosures'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/bookings', require('./routes/booking'));
+app.use('/api/locations', require('./routes/locations'));
+app.use('/api/catalog', require('./routes/catalog'));
+app.use('/api/waitlist', require('./routes/waitlist'));
+app.use('/api/dispatch', require('./routes/dispatch'));     // home collection visits
+app.use('/api/queue', require('./routes/queue'));           // branch reception queue
 app.use('/api/contact', require('./routes/contact'));
 app.use('/api/results', require('./routes/results'));
 app.use('/api/payments', require('./routes/payment'));
 app.use('/api/upload', require('./routes/upload'));       // NEW UPLOAD SYSTEM
+app.use('/api/partner', require('./routes/partner'));     // referring clinics (API keys)
 
 // =========================
 // STATIC FILES
@@ -80,27 +92,108 @@ app.get('/api/docs', (req, res) => {
                 routes: [
                     'POST /register',
                     'POST /login',
+                    'POST /otp/request',
+                    'POST /otp/verify',
+                    'POST /refresh',
+                    'POST /logout',
+                    'POST /logout-all',
+                    'GET /sessions',
+                    'DELETE /sessions/:id',
+                    'GET /login-history',
+                    'GET /me/export',
+                    'GET /me/deletion-request',
+                    'POST /me/deletion-request',
+                    'DELETE /me/deletion-request',
                     'GET /profile',
-                    'PUT /profile'
+                    'PUT /profile',
+                    'GET /dependents',
+                    'POST /dependents',
+                    'PUT /dependents/:id',
+                    'DELETE /dependents/:id',
+                    'PUT /change-password',
+                    'POST /forgot-password',
+                    'POST /reset-password/:token',
+                    'GET /verify-email/:token',
+                    'POST /resend-verification'
                 ]
             },
             bookings: {
                 base: '/api/bookings',
                 routes: [
-                    'POST /',
-                    'GET /user',
-                    'GET /:id',
+                    'POST / (items: [{ code, quantity }] from /api/catalog)',
+                    'GET /mine',
+                    'GET /feed (calendar subscription link)',
+                    'POST /feed/reset',
+                    'GET /feed/:token.ics',
+                    'GET /user/:email',
+                    'GET /:id (owner, staff or ?token= manage link)',
+                    'GET /check-in/:code.png (QR code from the confirmation)',
+                    'GET /:id/calendar.ics (owner, staff or ?token= manage link)',
+                    'GET /:id/check-in (owner, staff or ?token= manage link)',
                     'PUT /:id',
+                    'POST /:id/reschedule (owner, staff or ?token= manage link)',
+                    'DELETE /:id (owner, staff or ?token= manage link)',
+                    'GET /slots/:date?location=<id or code>'
+                ]
+            },
+            locations: {
+                base: '/api/locations',
+                routes: ['GET /', 'GET /closures (upcoming holidays and closures)', 'GET /feed/:token.ics (staff calendar feed)']
+            },
+            catalog: {
+                base: '/api/catalog',
+                routes: ['GET /', 'POST /quote']
+            },
+            waitlist: {
+                base: '/api/waitlist',
+                routes: [
+                    'POST / (location, date, windowStart, windowEnd)',
+                    'GET /mine',
+                    'GET / (staff)',
+                    'GET /:id/offer (owner or ?token= claim link)',
+                    'POST /:id/claim (owner or ?token= claim link)',
                     'DELETE /:id'
                 ]
             },
+            dispatch: {
+                base: '/api/dispatch',
+                auth: 'staff (visits:read / visits:manage); phlebotomists for their own visits',
+                routes: [
+                    'GET /zones',
+                    'POST /zones',
+                    'PUT /zones/:id',
+                    'DELETE /zones/:id',
+                    'GET /collectors',
+                    'PUT /collectors/:userId (zones, shifts, dailyCapacity)',
+                    'GET /visits?date=',
+                    'POST /visits/auto-assign',
+                    'PUT /visits/:id/assign',
+                    'PUT /visits/:id/place (coordinates, zone)',
+                    'PATCH /visits/:id/status (en_route, arrived, collected, failed)',
+                    'GET /route-sheet?date=&collector='
+                ]
+            },
+            queue: {
+                base: '/api/queue',
+                auth: 'public display; staff (queue:read / queue:manage) for reception',
+                routes: [
+                    'GET /:location (id or code)',
+                    'GET /:location/stream (server-sent events)',
+                    'GET /:location/tickets',
+                    'POST /:location/check-in (code from the booking QR)',
+                    'POST /:location/walk-in (name, phone, note)',
+                    'POST /:location/call-next (desk)',
+                    'PATCH /tickets/:id (served, no_show, waiting, cancelled)'
+                ]
+            },
             payments: {
                 base: '/api/payments',
                 routes: [
-                    'POST /initialize',
+                    'POST /initialize (charges the booking total)',
                     'POST /verify/:reference',
                     'GET /user',
                     'GET /:id',
+                    'POST /:id/refund',
                     'POST /webhook/paystack',
                     'GET /config/public-key'
                 ]
@@ -116,6 +209,17 @@ app.get('/api/docs', (req, res) => {
             contact: {
                 base: '/api/contact',
                 routes: ['POST /']
+            },
+            partner: {
+                base: '/api/partner',
+                auth: 'X-API-Key header',
+                routes: [
+                    'POST /bookings',
+                    'GET /bookings',
+                    'GET /bookings/:bookingId',
+                    'GET /results',
+                    'GET /results/:reg'
+                ]
             }
         }
     });
@@ -235,26 +339,56 @@ app.use('*', (req, res) => {
     });
 });
 
-// =========================
-// SHUTDOWN HANDLERS
-// =========================
-process.on('SIGTERM', () => {
-    console.log('🛑 SIGTERM received. Closing DB...');
-    mongoose.connection.close(() => process.exit(0));
-});
-process.on('SIGINT', () => {
-    console.log('🛑 SIGINT received. Closing DB...');
-    mongoose.connection.close(() => process.exit(0));
-});
-
 // =========================
 // START SERVER
 // =========================
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`🏥 GOLDBOND LABORATORIES API is ready!`);
-    console.log(`📁 Uploads folder: /uploads`);
-    console.log(`📚 Docs: http://localhost:${PORT}/api/docs`);
-});
+// Only when run directly (npm start); tests require the app without a
+// database connection or an open port
+if (require.main === module) {
+    const connectDB = require('./config/database');
+    const jobs = require('./utils/jobs');
+    const Booking = require('./models/Booking');
+    const reminders = require('./utils/reminders'); // registers the appointment reminder jobs
+    require('./utils/waitlist');  // registers the waitlist offer expiry jobs
+
+    connectDB().then(async () => {
+        // Bookings made before the slot counters existed
+        try {
+            const counted = await Booking.backfillSlotReservations();
+            if (counted > 0) console.log(`🗓️  Counted ${counted} earlier booking(s) into slot capacity`);
+        } catch (error) {
+            console.error('Slot backfill error:', error.message);
+        }
+
+        // Bookings made before reminders existed
+        try {
+            const reminded = await reminders.backfillReminders();
+            if (reminded > 0) console.log(`⏰ Scheduled reminders for ${reminded} earlier booking(s)`);
+        } catch (error) {
+            console.error('Reminder backfill error:', error.message);
+        }
+
+        // Reminders and other scheduled jobs (stored in Mongo, see utils/jobs.js)
+        jobs.start();
+    });
+
+    process.on('SIGTERM', () => {
+        console.log('🛑 SIGTERM received. Closing DB...');
+        jobs.stop();
+        mongoose.connection.close(() => process.exit(0));
+    });
+    process.on('SIGINT', () => {
+        console.log('🛑 SIGINT received. Closing DB...');
+        jobs.stop();
+        mongoose.connection.close(() => process.exit(0));
+    });
+
+    app.listen(PORT, () => {
+        console.log(`🚀 Server running on port ${PORT}`);
+        console.log(`🏥 GOLDBOND LABORATORIES API is ready!`);
+        console.log(`📁 Uploads folder: /uploads`);
+        console.log(`📚 Docs: http://localhost:${PORT}/api/docs`);
+    });
+}
 
 module.exports = app;
@@ -0,0 +1,100 @@
+// Staff editing a patient: only profile details can be changed
+//
+// Runs against the real Express app with no database; the session and user
+// lookups and the update are replaced per test.
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const app = require('../server');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { signAccessToken } = require('../utils/authTokens');
+
+const originals = {
+    findSession: Session.findById,
+    findUser: User.findById,
+    update: User.findOneAndUpdate
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+    Session.findById = originals.findSession;
+    User.findById = originals.findUser;
+    User.findOneAndUpdate = originals.update;
+});
+
+// Access token for a signed-in admin
+const signInAsAdmin = () => {
+    const admin = new User({ firstName: 'Bola', lastName: 'Ade', email: 'bola@example.com', role: 'admin' });
+    const session = new Session({
+        user: admin._id,
+        refreshTokenHash: Session.hashToken('admin-refresh'),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    Session.findById = async (id) => (session._id.equals(id) ? session : null);
+    User.findById = () => ({ select: async () => admin });
+
+    return signAccessToken(admin, session);
+};
+
+const editPatient = (id, body) => fetch(`${baseUrl}/api/admin/patients/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${signInAsAdmin()}` },
+    body: JSON.stringify(body)
+});
+
+describe('PUT /api/admin/patients/:id', () => {
+    const patient = new User({ firstName: 'Ada', lastName: 'Obi', phone: '+2348031234567' });
+
+    test('applies profile details and ignores account and credential fields', async () => {
+        let call;
+        User.findOneAndUpdate = (filter, update, options) => {
+            call = { filter, update, options };
+            return { select: async () => patient };
+        };
+
+        const res = await editPatient(patient._id, {
+            firstName: 'Adaeze',
+            phone: '0803 765 4321',
+            email: 'attacker@example.com',
+            emailVerified: true,
+            status: 'active',
+            role: 'admin',
+            resetPasswordToken: 'known',
+            lockedUntil: null,
+            dependents: [],
+            anonymisedAt: null
+        });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(call.update, { firstName: 'Adaeze', phone: '+2348037654321' });
+        assert.equal(call.filter.role, 'user');
+        assert.equal(call.options.runValidators, true);
+    });
+
+    test('refuses a phone number that cannot be read', async () => {
+        let called = false;
+        User.findOneAndUpdate = () => { called = true; };
+
+        const res = await editPatient(patient._id, { phone: '12' });
+
+        assert.equal(res.status, 400);
+        assert.equal(called, false);
+    });
+});
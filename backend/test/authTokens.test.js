@@ -0,0 +1,90 @@
+// Refresh token rotation: each token works once, and a rotated-out token
+// presented again signs its session out
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { refreshSession } = require('../utils/authTokens');
+
+const originals = {
+    findOne: Session.findOne,
+    findOneAndUpdate: Session.findOneAndUpdate,
+    updateOne: Session.updateOne
+};
+
+afterEach(() => {
+    Session.findOne = originals.findOne;
+    Session.findOneAndUpdate = originals.findOneAndUpdate;
+    Session.updateOne = originals.updateOne;
+});
+
+// Mongoose query stand-in: chainable, and awaits to `result`
+const query = (result) => {
+    const chain = {
+        populate: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+};
+
+const user = new User({ firstName: 'Ada', lastName: 'Obi', email: 'ada@example.com' });
+
+const sessionFor = (refreshToken) => {
+    const session = new Session({
+        user: user._id,
+        refreshTokenHash: Session.hashToken(refreshToken),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    session.user = user;
+    return session;
+};
+
+describe('refreshSession', () => {
+    test('rotates only if the presented token is still current', async () => {
+        const session = sessionFor('first-token');
+        let filter;
+        let update;
+
+        Session.findOne = () => query(session);
+        Session.findOneAndUpdate = async (f, u) => {
+            filter = f;
+            update = u;
+            return session;
+        };
+
+        const refreshed = await refreshSession('first-token');
+
+        assert.ok(refreshed.token);
+        assert.notEqual(refreshed.refreshToken, 'first-token');
+        assert.deepEqual(filter, {
+            _id: session._id,
+            refreshTokenHash: Session.hashToken('first-token'),
+            revokedAt: { $exists: false }
+        });
+        assert.equal(update.$set.refreshTokenHash, Session.hashToken(refreshed.refreshToken));
+        assert.deepEqual(update.$push.previousRefreshTokenHashes.$each, [Session.hashToken('first-token')]);
+        assert.equal(session.refreshTokenHash, Session.hashToken(refreshed.refreshToken));
+    });
+
+    test('gives nothing to the loser of two refreshes racing with one token', async () => {
+        Session.findOne = () => query(sessionFor('first-token'));
+        Session.findOneAndUpdate = async () => null;
+
+        assert.equal(await refreshSession('first-token'), null);
+    });
+
+    test('revokes the session when a rotated-out token comes back', async () => {
+        let revoked;
+
+        Session.findOne = () => query(null);
+        Session.updateOne = async (filter, update) => { revoked = { filter, update }; };
+
+        assert.equal(await refreshSession('first-token'), null);
+        assert.deepEqual(revoked.filter, {
+            previousRefreshTokenHashes: Session.hashToken('first-token'),
+            revokedAt: { $exists: false }
+        });
+        assert.equal(revoked.update.$set.revokedReason, 'refresh_token_reuse');
+    });
+});
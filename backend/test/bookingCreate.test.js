@@ -0,0 +1,95 @@
+// Creating a booking: what the client may and may not set
+//
+// Runs against the real Express app with no database; the location lookup
+// is replaced and validation is stopped early so the booking the route built
+// can be inspected.
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const app = require('../server');
+const Booking = require('../models/Booking');
+const Location = require('../models/Location');
+
+const originalResolve = Location.resolve;
+const originalValidate = Booking.prototype.validate;
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+    Location.resolve = originalResolve;
+    Booking.prototype.validate = originalValidate;
+});
+
+const branch = new Location({ code: 'main', name: 'Main Lab', type: 'branch' });
+
+// The booking POST /api/bookings built from `body`, as it was about to be saved
+const bookingBuiltFrom = async (body) => {
+    let built;
+
+    Location.resolve = async () => branch;
+    Booking.prototype.validate = async function() {
+        built = this;
+        throw new Error('Stopped before saving');
+    };
+
+    const res = await fetch(`${baseUrl}/api/bookings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    assert.equal(res.status, 400);
+    return built;
+};
+
+describe('POST /api/bookings', () => {
+    test('ignores an account and booking id sent by a guest', async () => {
+        const someoneElse = new mongoose.Types.ObjectId();
+
+        const booking = await bookingBuiltFrom({
+            fullName: 'Ada Obi',
+            phone: '+2348031234567',
+            testType: 'blood',
+            appointmentDate: '2030-06-03',
+            appointmentTime: '09:00',
+            location: 'main',
+            user: String(someoneElse),
+            bookingId: 'MLAB-CHOSEN'
+        });
+
+        assert.equal(booking.user, undefined);
+        assert.notEqual(booking.bookingId, 'MLAB-CHOSEN');
+    });
+
+    test('ignores server-set prices and status', async () => {
+        const booking = await bookingBuiltFrom({
+            fullName: 'Ada Obi',
+            phone: '+2348031234567',
+            testType: 'blood',
+            appointmentDate: '2030-06-03',
+            appointmentTime: '09:00',
+            location: 'main',
+            status: 'completed',
+            paymentStatus: 'paid',
+            total: 1
+        });
+
+        assert.equal(booking.status, 'pending');
+        assert.equal(booking.paymentStatus, 'unpaid');
+        assert.notEqual(booking.total, 1);
+    });
+});
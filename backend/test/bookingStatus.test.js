@@ -0,0 +1,98 @@
+// Booking lifecycle: which status changes are allowed and what they record
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/Booking');
+const Sample = require('../models/Sample');
+const jobs = require('../utils/jobs');
+
+const originalFindOneAndUpdate = Booking.findOneAndUpdate;
+const originalCreateForBooking = Sample.createForBooking;
+const originalCancelJobs = jobs.cancel;
+
+afterEach(() => {
+    Booking.findOneAndUpdate = originalFindOneAndUpdate;
+    Sample.createForBooking = originalCreateForBooking;
+    jobs.cancel = originalCancelJobs;
+});
+
+const bookingIn = (status) => new Booking({
+    fullName: 'Ada Obi',
+    phone: '+2348031234567',
+    testType: 'blood',
+    appointmentDate: new Date('2030-06-03'),
+    appointmentTime: '09:00',
+    location: new mongoose.Types.ObjectId(),
+    status
+});
+
+describe('allowed transitions', () => {
+    test('follows pending → confirmed → checked_in → sample_collected → completed', () => {
+        const path = ['pending', 'confirmed', 'checked_in', 'sample_collected', 'completed'];
+
+        for (let i = 0; i < path.length - 1; i++) {
+            assert.ok(bookingIn(path[i]).canTransitionTo(path[i + 1]), `${path[i]} → ${path[i + 1]}`);
+        }
+    });
+
+    test('final statuses cannot be left', () => {
+        for (const status of ['completed', 'cancelled', 'no_show']) {
+            assert.deepEqual(bookingIn(status).allowedTransitions(), []);
+        }
+        assert.equal(bookingIn('cancelled').canTransitionTo('completed'), false);
+    });
+
+    test('steps cannot be skipped', () => {
+        assert.equal(bookingIn('pending').canTransitionTo('completed'), false);
+        assert.equal(bookingIn('confirmed').canTransitionTo('sample_collected'), false);
+    });
+
+    test('transitionTo refuses a move the lifecycle does not allow', async () => {
+        await assert.rejects(bookingIn('cancelled').transitionTo('completed'), /cannot be moved to completed/);
+    });
+});
+
+describe('transitionTo', () => {
+    test('records the actor and time and only applies to the status it was loaded in', async () => {
+        const booking = bookingIn('confirmed');
+        const actor = new mongoose.Types.ObjectId();
+        let call;
+
+        Booking.findOneAndUpdate = async (filter, update) => {
+            call = { filter, update };
+            return null;
+        };
+
+        assert.equal(await booking.transitionTo('checked_in', { actor, actorType: 'staff' }), null);
+        assert.deepEqual(call.filter, { _id: booking._id, status: 'confirmed' });
+        assert.equal(call.update.status, 'checked_in');
+        assert.ok(call.update['statusChangedAt.checked_in']);
+        assert.deepEqual(call.update.$push.history, {
+            action: 'status_changed',
+            changes: { status: { from: 'confirmed', to: 'checked_in' } },
+            reason: undefined,
+            actor,
+            actorType: 'staff'
+        });
+    });
+
+    test('collecting the sample creates its sample record and drops the reminders', async () => {
+        const booking = bookingIn('checked_in');
+        const actor = new mongoose.Types.ObjectId();
+        const created = [];
+        const cancelledKeys = [];
+
+        jobs.cancel = async (key) => cancelledKeys.push(key);
+
+        Booking.findOneAndUpdate = async () => bookingIn('sample_collected');
+        Sample.createForBooking = async (b, collectedBy) => created.push({ b, collectedBy });
+
+        const updated = await booking.transitionTo('sample_collected', { actor, actorType: 'staff' });
+
+        assert.equal(updated.status, 'sample_collected');
+        assert.equal(created.length, 1);
+        assert.equal(created[0].collectedBy, actor);
+        assert.equal(cancelledKeys.length, 1);
+    });
+});
@@ -0,0 +1,104 @@
+// iCalendar export: event contents, line format and feed links
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/Booking');
+const Location = require('../models/Location');
+const calendar = require('../utils/calendar');
+
+const location = new Location({
+    code: 'ikeja',
+    name: 'Ikeja Branch',
+    address: '12 Allen Avenue, Ikeja',
+    schedule: { slotMinutes: 30 }
+});
+
+const bookingAt = (fields = {}) => {
+    const booking = new Booking({
+        fullName: 'Ada Obi',
+        phone: '+2348031234567',
+        testType: 'lipid',
+        appointmentDate: new Date('2030-06-03'),
+        appointmentTime: '09:00',
+        location: location._id,
+        ...fields
+    });
+    booking.location = location;
+    return booking;
+};
+
+// Unfolded "NAME:value" lines of an event
+const eventLines = (booking, options) => calendar.buildCalendar({ name: 'Test', events: [calendar.bookingEvent(booking, options)] })
+    .replace(/\r\n /g, '')
+    .split('\r\n');
+
+describe('bookingEvent', () => {
+    test('covers the slot in UTC at the booked location', () => {
+        const lines = eventLines(bookingAt({ status: 'confirmed' }));
+
+        // 09:00 lab time (UTC+1) for the location's 30 minute slot
+        assert.ok(lines.includes('DTSTART:20300603T080000Z'));
+        assert.ok(lines.includes('DTEND:20300603T083000Z'));
+        assert.ok(lines.includes('LOCATION:Ikeja Branch\\, 12 Allen Avenue\\, Ikeja'));
+        assert.ok(lines.includes('STATUS:CONFIRMED'));
+    });
+
+    test('gives patients their preparation notes and a reminder for each offset', () => {
+        const lines = eventLines(bookingAt());
+        const description = lines.find(line => line.startsWith('DESCRIPTION:Booking ID'));
+
+        assert.match(description, /Preparation:\\nFast for 10-12 hours/);
+        assert.match(description, /manage-booking\.html/);
+        assert.ok(lines.includes('TRIGGER:-PT24H'));
+        assert.ok(lines.includes('TRIGGER:-PT2H'));
+    });
+
+    test('drops reminders from cancelled bookings and marks them cancelled', () => {
+        const lines = eventLines(bookingAt({ status: 'cancelled' }));
+
+        assert.ok(lines.includes('STATUS:CANCELLED'));
+        assert.equal(lines.some(line => line === 'BEGIN:VALARM'), false);
+    });
+
+    test('staff events lead with the patient and skip the patient links', () => {
+        const lines = eventLines(bookingAt(), { staff: true });
+
+        assert.ok(lines.includes('SUMMARY:Ada Obi - lipid test'));
+        assert.equal(lines.some(line => line.includes('manage-booking')), false);
+        assert.equal(lines.some(line => line === 'BEGIN:VALARM'), false);
+    });
+});
+
+describe('line format', () => {
+    test('escapes text values', () => {
+        assert.equal(calendar.escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+    });
+
+    test('folds long lines at 75 octets without splitting characters', () => {
+        const folded = calendar.foldLine(`DESCRIPTION:${'₦'.repeat(60)}`);
+
+        for (const line of folded.split('\r\n')) {
+            assert.ok(Buffer.byteLength(line) <= 75);
+        }
+        assert.equal(folded.replace(/\r\n /g, ''), `DESCRIPTION:${'₦'.repeat(60)}`);
+    });
+});
+
+describe('feed tokens', () => {
+    const owner = { _id: new mongoose.Types.ObjectId(), calendarFeedVersion: 0 };
+
+    test('name their owner and only open feeds of the same kind', () => {
+        const token = calendar.feedToken('patient', owner);
+
+        assert.equal(calendar.feedTokenOwnerId(token), String(owner._id));
+        assert.ok(calendar.verifyFeedToken('patient', owner, token));
+        assert.equal(calendar.verifyFeedToken('location', owner, token), false);
+    });
+
+    test('stop working once the link is reset', () => {
+        const token = calendar.feedToken('patient', owner);
+
+        assert.equal(calendar.verifyFeedToken('patient', { ...owner, calendarFeedVersion: 1 }, token), false);
+    });
+});
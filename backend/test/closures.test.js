@@ -0,0 +1,161 @@
+// Holiday and closure calendar: which slots a closure takes off the
+// calendar and which bookings it asks to reschedule
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/Booking');
+const Closure = require('../models/Closure');
+const Location = require('../models/Location');
+const SlotReservation = require('../models/SlotReservation');
+const jobs = require('../utils/jobs');
+const closures = require('../utils/closures');
+const { checkClosure, getDayAvailability } = require('../utils/slots');
+
+const originals = {
+    forDay: Closure.forDay,
+    updateOne: Closure.updateOne,
+    findReservations: SlotReservation.find,
+    findBookings: Booking.find,
+    schedule: jobs.schedule
+};
+
+afterEach(() => {
+    Closure.forDay = originals.forDay;
+    Closure.updateOne = originals.updateOne;
+    SlotReservation.find = originals.findReservations;
+    Booking.find = originals.findBookings;
+    jobs.schedule = originals.schedule;
+});
+
+// Hourly slots 07:00-11:00 and 14:00-18:00 (default schedule)
+const branch = new Location({ code: 'main', name: 'Main Lab', type: 'branch' });
+const otherBranch = new Location({ code: 'barnawa', name: 'Barnawa', type: 'branch' });
+
+// 2030-06-03 is a Monday
+const closureFor = (fields = {}) => new Closure({
+    startDate: '2030-06-03',
+    reason: 'Staff training',
+    ...fields
+});
+
+const booking = (fields = {}) => new Booking({
+    fullName: 'Ada Obi',
+    phone: '+2348031234567',
+    testType: 'blood',
+    appointmentDate: new Date('2030-06-03'),
+    appointmentTime: '09:00',
+    location: branch,
+    status: 'confirmed',
+    ...fields
+});
+
+// Mongoose query stand-in: chainable, and awaits to `result`
+const query = (result) => {
+    const chain = {
+        sort: () => chain,
+        select: () => chain,
+        populate: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+};
+
+describe('Closure', () => {
+    test('a single day ends on the day it starts', async () => {
+        const closure = closureFor();
+        await closure.validate();
+
+        assert.equal(closure.endDate, '2030-06-03');
+        assert.ok(closure.allDay);
+    });
+
+    test('rejects a range that ends before it starts and half-given times', async () => {
+        await assert.rejects(closureFor({ endDate: '2030-06-01' }).validate(), /on or after its first day/);
+        await assert.rejects(closureFor({ startTime: '14:00' }).validate(), /both a start and an end time/);
+        await assert.rejects(closureFor({ startTime: '15:00', endTime: '14:00' }).validate(), /after the start time/);
+    });
+
+    test('part-day closures cover the slots that overlap them', async () => {
+        const closure = closureFor({ startTime: '14:30', endTime: '16:00' });
+        await closure.validate();
+
+        assert.equal(closure.coversSlot('2030-06-03', '14:00', 60), true);
+        assert.equal(closure.coversSlot('2030-06-03', '15:00', 60), true);
+        assert.equal(closure.coversSlot('2030-06-03', '16:00', 60), false);
+        assert.equal(closure.coversSlot('2030-06-04', '15:00', 60), false);
+        assert.equal(closure.coversDay('2030-06-03'), false);
+    });
+
+    test('lab-wide closures apply everywhere, branch closures only there', () => {
+        assert.ok(closureFor().appliesTo(otherBranch));
+        assert.ok(closureFor({ location: branch._id }).appliesTo(branch));
+        assert.equal(closureFor({ location: branch._id }).appliesTo(otherBranch), false);
+    });
+});
+
+describe('slots on closed days', () => {
+    test('a whole-day closure closes the day with its reason', async () => {
+        SlotReservation.find = () => query([]);
+        Closure.forDay = async () => [closureFor({ reason: 'Democracy Day', kind: 'holiday' })];
+
+        assert.deepEqual(await getDayAvailability(branch, '2030-06-03'), { closed: true, reason: 'Democracy Day', slots: [] });
+        assert.match(await checkClosure(branch, '2030-06-03', '09:00'), /closed on the selected day \(Democracy Day\)/);
+    });
+
+    test('a part-day closure leaves no places in the slots it covers', async () => {
+        SlotReservation.find = () => query([]);
+        Closure.forDay = async () => [closureFor({ startTime: '14:00', endTime: '16:00' })];
+
+        const { closed, slots } = await getDayAvailability(branch, '2030-06-03');
+        const byTime = Object.fromEntries(slots.map(slot => [slot.time, slot]));
+
+        assert.equal(closed, false);
+        assert.equal(byTime['09:00'].remaining, 2);
+        assert.equal(byTime['14:00'].remaining, 0);
+        assert.equal(byTime['15:00'].closedReason, 'Staff training');
+        assert.equal(byTime['16:00'].remaining, 2);
+        assert.equal(await checkClosure(branch, '2030-06-03', '16:00'), null);
+        assert.match(await checkClosure(branch, '2030-06-03', '15:00'), /from 14:00 to 16:00/);
+    });
+});
+
+describe('notifyAffected', () => {
+    test('queues one notice per covered booking not told already', async () => {
+        const closure = closureFor({ location: branch._id, startTime: '08:00', endTime: '10:00' });
+        const told = booking({ appointmentTime: '08:00' });
+        const fresh = booking({ appointmentTime: '09:00' });
+        const outside = booking({ appointmentTime: '10:00' });
+        closure.notifiedBookings.push(told._id);
+
+        const scheduled = [];
+        let update;
+        let filter;
+        Booking.find = (f) => {
+            filter = f;
+            return query([told, fresh, outside]);
+        };
+        jobs.schedule = async (...args) => scheduled.push(args);
+        Closure.updateOne = async (where, change) => { update = change; };
+
+        const { affected, notified } = await closures.notifyAffected(closure);
+
+        assert.deepEqual(affected.map(b => b.appointmentTime), ['08:00', '09:00']);
+        assert.equal(notified, 1);
+        assert.deepEqual(filter.status, { $in: ['pending', 'confirmed'] });
+        assert.ok(filter.location.equals(branch._id));
+        assert.equal(scheduled.length, 1);
+        assert.equal(scheduled[0][0], closures.JOB_TYPE);
+        assert.deepEqual(scheduled[0][2], { closure: String(closure._id), booking: String(fresh._id) });
+        assert.deepEqual(scheduled[0][3], { key: `closure:${closure._id}` });
+        assert.deepEqual(update.$addToSet.notifiedBookings.$each, [fresh._id]);
+    });
+
+    test('covers active bookings still inside the closure, at any branch for lab-wide ones', () => {
+        const closure = closureFor();
+
+        assert.equal(closures.isAffected(closure, booking({ status: 'cancelled' })), false);
+        assert.equal(closures.isAffected(closure, booking({ appointmentDate: new Date('2030-06-04') })), false);
+        assert.equal(closures.isAffected(closure, booking({ location: new mongoose.Types.ObjectId() })), true);
+    });
+});
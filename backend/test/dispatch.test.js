@@ -0,0 +1,126 @@
+// Home collection dispatch: zone tagging, collector choice, route order
+// and field updates
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/Booking');
+const Collector = require('../models/Collector');
+const CollectionZone = require('../models/CollectionZone');
+const HomeVisit = require('../models/HomeVisit');
+const dispatch = require('../utils/dispatch');
+
+const originalFindVisit = HomeVisit.findOneAndUpdate;
+const originalFindBooking = Booking.findById;
+const originalTransitionTo = Booking.prototype.transitionTo;
+
+afterEach(() => {
+    HomeVisit.findOneAndUpdate = originalFindVisit;
+    Booking.findById = originalFindBooking;
+    Booking.prototype.transitionTo = originalTransitionTo;
+});
+
+const barnawa = new CollectionZone({ code: 'barnawa', name: 'Barnawa', areas: ['barnawa'], center: { lat: 10.48, lng: 7.43 }, radiusKm: 3 });
+const urimi = new CollectionZone({ code: 'u-rimi', name: 'Unguwan Rimi', areas: ['u/rimi', 'unguwan rimi'], center: { lat: 10.54, lng: 7.45 }, radiusKm: 3 });
+
+// 2030-06-03 is a Monday
+const visitAt = (fields = {}) => new HomeVisit({
+    booking: new mongoose.Types.ObjectId(),
+    bookingId: 'MLAB1',
+    date: '2030-06-03',
+    windowStart: '09:00',
+    windowEnd: '10:00',
+    ...fields
+});
+
+const collector = (fields = {}) => new Collector({
+    user: new mongoose.Types.ObjectId(),
+    shifts: [{ days: [1, 2, 3, 4, 5], start: '07:00', end: '15:00' }],
+    ...fields
+});
+
+describe('findZone', () => {
+    test('prefers the nearest zone covering the coordinates', () => {
+        const zone = dispatch.findZone([urimi, barnawa], { address: 'No 3 U/Rimi', coordinates: { lat: 10.481, lng: 7.431 } });
+        assert.equal(zone.code, 'barnawa');
+    });
+
+    test('falls back to area names in the address', () => {
+        assert.equal(dispatch.findZone([barnawa, urimi], { address: '12 Kigo Road, U/Rimi, Kaduna' }).code, 'u-rimi');
+        assert.equal(dispatch.findZone([barnawa, urimi], { address: 'Sabon Tasha' }), null);
+    });
+});
+
+describe('pickCollector', () => {
+    test('sends the least busy collector who covers the zone and is on shift', () => {
+        const busy = collector({ zones: [barnawa._id] });
+        const free = collector({ zones: [barnawa._id] });
+        const elsewhere = collector({ zones: [urimi._id] });
+        const loads = new Map([[String(busy.user), 3], [String(free.user), 1]]);
+
+        const chosen = dispatch.pickCollector([busy, elsewhere, free], visitAt({ zone: barnawa._id }), loads);
+        assert.equal(chosen, free);
+    });
+
+    test('skips collectors who are off shift or full for the day', () => {
+        const evening = collector({ shifts: [{ days: [1], start: '15:00', end: '21:00' }] });
+        const full = collector({ dailyCapacity: 2 });
+        const loads = new Map([[String(full.user), 2]]);
+
+        assert.equal(dispatch.pickCollector([evening, full], visitAt(), loads), null);
+        assert.equal(dispatch.pickCollector([evening], visitAt({ date: '2030-06-02' }), new Map()), null);
+    });
+
+    test('leaves collectors who cover everywhere for visits nobody else covers', () => {
+        const anywhere = collector();
+        const dedicated = collector({ zones: [barnawa._id] });
+
+        assert.equal(dispatch.pickCollector([anywhere, dedicated], visitAt({ zone: barnawa._id }), new Map()), dedicated);
+        assert.equal(dispatch.pickCollector([anywhere, dedicated], visitAt(), new Map()), anywhere);
+    });
+});
+
+describe('orderStops', () => {
+    test('goes window by window, nearest stop first within a window', () => {
+        const far = visitAt({ bookingId: 'far', coordinates: { lat: 10.60, lng: 7.45 } });
+        const near = visitAt({ bookingId: 'near', coordinates: { lat: 10.49, lng: 7.43 } });
+        const first = visitAt({ bookingId: 'first', windowStart: '08:00', windowEnd: '09:00', coordinates: { lat: 10.48, lng: 7.43 } });
+        const unknown = visitAt({ bookingId: 'unknown', address: 'Sabon Tasha' });
+
+        const order = dispatch.orderStops([unknown, far, near, first]).map(visit => visit.bookingId);
+        assert.deepEqual(order, ['first', 'near', 'far', 'unknown']);
+    });
+});
+
+describe('field updates', () => {
+    test('collected and failed end a visit', () => {
+        assert.deepEqual(HomeVisit.STATUS_TRANSITIONS.collected, []);
+        assert.ok(visitAt({ status: 'arrived' }).canTransitionTo('failed'));
+        assert.equal(visitAt({ status: 'assigned' }).canTransitionTo('collected'), false);
+    });
+
+    test('collecting the sample checks the booking in and records the sample', async () => {
+        const visit = visitAt({ status: 'arrived' });
+        const by = new mongoose.Types.ObjectId();
+        const steps = [];
+
+        HomeVisit.findOneAndUpdate = async (filter, update) => {
+            assert.deepEqual(filter, { _id: visit._id, status: 'arrived' });
+            return visitAt({ _id: visit._id, booking: visit.booking, status: update.status });
+        };
+        Booking.findById = async () => new Booking({ status: 'confirmed' });
+        Booking.prototype.transitionTo = async function(status, options) {
+            steps.push([status, options.actor]);
+            return new Booking({ status });
+        };
+
+        const updated = await dispatch.recordFieldStatus(visit, 'collected', { by });
+
+        assert.equal(updated.status, 'collected');
+        assert.deepEqual(steps, [['checked_in', by], ['sample_collected', by]]);
+    });
+
+    test('refuses updates the visit has moved past', async () => {
+        await assert.rejects(dispatch.recordFieldStatus(visitAt({ status: 'collected' }), 'failed'), /cannot be marked failed/);
+    });
+});
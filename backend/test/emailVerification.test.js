@@ -0,0 +1,61 @@
+// Email verification: asking for a new link must not reveal whether an
+// unverified account exists for the email given
+//
+// Runs against the real Express app with no database; the user lookup and
+// save are replaced per test and email goes to a stub transport.
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const app = require('../server');
+const User = require('../models/User');
+const sendEmail = require('../utils/sendEmail');
+
+const originals = {
+    findOne: User.findOne,
+    save: User.prototype.save
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+    User.findOne = originals.findOne;
+    User.prototype.save = originals.save;
+    sendEmail.resetTransport();
+});
+
+const resend = (email) => fetch(`${baseUrl}/api/auth/resend-verification`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email })
+});
+
+describe('POST /api/auth/resend-verification', () => {
+    test('answers the same when the email cannot be sent', async () => {
+        const user = new User({ firstName: 'Ada', lastName: 'Obi', email: 'ada@example.com' });
+
+        User.findOne = async ({ email }) => (email === user.email ? user : null);
+        User.prototype.save = async function() { return this; };
+        sendEmail.setTransport({ send: async () => { throw new Error('SMTP down'); } });
+
+        const unknown = await resend('nobody@example.com');
+        const unverified = await resend('ada@example.com');
+
+        assert.equal(unverified.status, 200);
+        assert.equal(unverified.status, unknown.status);
+        assert.deepEqual(await unverified.json(), await unknown.json());
+    });
+});
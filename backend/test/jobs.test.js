@@ -0,0 +1,166 @@
+// Job scheduler and appointment reminders
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Job = require('../models/Job');
+const Booking = require('../models/Booking');
+const jobs = require('../utils/jobs');
+const sendSms = require('../utils/sendSms');
+const { scheduleReminders, backfillReminders } = require('../utils/reminders');
+const { labToday } = require('../utils/slots');
+
+const originalUpdateOne = Job.updateOne;
+const originalDistinct = Job.distinct;
+const originalFind = Booking.find;
+const originalSchedule = jobs.schedule;
+const originalCancel = jobs.cancel;
+
+afterEach(() => {
+    Job.updateOne = originalUpdateOne;
+    Job.distinct = originalDistinct;
+    Booking.find = originalFind;
+    jobs.schedule = originalSchedule;
+    jobs.cancel = originalCancel;
+    sendSms.resetTransport();
+});
+
+// Record what the scheduler writes back to a job
+const captureFinish = () => {
+    const updates = [];
+    Job.updateOne = async (filter, update) => updates.push(update);
+    return updates;
+};
+
+describe('runJob', () => {
+    test('marks a job completed once its handler succeeds', async () => {
+        const updates = captureFinish();
+        jobs.registerHandler('test-ok', async () => {});
+
+        await jobs.runJob(new Job({ type: 'test-ok', runAt: new Date(), attempts: 1 }));
+
+        assert.equal(updates[0].status, 'completed');
+        assert.ok(updates[0].purgeAt);
+    });
+
+    test('retries a failed job later, then gives up after its last attempt', async () => {
+        const updates = captureFinish();
+        jobs.registerHandler('test-fail', async () => { throw new Error('gateway down'); });
+
+        await jobs.runJob(new Job({ type: 'test-fail', runAt: new Date(), attempts: 1, maxAttempts: 2 }));
+        await jobs.runJob(new Job({ type: 'test-fail', runAt: new Date(), attempts: 2, maxAttempts: 2 }));
+
+        assert.equal(updates[0].status, 'pending');
+        assert.ok(updates[0].runAt > new Date());
+        assert.equal(updates[0].lastError, 'gateway down');
+        assert.equal(updates[1].status, 'failed');
+    });
+});
+
+describe('scheduleReminders', () => {
+    const bookingIn = (status) => new Booking({
+        fullName: 'Ada Obi',
+        phone: '+2348031234567',
+        testType: 'lipid',
+        appointmentDate: new Date('2030-06-03'),
+        appointmentTime: '09:00',
+        location: new mongoose.Types.ObjectId(),
+        status
+    });
+
+    test('replaces the booking\'s reminders with one per offset before the appointment', async () => {
+        const booking = bookingIn('confirmed');
+        const cancelled = [];
+        const scheduled = [];
+        jobs.cancel = async (key, type) => cancelled.push({ key, type });
+        jobs.schedule = async (type, runAt, data, options) => scheduled.push({ type, runAt, data, options });
+
+        await scheduleReminders(booking);
+
+        assert.deepEqual(cancelled, [{ key: `booking:${booking._id}`, type: 'booking-reminder' }]);
+        assert.deepEqual(scheduled.map(job => job.runAt.toISOString()), [
+            '2030-06-02T08:00:00.000Z',
+            '2030-06-03T06:00:00.000Z'
+        ]);
+        assert.deepEqual(scheduled.map(job => job.data.hoursBefore), [24, 2]);
+        assert.equal(scheduled[0].options.key, `booking:${booking._id}`);
+    });
+
+    test('schedules nothing for a cancelled booking', async () => {
+        const scheduled = [];
+        jobs.cancel = async () => 0;
+        jobs.schedule = async (...args) => scheduled.push(args);
+
+        await scheduleReminders(bookingIn('cancelled'));
+
+        assert.equal(scheduled.length, 0);
+    });
+
+    test('reminders carry the preparation notes for the booked tests', () => {
+        assert.match(bookingIn('confirmed').preparationNotes[0], /Fast for 10-12 hours/);
+    });
+});
+
+describe('sendReminder', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Text of the SMS reminder `hoursBefore` an appointment `days` from today
+    const reminderText = async (days, hoursBefore) => {
+        const booking = new Booking({
+            fullName: 'Ada Obi',
+            phone: '+2348031234567',
+            testType: 'blood',
+            appointmentDate: new Date(new Date(labToday()).getTime() + days * DAY_MS),
+            appointmentTime: '09:00',
+            location: new mongoose.Types.ObjectId()
+        });
+
+        let text;
+        sendSms.setTransport({ send: async (message) => { text = message.text; } });
+        await booking.sendReminder(hoursBefore);
+        return { text, date: booking.formattedDate };
+    };
+
+    test('names the day for reminders more than a day ahead', async () => {
+        const { text, date } = await reminderText(3, 72);
+        assert.match(text, new RegExp(`on ${date}, 09:00`));
+        assert.doesNotMatch(text, /tomorrow/);
+    });
+
+    test('says tomorrow and counts hours for the nearer reminders', async () => {
+        assert.match((await reminderText(1, 24)).text, /tomorrow, 09:00/);
+        assert.match((await reminderText(0, 2)).text, /in 2 hours, 09:00/);
+    });
+});
+
+describe('backfillReminders', () => {
+    const booking = () => new Booking({
+        fullName: 'Ada Obi',
+        phone: '+2348031234567',
+        testType: 'blood',
+        appointmentDate: new Date('2030-06-03'),
+        appointmentTime: '09:00',
+        location: new mongoose.Types.ObjectId(),
+        status: 'confirmed'
+    });
+
+    test('queues reminders only for upcoming bookings that have none', async () => {
+        const reminded = booking();
+        const forgotten = booking();
+        const scheduled = [];
+        let filter;
+
+        Booking.find = (f) => {
+            filter = f;
+            return { select: async () => [reminded, forgotten] };
+        };
+        Job.distinct = async () => [`booking:${reminded._id}`];
+        jobs.cancel = async () => 0;
+        jobs.schedule = async (type, runAt, data) => scheduled.push(data.booking);
+
+        assert.equal(await backfillReminders(), 1);
+        assert.deepEqual(scheduled, [String(forgotten._id), String(forgotten._id)]);
+        assert.deepEqual(filter.status, { $in: ['pending', 'confirmed'] });
+        assert.ok(filter.appointmentDate.$gte instanceof Date);
+    });
+});
@@ -0,0 +1,70 @@
+// Login brute-force protection: failures count against the client IP the
+// server sees, not one the client claims in X-Forwarded-For
+//
+// Runs against the real Express app with no database; the throttle, user
+// and login event lookups are replaced per test.
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const app = require('../server');
+const LoginEvent = require('../models/LoginEvent');
+const LoginThrottle = require('../models/LoginThrottle');
+const User = require('../models/User');
+
+const originals = {
+    findThrottles: LoginThrottle.find,
+    countFailure: LoginThrottle.findOneAndUpdate,
+    findUser: User.findOne,
+    record: LoginEvent.record
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+    LoginThrottle.find = originals.findThrottles;
+    LoginThrottle.findOneAndUpdate = originals.countFailure;
+    User.findOne = originals.findUser;
+    LoginEvent.record = originals.record;
+});
+
+describe('POST /api/auth/login', () => {
+    test('a forged X-Forwarded-For does not start a fresh IP count', async () => {
+        const failures = new Map();
+
+        LoginThrottle.find = async () => [];
+        LoginThrottle.findOneAndUpdate = async ({ key }) => {
+            failures.set(key, (failures.get(key) || 0) + 1);
+            return { failures: failures.get(key) };
+        };
+        User.findOne = async () => null;
+        LoginEvent.record = async () => {};
+
+        for (const forged of ['203.0.113.1', '203.0.113.2', '203.0.113.3']) {
+            const res = await fetch(`${baseUrl}/api/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': forged },
+                body: JSON.stringify({ email: `guess-${forged}@example.com`, password: 'wrong' })
+            });
+            assert.equal(res.status, 401);
+        }
+
+        const ipKeys = [...failures.keys()].filter(key => key.startsWith('ip:'));
+        assert.equal(ipKeys.length, 1);
+        assert.doesNotMatch(ipKeys[0], /203\.0\.113/);
+        assert.equal(failures.get(ipKeys[0]), 3);
+    });
+});
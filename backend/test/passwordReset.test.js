@@ -0,0 +1,95 @@
+// Forgotten passwords: asking for a reset link must not reveal whether an
+// account exists for the email given, and staff must still choose a staff
+// length password when resetting
+//
+// Runs against the real Express app with no database; the user lookup and
+// save are replaced per test and email goes to a stub transport.
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const app = require('../server');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const sendEmail = require('../utils/sendEmail');
+
+const originals = {
+    findOne: User.findOne,
+    save: User.prototype.save,
+    revokeAll: Session.revokeAllForUser
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+    User.findOne = originals.findOne;
+    User.prototype.save = originals.save;
+    Session.revokeAllForUser = originals.revokeAll;
+    sendEmail.resetTransport();
+});
+
+const post = (path, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+describe('POST /api/auth/forgot-password', () => {
+    test('answers the same when the reset email cannot be sent', async () => {
+        const user = new User({ firstName: 'Ada', lastName: 'Obi', email: 'ada@example.com', status: 'active' });
+
+        User.findOne = async ({ email }) => (email === user.email ? user : null);
+        User.prototype.save = async function() { return this; };
+        sendEmail.setTransport({ send: async () => { throw new Error('SMTP down'); } });
+
+        const unknown = await post('/api/auth/forgot-password', { email: 'nobody@example.com' });
+        const known = await post('/api/auth/forgot-password', { email: 'ada@example.com' });
+
+        assert.equal(known.status, unknown.status);
+        assert.deepEqual(await known.json(), await unknown.json());
+        // The link that never went out can't be used either
+        assert.equal(user.resetPasswordToken, undefined);
+    });
+});
+
+describe('POST /api/auth/reset-password/:token', () => {
+    const resetAs = async (role, password) => {
+        const user = new User({ firstName: 'Ada', lastName: 'Obi', email: 'ada@example.com', role });
+        let saved = false;
+
+        User.findOne = async () => user;
+        User.prototype.save = async function() { saved = true; return this; };
+        Session.revokeAllForUser = async () => {};
+
+        const res = await post('/api/auth/reset-password/some-token', { password });
+        return { res, saved };
+    };
+
+    test('holds staff to the staff password length', async () => {
+        const { res, saved } = await resetAs('lab_technician', 'seven77');
+
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).message, `Password must be at least ${User.minPasswordLength('lab_technician')} characters`);
+        assert.equal(saved, false);
+    });
+
+    test('lets patients use the shorter patient length', async () => {
+        const { res, saved } = await resetAs('user', 'seven77');
+
+        assert.equal(res.status, 200);
+        assert.equal(saved, true);
+    });
+});
@@ -0,0 +1,236 @@
+// Refunding a payment: online payments go back through Paystack, partial
+// refunds add up, and the booking it paid for is marked refunded too
+//
+// Runs against the real Express app with no database; the payment and
+// booking lookups and writes and the Paystack API are replaced per test.
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const app = require('../server');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { signAccessToken } = require('../utils/authTokens');
+
+const originals = {
+    findSession: Session.findById,
+    findUser: User.findById,
+    findPayment: Payment.findById,
+    savePayment: Payment.prototype.save,
+    findBooking: Booking.findById,
+    updateBooking: Booking.updateOne,
+    post: axios.post
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+    Session.findById = originals.findSession;
+    User.findById = originals.findUser;
+    Payment.findById = originals.findPayment;
+    Payment.prototype.save = originals.savePayment;
+    Booking.findById = originals.findBooking;
+    Booking.updateOne = originals.updateBooking;
+    axios.post = originals.post;
+});
+
+const admin = new User({ firstName: 'Bola', lastName: 'Ade', email: 'bola@example.com', role: 'admin' });
+
+// Access token for a signed-in admin
+const signInAsAdmin = () => {
+    const session = new Session({
+        user: admin._id,
+        refreshTokenHash: Session.hashToken('admin-refresh'),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    Session.findById = async (id) => (session._id.equals(id) ? session : null);
+    User.findById = () => ({ select: async () => admin });
+
+    return signAccessToken(admin, session);
+};
+
+const refund = (payment, body = {}) => fetch(`${baseUrl}/api/payments/${payment._id}/refund`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${signInAsAdmin()}` },
+    body: JSON.stringify(body)
+});
+
+describe('POST /api/payments/:id/refund', () => {
+    const booking = { _id: new mongoose.Types.ObjectId(), paymentStatus: 'paid' };
+
+    const paymentFor = (fields = {}) => new Payment({
+        user: new mongoose.Types.ObjectId(),
+        booking: booking._id,
+        amount: 15000,
+        paymentMethod: 'card',
+        paymentProvider: 'paystack',
+        reference: 'MLAB-REF-1',
+        status: 'completed',
+        ...fields
+    });
+
+    test('marks the booking refunded and records it in the history', async () => {
+        const payment = paymentFor();
+        let update;
+
+        Payment.findById = async () => payment;
+        Payment.prototype.save = async function() { return this; };
+        Booking.findById = async () => booking;
+        Booking.updateOne = async (filter, change) => { update = { filter, change }; };
+        axios.post = async () => ({ data: { status: true, data: { status: 'pending' } } });
+
+        const res = await refund(payment, { reason: 'Test not available' });
+
+        assert.equal(res.status, 200);
+        assert.equal(payment.status, 'refunded');
+        assert.ok(update.filter._id.equals(booking._id));
+        assert.equal(update.change.paymentStatus, 'refunded');
+        assert.deepEqual(update.change.$push.history, {
+            action: 'refunded',
+            changes: {
+                refundAmount: { from: 0, to: 15000 },
+                paymentStatus: { from: 'paid', to: 'refunded' }
+            },
+            reason: 'Test not available',
+            actor: admin._id,
+            actorType: 'staff'
+        });
+    });
+
+    test('records a partial refund without marking the booking refunded', async () => {
+        const payment = paymentFor();
+        let update;
+
+        Payment.findById = async () => payment;
+        Payment.prototype.save = async function() { return this; };
+        Booking.findById = async () => booking;
+        Booking.updateOne = async (filter, change) => { update = change; };
+        axios.post = async () => ({ data: { status: true, data: {} } });
+
+        const res = await refund(payment, { amount: 5000, reason: 'One test cancelled' });
+
+        assert.equal(res.status, 200);
+        assert.equal(update.paymentStatus, undefined);
+        assert.deepEqual(update.$push.history, {
+            action: 'partially_refunded',
+            changes: { refundAmount: { from: 0, to: 5000 } },
+            reason: 'One test cancelled',
+            actor: admin._id,
+            actorType: 'staff'
+        });
+    });
+
+    test('leaves the booking alone when the refund is refused', async () => {
+        const payment = paymentFor({ status: 'pending' });
+        let updated = false;
+
+        Payment.findById = async () => payment;
+        Booking.findById = async () => booking;
+        Booking.updateOne = async () => { updated = true; };
+
+        const res = await refund(payment);
+
+        assert.equal(res.status, 400);
+        assert.equal(updated, false);
+    });
+
+    test('sends the refund to Paystack in kobo against the charge', async () => {
+        const payment = paymentFor();
+        let request;
+
+        Payment.findById = async () => payment;
+        Payment.prototype.save = async function() { return this; };
+        Booking.findById = async () => booking;
+        Booking.updateOne = async () => {};
+        axios.post = async (url, body) => {
+            request = { url, body };
+            return { data: { status: true, data: { id: 1, status: 'pending' } } };
+        };
+
+        const res = await refund(payment, { amount: 5000 });
+
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).message, 'Refund sent to Paystack');
+        assert.equal(request.url, 'https://api.paystack.co/refund');
+        assert.equal(request.body.transaction, 'MLAB-REF-1');
+        assert.equal(request.body.amount, 500000);
+        assert.deepEqual(payment.refundResponse, { id: 1, status: 'pending' });
+    });
+
+    test('records nothing when Paystack refuses the refund', async () => {
+        const payment = paymentFor();
+        let saved = false;
+
+        Payment.findById = async () => payment;
+        Payment.prototype.save = async function() { saved = true; return this; };
+        Booking.updateOne = async () => {};
+        axios.post = async () => { throw new Error('Transaction has been fully reversed'); };
+
+        const res = await refund(payment);
+
+        assert.equal(res.status, 502);
+        assert.equal(saved, false);
+        assert.equal(payment.status, 'completed');
+        assert.equal(payment.refundAmount, 0);
+    });
+
+    test('partial refunds add up until the whole payment is back', async () => {
+        const payment = paymentFor();
+        const amounts = [];
+
+        Payment.findById = async () => payment;
+        Payment.prototype.save = async function() { return this; };
+        Booking.findById = async () => booking;
+        Booking.updateOne = async () => {};
+        axios.post = async (url, body) => {
+            amounts.push(body.amount);
+            return { data: { status: true, data: {} } };
+        };
+
+        assert.equal((await refund(payment, { amount: 5000 })).status, 200);
+        assert.equal(payment.status, 'partially_refunded');
+        assert.equal(payment.refundAmount, 5000);
+
+        assert.equal((await refund(payment, { amount: 12000 })).status, 400);
+
+        // The rest, by default
+        assert.equal((await refund(payment)).status, 200);
+        assert.equal(payment.status, 'refunded');
+        assert.equal(payment.refundAmount, 15000);
+        assert.deepEqual(amounts, [500000, 1000000]);
+    });
+
+    test('cash payments are only recorded, not sent to Paystack', async () => {
+        const payment = paymentFor({ paymentMethod: 'cash', paymentProvider: 'cash' });
+        let called = false;
+
+        Payment.findById = async () => payment;
+        Payment.prototype.save = async function() { return this; };
+        Booking.findById = async () => booking;
+        Booking.updateOne = async () => {};
+        axios.post = async () => { called = true; };
+
+        const res = await refund(payment);
+
+        assert.equal(res.status, 200);
+        assert.equal(called, false);
+        assert.equal(payment.status, 'refunded');
+    });
+});
@@ -0,0 +1,173 @@
+// Phone numbers, finding results by them and one-time login codes sent to them
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const PhoneOtp = require('../models/PhoneOtp');
+const TestResult = require('../models/TestResult');
+const sendSms = require('../utils/sendSms');
+const { normalizePhone, phoneVariants } = require('../utils/phone');
+const { SETTINGS, issueLoginOtp, verifyLoginOtp } = require('../utils/phoneOtp');
+
+describe('normalizePhone', () => {
+    test('turns the ways patients type Nigerian numbers into E.164', () => {
+        for (const input of [
+            '08031234567',
+            '0803 123 4567',
+            '8031234567',
+            '2348031234567',
+            '+2348031234567',
+            '+234 (0) 803 123 4567',
+            '002348031234567'
+        ]) {
+            assert.equal(normalizePhone(input), '+2348031234567', input);
+        }
+    });
+
+    test('keeps other international numbers given with a leading +', () => {
+        assert.equal(normalizePhone('+44 7911 123456'), '+447911123456');
+        assert.equal(normalizePhone('0044 7911 123456'), '+447911123456');
+    });
+
+    test('rejects Nigerian numbers that are a digit short or long', () => {
+        assert.equal(normalizePhone('+234803123456'), null);
+        assert.equal(normalizePhone('234803123456'), null);
+        assert.equal(normalizePhone('+23480312345678'), null);
+        assert.equal(normalizePhone('0803123456'), null);
+    });
+
+    test('rejects empty and non-numeric input', () => {
+        assert.equal(normalizePhone(undefined), null);
+        assert.equal(normalizePhone(''), null);
+        assert.equal(normalizePhone('call me'), null);
+    });
+
+    test('phoneVariants matches numbers stored before normalisation', () => {
+        assert.deepEqual(phoneVariants('0803 123 4567'), ['+2348031234567', '2348031234567', '08031234567']);
+    });
+});
+
+describe('TestResult.findByCredentials', () => {
+    const originalFindOne = TestResult.findOne;
+
+    afterEach(() => {
+        TestResult.findOne = originalFindOne;
+    });
+
+    test('finds results stored in E.164 or the old local form from a typed local number', async () => {
+        const stored = [
+            { registrationNumber: 'GOLD1', phone: '+2348031234567' },
+            { registrationNumber: 'GOLD2', phone: '08031234567' }
+        ];
+        TestResult.findOne = async ({ registrationNumber, phone }) =>
+            stored.find(result => result.registrationNumber === registrationNumber && phone.$in.includes(result.phone)) || null;
+
+        assert.equal((await TestResult.findByCredentials('GOLD1', '0803 123 4567')).registrationNumber, 'GOLD1');
+        assert.equal((await TestResult.findByCredentials('GOLD2', '+234 803 123 4567')).registrationNumber, 'GOLD2');
+        await assert.rejects(TestResult.findByCredentials('GOLD1', '08037654321'), /No results found/);
+    });
+});
+
+describe('login codes', () => {
+    const phone = '+2348031234567';
+    const user = { _id: new mongoose.Types.ObjectId() };
+
+    const originals = {
+        findOne: PhoneOtp.findOne,
+        findOneAndUpdate: PhoneOtp.findOneAndUpdate,
+        updateOne: PhoneOtp.updateOne,
+        save: PhoneOtp.prototype.save
+    };
+
+    // The phone's one PhoneOtp record, kept in memory
+    let stored;
+    let sent;
+
+    const matches = (filter) => stored &&
+        (!filter.codeHash || stored.codeHash === filter.codeHash) &&
+        (!filter.attempts || stored.attempts < filter.attempts.$lt);
+
+    const apply = (update) => {
+        if (update.$inc) Object.entries(update.$inc).forEach(([key, by]) => { stored[key] += by; });
+        if (update.$unset) Object.keys(update.$unset).forEach(key => { stored[key] = undefined; });
+    };
+
+    beforeEach(() => {
+        stored = null;
+        sent = [];
+
+        PhoneOtp.findOne = async () => stored;
+        PhoneOtp.prototype.save = async function() {
+            stored = this;
+            return this;
+        };
+        PhoneOtp.findOneAndUpdate = async (filter, update) => {
+            if (!matches(filter)) return null;
+            apply(update);
+            return stored;
+        };
+        PhoneOtp.updateOne = async (filter, update) => {
+            if (matches(filter)) apply(update);
+        };
+        sendSms.setTransport({ send: async ({ text }) => sent.push(text) });
+    });
+
+    afterEach(() => {
+        PhoneOtp.findOne = originals.findOne;
+        PhoneOtp.findOneAndUpdate = originals.findOneAndUpdate;
+        PhoneOtp.updateOne = originals.updateOne;
+        PhoneOtp.prototype.save = originals.save;
+        sendSms.resetTransport();
+    });
+
+    const sentCode = () => sent[sent.length - 1].match(/\b(\d{6})\b/)[1];
+
+    test('a sent code logs in once', async () => {
+        assert.deepEqual(await issueLoginOtp(user, phone), { sent: true, expiresInSeconds: SETTINGS.codeTtlMs / 1000 });
+        const code = sentCode();
+
+        assert.deepEqual(await verifyLoginOtp(phone, code), { valid: true, userId: user._id });
+        assert.equal((await verifyLoginOtp(phone, code)).reason, 'no_active_code');
+    });
+
+    test('a code is burned after too many wrong guesses', async () => {
+        await issueLoginOtp(user, phone);
+        const code = sentCode();
+        const wrong = code === '000000' ? '111111' : '000000';
+
+        for (let i = 1; i < SETTINGS.maxAttempts; i++) {
+            const result = await verifyLoginOtp(phone, wrong);
+            assert.equal(result.reason, 'invalid_code');
+            assert.equal(result.attemptsRemaining, SETTINGS.maxAttempts - i);
+        }
+
+        assert.equal((await verifyLoginOtp(phone, wrong)).reason, 'code_attempts_exceeded');
+        // Even the right code is no good now
+        assert.equal((await verifyLoginOtp(phone, code)).reason, 'no_active_code');
+    });
+
+    test('an expired code is refused and burned', async () => {
+        await issueLoginOtp(user, phone);
+        const code = sentCode();
+        stored.expiresAt = new Date(Date.now() - 1000);
+
+        assert.equal((await verifyLoginOtp(phone, code)).reason, 'code_expired');
+        assert.equal(stored.codeHash, undefined);
+    });
+
+    test('resending waits for the cooldown and stops at the hourly cap', async () => {
+        await issueLoginOtp(user, phone);
+
+        const tooSoon = await issueLoginOtp(user, phone);
+        assert.equal(tooSoon.sent, false);
+        assert.ok(tooSoon.retryAfterSeconds > 0 && tooSoon.retryAfterSeconds <= SETTINGS.resendCooldownMs / 1000);
+
+        stored.lastSentAt = new Date(Date.now() - SETTINGS.resendCooldownMs);
+        stored.sendCount = SETTINGS.maxSendsPerWindow;
+
+        const capped = await issueLoginOtp(user, phone);
+        assert.equal(capped.sent, false);
+        assert.ok(capped.retryAfterSeconds > SETTINGS.resendCooldownMs / 1000);
+        assert.equal(sent.length, 1);
+    });
+});
@@ -0,0 +1,51 @@
+// Booking prices: order lines, volume discounts and totals
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { priceOrder, normaliseItems } = require('../utils/pricing');
+
+const line = (code, unitPrice, quantity = 1) => ({ code, unitPrice, quantity, lineTotal: unitPrice * quantity });
+
+describe('priceOrder', () => {
+    test('adds up the lines with no discount for one or two tests', () => {
+        assert.deepEqual(priceOrder([line('lipid-profile', 6000), line('liver-function', 8000)]), {
+            subtotal: 14000,
+            discounts: [],
+            total: 14000,
+            currency: 'NGN'
+        });
+    });
+
+    test('takes 5% off three or more tests, counting quantities', () => {
+        const order = priceOrder([line('lipid-profile', 6000), line('fasting-blood-sugar', 4000, 2)]);
+
+        assert.equal(order.subtotal, 14000);
+        assert.deepEqual(order.discounts, [{ label: '5% off 3 or more tests', amount: 700 }]);
+        assert.equal(order.total, 13300);
+    });
+
+    test('only the best tier applies', () => {
+        const order = priceOrder([line('urinalysis', 3000, 5)]);
+
+        assert.equal(order.discounts.length, 1);
+        assert.equal(order.discounts[0].amount, 1500);
+        assert.equal(order.total, 13500);
+    });
+});
+
+describe('normaliseItems', () => {
+    test('accepts codes or { code, quantity } and merges repeats', () => {
+        assert.deepEqual(normaliseItems(['Lipid-Profile', { code: 'lipid-profile', quantity: 2 }, { code: 'hba1c' }]), {
+            lines: [{ code: 'lipid-profile', quantity: 3 }, { code: 'hba1c', quantity: 1 }]
+        });
+    });
+
+    test('rejects empty orders and bad quantities', () => {
+        assert.match(normaliseItems([]).error, /at least one test/);
+        assert.match(normaliseItems('lipid-profile').error, /at least one test/);
+        assert.match(normaliseItems([{ code: 'hba1c', quantity: 0 }]).error, /at least 1/);
+        assert.match(normaliseItems([{ code: 'hba1c', quantity: 1.5 }]).error, /whole number/);
+        assert.match(normaliseItems([{ code: 'hba1c', quantity: 11 }]).error, /more than 10/);
+        assert.match(normaliseItems([{ quantity: 1 }]).error, /needs a code/);
+    });
+});
@@ -0,0 +1,165 @@
+// Branch reception queue: check-in codes, wait estimates and the
+// "now serving" display
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/Booking');
+const Location = require('../models/Location');
+const QueueTicket = require('../models/QueueTicket');
+const QueueCounter = require('../models/QueueCounter');
+const queue = require('../utils/queue');
+const { labToday } = require('../utils/slots');
+
+const originalFindBooking = Booking.findOne;
+const originalTransitionTo = Booking.prototype.transitionTo;
+const originalFind = QueueTicket.find;
+const originalFindTicket = QueueTicket.findOne;
+const originalCreate = QueueTicket.create;
+const originalNext = QueueCounter.next;
+
+afterEach(() => {
+    Booking.findOne = originalFindBooking;
+    Booking.prototype.transitionTo = originalTransitionTo;
+    QueueTicket.find = originalFind;
+    QueueTicket.findOne = originalFindTicket;
+    QueueTicket.create = originalCreate;
+    QueueCounter.next = originalNext;
+});
+
+const branch = new Location({ code: 'main', name: 'Main Lab', type: 'branch', schedule: { capacity: 2 } });
+
+const booking = (fields = {}) => new Booking({
+    fullName: 'Ada Obi',
+    phone: '+2348031234567',
+    testType: 'blood',
+    appointmentDate: new Date(labToday()),
+    appointmentTime: '09:00',
+    location: branch._id,
+    ...fields
+});
+
+const ticket = (number, fields = {}) => new QueueTicket({
+    location: branch._id,
+    date: labToday(),
+    number,
+    kind: 'walk_in',
+    name: `Patient ${number}`,
+    ...fields
+});
+
+// Mongoose query stand-in: chainable, and awaits to `result`
+const query = (result) => {
+    const chain = {
+        sort: () => chain,
+        limit: () => chain,
+        select: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+};
+
+// Active tickets for the display; no served tickets yet
+const stubQueue = (tickets) => {
+    QueueTicket.find = (filter) => query(filter.status === 'served' ? [] : tickets);
+};
+
+describe('check-in codes', () => {
+    test('find the booking they were issued for', async () => {
+        const booked = booking();
+        Booking.findOne = async ({ bookingId }) => (bookingId === booked.bookingId ? booked : null);
+
+        assert.equal(await Booking.findByCheckInCode(booked.generateCheckInCode()), booked);
+        assert.ok(booked.getCheckInQrUrl().endsWith('.png'));
+    });
+
+    test('reject tampered or borrowed signatures', async () => {
+        const booked = booking();
+        const other = booking({ bookingId: 'MLAB2' });
+        Booking.findOne = async ({ bookingId }) => [booked, other].find(b => b.bookingId === bookingId) || null;
+
+        const signature = other.generateCheckInCode().split('.')[1];
+        assert.equal(await Booking.findByCheckInCode(`${booked.bookingId}.${signature}`), null);
+        assert.equal(await Booking.findByCheckInCode(booked.bookingId), null);
+        assert.equal(await Booking.findByCheckInCode(undefined), null);
+    });
+
+    test('are not offered for home collection', () => {
+        const home = booking();
+        home.location = new Location({ code: 'home', name: 'Home Collection', type: 'home' });
+        assert.equal(home.hasCheckIn(), false);
+        assert.equal(booking().hasCheckIn(), true);
+    });
+});
+
+describe('estimateWait', () => {
+    test('is zero while a desk is free', () => {
+        assert.equal(queue.estimateWait(0, { desks: 2, busy: 1, minutes: 6 }), 0);
+        assert.equal(queue.estimateWait(1, { desks: 2, busy: 0, minutes: 6 }), 0);
+    });
+
+    test('grows by one service time per round of desks', () => {
+        const load = { desks: 2, busy: 2, minutes: 6 };
+        assert.deepEqual([0, 1, 2, 3, 4].map(ahead => queue.estimateWait(ahead, load)), [6, 6, 12, 12, 18]);
+    });
+});
+
+describe('snapshot', () => {
+    test('shows ticket codes only, latest call first', async () => {
+        stubQueue([
+            ticket(1, { status: 'called', desk: '1', calledAt: new Date(Date.now() - 60000) }),
+            ticket(2, { status: 'called', desk: '2', calledAt: new Date(), kind: 'appointment' }),
+            ticket(3),
+            ticket(4),
+            ticket(5)
+        ]);
+
+        const snapshot = await queue.snapshot(branch);
+
+        assert.deepEqual(snapshot.nowServing.map(t => [t.code, t.desk]), [['A002', '2'], ['W001', '1']]);
+        assert.deepEqual(snapshot.waiting.map(t => [t.code, t.estimatedWaitMinutes]), [['W003', 6], ['W004', 6], ['W005', 12]]);
+        assert.equal(snapshot.waitingCount, 3);
+        assert.equal(snapshot.estimatedWaitMinutes, 12);
+        assert.doesNotMatch(JSON.stringify(snapshot), /Patient/);
+    });
+});
+
+describe('checkInBooking', () => {
+    test('checks a pending booking in, issues a ticket and updates the displays', async () => {
+        const booked = booking({ status: 'pending' });
+        const moves = [];
+        let shown = null;
+
+        QueueTicket.findOne = async () => null;
+        QueueCounter.next = async () => 7;
+        QueueTicket.create = async (fields) => new QueueTicket(fields);
+        Booking.prototype.transitionTo = async function(status) {
+            moves.push(status);
+            return booking({ _id: this._id, bookingId: this.bookingId, status });
+        };
+        stubQueue([]);
+
+        const unsubscribe = queue.subscribe(branch, (snapshot) => { shown = snapshot; });
+        const { ticket: issued, booking: checkedIn, repeat } = await queue.checkInBooking(branch, booked, new mongoose.Types.ObjectId());
+        unsubscribe();
+
+        assert.deepEqual(moves, ['confirmed', 'checked_in']);
+        assert.equal(checkedIn.status, 'checked_in');
+        assert.equal(repeat, false);
+        assert.equal(issued.code, 'A007');
+        assert.equal(issued.bookingId, booked.bookingId);
+        assert.equal(shown.location.code, 'main');
+    });
+
+    test('scanning again returns the ticket already issued', async () => {
+        const booked = booking({ status: 'checked_in' });
+        const existing = ticket(3, { kind: 'appointment', booking: booked._id });
+
+        QueueTicket.findOne = async () => existing;
+        QueueTicket.create = async () => assert.fail('no second ticket');
+
+        const result = await queue.checkInBooking(branch, booked);
+        assert.equal(result.ticket, existing);
+        assert.equal(result.repeat, true);
+    });
+});
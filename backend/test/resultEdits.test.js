@@ -0,0 +1,140 @@
+// Editing results: verified results are signed off, so only staff who can
+// verify may change them
+//
+// Runs against the real Express app with no database; the session, user and
+// result lookups and updates are replaced per test.
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const app = require('../server');
+const Session = require('../models/Session');
+const TestResult = require('../models/TestResult');
+const User = require('../models/User');
+const { signAccessToken } = require('../utils/authTokens');
+
+const originals = {
+    findSession: Session.findById,
+    findUser: User.findById,
+    findResult: TestResult.findOne,
+    updateResult: TestResult.findOneAndUpdate
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+    Session.findById = originals.findSession;
+    User.findById = originals.findUser;
+    TestResult.findOne = originals.findResult;
+    TestResult.findOneAndUpdate = originals.updateResult;
+});
+
+// Access token for signed-in staff with this role
+const signInAs = (role) => {
+    const staff = new User({ firstName: 'Bola', lastName: 'Ade', email: 'bola@example.com', role });
+    const session = new Session({
+        user: staff._id,
+        refreshTokenHash: Session.hashToken(`${role}-refresh`),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    Session.findById = async (id) => (session._id.equals(id) ? session : null);
+    User.findById = () => ({ select: async () => staff });
+
+    return signAccessToken(staff, session);
+};
+
+const send = (method, path, role, body) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${signInAs(role)}` },
+    body: JSON.stringify(body)
+});
+
+// A stored result with this status; records any update made to it
+const storedResult = (status) => {
+    const updates = [];
+
+    TestResult.findOne = () => ({ select: async () => ({ status }) });
+    TestResult.findOneAndUpdate = async (filter, update) => {
+        updates.push({ filter, update });
+        return new TestResult({ registrationNumber: 'GOLD123456789', status: update.status || status });
+    };
+
+    return updates;
+};
+
+describe('editing a verified result', () => {
+    for (const [method, path] of [
+        ['PUT', '/api/results/GOLD123456789'],
+        ['PUT', '/api/admin/results/GOLD123456789']
+    ]) {
+        test(`${method} ${path} refuses a lab technician`, async () => {
+            const updates = storedResult('verified');
+
+            const res = await send(method, path, 'lab_technician', { overallSummary: 'Rewritten' });
+
+            assert.equal(res.status, 403);
+            assert.equal(updates.length, 0);
+        });
+    }
+
+    test('a lab technician cannot move a result out of verified', async () => {
+        const updates = storedResult('verified');
+
+        const res = await send('PATCH', '/api/results/GOLD123456789/status', 'lab_technician', { status: 'completed' });
+
+        assert.equal(res.status, 403);
+        assert.equal(updates.length, 0);
+    });
+
+    test('an admin can correct a verified result', async () => {
+        const updates = storedResult('verified');
+
+        const res = await send('PUT', '/api/results/GOLD123456789', 'admin', { overallSummary: 'Corrected' });
+
+        assert.equal(res.status, 200);
+        assert.equal(updates[0].update.overallSummary, 'Corrected');
+    });
+});
+
+describe('editing an unverified result', () => {
+    test('a lab technician can edit it, as long as nobody verifies it first', async () => {
+        const updates = storedResult('completed');
+
+        const res = await send('PUT', '/api/results/GOLD123456789', 'lab_technician', { overallSummary: 'Fixed a typo' });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(updates[0].filter, { registrationNumber: 'GOLD123456789', status: 'completed' });
+    });
+
+    test('a lab technician cannot verify it', async () => {
+        const updates = storedResult('completed');
+
+        const res = await send('PATCH', '/api/results/GOLD123456789/status', 'lab_technician', { status: 'verified' });
+
+        assert.equal(res.status, 403);
+        assert.equal(updates.length, 0);
+    });
+
+    test('an edit that loses to a verification is refused', async () => {
+        storedResult('completed');
+        TestResult.findOneAndUpdate = async () => null;
+
+        const res = await send('PUT', '/api/results/GOLD123456789', 'lab_technician', { overallSummary: 'Late edit' });
+
+        assert.equal(res.status, 409);
+    });
+});
@@ -0,0 +1,198 @@
+// Integration tests: staff-only routes must reject anonymous requests,
+// bad tokens, patients and staff roles without the required permission.
+//
+// Runs against the real Express app with no database: the session and user
+// lookups done by the auth middleware are replaced per test, and every route
+// checked here must answer before touching any other model.
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+// Fail fast instead of waiting for a connection if a guard ever lets a request through
+mongoose.set('bufferCommands', false);
+
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { signAccessToken } = require('../utils/authTokens');
+const { hasPermission } = require('../config/permissions');
+
+const RESULT_REG = 'GOLD123456789';
+const CONTACT_ID = new mongoose.Types.ObjectId().toString();
+const LOCATION_ID = new mongoose.Types.ObjectId().toString();
+const CATALOG_ITEM_ID = new mongoose.Types.ObjectId().toString();
+
+// [method, path, permission] for every mutating or listing route behind staff auth
+const STAFF_ROUTES = [
+    ['POST', '/api/results', 'results:create'],
+    ['GET', '/api/results', 'results:read'],
+    ['GET', '/api/results/search?patientName=ada', 'results:read'],
+    ['GET', `/api/results/patient/${new mongoose.Types.ObjectId()}`, 'results:read'],
+    ['GET', `/api/results/${RESULT_REG}`, 'results:read'],
+    ['PUT', `/api/results/${RESULT_REG}`, 'results:update'],
+    ['PATCH', `/api/results/${RESULT_REG}/status`, 'results:update'],
+    ['DELETE', `/api/results/${RESULT_REG}`, 'results:delete'],
+
+    ['POST', '/api/upload/result', 'uploads:manage'],
+    ['POST', '/api/upload/replace', 'uploads:manage'],
+    ['DELETE', '/api/upload/delete', 'uploads:manage'],
+
+    ['GET', '/api/contact', 'contacts:read'],
+    ['GET', `/api/contact/${CONTACT_ID}`, 'contacts:read'],
+    ['PATCH', `/api/contact/${CONTACT_ID}/status`, 'contacts:manage'],
+    ['PATCH', `/api/contact/${CONTACT_ID}/respond`, 'contacts:manage'],
+    ['DELETE', `/api/contact/${CONTACT_ID}`, 'contacts:manage'],
+
+    ['GET', '/api/admin/locations', 'locations:manage'],
+    ['POST', '/api/admin/locations', 'locations:manage'],
+    ['PUT', `/api/admin/locations/${LOCATION_ID}`, 'locations:manage'],
+    ['DELETE', `/api/admin/locations/${LOCATION_ID}`, 'locations:manage'],
+    ['GET', `/api/admin/locations/${LOCATION_ID}/calendar-feed`, 'locations:manage'],
+    ['POST', `/api/admin/locations/${LOCATION_ID}/calendar-feed/reset`, 'locations:manage'],
+
+    ['GET', '/api/admin/closures', 'locations:manage'],
+    ['POST', '/api/admin/closures', 'locations:manage'],
+    ['PUT', `/api/admin/closures/${LOCATION_ID}`, 'locations:manage'],
+    ['GET', `/api/admin/closures/${LOCATION_ID}/affected`, 'locations:manage'],
+    ['DELETE', `/api/admin/closures/${LOCATION_ID}`, 'locations:manage'],
+
+    ['GET', '/api/admin/catalog', 'catalog:manage'],
+    ['POST', '/api/admin/catalog', 'catalog:manage'],
+    ['PUT', `/api/admin/catalog/${CATALOG_ITEM_ID}`, 'catalog:manage'],
+    ['DELETE', `/api/admin/catalog/${CATALOG_ITEM_ID}`, 'catalog:manage'],
+
+    ['GET', '/api/waitlist', 'bookings:read'],
+
+    ['GET', '/api/dispatch/zones', 'visits:read'],
+    ['POST', '/api/dispatch/zones', 'visits:manage'],
+    ['GET', '/api/dispatch/collectors', 'visits:read'],
+    ['PUT', `/api/dispatch/collectors/${new mongoose.Types.ObjectId()}`, 'visits:manage'],
+    ['GET', '/api/dispatch/visits', 'visits:read'],
+    ['POST', '/api/dispatch/visits/auto-assign', 'visits:manage'],
+    ['PUT', `/api/dispatch/visits/${new mongoose.Types.ObjectId()}/assign`, 'visits:manage'],
+
+    ['GET', `/api/queue/${LOCATION_ID}/tickets`, 'queue:read'],
+    ['POST', `/api/queue/${LOCATION_ID}/check-in`, 'queue:manage'],
+    ['POST', `/api/queue/${LOCATION_ID}/walk-in`, 'queue:manage'],
+    ['POST', `/api/queue/${LOCATION_ID}/call-next`, 'queue:manage'],
+    ['PATCH', `/api/queue/tickets/${new mongoose.Types.ObjectId()}`, 'queue:manage']
+];
+
+// Signed-in patient routes: any account, but never anonymous
+const PATIENT_ROUTES = [
+    ['GET', '/api/results/user-results'],
+    ['POST', `/api/results/${RESULT_REG}/feedback`],
+    ['GET', '/api/bookings/feed'],
+    ['POST', '/api/bookings/feed/reset'],
+    ['POST', '/api/waitlist'],
+    ['GET', '/api/waitlist/mine'],
+    ['DELETE', `/api/waitlist/${new mongoose.Types.ObjectId()}`]
+];
+
+let server;
+let baseUrl;
+
+const originalFindSessionById = Session.findById;
+const originalFindUserById = User.findById;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+    Session.findById = originalFindSessionById;
+    User.findById = originalFindUserById;
+});
+
+const request = (method, path, token) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: ['GET', 'DELETE'].includes(method) ? undefined : JSON.stringify({ status: 'completed' })
+});
+
+// Access token for an active session held by a user with the given role
+const signInAs = (role) => {
+    const user = new User({
+        firstName: 'Test',
+        lastName: role,
+        email: `${role}@example.com`,
+        phone: '+2348031234567',
+        role
+    });
+
+    const session = new Session({
+        user: user._id,
+        refreshTokenHash: Session.hashToken(`${role}-refresh`),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    Session.findById = async (id) => (session._id.equals(id) ? session : null);
+    User.findById = (id) => ({ select: async () => (user._id.equals(id) ? user : null) });
+
+    return signAccessToken(user, session);
+};
+
+describe('staff routes', () => {
+    for (const [method, path] of STAFF_ROUTES) {
+        test(`${method} ${path} returns 401 without a token`, async () => {
+            const res = await request(method, path);
+            assert.equal(res.status, 401);
+        });
+
+        test(`${method} ${path} returns 401 with an invalid token`, async () => {
+            const res = await request(method, path, 'not-a-real-token');
+            assert.equal(res.status, 401);
+        });
+
+        test(`${method} ${path} returns 403 for a patient`, async () => {
+            const res = await request(method, path, signInAs('user'));
+            assert.equal(res.status, 403);
+        });
+    }
+
+    // Staff roles that lack a route's permission are refused too
+    for (const role of ['lab_technician', 'staff']) {
+        for (const [method, path, permission] of STAFF_ROUTES.filter(([, , p]) => !hasPermission(role, p))) {
+            test(`${method} ${path} returns 403 for ${role} (needs ${permission})`, async () => {
+                const res = await request(method, path, signInAs(role));
+                const body = await res.json();
+
+                assert.equal(res.status, 403);
+                assert.deepEqual(body.required, [permission]);
+            });
+        }
+    }
+});
+
+describe('patient routes', () => {
+    for (const [method, path] of PATIENT_ROUTES) {
+        test(`${method} ${path} returns 401 without a token`, async () => {
+            const res = await request(method, path);
+            assert.equal(res.status, 401);
+        });
+    }
+});
+
+describe('revoked sessions', () => {
+    test('a token whose session has been revoked returns 401', async () => {
+        const token = signInAs('admin');
+        const session = await Session.findById(jwt.decode(token).sid);
+        session.revokedAt = new Date();
+
+        const res = await request('GET', '/api/results', token);
+        const body = await res.json();
+
+        assert.equal(res.status, 401);
+        assert.equal(body.code, 'SESSION_REVOKED');
+    });
+});
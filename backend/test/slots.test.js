@@ -0,0 +1,157 @@
+// Slot engine: turning location schedules into bookable times
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Booking = require('../models/Booking');
+const Location = require('../models/Location');
+const SlotReservation = require('../models/SlotReservation');
+const { slotTimes, checkLocation, checkSlot, slotStartsAt, toDateKey } = require('../utils/slots');
+const { getSchedule } = require('../config/schedules');
+
+const mainLab = new Location({ code: 'lab1', name: 'Main Lab - Kaduna' });
+
+describe('slotTimes', () => {
+    test('default lab schedule keeps the hourly slots around the lunch break', () => {
+        assert.deepEqual(slotTimes(getSchedule(mainLab)), [
+            '07:00', '08:00', '09:00', '10:00', '11:00',
+            '14:00', '15:00', '16:00', '17:00', '18:00'
+        ]);
+    });
+
+    test('skips slots that overlap a break and ones that would run past closing', () => {
+        const schedule = {
+            open: '08:00',
+            close: '11:45',
+            slotMinutes: 30,
+            breaks: [{ start: '09:15', end: '09:45' }]
+        };
+
+        assert.deepEqual(slotTimes(schedule), ['08:00', '08:30', '10:00', '10:30', '11:00']);
+    });
+});
+
+describe('checkSlot', () => {
+    // 2030-06-03 is a Monday, 2030-06-02 a Sunday
+    test('accepts a scheduled time on an open day', () => {
+        assert.equal(checkSlot(mainLab, '2030-06-03', '09:00'), null);
+        assert.equal(checkSlot(mainLab, new Date('2030-06-03'), '09:00'), null);
+    });
+
+    test('rejects Sundays, unscheduled times, missing locations and bad dates', () => {
+        assert.match(checkSlot(mainLab, '2030-06-02', '09:00'), /closed/);
+        assert.match(checkSlot(mainLab, '2030-06-03', '12:00'), /available appointment times/);
+        assert.match(checkSlot(mainLab, '2030-06-03', '9am'), /available appointment times/);
+        assert.match(checkSlot(null, '2030-06-03', '09:00'), /not available/);
+        assert.match(checkSlot(mainLab, 'someday', '09:00'), /valid appointment date/);
+    });
+
+    test('rejects slots that have already started', () => {
+        assert.match(checkSlot(mainLab, '2020-06-01', '09:00'), /already passed/);
+    });
+
+    test('follows the location\'s own schedule', () => {
+        const saturdayClinic = new Location({
+            code: 'sat-clinic',
+            name: 'Saturday Clinic',
+            schedule: { open: '09:00', close: '11:00', slotMinutes: 30, breaks: [], closedDays: [0, 1, 2, 3, 4, 5] }
+        });
+
+        // 2030-06-08 is a Saturday
+        assert.equal(checkSlot(saturdayClinic, '2030-06-08', '10:30'), null);
+        assert.match(checkSlot(saturdayClinic, '2030-06-03', '10:30'), /closed/);
+    });
+});
+
+describe('checkLocation', () => {
+    test('rejects inactive locations and tests a branch does not offer', () => {
+        const branch = new Location({ code: 'lab2', name: 'Branch - Northside', supportedTests: ['blood'] });
+
+        assert.equal(checkLocation(branch, { testType: 'blood' }), null);
+        assert.match(checkLocation(branch, { testType: 'thyroid' }), /does not offer/);
+        assert.match(
+            checkLocation(branch, { items: [{ name: 'CBC', testType: 'blood' }, { name: 'TSH', testType: 'thyroid' }] }),
+            /does not offer TSH/
+        );
+
+        branch.active = false;
+        assert.match(checkLocation(branch, { testType: 'blood' }), /choose one of our locations/);
+        assert.match(checkLocation(null, {}), /choose one of our locations/);
+    });
+
+    test('home collection needs an address', () => {
+        const home = new Location({ code: 'home', name: 'Home Collection', type: 'home' });
+
+        assert.match(checkLocation(home, { testType: 'blood' }), /address/);
+        assert.equal(checkLocation(home, { testType: 'blood', address: '12 Ahmadu Bello Way' }), null);
+    });
+});
+
+test('toDateKey keeps the calendar day of stored appointment dates', () => {
+    assert.equal(toDateKey('2030-06-03'), '2030-06-03');
+    assert.equal(toDateKey(new Date('2030-06-03')), '2030-06-03');
+    assert.equal(toDateKey('2030-13-45'), null);
+});
+
+test('slotStartsAt reads slot times as lab-local time', () => {
+    // Lab time is UTC+1 unless LAB_UTC_OFFSET_MINUTES says otherwise
+    assert.equal(slotStartsAt('2030-06-03', '09:00').toISOString(), '2030-06-03T08:00:00.000Z');
+    assert.equal(slotStartsAt(new Date('2030-06-03'), '00:30').toISOString(), '2030-06-02T23:30:00.000Z');
+});
+
+describe('backfillSlotReservations', () => {
+    const originals = {
+        find: Booking.find,
+        updateOne: Booking.updateOne,
+        addSlot: SlotReservation.updateOne
+    };
+
+    afterEach(() => {
+        Booking.find = originals.find;
+        Booking.updateOne = originals.updateOne;
+        SlotReservation.updateOne = originals.addSlot;
+    });
+
+    const booking = (time) => new Booking({
+        fullName: 'Ada Obi',
+        phone: '+2348031234567',
+        testType: 'blood',
+        appointmentDate: new Date('2030-06-03'),
+        appointmentTime: time,
+        location: mainLab._id
+    });
+
+    test('counts upcoming active bookings into their slots, each only once', async () => {
+        const nine = booking('09:00');
+        const alsoNine = booking('09:00');
+        const ten = booking('10:00');
+        const claimed = new Set();
+        const counters = new Map();
+        let filter;
+
+        Booking.find = (f) => {
+            filter = f;
+            return { select: async () => [nine, alsoNine, ten] };
+        };
+        Booking.updateOne = async ({ _id }) => {
+            const fresh = !claimed.has(String(_id));
+            claimed.add(String(_id));
+            return { modifiedCount: fresh ? 1 : 0 };
+        };
+        SlotReservation.updateOne = async ({ location, date, time }, update) => {
+            const key = `${location} ${date} ${time}`;
+            counters.set(key, (counters.get(key) || 0) + update.$inc.count);
+        };
+
+        assert.equal(await Booking.backfillSlotReservations(), 3);
+        // A second run, or another server doing the same, adds nothing
+        assert.equal(await Booking.backfillSlotReservations(), 0);
+
+        assert.deepEqual(Object.fromEntries(counters), {
+            [`${mainLab._id} 2030-06-03 09:00`]: 2,
+            [`${mainLab._id} 2030-06-03 10:00`]: 1
+        });
+        assert.deepEqual(filter.slotReserved, { $ne: true });
+        assert.deepEqual(filter.status, { $nin: ['cancelled', 'no_show'] });
+        assert.ok(filter.appointmentDate.$gte instanceof Date);
+    });
+});
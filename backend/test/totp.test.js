@@ -0,0 +1,91 @@
+// Authenticator app codes (RFC 6238) and two-factor checks on accounts
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../models/User');
+const totp = require('../utils/totp');
+
+// RFC 6238 appendix B: the SHA-1 key is the ASCII string "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+const STEP_MS = 30 * 1000;
+
+describe('generateCode', () => {
+    test('matches the RFC 6238 SHA-1 test vectors', () => {
+        const vectors = [
+            [59, '94287082'],
+            [1111111109, '07081804'],
+            [1234567890, '89005924'],
+            [20000000000, '65353130']
+        ];
+
+        for (const [seconds, code] of vectors) {
+            assert.equal(totp.generateCode(RFC_SECRET, { time: seconds * 1000, digits: 8 }), code, `T = ${seconds}`);
+        }
+    });
+
+    test('base32 secrets survive a round trip', () => {
+        const secret = totp.generateSecret();
+
+        assert.equal(secret.length, 32);
+        assert.equal(totp.base32Encode(totp.base32Decode(secret)), secret);
+    });
+});
+
+describe('verifyCode', () => {
+    const time = 1234567890 * 1000;
+    const step = Math.floor(time / STEP_MS);
+
+    test('accepts codes one step either side and returns their step', () => {
+        assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, { time }), { time }), step);
+        assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, { time: time - STEP_MS }), { time }), step - 1);
+        assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, { time: time + STEP_MS }), { time }), step + 1);
+    });
+
+    test('refuses codes outside the window', () => {
+        assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, { time: time - 2 * STEP_MS }), { time }), null);
+        assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, { time: time + 2 * STEP_MS }), { time }), null);
+    });
+
+    test('refuses malformed codes and missing secrets', () => {
+        assert.equal(totp.verifyCode(RFC_SECRET, '12345', { time }), null);
+        assert.equal(totp.verifyCode(RFC_SECRET, 'abcdef', { time }), null);
+        assert.equal(totp.verifyCode(undefined, totp.generateCode(RFC_SECRET, { time }), { time }), null);
+    });
+});
+
+describe('verifyTwoFactorCode', () => {
+    const staffWithTwoFactor = () => new User({
+        firstName: 'Test',
+        lastName: 'Admin',
+        email: 'admin@example.com',
+        role: 'admin',
+        twoFactor: { enabled: true, secret: totp.generateSecret() }
+    });
+
+    test('a code cannot be used twice', () => {
+        const user = staffWithTwoFactor();
+        const code = totp.generateCode(user.twoFactor.secret);
+
+        assert.equal(user.verifyTwoFactorCode(code), 'totp');
+        assert.ok(user.twoFactor.lastUsedStep);
+        assert.equal(user.verifyTwoFactorCode(code), null);
+    });
+
+    test('an older code is refused once a newer one was used', () => {
+        const user = staffWithTwoFactor();
+        const now = Date.now();
+
+        user.twoFactor.lastUsedStep = Math.floor(now / STEP_MS) + 1;
+        assert.equal(user.verifyTwoFactorCode(totp.generateCode(user.twoFactor.secret, { time: now })), null);
+    });
+
+    test('recovery codes work once each', () => {
+        const user = staffWithTwoFactor();
+        const [first, second] = user.generateRecoveryCodes(2);
+
+        assert.equal(user.verifyTwoFactorCode(first.toUpperCase()), 'recovery');
+        assert.equal(user.verifyTwoFactorCode(first), null);
+        assert.equal(user.verifyTwoFactorCode(second), 'recovery');
+    });
+});
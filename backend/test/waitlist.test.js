@@ -0,0 +1,230 @@
+// Waitlist: joining it, offering freed places and the claim links sent
+// with them
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// Fail fast instead of waiting for a connection if a stub is missing
+mongoose.set('bufferCommands', false);
+
+const app = require('../server');
+const Closure = require('../models/Closure');
+const Location = require('../models/Location');
+const Session = require('../models/Session');
+const SlotReservation = require('../models/SlotReservation');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const jobs = require('../utils/jobs');
+const { signAccessToken } = require('../utils/authTokens');
+const { offerFreedSlot, EXPIRY_JOB } = require('../utils/waitlist');
+
+const originals = {
+    findSession: Session.findById,
+    findUser: User.findById,
+    resolveLocation: Location.resolve,
+    findReservations: SlotReservation.find,
+    exists: WaitlistEntry.exists,
+    save: WaitlistEntry.prototype.save,
+    closuresForDay: Closure.forDay,
+    findLocation: Location.findById,
+    findOne: WaitlistEntry.findOne,
+    findOneAndUpdate: WaitlistEntry.findOneAndUpdate,
+    notify: WaitlistEntry.prototype.sendOfferNotification,
+    reserve: SlotReservation.reserve,
+    release: SlotReservation.release,
+    schedule: jobs.schedule
+};
+
+afterEach(() => {
+    Session.findById = originals.findSession;
+    User.findById = originals.findUser;
+    Location.resolve = originals.resolveLocation;
+    SlotReservation.find = originals.findReservations;
+    WaitlistEntry.exists = originals.exists;
+    WaitlistEntry.prototype.save = originals.save;
+    Closure.forDay = originals.closuresForDay;
+    Location.findById = originals.findLocation;
+    WaitlistEntry.findOne = originals.findOne;
+    WaitlistEntry.findOneAndUpdate = originals.findOneAndUpdate;
+    WaitlistEntry.prototype.sendOfferNotification = originals.notify;
+    SlotReservation.reserve = originals.reserve;
+    SlotReservation.release = originals.release;
+    jobs.schedule = originals.schedule;
+});
+
+const location = { _id: new mongoose.Types.ObjectId(), name: 'Ikeja', active: true };
+
+const entryFor = (fields = {}) => new WaitlistEntry({
+    location: location._id,
+    date: '2030-06-03',
+    windowStart: '08:00',
+    windowEnd: '11:00',
+    details: { fullName: 'Ada Obi', phone: '+2348031234567' },
+    ...fields
+});
+
+describe('claim tokens', () => {
+    test('only work for the offer they were sent with', () => {
+        const entry = entryFor({
+            status: 'offered',
+            offer: { time: '09:00', offeredAt: new Date('2030-06-01T08:00:00Z'), expiresAt: new Date('2030-06-01T08:30:00Z') }
+        });
+        const token = entry.generateClaimToken();
+
+        assert.ok(entry.verifyClaimToken(token));
+
+        entry.offer.offeredAt = new Date('2030-06-01T09:00:00Z');
+        assert.equal(entry.verifyClaimToken(token), false);
+    });
+
+    test('stop working once the offer has ended', () => {
+        const entry = entryFor({ status: 'offered', offer: { time: '09:00', offeredAt: new Date() } });
+        const token = entry.generateClaimToken();
+
+        entry.status = 'expired';
+        assert.equal(entry.verifyClaimToken(token), false);
+    });
+
+    test('rejects a window that ends before it starts', async () => {
+        await assert.rejects(entryFor({ windowStart: '11:00', windowEnd: '09:00' }).validate(), /end of the window/);
+    });
+});
+
+describe('offerFreedSlot', () => {
+    test('holds the place for the first patient waiting and schedules the offer to expire', async () => {
+        const waiting = entryFor();
+        const calls = { reserved: 0, scheduled: [], notified: 0 };
+        let query;
+
+        Location.findById = async () => location;
+        Closure.forDay = async () => [];
+        WaitlistEntry.findOne = (filter) => {
+            query = filter;
+            return { sort: async () => waiting };
+        };
+        SlotReservation.reserve = async () => {
+            calls.reserved++;
+            return true;
+        };
+        WaitlistEntry.findOneAndUpdate = async (filter, update) => entryFor({ _id: waiting._id, ...update });
+        WaitlistEntry.prototype.sendOfferNotification = async function() {
+            calls.notified++;
+        };
+        jobs.schedule = async (...args) => calls.scheduled.push(args);
+
+        const offered = await offerFreedSlot(location._id, new Date('2030-06-03'), '09:00');
+
+        assert.equal(offered.status, 'offered');
+        assert.equal(offered.offer.time, '09:00');
+        assert.ok(offered.offer.expiresAt > offered.offer.offeredAt);
+        assert.deepEqual(query.windowStart, { $lte: '09:00' });
+        assert.deepEqual(query.windowEnd, { $gte: '09:00' });
+        assert.equal(calls.reserved, 1);
+        assert.equal(calls.notified, 1);
+        assert.equal(calls.scheduled[0][0], EXPIRY_JOB);
+        assert.deepEqual(calls.scheduled[0][3], { key: `waitlist:${waiting._id}` });
+    });
+
+    test('gives the place back when nobody can take it', async () => {
+        let released = 0;
+
+        Location.findById = async () => location;
+        Closure.forDay = async () => [];
+        WaitlistEntry.findOne = () => ({ sort: async () => (released ? null : entryFor()) });
+        SlotReservation.reserve = async () => true;
+        SlotReservation.release = async () => released++;
+        // The patient left the waitlist between the lookup and the offer
+        WaitlistEntry.findOneAndUpdate = async () => null;
+
+        assert.equal(await offerFreedSlot(location._id, '2030-06-03', '09:00'), null);
+        assert.equal(released, 1);
+    });
+
+    test('does not offer places on a closed day', async () => {
+        let reserved = false;
+
+        Location.findById = async () => location;
+        Closure.forDay = async () => [new Closure({ startDate: '2030-06-03', reason: 'Public holiday' })];
+        SlotReservation.reserve = async () => {
+            reserved = true;
+            return true;
+        };
+
+        assert.equal(await offerFreedSlot(location._id, '2030-06-03', '09:00'), null);
+        assert.equal(reserved, false);
+    });
+
+    test('ignores places that have already passed', async () => {
+        let looked = false;
+        Location.findById = async () => {
+            looked = true;
+            return location;
+        };
+
+        assert.equal(await offerFreedSlot(location._id, '2020-01-06', '09:00'), null);
+        assert.equal(looked, false);
+    });
+});
+
+describe('POST /api/waitlist', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    // Access token for a signed-in patient
+    const signInAsPatient = () => {
+        const user = new User({ firstName: 'Ada', lastName: 'Obi', email: 'ada@example.com', phone: '+2348031234567' });
+        const session = new Session({
+            user: user._id,
+            refreshTokenHash: Session.hashToken('patient-refresh'),
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+        });
+
+        Session.findById = async (id) => (session._id.equals(id) ? session : null);
+        User.findById = () => ({ select: async () => user });
+
+        return signAccessToken(user, session);
+    };
+
+    const join = (body) => fetch(`${baseUrl}/api/waitlist`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${signInAsPatient()}` },
+        body: JSON.stringify({ location: 'main', date: '2030-06-03', windowStart: '09:00', windowEnd: '09:00', ...body })
+    });
+
+    test('needs the tests the patient is waiting for', async () => {
+        const res = await join({});
+
+        assert.equal(res.status, 400);
+        assert.match((await res.json()).message, /choose the tests/);
+    });
+
+    test('refuses an entry whose offer could never be claimed', async () => {
+        let saved = false;
+
+        // The only slot in the window is full
+        Location.resolve = async () => new Location({ code: 'main', name: 'Main Lab', type: 'branch' });
+        SlotReservation.find = () => ({ select: async () => [{ time: '09:00', count: 2 }] });
+        Closure.forDay = async () => [];
+        WaitlistEntry.exists = async () => null;
+        WaitlistEntry.prototype.save = async function() {
+            saved = true;
+            return this;
+        };
+
+        const res = await join({ testType: 'x-ray' });
+
+        assert.equal(res.status, 400);
+        assert.match((await res.json()).message, /testType/);
+        assert.equal(saved, false);
+    });
+});
@@ -0,0 +1,107 @@
+// Access/refresh token helpers shared by patient and admin logins
+//
+// Access tokens are short-lived JWTs carrying the session id (sid), so the
+// auth middleware can reject them as soon as their session is revoked.
+// Refresh tokens are random strings stored hashed on the Session document
+// and rotated every time they are used; a rotated-out token presented again
+// revokes its session.
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback_secret_key';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How long a session (refresh token) stays valid without re-entering a password
+const SESSION_TTL_MS = {
+    patient: 30 * DAY_MS,
+    admin: 8 * HOUR_MS,
+    adminRemember: 30 * DAY_MS
+};
+
+// Client address as resolved through the trusted proxies ('trust proxy' in
+// server.js); a raw X-Forwarded-For header is never read, since clients can forge it
+const getClientIp = (req) => req.ip;
+
+const signAccessToken = (user, session) => {
+    return jwt.sign(
+        { id: user._id, role: user.role, sid: session._id },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+};
+
+// Short-lived proof that the password step passed; exchanged for a session
+// once the second factor is checked. Has no sid, so protect() rejects it.
+const signChallengeToken = (user, data = {}) => {
+    return jwt.sign(
+        { ...data, id: user._id, purpose: '2fa_challenge' },
+        JWT_SECRET,
+        { expiresIn: '5m' }
+    );
+};
+
+const verifyChallengeToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        return decoded.purpose === '2fa_challenge' ? decoded : null;
+    } catch {
+        return null;
+    }
+};
+
+// Start a new session for a user who just authenticated
+const createSession = async (user, req, ttlMs = SESSION_TTL_MS.patient) => {
+    const refreshToken = Session.generateRefreshToken();
+
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: Session.hashToken(refreshToken),
+        userAgent: req.headers['user-agent'],
+        ipAddress: getClientIp(req),
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return {
+        session,
+        token: signAccessToken(user, session),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+};
+
+// Exchange a refresh token for a new access/refresh pair. Resolves to null if
+// the token is unknown, revoked, expired or was rotated out by a concurrent
+// refresh; presenting an already rotated-out token revokes its session.
+const refreshSession = async (refreshToken) => {
+    const session = await Session.findActiveByRefreshToken(refreshToken).populate('user');
+    if (!session) {
+        await Session.revokeByRotatedToken(refreshToken);
+        return null;
+    }
+    if (!session.user) return null;
+
+    const newRefreshToken = await session.rotate();
+    if (!newRefreshToken) return null;
+
+    return {
+        session,
+        user: session.user,
+        token: signAccessToken(session.user, session),
+        refreshToken: newRefreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+};
+
+module.exports = {
+    JWT_SECRET,
+    SESSION_TTL_MS,
+    getClientIp,
+    signAccessToken,
+    signChallengeToken,
+    verifyChallengeToken,
+    createSession,
+    refreshSession
+};
@@ -0,0 +1,166 @@
+// iCalendar (RFC 5545) export of bookings
+//
+// Builds single-booking .ics downloads and the subscription feeds: a
+// patient's own bookings (with reminders) and a location's appointments for
+// its staff. Feeds are reached through signed links, since calendar apps
+// can't log in; bumping the owner's calendarFeedVersion revokes old links.
+const crypto = require('crypto');
+const { JWT_SECRET } = require('./authTokens');
+const { slotStartsAt } = require('./slots');
+const { DEFAULT_SCHEDULE, getSchedule } = require('../config/schedules');
+const { REMINDER_OFFSETS_HOURS } = require('../config/reminders');
+const { API_URL, REFRESH_MINUTES } = require('../config/calendar');
+
+const PRODID = '-//GOLDBOND LABORATORIES//Bookings//EN';
+const UID_DOMAIN = new URL(API_URL).hostname;
+
+const EVENT_STATUS = {
+    pending: 'TENTATIVE',
+    cancelled: 'CANCELLED',
+    no_show: 'CANCELLED'
+};
+
+// "20300603T080000Z"
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += bytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+// One VEVENT for a booking with its location populated. Staff events lead
+// with the patient; patient events carry the manage link and reminders.
+const bookingEvent = (booking, { staff = false } = {}) => {
+    const location = booking.location && booking.location.name ? booking.location : null;
+    const schedule = getSchedule(location) || DEFAULT_SCHEDULE;
+    const start = slotStartsAt(booking.appointmentDate, booking.appointmentTime);
+    const end = new Date(start.getTime() + schedule.slotMinutes * 60 * 1000);
+    const patient = booking.patientName || booking.fullName;
+
+    const place = location && location.type === 'home'
+        ? [booking.address, `${location.name} (home collection)`]
+        : [location && location.name, location && location.address];
+
+    const description = [
+        `Booking ID: ${booking.bookingId}`,
+        `Tests: ${booking.testsLabel}`
+    ];
+    if (staff) {
+        description.push(`Patient: ${patient}`, `Phone: ${booking.phone}`);
+        if (booking.notes) description.push(`Notes: ${booking.notes}`);
+    } else {
+        if (booking.dependent) description.push(`For: ${patient}`);
+        if (booking.preparationNotes.length > 0) description.push('', 'Preparation:', ...booking.preparationNotes);
+        description.push('', `View or change your booking: ${booking.getManageLink()}`);
+    }
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${booking.bookingId}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatUtc(new Date())}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        // Calendars replace the event when this goes up
+        `SEQUENCE:${booking.history ? booking.history.length : 0}`,
+        `SUMMARY:${escapeText(staff ? `${patient} - ${booking.testsLabel}` : `GOLDBOND LABORATORIES: ${booking.testsLabel}`)}`,
+        `LOCATION:${escapeText(place.filter(Boolean).join(', '))}`,
+        `DESCRIPTION:${escapeText(description.join('\n'))}`,
+        `STATUS:${EVENT_STATUS[booking.status] || 'CONFIRMED'}`
+    ];
+
+    if (booking.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(booking.updatedAt)}`);
+
+    // Reminders only for appointments that are still going ahead
+    if (!staff && EVENT_STATUS[booking.status] !== 'CANCELLED') {
+        REMINDER_OFFSETS_HOURS.forEach(hours => lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeText(`Lab appointment in ${hours} hour${hours === 1 ? '' : 's'}`)}`,
+            `TRIGGER:-PT${hours}H`,
+            'END:VALARM'
+        ));
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+// A whole calendar file, ready to send
+const buildCalendar = ({ name, events }) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${REFRESH_MINUTES}M`,
+    `X-PUBLISHED-TTL:PT${REFRESH_MINUTES}M`,
+    ...events.flat(),
+    'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+const sendCalendar = (res, calendar, filename) => {
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `${filename ? 'attachment' : 'inline'}; filename="${filename || 'calendar.ics'}"`,
+        'Cache-Control': 'no-cache'
+    });
+    res.send(calendar);
+};
+
+// Feed tokens are "<owner id>.<signature>"; scope keeps a patient token from
+// opening a location feed and vice versa
+const signFeed = (scope, owner) => crypto.createHmac('sha256', JWT_SECRET)
+    .update(`calendar-feed:${scope}:${owner._id}:${owner.calendarFeedVersion || 0}`)
+    .digest('base64url');
+
+const feedToken = (scope, owner) => `${owner._id}.${signFeed(scope, owner)}`;
+
+// Owner id named by a feed token, or null if it isn't one
+const feedTokenOwnerId = (token) => {
+    const [id, signature] = String(token || '').split('.');
+    return /^[a-f0-9]{24}$/.test(id || '') && signature ? id : null;
+};
+
+const verifyFeedToken = (scope, owner, token) => {
+    if (!owner || typeof token !== 'string') return false;
+
+    const expected = Buffer.from(feedToken(scope, owner));
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+module.exports = {
+    API_URL,
+    formatUtc,
+    escapeText,
+    foldLine,
+    bookingEvent,
+    buildCalendar,
+    sendCalendar,
+    feedToken,
+    feedTokenOwnerId,
+    verifyFeedToken
+};
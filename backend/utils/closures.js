@@ -0,0 +1,95 @@
+// Holiday and closure notices for bookings
+//
+// When an admin adds or changes a closure (models/Closure.js), the pending
+// and confirmed bookings it covers are listed for them to follow up, and
+// each patient gets a "closure-notice" job asking them to reschedule. The
+// job checks the booking still falls in the closure before sending, so
+// patients who have already moved are left alone.
+
+const jobs = require('./jobs');
+const { toDateKey } = require('./slots');
+const Booking = require('../models/Booking');
+const Closure = require('../models/Closure');
+const { DEFAULT_SCHEDULE, getSchedule } = require('../config/schedules');
+
+const JOB_TYPE = 'closure-notice';
+
+// Bookings still to be seen, and so worth moving
+const AFFECTED_STATUSES = ['pending', 'confirmed'];
+
+const LOCATION_FIELDS = 'code name type address phone schedule active';
+
+const jobKey = (closure) => `closure:${closure._id}`;
+
+// Whether a booking (with its location populated) falls in a closure
+const isAffected = (closure, booking) => {
+    if (!AFFECTED_STATUSES.includes(booking.status) || !closure.appliesTo(booking.location)) return false;
+
+    const { slotMinutes } = getSchedule(booking.location) || DEFAULT_SCHEDULE;
+    return closure.coversSlot(toDateKey(booking.appointmentDate), booking.appointmentTime, slotMinutes);
+};
+
+// Pending and confirmed bookings in a closure, soonest first
+const affectedBookings = async (closure) => {
+    // Booking dates are stored as UTC midnight of the lab-local day
+    const filter = {
+        status: { $in: AFFECTED_STATUSES },
+        appointmentDate: { $gte: new Date(closure.startDate), $lte: new Date(closure.endDate) }
+    };
+    if (closure.location) filter.location = closure.location._id || closure.location;
+
+    const bookings = await Booking.find(filter)
+        .populate('location', LOCATION_FIELDS)
+        .sort({ appointmentDate: 1, appointmentTime: 1 });
+
+    return bookings.filter(booking => isAffected(closure, booking));
+};
+
+// Queue a notice for each affected booking that hasn't had one for this
+// closure yet. Resolves to the affected bookings and how many were queued.
+const notifyAffected = async (closure) => {
+    const affected = await affectedBookings(closure);
+    const alreadyNotified = new Set(closure.notifiedBookings.map(String));
+    const fresh = affected.filter(booking => !alreadyNotified.has(String(booking._id)));
+
+    if (fresh.length > 0) {
+        const now = new Date();
+        await Promise.all(fresh.map(booking => jobs.schedule(
+            JOB_TYPE,
+            now,
+            { closure: String(closure._id), booking: String(booking._id) },
+            { key: jobKey(closure) }
+        )));
+
+        await Closure.updateOne(
+            { _id: closure._id },
+            { $addToSet: { notifiedBookings: { $each: fresh.map(booking => booking._id) } } }
+        );
+    }
+
+    return { affected, notified: fresh.length };
+};
+
+// Drop notices not sent yet, e.g. when the closure is called off
+const cancelNotices = (closure) => jobs.cancel(jobKey(closure), JOB_TYPE);
+
+jobs.registerHandler(JOB_TYPE, async ({ closure: closureId, booking: bookingId }) => {
+    const [closure, booking] = await Promise.all([
+        Closure.findById(closureId),
+        Booking.findById(bookingId).populate('location', LOCATION_FIELDS)
+    ]);
+
+    // Closure removed, or the booking moved or cancelled since
+    if (!closure || !booking || !isAffected(closure, booking)) return;
+
+    await booking.sendClosureNotice(closure);
+});
+
+module.exports = {
+    JOB_TYPE,
+    AFFECTED_STATUSES,
+    isAffected,
+    affectedBookings,
+    notifyAffected,
+    cancelNotices
+};
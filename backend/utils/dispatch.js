@@ -0,0 +1,295 @@
+// Home collection dispatch
+//
+// Keeps a HomeVisit for every active booking at a home collection location,
+// tags it with a zone, assigns it to a phlebotomist and builds their daily
+// route sheets. Assignment rules are described in config/dispatch.js.
+//
+// Booking is required lazily: models/Booking.js requires this module.
+const HomeVisit = require('../models/HomeVisit');
+const Collector = require('../models/Collector');
+const CollectionZone = require('../models/CollectionZone');
+const Location = require('../models/Location');
+const { geocodeAddress } = require('./geocode');
+const { toDateKey } = require('./slots');
+const { DEFAULT_SCHEDULE, getSchedule } = require('../config/schedules');
+
+const { hasPoint, distanceKm } = CollectionZone;
+
+// Bookings that still need a visit
+const VISIT_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+const addMinutes = (time, minutes) => {
+    const [hours, mins] = time.split(':').map(Number);
+    const total = Math.min(hours * 60 + mins + minutes, 24 * 60 - 1);
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// The zone an address is in: the nearest zone whose radius covers its
+// coordinates, otherwise the first zone whose areas the address mentions
+const findZone = (zones, { address, coordinates }) => {
+    const nearby = zones
+        .map(zone => ({ zone, km: zone.distanceTo(coordinates) }))
+        .filter(({ zone, km }) => km !== null && zone.radiusKm > 0 && km <= zone.radiusKm)
+        .sort((a, b) => a.km - b.km);
+
+    if (nearby.length > 0) return nearby[0].zone;
+    return zones.find(zone => zone.mentionedIn(address)) || null;
+};
+
+// The collector to send on a visit: on shift at its time, covering its
+// zone and under their daily capacity, with the fewest visits that day.
+// Collectors dedicated to zones go before those who cover everywhere.
+// `loads` maps collector user ids to the visits they already have that day.
+const pickCollector = (collectors, visit, loads) => {
+    const load = (collector) => loads.get(String(collector.user)) || 0;
+
+    return collectors
+        .filter(collector =>
+            collector.worksAt(visit.date, visit.windowStart) &&
+            collector.covers(visit.zone) &&
+            load(collector) < collector.dailyCapacity)
+        .sort((a, b) => load(a) - load(b) || (b.zones.length > 0) - (a.zones.length > 0))[0] || null;
+};
+
+// Visits each collector already has on a day (including completed ones)
+const dayLoads = async (dateKey) => {
+    const counts = await HomeVisit.aggregate([
+        { $match: { date: dateKey, collector: { $exists: true }, status: { $in: ['assigned', 'en_route', 'arrived', 'collected'] } } },
+        { $group: { _id: '$collector', visits: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(entry => [String(entry._id), entry.visits]));
+};
+
+// Give an unassigned visit to the best collector, if anyone is free.
+// Resolves to the visit as it now stands.
+const autoAssign = async (visit) => {
+    if (visit.status !== 'unassigned') return visit;
+
+    const [collectors, loads] = await Promise.all([Collector.find({ active: true }), dayLoads(visit.date)]);
+    const chosen = pickCollector(collectors, visit, loads);
+    if (!chosen) return visit;
+
+    return (await assignTo(visit, chosen.user)) || visit;
+};
+
+// Assign every unassigned visit on a day, earliest first
+const autoAssignDay = async (date) => {
+    const dateKey = toDateKey(date);
+    const [collectors, loads, visits] = await Promise.all([
+        Collector.find({ active: true }),
+        dayLoads(dateKey),
+        HomeVisit.find({ date: dateKey, status: 'unassigned' }).sort({ windowStart: 1, createdAt: 1 })
+    ]);
+
+    const result = { assigned: [], unassigned: [] };
+
+    for (const visit of visits) {
+        const chosen = pickCollector(collectors, visit, loads);
+        const assigned = chosen && await assignTo(visit, chosen.user);
+
+        if (assigned) {
+            loads.set(String(chosen.user), (loads.get(String(chosen.user)) || 0) + 1);
+            result.assigned.push(assigned);
+        } else {
+            result.unassigned.push(visit);
+        }
+    }
+
+    return result;
+};
+
+// Hand a visit that nobody has set out for yet to a collector (or back to
+// the pool when `collector` is null). `by` is the dispatcher, unset for
+// auto-assignment. Resolves to null if the visit has moved on meanwhile.
+const assignTo = (visit, collector, by) => {
+    let update;
+    if (!collector) update = { status: 'unassigned', $unset: { collector: 1, assignedBy: 1, assignedAt: 1 } };
+    else if (by) update = { status: 'assigned', collector, assignedBy: by, assignedAt: new Date() };
+    else update = { status: 'assigned', collector, assignedAt: new Date(), $unset: { assignedBy: 1 } };
+
+    update.$push = { events: { status: update.status, by } };
+
+    return HomeVisit.findOneAndUpdate(
+        { _id: visit._id, status: { $in: ['unassigned', 'assigned'] } },
+        update,
+        { new: true }
+    );
+};
+
+// Create or update the HomeVisit for a booking after it is made or changed.
+// Bookings that no longer need a visit (moved to a branch, cancelled) have
+// theirs cancelled. Resolves to the visit, or null.
+const syncVisit = async (booking) => {
+    const location = await Location.findById(booking.location && booking.location._id ? booking.location._id : booking.location);
+    const existing = await HomeVisit.findOne({ booking: booking._id });
+
+    if (!location || location.type !== 'home' || !VISIT_BOOKING_STATUSES.includes(booking.status)) {
+        if (existing) await cancelVisit(booking);
+        return null;
+    }
+
+    const schedule = getSchedule(location) || DEFAULT_SCHEDULE;
+    const set = {
+        bookingId: booking.bookingId,
+        location: location._id,
+        date: toDateKey(booking.appointmentDate),
+        windowStart: booking.appointmentTime,
+        windowEnd: addMinutes(booking.appointmentTime, schedule.slotMinutes),
+        patientName: booking.patientName || booking.fullName,
+        phone: booking.phone,
+        address: booking.address
+    };
+    const update = { $set: set };
+
+    // Coordinates shared by the patient win; otherwise look up a new address.
+    // Anything dispatch placed by hand stays until the address changes.
+    const addressChanged = !existing || existing.address !== set.address;
+    let coordinates = existing && existing.coordinates;
+
+    if (hasPoint(booking.addressCoordinates)) {
+        coordinates = { lat: booking.addressCoordinates.lat, lng: booking.addressCoordinates.lng };
+        set.coordinates = coordinates;
+        set.coordinatesSource = 'patient';
+    } else if (addressChanged) {
+        coordinates = await geocodeAddress(set.address);
+        if (coordinates) {
+            set.coordinates = coordinates;
+            set.coordinatesSource = 'geocoder';
+        } else if (existing) {
+            update.$unset = { coordinates: 1, coordinatesSource: 1 };
+        }
+    }
+
+    let zoneChanged = false;
+    if (addressChanged || set.coordinates) {
+        const zone = findZone(await CollectionZone.find({ active: true }), { address: set.address, coordinates });
+        zoneChanged = String(existing && existing.zone) !== String(zone && zone._id);
+        if (zone) set.zone = zone._id;
+        else if (existing && existing.zone) update.$unset = { ...update.$unset, zone: 1 };
+    }
+
+    // A new time or area may need a different collector, a failed visit gets
+    // another attempt once the booking has been moved, and a booking moved
+    // back to home collection needs a visit again
+    const moved = existing && (existing.date !== set.date || existing.windowStart !== set.windowStart);
+    const reopen = existing && (
+        existing.status === 'assigned' && (moved || zoneChanged) ||
+        existing.status === 'failed' && moved ||
+        existing.status === 'cancelled'
+    );
+    if (reopen) {
+        set.status = 'unassigned';
+        update.$unset = { ...update.$unset, collector: 1, assignedBy: 1, assignedAt: 1, failureReason: 1 };
+        update.$push = { events: { status: 'unassigned', note: 'Booking changed' } };
+    }
+
+    if (!existing) update.$push = { events: { status: 'unassigned' } };
+
+    const visit = await HomeVisit.findOneAndUpdate(
+        { booking: booking._id },
+        update,
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    return autoAssign(visit);
+};
+
+const cancelVisit = (booking, by) => HomeVisit.findOneAndUpdate(
+    { booking: booking._id, status: { $in: HomeVisit.OPEN_STATUSES } },
+    { status: 'cancelled', $push: { events: { status: 'cancelled', by } } },
+    { new: true }
+);
+
+// Record a collector's update from the field and carry it over to the
+// booking: arriving checks the patient in, collecting records the sample.
+// Resolves to the updated visit, or null if it changed meanwhile.
+const recordFieldStatus = async (visit, status, { by, note, coordinates } = {}) => {
+    if (!HomeVisit.FIELD_STATUSES.includes(status) || !visit.canTransitionTo(status)) {
+        throw new Error(`A visit that is ${visit.status.replace(/_/g, ' ')} cannot be marked ${status.replace(/_/g, ' ')}`);
+    }
+
+    const event = { status, by, note };
+    if (hasPoint(coordinates)) event.coordinates = { lat: Number(coordinates.lat), lng: Number(coordinates.lng) };
+
+    const update = { status, $push: { events: event } };
+    if (status === 'failed') update.failureReason = note;
+
+    const updated = await HomeVisit.findOneAndUpdate({ _id: visit._id, status: visit.status }, update, { new: true });
+    if (!updated) return null;
+
+    const bookingSteps = { arrived: ['checked_in'], collected: ['checked_in', 'sample_collected'] }[status] || [];
+    if (bookingSteps.length > 0) {
+        const Booking = require('../models/Booking');
+        let booking = await Booking.findById(updated.booking);
+
+        for (const step of bookingSteps) {
+            if (!booking || booking.status === step || !booking.canTransitionTo(step)) continue;
+            booking = await booking.transitionTo(step, { actor: by, actorType: 'staff', reason: 'Home collection visit' });
+        }
+    }
+
+    return updated;
+};
+
+// Stops in the order to make them: by arrival window, then within a window
+// nearest-first from the previous stop. Stops without coordinates close
+// their window in address order.
+const orderStops = (visits) => {
+    const windows = new Map();
+    [...visits]
+        .sort((a, b) => a.windowStart.localeCompare(b.windowStart) || a.windowEnd.localeCompare(b.windowEnd))
+        .forEach(visit => {
+            const key = `${visit.windowStart}-${visit.windowEnd}`;
+            if (!windows.has(key)) windows.set(key, []);
+            windows.get(key).push(visit);
+        });
+
+    const ordered = [];
+    let position = null;
+
+    for (const group of windows.values()) {
+        const located = group.filter(visit => hasPoint(visit.coordinates));
+        const unlocated = group
+            .filter(visit => !hasPoint(visit.coordinates))
+            .sort((a, b) => String(a.address || '').localeCompare(String(b.address || '')));
+
+        while (located.length > 0) {
+            let next = 0;
+            if (position) {
+                located.forEach((visit, i) => {
+                    if (distanceKm(position, visit.coordinates) < distanceKm(position, located[next].coordinates)) next = i;
+                });
+            }
+            const [stop] = located.splice(next, 1);
+            ordered.push(stop);
+            position = stop.coordinates;
+        }
+
+        ordered.push(...unlocated);
+    }
+
+    return ordered;
+};
+
+// A collector's visits for a day, in route order
+const routeSheet = async (collector, date) => {
+    const visits = await HomeVisit.find({ collector, date: toDateKey(date), status: { $ne: 'cancelled' } })
+        .populate('zone', 'code name')
+        .populate('booking', 'bookingId items testType notes status total paymentStatus');
+
+    return orderStops(visits);
+};
+
+module.exports = {
+    VISIT_BOOKING_STATUSES,
+    findZone,
+    pickCollector,
+    orderStops,
+    autoAssign,
+    autoAssignDay,
+    assignTo,
+    syncVisit,
+    cancelVisit,
+    recordFieldStatus,
+    routeSheet
+};
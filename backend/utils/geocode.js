@@ -0,0 +1,30 @@
+// Address → coordinates through a Nominatim-compatible geocoder
+// (GEOCODER_URL, see config/dispatch.js). Resolves to null when no geocoder
+// is configured or it has no answer; dispatch then falls back to zone
+// area names.
+const axios = require('axios');
+const { GEOCODER_URL, GEOCODER_REGION, GEOCODER_TIMEOUT_MS } = require('../config/dispatch');
+
+const geocodeAddress = async (address) => {
+    if (!GEOCODER_URL || !address) return null;
+
+    try {
+        const { data } = await axios.get(GEOCODER_URL, {
+            params: { q: `${address}, ${GEOCODER_REGION}`, format: 'json', limit: 1 },
+            headers: { 'User-Agent': 'GOLDBOND LABORATORIES home collection' },
+            timeout: GEOCODER_TIMEOUT_MS
+        });
+
+        const [match] = Array.isArray(data) ? data : [];
+        if (!match) return null;
+
+        const lat = Number(match.lat);
+        const lng = Number(match.lon);
+        return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+    } catch (error) {
+        console.error('Geocoding failed:', error.message);
+        return null;
+    }
+};
+
+module.exports = { geocodeAddress };
@@ -0,0 +1,134 @@
+// In-process job scheduler backed by the jobs collection
+//
+// Modules register a handler per job type and schedule jobs for a time;
+// start() polls for due jobs and runs them. A failed job is retried with a
+// growing delay until it has used up its attempts. Jobs left running by a
+// process that died are picked up again once their lock goes stale.
+//
+//   jobs.registerHandler('booking-reminder', async (data, job) => { ... });
+//   await jobs.schedule('booking-reminder', runAt, { booking: id }, { key: `booking:${id}` });
+//   await jobs.cancel(`booking:${id}`);
+
+const os = require('os');
+const Job = require('../models/Job');
+
+const POLL_INTERVAL_MS = (Number(process.env.JOB_POLL_SECONDS) || 30) * 1000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+let timer = null;
+let polling = false;
+
+const registerHandler = (type, handler) => {
+    handlers.set(type, handler);
+};
+
+const schedule = (type, runAt, data = {}, { key, maxAttempts } = {}) =>
+    Job.create({ type, runAt, data, key, maxAttempts });
+
+// Cancel a record's jobs that haven't run yet; resolves to how many
+const cancel = async (key, type) => {
+    const filter = { key, status: 'pending' };
+    if (type) filter.type = type;
+
+    const result = await Job.updateMany(filter, {
+        status: 'cancelled',
+        purgeAt: new Date(Date.now() + Job.RETENTION_MS)
+    });
+    return result.modifiedCount;
+};
+
+// Atomically take the next due job (or one whose worker went away)
+const claimNext = (now = new Date()) => Job.findOneAndUpdate(
+    {
+        $or: [
+            { status: 'pending', runAt: { $lte: now } },
+            { status: 'running', lockedAt: { $lt: new Date(now - LOCK_TIMEOUT_MS) } }
+        ]
+    },
+    { status: 'running', lockedBy: WORKER_ID, lockedAt: now, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+);
+
+const finish = (job, update) => Job.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    { ...update, $unset: { lockedBy: 1, lockedAt: 1 } }
+);
+
+const runJob = async (job) => {
+    const handler = handlers.get(job.type);
+
+    try {
+        if (!handler) throw new Error(`No handler registered for "${job.type}" jobs`);
+
+        await handler(job.data, job);
+        await finish(job, {
+            status: 'completed',
+            completedAt: new Date(),
+            purgeAt: new Date(Date.now() + Job.RETENTION_MS)
+        });
+    } catch (error) {
+        const retry = job.attempts < job.maxAttempts;
+        console.error(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+
+        await finish(job, retry
+            ? { status: 'pending', runAt: new Date(Date.now() + RETRY_DELAY_MS * job.attempts), lastError: error.message }
+            : { status: 'failed', lastError: error.message, purgeAt: new Date(Date.now() + Job.RETENTION_MS) });
+    }
+};
+
+// Run every job that is due now, up to BATCH_SIZE; resolves to how many ran
+const runDueJobs = async () => {
+    let ran = 0;
+
+    while (ran < BATCH_SIZE) {
+        const job = await claimNext();
+        if (!job) break;
+
+        await runJob(job);
+        ran++;
+    }
+
+    return ran;
+};
+
+const poll = async () => {
+    if (polling) return;
+    polling = true;
+
+    try {
+        await runDueJobs();
+    } catch (error) {
+        console.error('Job scheduler error:', error.message);
+    } finally {
+        polling = false;
+    }
+};
+
+const start = (intervalMs = POLL_INTERVAL_MS) => {
+    if (timer) return;
+
+    timer = setInterval(poll, intervalMs);
+    timer.unref();
+    poll();
+    console.log(`⏰ Job scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+};
+
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    registerHandler,
+    schedule,
+    cancel,
+    runJob,
+    runDueJobs,
+    start,
+    stop
+};
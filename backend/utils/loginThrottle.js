@@ -0,0 +1,144 @@
+// Brute-force protection for the login endpoints
+//
+// Failed attempts are counted per account (email), per client IP and per
+// result registration number. After a few free attempts every further
+// failure doubles the wait before the next try; reaching the lockout
+// threshold locks the key for a while, suspends the matching account and
+// records a LockoutEvent for the admins.
+const LoginThrottle = require('../models/LoginThrottle');
+const LockoutEvent = require('../models/LockoutEvent');
+const { getClientIp } = require('./authTokens');
+
+const MINUTE_MS = 60 * 1000;
+
+const SETTINGS = {
+    freeAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 15 * MINUTE_MS,
+    lockoutMs: 30 * MINUTE_MS,
+    counterTtlMs: 24 * 60 * MINUTE_MS,
+    lockoutThreshold: {
+        account: 10,
+        results: 10,
+        ip: 50 // an IP may be shared (office, mobile carrier NAT)
+    }
+};
+
+const throttleKeys = {
+    account: (email) => ({ scope: 'account', key: `account:${String(email).trim().toLowerCase()}` }),
+    ip: (ip) => ({ scope: 'ip', key: `ip:${ip}` }),
+    results: (registrationNumber) => ({ scope: 'results', key: `results:${String(registrationNumber).trim()}` })
+};
+
+// Account-scope keys a user can be throttled under (email and/or phone logins)
+const accountThrottleKeys = (user) =>
+    [user.email, user.phone].filter(Boolean).map(identifier => throttleKeys.account(identifier).key);
+
+// Wait required after `failures` consecutive failures (0 during the free attempts)
+const backoffDelayMs = (failures) => {
+    if (failures < SETTINGS.freeAttempts) return 0;
+    return Math.min(SETTINGS.baseDelayMs * 2 ** (failures - SETTINGS.freeAttempts), SETTINGS.maxDelayMs);
+};
+
+// Is another attempt allowed right now for every one of these keys?
+const checkLoginAllowed = async (entries) => {
+    const now = Date.now();
+    const throttles = await LoginThrottle.find({ key: { $in: entries.map(entry => entry.key) } });
+
+    let retryAt = 0;
+    let locked = false;
+
+    throttles.forEach(throttle => {
+        if (throttle.lockedUntil && throttle.lockedUntil.getTime() > now) {
+            locked = true;
+            retryAt = Math.max(retryAt, throttle.lockedUntil.getTime());
+            return;
+        }
+
+        const nextAllowed = throttle.lastFailureAt
+            ? throttle.lastFailureAt.getTime() + backoffDelayMs(throttle.failures)
+            : 0;
+        if (nextAllowed > now) retryAt = Math.max(retryAt, nextAllowed);
+    });
+
+    return {
+        allowed: retryAt === 0,
+        locked,
+        retryAfterSeconds: retryAt ? Math.ceil((retryAt - now) / 1000) : 0
+    };
+};
+
+// Count a failed attempt against each key; returns true if any key got locked
+const recordLoginFailure = async (entries, { req, loginType, user }) => {
+    const now = new Date();
+    let lockedOut = false;
+
+    for (const { scope, key } of entries) {
+        const throttle = await LoginThrottle.findOneAndUpdate(
+            { key },
+            {
+                $inc: { failures: 1 },
+                $set: { scope, lastFailureAt: now, expiresAt: new Date(now.getTime() + SETTINGS.counterTtlMs) }
+            },
+            { upsert: true, new: true }
+        );
+
+        if (throttle.failures < SETTINGS.lockoutThreshold[scope]) continue;
+
+        // Lock the key and start counting afresh once the lock runs out
+        const lockedUntil = new Date(now.getTime() + SETTINGS.lockoutMs);
+        throttle.lockedUntil = lockedUntil;
+        throttle.failures = 0;
+        throttle.expiresAt = new Date(lockedUntil.getTime() + SETTINGS.counterTtlMs);
+        await throttle.save();
+
+        const lockedUser = scope === 'account' ? user : undefined;
+        if (lockedUser && lockedUser.status === 'active') {
+            lockedUser.status = 'suspended';
+            lockedUser.lockedUntil = lockedUntil;
+            await lockedUser.save({ validateBeforeSave: false });
+        }
+
+        await LockoutEvent.create({
+            key,
+            scope,
+            user: lockedUser ? lockedUser._id : undefined,
+            loginType,
+            ipAddress: getClientIp(req),
+            userAgent: req.headers['user-agent'],
+            failures: SETTINGS.lockoutThreshold[scope],
+            lockedUntil
+        });
+
+        console.warn(`🔒 Login lockout for ${key} until ${lockedUntil.toISOString()}`);
+        lockedOut = true;
+    }
+
+    return lockedOut;
+};
+
+const clearLoginFailures = (entries) => {
+    return LoginThrottle.deleteMany({ key: { $in: entries.map(entry => entry.key) } });
+};
+
+const sendTooManyAttempts = (res, { retryAfterSeconds, locked }) => {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({
+        success: false,
+        message: locked
+            ? 'Too many failed attempts. This login is temporarily locked, please try again later or contact support.'
+            : `Too many failed attempts. Please wait ${retryAfterSeconds} seconds before trying again.`,
+        retryAfter: retryAfterSeconds
+    });
+};
+
+module.exports = {
+    SETTINGS,
+    throttleKeys,
+    accountThrottleKeys,
+    backoffDelayMs,
+    checkLoginAllowed,
+    recordLoginFailure,
+    clearLoginFailures,
+    sendTooManyAttempts
+};
@@ -0,0 +1,220 @@
+// Patient data-subject requests: export everything we hold, and erase it
+//
+// Deleting an account anonymises the User and everything that identifies
+// them (bookings, waitlist entries, enquiries, login history) but keeps test results, which
+// are medical records, until the retention period has passed. Payments stay
+// for the accounts, stripped of provider details.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const HomeVisit = require('../models/HomeVisit');
+const Payment = require('../models/Payment');
+const TestResult = require('../models/TestResult');
+const Contact = require('../models/Contact');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const LoginThrottle = require('../models/LoginThrottle');
+const DeletionRequest = require('../models/DeletionRequest');
+const PhoneOtp = require('../models/PhoneOtp');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { accountThrottleKeys } = require('./loginThrottle');
+const { withdrawOffer } = require('./waitlist');
+
+const UPLOAD_DIR = path.join(__dirname, '../../uploads');
+
+// How long results are kept after the patient's account is deleted
+const RESULT_RETENTION_YEARS = parseInt(process.env.RESULT_RETENTION_YEARS) || 10;
+
+const PRIVATE_USER_FIELDS = '-password -resetPasswordToken -resetPasswordExpire -verificationToken ' +
+    '-verificationTokenExpire -inviteToken -inviteTokenExpire';
+
+// The patient's own bookings, plus older ones made before bookings were
+// linked to accounts, which only carry the email address
+const bookingFilter = (user) => ({
+    $or: [
+        { user: user._id },
+        ...(user.email ? [{ user: { $exists: false }, email: user.email }] : [])
+    ]
+});
+
+// ---------------------- EXPORT ----------------------
+const buildPatientExport = async (userId) => {
+    const profile = await User.findById(userId).select(PRIVATE_USER_FIELDS).lean();
+
+    const [bookings, waitlist, payments, results, loginHistory, sessions, deletionRequests] = await Promise.all([
+        Booking.find(bookingFilter(profile)).sort({ createdAt: -1 }).lean(),
+        WaitlistEntry.find({ user: userId }).select('-user').sort({ createdAt: -1 }).lean(),
+        // Provider responses can hold reusable card authorisations, so they stay internal
+        Payment.find({ user: userId }).select('-providerResponse').sort({ createdAt: -1 }).lean(),
+        TestResult.find({ patientId: userId }).sort({ reportDate: -1 }).lean(),
+        LoginEvent.find({ user: userId }).select('-user').sort({ createdAt: -1 }).lean(),
+        Session.find({ user: userId }).select('-refreshTokenHash -previousRefreshTokenHashes -user').sort({ createdAt: -1 }).lean(),
+        DeletionRequest.find({ user: userId }).select('-user').sort({ createdAt: -1 }).lean()
+    ]);
+
+    const reports = [];
+    for (const result of results) {
+        if (!result.reportPdfUrl) continue;
+
+        const fileName = path.basename(result.reportPdfUrl);
+        try {
+            const data = await fs.promises.readFile(path.join(UPLOAD_DIR, fileName));
+            const archiveName = `reports/${result.registrationNumber}.pdf`;
+            reports.push({ name: archiveName, data, date: result.reportDate || result.createdAt });
+            result.reportFile = archiveName;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            console.warn(`Export: report PDF missing for ${result.registrationNumber}`);
+        }
+    }
+
+    const data = {
+        exportedAt: new Date().toISOString(),
+        laboratory: 'GOLDBOND LABORATORIES',
+        profile,
+        bookings,
+        waitlist,
+        payments,
+        testResults: results,
+        loginHistory,
+        sessions,
+        deletionRequests
+    };
+
+    return { data, reports };
+};
+
+// ---------------------- ANONYMISE ----------------------
+const anonymisePatient = async (user, { processedBy, requestedBy = 'patient', reason } = {}) => {
+    const originalEmail = user.email;
+    const placeholderEmail = `deleted-${user._id}@deleted.invalid`;
+
+    const retainUntil = new Date();
+    retainUntil.setFullYear(retainUntil.getFullYear() + RESULT_RETENTION_YEARS);
+
+    const retained = await TestResult.updateMany(
+        { patientId: user._id, retainUntil: { $exists: false } },
+        { $set: { retainUntil } }
+    );
+
+    // Found before the scrub, which replaces the email older bookings are matched on
+    const bookingIds = await Booking.distinct('_id', bookingFilter(user));
+
+    await Booking.updateMany(
+        { _id: { $in: bookingIds } },
+        {
+            $set: { fullName: 'Deleted User', patientName: 'Deleted User', email: placeholderEmail, phone: 'deleted' },
+            $unset: { address: 1, addressCoordinates: 1, notes: 1 }
+        }
+    );
+
+    // Home collection visits carry their own copy of the patient's contact details and address
+    await HomeVisit.updateMany(
+        { booking: { $in: bookingIds } },
+        {
+            $set: { patientName: 'Deleted User', phone: 'deleted' },
+            $unset: { address: 1, coordinates: 1, coordinatesSource: 1 }
+        }
+    );
+
+    // Leave the waitlist (giving back any place held for them) and drop the
+    // contact details copied onto the entries
+    const offered = await WaitlistEntry.find({ user: user._id, status: 'offered' });
+    for (const entry of offered) {
+        await withdrawOffer(entry, 'cancelled');
+    }
+    await WaitlistEntry.updateMany({ user: user._id, status: 'waiting' }, { $set: { status: 'cancelled' } });
+    await WaitlistEntry.updateMany(
+        { user: user._id },
+        {
+            $set: { 'details.fullName': 'Deleted User', 'details.phone': 'deleted' },
+            $unset: { 'details.email': 1, 'details.patientName': 1, 'details.address': 1, 'details.notes': 1 }
+        }
+    );
+
+    // Phone-only accounts have no email to match on (an empty filter would match everything)
+    if (originalEmail) {
+        await Contact.deleteMany({ email: originalEmail });
+    }
+
+    await Payment.updateMany({ user: user._id }, { $set: { providerResponse: {}, metadata: {} } });
+    await LoginEvent.deleteMany({ user: user._id });
+    await LoginThrottle.deleteMany({ key: { $in: accountThrottleKeys(user) } });
+    await PhoneOtp.deleteMany({ user: user._id });
+    await Session.revokeAllForUser(user._id, 'account_deleted', processedBy);
+
+    user.set({
+        fullName: 'Deleted User',
+        firstName: 'Deleted',
+        lastName: 'User',
+        email: originalEmail ? placeholderEmail : undefined,
+        phone: 'deleted',
+        phoneVerified: false,
+        password: crypto.randomBytes(32).toString('hex'),
+        dateOfBirth: undefined,
+        gender: undefined,
+        address: undefined,
+        feedback: [],
+        dependents: [],
+        status: 'inactive',
+        isVerified: false,
+        emailVerified: false,
+        twoFactor: { enabled: false },
+        lockedUntil: undefined,
+        lastLogin: undefined,
+        anonymisedAt: new Date()
+    });
+    user.clearResetPasswordToken();
+    user.verificationToken = undefined;
+    user.verificationTokenExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    const completion = {
+        status: 'completed',
+        processedAt: new Date(),
+        processedBy,
+        resultsRetained: retained.modifiedCount,
+        retainUntil
+    };
+
+    const request = await DeletionRequest.findOneAndUpdate(
+        { user: user._id, status: 'pending' },
+        { $set: completion },
+        { new: true }
+    );
+
+    return request || DeletionRequest.create({ user: user._id, requestedBy, reason, ...completion });
+};
+
+// ---------------------- RETENTION ----------------------
+// Remove results (and their PDFs) whose retention period has ended
+const purgeExpiredResults = async () => {
+    const expired = await TestResult.find({ retainUntil: { $lte: new Date() } }).select('reportPdfUrl');
+
+    for (const result of expired) {
+        if (result.reportPdfUrl) {
+            await fs.promises.unlink(path.join(UPLOAD_DIR, path.basename(result.reportPdfUrl)))
+                .catch(error => {
+                    if (error.code !== 'ENOENT') throw error;
+                });
+        }
+        await result.deleteOne();
+    }
+
+    await User.updateMany(
+        { anonymisedAt: { $exists: true } },
+        { $pull: { testResults: { $in: expired.map(result => result._id) } } }
+    );
+
+    return expired.length;
+};
+
+module.exports = {
+    RESULT_RETENTION_YEARS,
+    buildPatientExport,
+    anonymisePatient,
+    purgeExpiredResults
+};
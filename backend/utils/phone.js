@@ -0,0 +1,65 @@
+// Phone number helpers
+//
+// Numbers are stored in E.164 (+2348031234567). Patients type Nigerian
+// numbers in many shapes: 08031234567, 0803 123 4567, 2348031234567,
+// +234 (0) 803 123 4567 or just 8031234567. Other international numbers
+// are accepted when they already carry a leading "+".
+const NIGERIA_CODE = '234';
+
+// Nigerian subscriber numbers are 10 digits after the country code (or the trunk 0)
+const NIGERIAN_NATIONAL = /^[789][01]\d{8}$/;
+const E164 = /^\+[1-9]\d{7,14}$/;
+
+// Returns the E.164 form, or null when the input isn't a usable number
+const normalizePhone = (input) => {
+    if (input === undefined || input === null) return null;
+
+    const raw = String(input).trim();
+    const hasPlus = raw.startsWith('+') || raw.startsWith('00');
+    let digits = raw.replace(/\D/g, '');
+    if (raw.startsWith('00')) digits = digits.slice(2);
+
+    if (digits.startsWith(NIGERIA_CODE)) {
+        // "+234 (0) 803..." - drop the trunk zero people often keep
+        let national = digits.slice(NIGERIA_CODE.length);
+        if (national.length === 11 && national.startsWith('0')) national = national.slice(1);
+        // No other country's code starts with 234, so anything else is a mistyped Nigerian number
+        return NIGERIAN_NATIONAL.test(national) ? `+${NIGERIA_CODE}${national}` : null;
+    }
+
+    if (!hasPlus) {
+        if (digits.length === 11 && digits.startsWith('0') && NIGERIAN_NATIONAL.test(digits.slice(1))) {
+            return `+${NIGERIA_CODE}${digits.slice(1)}`;
+        }
+        if (NIGERIAN_NATIONAL.test(digits)) return `+${NIGERIA_CODE}${digits}`;
+        return null;
+    }
+
+    const international = `+${digits}`;
+    return E164.test(international) ? international : null;
+};
+
+// Ways the same number may have been stored before normalisation was added,
+// for matching older records (e.g. users and results saved as "0803...")
+const phoneVariants = (input) => {
+    const normalized = normalizePhone(input);
+    if (!normalized) return input ? [String(input).trim()] : [];
+
+    const variants = [normalized, normalized.slice(1)];
+    if (normalized.startsWith(`+${NIGERIA_CODE}`)) {
+        variants.push(`0${normalized.slice(NIGERIA_CODE.length + 1)}`);
+    }
+    return variants;
+};
+
+// "+2348031234567" -> "+234 *** *** 4567" for messages shown before login
+const maskPhone = (phone) => {
+    if (!phone) return '';
+    return `${phone.slice(0, 4)} *** *** ${phone.slice(-4)}`;
+};
+
+module.exports = {
+    normalizePhone,
+    phoneVariants,
+    maskPhone
+};
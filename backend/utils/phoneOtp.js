@@ -0,0 +1,138 @@
+// Passwordless patient login with a one-time code sent by SMS
+//
+// Each phone number has at most one live code. Codes expire after a few
+// minutes and are burned after too many wrong guesses; sending is limited
+// by a resend cooldown and a per-hour cap so the SMS gateway can't be used
+// to spam a number. Failed verifications also count against the regular
+// login throttle (see utils/loginThrottle.js).
+const crypto = require('crypto');
+const User = require('../models/User');
+const PhoneOtp = require('../models/PhoneOtp');
+const sendSms = require('./sendSms');
+const { JWT_SECRET } = require('./authTokens');
+const { phoneVariants } = require('./phone');
+
+const MINUTE_MS = 60 * 1000;
+
+const SETTINGS = {
+    codeLength: 6,
+    codeTtlMs: 5 * MINUTE_MS,
+    maxAttempts: 5,
+    resendCooldownMs: MINUTE_MS,
+    maxSendsPerWindow: 5,
+    sendWindowMs: 60 * MINUTE_MS
+};
+
+// Keyed hash so a leaked table can't be reversed by trying all 10^6 codes
+const hashCode = (phone, code) =>
+    crypto.createHmac('sha256', JWT_SECRET).update(`${phone}:${String(code).trim()}`).digest('hex');
+
+const codesMatch = (hash, otherHash) =>
+    crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(otherHash, 'hex'));
+
+const generateCode = () =>
+    String(crypto.randomInt(0, 10 ** SETTINGS.codeLength)).padStart(SETTINGS.codeLength, '0');
+
+// Patient accounts using this number, also matching numbers saved before
+// they were normalised. Several accounts can share a phone (family members
+// with their own email), in which case OTP login can't tell them apart.
+const findPatientByPhone = async (phone) => {
+    const users = await User.find({ phone: { $in: phoneVariants(phone) }, role: 'user' }).limit(2);
+
+    return {
+        user: users.length === 1 ? users[0] : null,
+        ambiguous: users.length > 1
+    };
+};
+
+// Returns { sent: true, expiresInSeconds } or { sent: false, retryAfterSeconds }
+const issueLoginOtp = async (user, phone) => {
+    const now = Date.now();
+    const otp = await PhoneOtp.findOne({ phone }) || new PhoneOtp({ phone });
+
+    if (otp.lastSentAt && otp.lastSentAt.getTime() + SETTINGS.resendCooldownMs > now) {
+        return {
+            sent: false,
+            retryAfterSeconds: Math.ceil((otp.lastSentAt.getTime() + SETTINGS.resendCooldownMs - now) / 1000)
+        };
+    }
+
+    if (!otp.sendWindowStartedAt || otp.sendWindowStartedAt.getTime() + SETTINGS.sendWindowMs <= now) {
+        otp.sendWindowStartedAt = new Date(now);
+        otp.sendCount = 0;
+    }
+
+    const windowEndsAt = otp.sendWindowStartedAt.getTime() + SETTINGS.sendWindowMs;
+    if (otp.sendCount >= SETTINGS.maxSendsPerWindow) {
+        return { sent: false, retryAfterSeconds: Math.ceil((windowEndsAt - now) / 1000) };
+    }
+
+    const code = generateCode();
+    otp.set({
+        user: user._id,
+        codeHash: hashCode(phone, code),
+        expiresAt: new Date(now + SETTINGS.codeTtlMs),
+        attempts: 0,
+        lastSentAt: new Date(now),
+        sendCount: otp.sendCount + 1,
+        purgeAt: new Date(Math.max(windowEndsAt, now + SETTINGS.codeTtlMs))
+    });
+    await otp.save();
+
+    try {
+        await sendSms({
+            to: phone,
+            text: `Your GOLDBOND LABORATORIES login code is ${code}. ` +
+                `It expires in ${SETTINGS.codeTtlMs / MINUTE_MS} minutes. Never share this code with anyone.`
+        });
+    } catch (smsError) {
+        // Don't leave a code behind that the patient never received
+        await PhoneOtp.updateOne({ _id: otp._id }, { $unset: { codeHash: 1, expiresAt: 1, lastSentAt: 1 }, $inc: { sendCount: -1 } });
+        throw smsError;
+    }
+
+    return { sent: true, expiresInSeconds: SETTINGS.codeTtlMs / 1000 };
+};
+
+// Check a code and use it up. Returns { valid, reason, userId, attemptsRemaining }
+const verifyLoginOtp = async (phone, code) => {
+    const otp = await PhoneOtp.findOne({ phone });
+    if (!otp || !otp.codeHash) return { valid: false, reason: 'no_active_code' };
+
+    // Conditions on codeHash/attempts make concurrent guesses race-safe
+    const live = { _id: otp._id, codeHash: otp.codeHash, attempts: { $lt: SETTINGS.maxAttempts } };
+    const burn = { $unset: { codeHash: 1, expiresAt: 1 } };
+
+    if (otp.expiresAt.getTime() <= Date.now()) {
+        await PhoneOtp.updateOne({ _id: otp._id, codeHash: otp.codeHash }, burn);
+        return { valid: false, reason: 'code_expired', userId: otp.user };
+    }
+
+    if (!codesMatch(hashCode(phone, code), otp.codeHash)) {
+        const updated = await PhoneOtp.findOneAndUpdate(live, { $inc: { attempts: 1 } }, { new: true });
+        const attemptsRemaining = updated ? SETTINGS.maxAttempts - updated.attempts : 0;
+
+        if (attemptsRemaining <= 0) {
+            await PhoneOtp.updateOne({ _id: otp._id, codeHash: otp.codeHash }, burn);
+        }
+
+        return {
+            valid: false,
+            reason: attemptsRemaining > 0 ? 'invalid_code' : 'code_attempts_exceeded',
+            userId: otp.user,
+            attemptsRemaining
+        };
+    }
+
+    const consumed = await PhoneOtp.findOneAndUpdate(live, burn);
+    if (!consumed) return { valid: false, reason: 'no_active_code', userId: otp.user };
+
+    return { valid: true, userId: otp.user };
+};
+
+module.exports = {
+    SETTINGS,
+    findPatientByPhone,
+    issueLoginOtp,
+    verifyLoginOtp
+};
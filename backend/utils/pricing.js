@@ -0,0 +1,84 @@
+// Pricing for multi-test bookings
+//
+// Order lines are looked up in the test catalog and priced on the server;
+// whatever prices or totals a client sends are ignored.
+
+const CatalogItem = require('../models/CatalogItem');
+const { CURRENCY, VOLUME_DISCOUNTS, MAX_ORDER_LINES, MAX_QUANTITY } = require('../config/pricing');
+
+// Subtotal, discounts and total for priced order lines
+const priceOrder = (items) => {
+    const subtotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+    const tests = items.reduce((count, item) => count + item.quantity, 0);
+
+    const tier = VOLUME_DISCOUNTS.find(discount => tests >= discount.minTests);
+    const discounts = tier && subtotal > 0
+        ? [{ label: tier.label, amount: Math.round(subtotal * tier.percent / 100) }]
+        : [];
+
+    const total = Math.max(subtotal - discounts.reduce((sum, discount) => sum + discount.amount, 0), 0);
+
+    return { subtotal, discounts, total, currency: CURRENCY };
+};
+
+// Accepts ["lipid-profile", ...] or [{ code, quantity }, ...]; repeated
+// codes are merged. Returns { lines } or { error }.
+const normaliseItems = (raw) => {
+    if (!Array.isArray(raw) || raw.length === 0) return { error: 'Please choose at least one test' };
+    if (raw.length > MAX_ORDER_LINES) return { error: `A booking can include at most ${MAX_ORDER_LINES} tests` };
+
+    const quantities = new Map();
+
+    for (const entry of raw) {
+        const code = String((entry && typeof entry === 'object' ? entry.code : entry) || '').trim().toLowerCase();
+        const quantity = entry && typeof entry === 'object' && entry.quantity !== undefined ? Number(entry.quantity) : 1;
+
+        if (!code) return { error: 'Every test needs a code' };
+        if (!Number.isInteger(quantity) || quantity < 1)
+            return { error: `Quantity for ${code} must be a whole number of at least 1` };
+
+        quantities.set(code, (quantities.get(code) || 0) + quantity);
+    }
+
+    for (const [code, quantity] of quantities) {
+        if (quantity > MAX_QUANTITY) return { error: `Quantity for ${code} cannot be more than ${MAX_QUANTITY}` };
+    }
+
+    return { lines: [...quantities].map(([code, quantity]) => ({ code, quantity })) };
+};
+
+// Price requested lines against the active catalog.
+// Returns { order: { items, subtotal, discounts, total, currency } } or { error }.
+const buildOrder = async (raw) => {
+    const { lines, error } = normaliseItems(raw);
+    if (error) return { error };
+
+    const catalog = await CatalogItem.find({ code: { $in: lines.map(line => line.code) }, active: true });
+    const byCode = new Map(catalog.map(item => [item.code, item]));
+
+    const missing = lines.filter(line => !byCode.has(line.code)).map(line => line.code);
+    if (missing.length > 0) return { error: `These tests are not available: ${missing.join(', ')}` };
+
+    const items = lines.map(({ code, quantity }) => {
+        const item = byCode.get(code);
+        return {
+            catalogItem: item._id,
+            code,
+            name: item.name,
+            kind: item.kind,
+            testType: item.testType,
+            unitPrice: item.price,
+            quantity,
+            lineTotal: item.price * quantity,
+            preparation: item.preparation
+        };
+    });
+
+    return { order: { items, ...priceOrder(items) } };
+};
+
+module.exports = {
+    priceOrder,
+    normaliseItems,
+    buildOrder
+};
@@ -0,0 +1,191 @@
+// Branch reception queue
+//
+// Reception issues tickets (checkInBooking() for booked patients scanning
+// their QR code, issueTicket() for walk-ins) and calls them to desks in
+// ticket order. Every change is pushed to the branch's open "now serving"
+// displays through subscribe()/publish(). Subscriptions live in this
+// process, so displays must connect to the server that reception uses.
+
+const { EventEmitter } = require('events');
+const QueueTicket = require('../models/QueueTicket');
+const QueueCounter = require('../models/QueueCounter');
+const { getSchedule } = require('../config/schedules');
+const { labToday } = require('./slots');
+const { SERVICE_MINUTES, SERVICE_SAMPLE_SIZE, DISPLAY_CALLED } = require('../config/queue');
+
+const displays = new EventEmitter();
+displays.setMaxListeners(0);
+
+// Minutes per patient from the branch's last served tickets today
+const serviceMinutes = async (location, date) => {
+    const recent = await QueueTicket.find({
+        location: location._id,
+        date,
+        status: 'served',
+        calledAt: { $exists: true },
+        closedAt: { $exists: true }
+    }).sort({ closedAt: -1 }).limit(SERVICE_SAMPLE_SIZE).select('calledAt closedAt');
+
+    if (recent.length === 0) return SERVICE_MINUTES;
+
+    const total = recent.reduce((sum, ticket) => sum + (ticket.closedAt - ticket.calledAt), 0);
+    return Math.max(1, Math.round(total / recent.length / 60000));
+};
+
+// Minutes until a patient with `ahead` others in front of them is likely to
+// be called, given the branch's desks, how many are busy and the minutes
+// each patient takes
+const estimateWait = (ahead, { desks, busy, minutes }) => {
+    const free = Math.max(0, desks - busy);
+    if (ahead < free) return 0;
+    return Math.ceil((ahead - free + 1) / desks) * minutes;
+};
+
+// The branch's queue as shown on its display: ticket codes only, no names
+const snapshot = async (location) => {
+    const date = labToday();
+    const [tickets, minutes] = await Promise.all([
+        QueueTicket.find({ location: location._id, date, status: { $in: QueueTicket.ACTIVE_STATUSES } }).sort({ number: 1 }),
+        serviceMinutes(location, date)
+    ]);
+
+    const called = tickets.filter(ticket => ticket.status === 'called').sort((a, b) => b.calledAt - a.calledAt);
+    const waiting = tickets.filter(ticket => ticket.status === 'waiting');
+    const load = { desks: Math.max(1, (getSchedule(location) || {}).capacity || 1), busy: called.length, minutes };
+
+    return {
+        location: { code: location.code, name: location.name },
+        date,
+        nowServing: called.slice(0, DISPLAY_CALLED).map(ticket => ({
+            code: ticket.code,
+            desk: ticket.desk,
+            calledAt: ticket.calledAt
+        })),
+        waiting: waiting.map((ticket, i) => ({ code: ticket.code, estimatedWaitMinutes: estimateWait(i, load) })),
+        waitingCount: waiting.length,
+        serviceMinutes: minutes,
+        // For a patient joining the queue now
+        estimatedWaitMinutes: estimateWait(waiting.length, load),
+        updatedAt: new Date()
+    };
+};
+
+// Call listener(snapshot) whenever the branch's queue changes; returns the
+// function that stops listening
+const subscribe = (location, listener) => {
+    const channel = String(location._id);
+    displays.on(channel, listener);
+    return () => displays.off(channel, listener);
+};
+
+// Push the branch's queue to its displays. Never throws: a display that
+// misses an update gets the next one.
+const publish = async (location) => {
+    if (!location) return;
+
+    const channel = String(location._id);
+    if (displays.listenerCount(channel) === 0) return;
+
+    try {
+        displays.emit(channel, await snapshot(location));
+    } catch (error) {
+        console.error(`Queue display update failed for ${location.code}:`, error);
+    }
+};
+
+// Give a patient the next ticket at the branch today
+const issueTicket = async (location, fields, by) => {
+    const date = labToday();
+    const number = await QueueCounter.next(location._id, date);
+
+    const ticket = await QueueTicket.create({
+        ...fields,
+        location: location._id,
+        date,
+        number,
+        issuedBy: by
+    });
+
+    await publish(location);
+    return ticket;
+};
+
+// Check a booked patient in: the booking moves to checked_in (confirmed
+// first if it was still pending) and the patient gets a ticket. Scanning
+// the code again returns the ticket already issued, unless it was closed as
+// a no-show. Resolves to null if the booking was changed meanwhile.
+const checkInBooking = async (location, booking, by) => {
+    const existing = await QueueTicket.findOne({
+        booking: booking._id,
+        date: labToday(),
+        status: { $nin: ['no_show', 'cancelled'] }
+    });
+    if (existing) return { ticket: existing, booking, repeat: true };
+
+    const actor = { actor: by, actorType: 'staff' };
+    let current = booking;
+    if (current.status === 'pending') current = await current.transitionTo('confirmed', actor);
+    if (current && current.status === 'confirmed') current = await current.transitionTo('checked_in', actor);
+    if (!current) return null;
+
+    const ticket = await issueTicket(location, {
+        kind: 'appointment',
+        booking: current._id,
+        bookingId: current.bookingId,
+        name: current.patientName || current.fullName,
+        phone: current.phone
+    }, by);
+
+    return { ticket, booking: current, repeat: false };
+};
+
+// Call the next waiting patient to a desk. The desk's current patient, if
+// any, is marked served. Resolves to the called ticket, or null if nobody
+// is waiting.
+const callNext = async (location, desk, by) => {
+    const date = labToday();
+    const now = new Date();
+
+    await QueueTicket.updateMany(
+        { location: location._id, date, status: 'called', desk },
+        { status: 'served', closedAt: now }
+    );
+
+    const ticket = await QueueTicket.findOneAndUpdate(
+        { location: location._id, date, status: 'waiting' },
+        { status: 'called', desk, calledAt: now, calledBy: by },
+        { sort: { number: 1 }, new: true }
+    );
+
+    await publish(location);
+    return ticket;
+};
+
+// Close a ticket, or put a called patient back in the queue (see
+// STATUS_TRANSITIONS in models/QueueTicket.js). Resolves to the updated
+// ticket, or null if its status changed since it was loaded.
+const setTicketStatus = async (location, ticket, status) => {
+    const update = status === 'waiting'
+        ? { status, $unset: { desk: 1, calledAt: 1, calledBy: 1 } }
+        : { status, closedAt: new Date() };
+
+    const updated = await QueueTicket.findOneAndUpdate(
+        { _id: ticket._id, status: ticket.status },
+        update,
+        { new: true }
+    );
+
+    if (updated) await publish(location);
+    return updated;
+};
+
+module.exports = {
+    estimateWait,
+    snapshot,
+    subscribe,
+    publish,
+    issueTicket,
+    checkInBooking,
+    callNext,
+    setTicketStatus
+};
@@ -0,0 +1,83 @@
+// Appointment reminder jobs for bookings
+//
+// Each active booking has one "booking-reminder" job per offset in
+// config/reminders.js. Rescheduling replaces them and leaving the
+// pending/confirmed statuses cancels them (see models/Booking.js).
+// Bookings made before reminders existed get theirs from
+// backfillReminders() when the server starts.
+
+const jobs = require('./jobs');
+const Job = require('../models/Job');
+const { slotStartsAt, labToday } = require('./slots');
+const { REMINDER_OFFSETS_HOURS } = require('../config/reminders');
+
+const JOB_TYPE = 'booking-reminder';
+
+// Statuses in which the patient still needs reminding
+const REMINDER_STATUSES = ['pending', 'confirmed'];
+
+const jobKey = (booking) => `booking:${booking._id}`;
+
+const cancelReminders = (booking) => jobs.cancel(jobKey(booking), JOB_TYPE);
+
+// Replace a booking's reminders with ones for its current appointment;
+// offsets that have already passed are skipped
+const scheduleReminders = async (booking) => {
+    await cancelReminders(booking);
+    if (!REMINDER_STATUSES.includes(booking.status)) return [];
+
+    const startsAt = slotStartsAt(booking.appointmentDate, booking.appointmentTime);
+    if (!startsAt || isNaN(startsAt)) return [];
+
+    const due = REMINDER_OFFSETS_HOURS
+        .map(hoursBefore => ({ hoursBefore, runAt: new Date(startsAt.getTime() - hoursBefore * 60 * 60 * 1000) }))
+        .filter(({ runAt }) => runAt > Date.now());
+
+    return Promise.all(due.map(({ hoursBefore, runAt }) => jobs.schedule(
+        JOB_TYPE,
+        runAt,
+        { booking: String(booking._id), hoursBefore, startsAt },
+        { key: jobKey(booking) }
+    )));
+};
+
+// Queue reminders for upcoming active bookings that have never had any;
+// resolves to how many bookings got some
+const backfillReminders = async () => {
+    // Required here because models/Booking.js requires this module
+    const Booking = require('../models/Booking');
+    const bookings = await Booking.find({
+        status: { $in: REMINDER_STATUSES },
+        appointmentDate: { $gte: new Date(labToday()) }
+    }).select('status appointmentDate appointmentTime');
+
+    const reminded = new Set(await Job.distinct('key', { type: JOB_TYPE, key: { $in: bookings.map(jobKey) } }));
+
+    let scheduled = 0;
+    for (const booking of bookings.filter(booking => !reminded.has(jobKey(booking)))) {
+        const queued = await scheduleReminders(booking);
+        if (queued.length > 0) scheduled++;
+    }
+
+    return scheduled;
+};
+
+jobs.registerHandler(JOB_TYPE, async ({ booking: id, hoursBefore, startsAt }) => {
+    // Required here because models/Booking.js requires this module
+    const Booking = require('../models/Booking');
+    const booking = await Booking.findById(id).populate('location', 'name type address phone');
+
+    // Cancelled, finished or moved since the reminder was scheduled
+    if (!booking || !REMINDER_STATUSES.includes(booking.status)) return;
+    if (slotStartsAt(booking.appointmentDate, booking.appointmentTime).getTime() !== new Date(startsAt).getTime()) return;
+
+    await booking.sendReminder(hoursBefore);
+});
+
+module.exports = {
+    JOB_TYPE,
+    REMINDER_STATUSES,
+    scheduleReminders,
+    cancelReminders,
+    backfillReminders
+};
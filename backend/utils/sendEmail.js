@@ -0,0 +1,46 @@
+// Email sending helper with a pluggable transport
+//
+// The default transport only logs to the console (same as the booking and
+// result notification placeholders). In production, register a real one at
+// startup, e.g. a Nodemailer or SendGrid wrapper:
+//
+//   const sendEmail = require('./utils/sendEmail');
+//   sendEmail.setTransport({ send: (message) => smtp.sendMail(message) });
+
+const consoleTransport = {
+    name: 'console',
+    send: async ({ to, subject, text }) => {
+        console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+        return { delivered: true };
+    }
+};
+
+let transport = consoleTransport;
+
+const sendEmail = async ({ to, subject, text, html }) => {
+    if (!to || !subject) {
+        throw new Error('Email recipient and subject are required');
+    }
+
+    return transport.send({
+        from: process.env.EMAIL_FROM || 'GOLDBOND LABORATORIES <no-reply@goldbondlabs.com>',
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+// Replace the active transport (must expose an async send(message) method)
+sendEmail.setTransport = (customTransport) => {
+    if (!customTransport || typeof customTransport.send !== 'function') {
+        throw new Error('Email transport must implement send(message)');
+    }
+    transport = customTransport;
+};
+
+sendEmail.resetTransport = () => {
+    transport = consoleTransport;
+};
+
+module.exports = sendEmail;
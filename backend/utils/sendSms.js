@@ -0,0 +1,44 @@
+// SMS sending helper with a pluggable transport
+//
+// Works like utils/sendEmail.js: the default transport only logs to the
+// console. In production, register a real gateway at startup, e.g. a
+// Termii or Twilio wrapper:
+//
+//   const sendSms = require('./utils/sendSms');
+//   sendSms.setTransport({ send: ({ to, from, text }) => gateway.send(to, text) });
+
+const consoleTransport = {
+    name: 'console',
+    send: async ({ to, text }) => {
+        console.log(`📱 SMS to ${to}: ${text}`);
+        return { delivered: true };
+    }
+};
+
+let transport = consoleTransport;
+
+const sendSms = async ({ to, text }) => {
+    if (!to || !text) {
+        throw new Error('SMS recipient and text are required');
+    }
+
+    return transport.send({
+        from: process.env.SMS_SENDER_ID || 'GOLDBOND',
+        to,
+        text
+    });
+};
+
+// Replace the active transport (must expose an async send(message) method)
+sendSms.setTransport = (customTransport) => {
+    if (!customTransport || typeof customTransport.send !== 'function') {
+        throw new Error('SMS transport must implement send(message)');
+    }
+    transport = customTransport;
+};
+
+sendSms.resetTransport = () => {
+    transport = consoleTransport;
+};
+
+module.exports = sendSms;
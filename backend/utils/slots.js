@@ -0,0 +1,195 @@
+// Appointment slot engine
+//
+// Turns a location's schedule (models/Location.js) into bookable slots and
+// works out how many places are left in each from the SlotReservation
+// counters that bookings take and give back. Counters are keyed by the
+// location's id. Holidays and branch closures (models/Closure.js) take
+// slots off the calendar on top of each location's regular closed days.
+const SlotReservation = require('../models/SlotReservation');
+const Closure = require('../models/Closure');
+const { getSchedule, LAB_UTC_OFFSET_MINUTES } = require('../config/schedules');
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const toTime = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// "YYYY-MM-DD" for a date string or Date, or null if it isn't a valid date.
+// Booking dates are stored as UTC midnight of the chosen day.
+const toDateKey = (date) => {
+    if (typeof date === 'string' && DATE_KEY.test(date)) {
+        return isNaN(new Date(date)) ? null : date;
+    }
+
+    const parsed = new Date(date);
+    return isNaN(parsed) ? null : parsed.toISOString().slice(0, 10);
+};
+
+// Today's date in the lab's time zone, as "YYYY-MM-DD"
+const labToday = () => new Date(Date.now() + LAB_UTC_OFFSET_MINUTES * 60 * 1000).toISOString().slice(0, 10);
+
+// The moment a slot starts: its lab-local day and time as a real Date
+const slotStartsAt = (date, time) => {
+    const dateKey = toDateKey(date);
+    if (!dateKey || !TIME.test(time || '')) return null;
+
+    return new Date(new Date(`${dateKey}T${time}:00Z`).getTime() - LAB_UTC_OFFSET_MINUTES * 60 * 1000);
+};
+
+// Start times of every slot in a working day, skipping any that overlap a break
+const slotTimes = (schedule) => {
+    const open = toMinutes(schedule.open);
+    const close = toMinutes(schedule.close);
+    const breaks = (schedule.breaks || []).map(b => ({ start: toMinutes(b.start), end: toMinutes(b.end) }));
+    const times = [];
+
+    for (let start = open; start + schedule.slotMinutes <= close; start += schedule.slotMinutes) {
+        const end = start + schedule.slotMinutes;
+        if (breaks.some(b => start < b.end && end > b.start)) continue;
+        times.push(toTime(start));
+    }
+
+    return times;
+};
+
+const isClosedOn = (schedule, dateKey) =>
+    (schedule.closedDays || []).includes(new Date(`${dateKey}T00:00:00Z`).getUTCDay());
+
+// Reservation counters are keyed by location id; accepts a Location
+// document, a populated or unpopulated booking.location, or an id
+const locationKey = (location) => String(location && location._id ? location._id : location);
+
+// Why a booking can't go in this slot, or null if it is a real slot
+// (capacity is checked separately, when the place is reserved)
+const checkSlot = (location, date, time) => {
+    const schedule = getSchedule(location);
+    if (!schedule) return 'Bookings are not available at this location';
+
+    const dateKey = toDateKey(date);
+    if (!dateKey) return 'Please choose a valid appointment date';
+
+    if (isClosedOn(schedule, dateKey)) return 'This location is closed on the selected day';
+
+    if (!TIME.test(time || '') || !slotTimes(schedule).includes(time))
+        return 'Please choose one of the available appointment times';
+
+    if (slotStartsAt(dateKey, time) <= new Date()) return 'This appointment time has already passed';
+
+    return null;
+};
+
+// The closure (if any) a slot falls in, from the ones loaded for its day
+const closureFor = (closures, schedule, dateKey, time) =>
+    closures.find(closure => closure.coversSlot(dateKey, time, schedule.slotMinutes)) || null;
+
+// Why a slot can't be booked because the location is closed then, or null.
+// Run after checkSlot(), which covers everything that needs no lookup.
+const checkClosure = async (location, date, time) => {
+    const schedule = getSchedule(location);
+    const dateKey = toDateKey(date);
+    if (!schedule || !dateKey) return null;
+
+    const closure = closureFor(await Closure.forDay(location, dateKey), schedule, dateKey, time);
+    if (!closure) return null;
+
+    return closure.allDay
+        ? `This location is closed on the selected day (${closure.reason})`
+        : `This location is closed from ${closure.startTime} to ${closure.endTime} on the selected day (${closure.reason})`;
+};
+
+// Why a booking can't be made at this Location, or null if it can
+const checkLocation = (location, { testType, items, address } = {}) => {
+    if (!location || !location.active) return 'Please choose one of our locations';
+
+    // Multi-test bookings are checked test by test
+    const unavailable = items && items.length > 0
+        ? items.find(item => !location.offersTest(item.testType))
+        : null;
+    if (unavailable) return `${location.name} does not offer ${unavailable.name}`;
+
+    if (!(items && items.length > 0) && testType && !location.offersTest(testType))
+        return `${location.name} does not offer this test`;
+
+    if (location.type === 'home' && !(address && String(address).trim()))
+        return 'Please provide your address for home collection';
+
+    return null;
+};
+
+// Take a place for a booking at a Location; false when the slot is full
+const reserveSlot = (location, date, time) => {
+    const schedule = getSchedule(location);
+    return SlotReservation.reserve(
+        { location: locationKey(location), date: toDateKey(date), time },
+        schedule ? schedule.capacity : 0
+    );
+};
+
+const releaseSlot = (location, date, time) =>
+    SlotReservation.release({ location: locationKey(location), date: toDateKey(date), time });
+
+// Count a place a booking already holds, without checking capacity
+const countSlot = (location, date, time) =>
+    SlotReservation.add({ location: locationKey(location), date: toDateKey(date), time });
+
+// Every slot on a day with its remaining capacity. A day-long closure
+// closes the whole day; slots in part-day closures have no places left and
+// carry the closure's reason.
+const getDayAvailability = async (location, date) => {
+    const schedule = getSchedule(location);
+    const dateKey = toDateKey(date);
+
+    if (!schedule || !dateKey || isClosedOn(schedule, dateKey)) {
+        return { closed: true, slots: [] };
+    }
+
+    const [reservations, closures] = await Promise.all([
+        SlotReservation.find({ location: locationKey(location), date: dateKey }).select('time count'),
+        Closure.forDay(location, dateKey)
+    ]);
+
+    const dayClosure = closures.find(closure => closure.coversDay(dateKey));
+    if (dayClosure) {
+        return { closed: true, reason: dayClosure.reason, slots: [] };
+    }
+
+    const taken = new Map(reservations.map(r => [r.time, r.count]));
+
+    const now = new Date();
+    const slots = slotTimes(schedule).map(time => {
+        const booked = taken.get(time) || 0;
+        const passed = slotStartsAt(dateKey, time) <= now;
+        const closure = closureFor(closures, schedule, dateKey, time);
+        return {
+            time,
+            capacity: schedule.capacity,
+            booked,
+            remaining: passed || closure ? 0 : Math.max(schedule.capacity - booked, 0),
+            passed,
+            ...(closure && { closedReason: closure.reason })
+        };
+    });
+
+    return { closed: false, slots };
+};
+
+module.exports = {
+    toDateKey,
+    labToday,
+    locationKey,
+    slotStartsAt,
+    slotTimes,
+    checkLocation,
+    checkSlot,
+    checkClosure,
+    reserveSlot,
+    releaseSlot,
+    countSlot,
+    getDayAvailability
+};
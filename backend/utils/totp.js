@@ -0,0 +1,130 @@
+// Time-based one-time passwords (RFC 6238 / RFC 4226)
+//
+// Implemented on top of Node's crypto so codes can be generated and checked
+// fully offline. Compatible with Google Authenticator, Authy, 1Password etc.
+// (HMAC-SHA1, 6 digits, 30 second steps).
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+    step: 30,
+    digits: 6,
+    window: 1 // accept codes one step either side to allow for clock drift
+};
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character in secret');
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size recommended by RFC 4226
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+const timeStep = (time = Date.now(), step = DEFAULTS.step) => Math.floor(time / 1000 / step);
+
+// HOTP value for a given counter (RFC 4226 section 5.3)
+const hotp = (secret, counter, digits = DEFAULTS.digits) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary =
+        ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+const generateCode = (secret, options = {}) => {
+    const { time = Date.now(), step = DEFAULTS.step, digits = DEFAULTS.digits } = options;
+    return hotp(secret, timeStep(time, step), digits);
+};
+
+// Returns the matching time step (so callers can block replays), or null
+const verifyCode = (secret, code, options = {}) => {
+    const {
+        time = Date.now(),
+        step = DEFAULTS.step,
+        digits = DEFAULTS.digits,
+        window = DEFAULTS.window
+    } = options;
+
+    const token = String(code || '').replace(/\s+/g, '');
+    if (!secret || !new RegExp(`^\\d{${digits}}$`).test(token)) return null;
+
+    const current = timeStep(time, step);
+    for (let offset = -window; offset <= window; offset++) {
+        const expected = hotp(secret, current + offset, digits);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+            return current + offset;
+        }
+    }
+
+    return null;
+};
+
+// otpauth:// URI that authenticator apps import from a QR code
+const keyUri = ({ secret, accountName, issuer = 'GOLDBOND LABORATORIES' }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = [
+        `secret=${secret}`,
+        `issuer=${encodeURIComponent(issuer)}`,
+        'algorithm=SHA1',
+        `digits=${DEFAULTS.digits}`,
+        `period=${DEFAULTS.step}`
+    ];
+
+    return `otpauth://totp/${label}?${params.join('&')}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    verifyCode,
+    keyUri
+};
@@ -0,0 +1,112 @@
+// Waitlist offers
+//
+// Whenever a booking gives its place back (Booking#releaseSlot),
+// offerFreedSlot() holds the place for the first patient waiting for that
+// location, day and time and sends them a claim link. A
+// "waitlist-offer-expiry" job passes the place on to the next patient if the
+// offer isn't claimed in time.
+
+const Location = require('../models/Location');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const jobs = require('./jobs');
+const { checkSlot, checkClosure, reserveSlot, releaseSlot, slotStartsAt, toDateKey } = require('./slots');
+const { WAITLIST_OFFER_MINUTES } = require('../config/bookingPolicy');
+
+const EXPIRY_JOB = 'waitlist-offer-expiry';
+
+// Statuses in which an entry still counts as being on the waitlist
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+const jobKey = (entry) => `waitlist:${entry._id}`;
+
+// Hold a freed place for the next waiting patient and tell them about it.
+// Resolves to their entry, or null if nobody is waiting (or the place is
+// already gone). Never throws: a failed offer must not break a cancellation.
+const offerFreedSlot = async (location, date, time) => {
+    try {
+        const dateKey = toDateKey(date);
+        const startsAt = slotStartsAt(dateKey, time);
+        if (!startsAt || startsAt <= Date.now()) return null;
+
+        const place = await Location.findById(location && location._id ? location._id : location);
+        if (!place || checkSlot(place, dateKey, time)) return null;
+
+        // Places freed by a closure are not offered to anyone
+        if (await checkClosure(place, dateKey, time)) return null;
+
+        for (;;) {
+            const next = await WaitlistEntry.findOne({
+                location: place._id,
+                date: dateKey,
+                status: 'waiting',
+                windowStart: { $lte: time },
+                windowEnd: { $gte: time }
+            }).sort({ createdAt: 1 });
+            if (!next) return null;
+
+            // Someone may have booked the place in the meantime
+            if (!(await reserveSlot(place, dateKey, time))) return null;
+
+            const offeredAt = new Date();
+            const entry = await WaitlistEntry.findOneAndUpdate(
+                { _id: next._id, status: 'waiting' },
+                {
+                    status: 'offered',
+                    offer: {
+                        time,
+                        offeredAt,
+                        expiresAt: new Date(offeredAt.getTime() + WAITLIST_OFFER_MINUTES * 60 * 1000)
+                    }
+                },
+                { new: true }
+            );
+
+            // They left the waitlist just now; try the next patient
+            if (!entry) {
+                await releaseSlot(place, dateKey, time);
+                continue;
+            }
+
+            await jobs.schedule(EXPIRY_JOB, entry.offer.expiresAt, { entry: String(entry._id), offeredAt }, { key: jobKey(entry) });
+            await entry.sendOfferNotification(place.name);
+            return entry;
+        }
+    } catch (error) {
+        console.error('Waitlist offer failed:', error);
+        return null;
+    }
+};
+
+// End an entry's current offer ("expired" or "cancelled") and pass the
+// place on. Resolves to the updated entry, or null if the offer had
+// already been claimed or ended.
+const withdrawOffer = async (entry, status) => {
+    const ended = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'offered', 'offer.offeredAt': entry.offer.offeredAt },
+        { status },
+        { new: true }
+    );
+    if (!ended) return null;
+
+    await jobs.cancel(jobKey(ended), EXPIRY_JOB);
+    await releaseSlot(ended.location, ended.date, ended.offer.time);
+    await offerFreedSlot(ended.location, ended.date, ended.offer.time);
+    return ended;
+};
+
+jobs.registerHandler(EXPIRY_JOB, async ({ entry: id, offeredAt }) => {
+    const entry = await WaitlistEntry.findById(id);
+
+    // Claimed, cancelled or re-offered since
+    if (!entry || entry.status !== 'offered' || entry.offer.offeredAt.getTime() !== new Date(offeredAt).getTime()) return;
+
+    await withdrawOffer(entry, 'expired');
+});
+
+module.exports = {
+    ACTIVE_STATUSES,
+    EXPIRY_JOB,
+    jobKey,
+    offerFreedSlot,
+    withdrawOffer
+};
@@ -87,11 +87,20 @@ bookingForm?.addEventListener('submit', async (e) => {
             // Reset form
             bookingForm.reset();
             
-            // Show booking confirmation details
-            showBookingConfirmation(result);
+            // Show booking confirmation details (guests also get their manage link)
+            showBookingConfirmation({
+                ...formData,
+                ...result.booking,
+                manageUrl: result.manageUrl,
+                manageToken: result.manageToken,
+                checkIn: result.checkIn
+            });
         } else {
             const error = await response.json();
             showNotification(error.message || 'Booking failed. Please try again.', 'error');
+            
+            // Someone took the last place first - show what is still free
+            if (response.status === 409) loadTimeSlots();
         }
     } catch (error) {
         hideLoading();
@@ -149,7 +158,7 @@ const validateBookingForm = (data) => {
     }
     
     // Validate address for home collection
-    if (data.location === 'home' && !data.address.trim()) {
+    if (isHomeCollection(data.location) && !data.address.trim()) {
         showNotification('Please provide your address for home collection', 'error');
         return false;
     }
@@ -175,15 +184,34 @@ const showBookingConfirmation = (bookingData) => {
                     <p><strong>Test:</strong> ${bookingData.testType}</p>
                     <p><strong>Date:</strong> ${new Date(bookingData.appointmentDate).toLocaleDateString()}</p>
                     <p><strong>Time:</strong> ${bookingData.appointmentTime}</p>
-                    <p><strong>Location:</strong> ${bookingData.location}</p>
+                    <p><strong>Location:</strong> ${bookingData.location?.name || locationsById[bookingData.location]?.name || ''}</p>
                 </div>
                 
+                ${bookingData.checkIn ? `
+                    <div style="margin-bottom: 1.5rem;">
+                        <p style="font-size: 0.9rem; color: #666;">Show this code at reception when you arrive:</p>
+                        <img src="${bookingData.checkIn.qrUrl}" alt="Check-in code" width="180" height="180">
+                    </div>
+                ` : ''}
+                
                 <p style="font-size: 0.9rem; color: #666; margin-bottom: 1.5rem;">
                     A confirmation email has been sent to <strong>${bookingData.email}</strong>
                 </p>
                 
+                ${bookingData.manageUrl ? `
+                    <p style="font-size: 0.9rem; color: #666; margin-bottom: 1.5rem;">
+                        Keep this link to view or cancel your booking:<br>
+                        <a href="${bookingData.manageUrl}">Manage my booking</a>
+                    </p>
+                ` : ''}
+                
                 <div style="display: flex; gap: 1rem; justify-content: center;">
                     <a href="index.html" class="btn btn-primary">Back to Home</a>
+                    ${bookingData.manageToken ? `
+                        <a href="http://localhost:3000/api/bookings/${encodeURIComponent(bookingData.bookingId)}/calendar.ics?token=${encodeURIComponent(bookingData.manageToken)}" class="btn btn-secondary">
+                            Add to Calendar
+                        </a>
+                    ` : ''}
                     <button onclick="window.print()" class="btn btn-secondary">Print Details</button>
                 </div>
             </div>
@@ -192,13 +220,41 @@ const showBookingConfirmation = (bookingData) => {
     document.body.appendChild(confirmationModal);
 };
 
-// Auto-fill address field based on location selection
+// Locations come from the API so new branches appear without a code change
 const locationSelect = document.getElementById('location');
 const addressField = document.getElementById('address');
 const addressGroup = addressField?.parentElement;
+const locationsById = {};
+
+const isHomeCollection = (locationId) => locationsById[locationId]?.type === 'home';
+
+const loadLocations = async () => {
+    if (!locationSelect) return;
+
+    try {
+        const response = await fetch('http://localhost:3000/api/locations');
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.message);
+
+        data.locations.forEach(location => {
+            locationsById[location._id] = location;
+
+            const option = document.createElement('option');
+            option.value = location._id;
+            option.textContent = location.name;
+            locationSelect.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Location loading error:', error);
+        showNotification('Unable to load our locations. Please refresh the page or contact us.', 'error');
+    }
+};
+
+loadLocations();
 
+// Show the address field for home collection
 locationSelect?.addEventListener('change', () => {
-    if (locationSelect.value === 'home') {
+    if (isHomeCollection(locationSelect.value)) {
         addressGroup.style.display = 'block';
         addressField.setAttribute('required', 'required');
     } else {
@@ -210,39 +266,89 @@ locationSelect?.addEventListener('change', () => {
 
 // Initialize address field visibility
 if (locationSelect && addressGroup) {
-    addressGroup.style.display = locationSelect.value === 'home' ? 'block' : 'none';
+    addressGroup.style.display = isHomeCollection(locationSelect.value) ? 'block' : 'none';
 }
 
-// Add time slot suggestions based on location
+// Time slots with remaining capacity for the chosen date and location
 const timeInput = document.getElementById('appointmentTime');
-const createTimeSlotSuggestions = () => {
+let slotsDiv = null;
+
+const loadTimeSlots = async () => {
     if (!timeInput) return;
-    
-    const suggestionsDiv = document.createElement('div');
-    suggestionsDiv.style.cssText = 'display: flex; gap: 0.5rem; flex-wrap: wrap; margin-top: 0.5rem;';
-    
-    const timeSlots = ['07:00', '08:00', '09:00', '10:00', '11:00', '14:00', '15:00', '16:00', '17:00', '18:00'];
-    
-    timeSlots.forEach(slot => {
-        const button = document.createElement('button');
-        button.type = 'button';
-        button.textContent = slot;
-        button.style.cssText = 'padding: 0.5rem 1rem; border: 1px solid #ddd; border-radius: 5px; background: white; cursor: pointer; font-size: 0.9rem;';
-        button.onclick = () => {
-            timeInput.value = slot;
-            document.querySelectorAll('[data-time-slot]').forEach(b => b.style.background = 'white');
-            button.style.background = '#0066cc';
-            button.style.color = 'white';
-        };
-        button.setAttribute('data-time-slot', 'true');
-        suggestionsDiv.appendChild(button);
-    });
-    
-    timeInput.parentElement.appendChild(suggestionsDiv);
+
+    if (!slotsDiv) {
+        slotsDiv = document.createElement('div');
+        slotsDiv.style.cssText = 'display: flex; gap: 0.5rem; flex-wrap: wrap; margin-top: 0.5rem;';
+        timeInput.parentElement.appendChild(slotsDiv);
+    }
+
+    const date = appointmentDateInput?.value;
+    const location = locationSelect?.value;
+
+    if (!date || !location) {
+        slotsDiv.innerHTML = '<small style="color: #666;">Choose a date and location to see available times</small>';
+        return;
+    }
+
+    slotsDiv.innerHTML = '<small style="color: #666;">Checking available times...</small>';
+
+    try {
+        const response = await fetch(`http://localhost:3000/api/bookings/slots/${date}?location=${encodeURIComponent(location)}`);
+        const data = await response.json();
+
+        if (!response.ok || !data.success) throw new Error(data.message);
+
+        if (data.closed || data.slots.length === 0) {
+            // The reason (e.g. a public holiday) is set by staff, so added as text
+            slotsDiv.innerHTML = '<small style="color: #c0392b;"></small>';
+            slotsDiv.firstChild.textContent = data.reason
+                ? `We are closed on this day (${data.reason}). Please choose another date.`
+                : 'We are closed on this day. Please choose another date.';
+            return;
+        }
+
+        slotsDiv.innerHTML = '';
+        data.slots.forEach(slot => {
+            const button = document.createElement('button');
+            const full = slot.remaining === 0;
+            button.type = 'button';
+            if (slot.closedReason) {
+                button.textContent = `${slot.time} (closed)`;
+                button.title = `Closed: ${slot.closedReason}`;
+            } else {
+                button.textContent = full ? `${slot.time} (full)` : slot.time;
+                button.title = full ? 'Fully booked' : `${slot.remaining} of ${slot.capacity} places left`;
+            }
+            button.disabled = full;
+            button.style.cssText = 'padding: 0.5rem 1rem; border: 1px solid #ddd; border-radius: 5px; background: white; cursor: pointer; font-size: 0.9rem;';
+            if (full) button.style.cssText += 'opacity: 0.5; cursor: not-allowed;';
+            if (timeInput.value === slot.time && !full) {
+                button.style.background = '#0066cc';
+                button.style.color = 'white';
+            }
+            button.onclick = () => {
+                timeInput.value = slot.time;
+                document.querySelectorAll('[data-time-slot]').forEach(b => {
+                    b.style.background = 'white';
+                    b.style.color = '';
+                });
+                button.style.background = '#0066cc';
+                button.style.color = 'white';
+            };
+            button.setAttribute('data-time-slot', 'true');
+            slotsDiv.appendChild(button);
+        });
+    } catch (error) {
+        console.error('Slot loading error:', error);
+        slotsDiv.innerHTML = '<small style="color: #666;">Unable to load available times right now</small>';
+    }
 };
 
-// Initialize time slot suggestions
-createTimeSlotSuggestions();
+appointmentDateInput?.addEventListener('change', loadTimeSlots);
+locationSelect?.addEventListener('change', loadTimeSlots);
+
+// Initialize time slots
+loadTimeSlots();
 
 // WhatsApp Quick Booking
 const quickWhatsAppBooking = (testType) => {
@@ -51,6 +51,78 @@ document.addEventListener('DOMContentLoaded', function() {
         "cost": "Our pricing is competitive and transparent:\n• Basic tests start from ₦2,000\n• Health packages: ₦10,000-₦50,000\n• Free home collection\n• Corporate discounts available\n\nFor specific test pricing, please visit our Services page or contact us directly at 08035944767."
     };
 
+    // Replace the built-in location answer with our current branches
+    function loadLocations() {
+        fetch('http://localhost:3000/api/locations')
+            .then(function(response) { return response.json(); })
+            .then(function(data) {
+                if (!data.success) return;
+
+                const branches = data.locations.filter(function(location) {
+                    return location.type === 'branch';
+                });
+                if (branches.length === 0) return;
+
+                const lines = branches.map(function(branch) {
+                    let line = '📍 ' + branch.name;
+                    if (branch.address) line += '\n' + branch.address;
+                    if (branch.phone) line += '\n📞 ' + branch.phone;
+                    return line;
+                });
+
+                const offersHome = data.locations.some(function(location) {
+                    return location.type === 'home';
+                });
+
+                faqDatabase.location = (branches.length === 1 ? 'We are located at:\n' : 'You can visit us at:\n\n') +
+                    lines.join('\n\n') +
+                    (offersHome ? '\n\n🏠 We also collect samples at home.' : '') +
+                    '\n\nWould you like directions?';
+            })
+            .catch(function(error) {
+                console.error('Chatbot location loading error:', error);
+            });
+    }
+
+    loadLocations();
+
+    // "Mon 12 Jun" for a "YYYY-MM-DD" day
+    function formatDay(dateKey) {
+        return new Date(dateKey + 'T00:00:00').toLocaleDateString(undefined, {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short'
+        });
+    }
+
+    // Add upcoming public holidays and branch closures to the opening hours
+    function loadClosures() {
+        fetch('http://localhost:3000/api/locations/closures')
+            .then(function(response) { return response.json(); })
+            .then(function(data) {
+                if (!data.success || data.closures.length === 0) return;
+
+                const lines = data.closures.slice(0, 5).map(function(closure) {
+                    let line = '• ' + formatDay(closure.startDate);
+                    if (closure.endDate !== closure.startDate) line += ' - ' + formatDay(closure.endDate);
+                    if (closure.startTime) line += ', ' + closure.startTime + ' - ' + closure.endTime;
+                    line += ': ' + closure.reason;
+                    if (closure.location) line += ' (' + closure.location.name + ' only)';
+                    return line;
+                });
+
+                faqDatabase.hours = faqDatabase.hours.replace(
+                    'Need to schedule a visit?',
+                    'Upcoming closures:\n' + lines.join('\n') + '\n\nNeed to schedule a visit?'
+                );
+            })
+            .catch(function(error) {
+                console.error('Chatbot closure loading error:', error);
+            });
+    }
+
+    loadClosures();
+
     // Add message to chat
     function addMessage(message, isUser) {
         const messageDiv = document.createElement('div');
@@ -94,7 +166,8 @@ document.addEventListener('DOMContentLoaded', function() {
         }
         
         // Hours
-        if (message.includes('hour') || message.includes('time') || message.includes('open')) {
+        if (message.includes('hour') || message.includes('time') || message.includes('open') ||
+            message.includes('closed') || message.includes('holiday')) {
             return faqDatabase.hours;
         }
         
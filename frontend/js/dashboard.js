@@ -5,20 +5,21 @@ class GoldbondDashboard {
     constructor() {
         this.baseUrl = 'http://localhost:3000/api';
         this.authToken = localStorage.getItem('authToken') || null;
+        this.refreshToken = localStorage.getItem('refreshToken') || null;
+        this.refreshPromise = null;
         this.currentUser = null;
         this.currentSection = 'profile';
-
-        // Optional pricing map (only used if you later add a price display)
-        this.testPrices = {
-            'blood-count': 5000,
-            'lipid': 6000,
-            'glucose': 4000,
-            'liver': 8000,
-            'kidney': 7500,
-            'thyroid': 9000,
-            'urine': 3000,
-            'hiv': 5000
-        };
+        // 'all', 'self' or a dependent id - filters results and bookings
+        this.activeProfile = 'all';
+        // Bookable branches and home collection, from /locations
+        this.locations = [];
+
+        // Bookable tests and panels, from /catalog
+        this.catalog = [];
+        // Tests picked in "Book a Test": catalog code -> quantity
+        this.cart = new Map();
+        // Shared position for a home collection booking, if the patient allowed it
+        this.bookingCoordinates = null;
 
         this.init();
     }
@@ -57,7 +58,7 @@ class GoldbondDashboard {
 
     // ========== GENERIC API HELPER ==========
 
-    async makeRequest(endpoint, options = {}) {
+    async makeRequest(endpoint, options = {}, isRetry = false) {
         const defaultOptions = {
             headers: {
                 'Content-Type': 'application/json',
@@ -74,9 +75,13 @@ class GoldbondDashboard {
             const res = await fetch(`${this.baseUrl}${endpoint}`, finalOptions);
 
             if (res.status === 401) {
-                // Token invalid or expired
-                localStorage.removeItem('authToken');
-                localStorage.removeItem('currentUser');
+                // Access token expired - get a new one and replay the request once
+                if (!isRetry && await this.refreshAuthToken()) {
+                    return this.makeRequest(endpoint, options, true);
+                }
+
+                // Session revoked or refresh token expired
+                this.clearSession();
                 this.redirectToLogin();
                 return null;
             }
@@ -95,11 +100,53 @@ class GoldbondDashboard {
         }
     }
 
+    // Concurrent 401s share a single refresh call, since refresh tokens rotate on use
+    refreshAuthToken() {
+        if (!this.refreshToken) return Promise.resolve(false);
+
+        if (!this.refreshPromise) {
+            this.refreshPromise = fetch(`${this.baseUrl}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            })
+                .then(res => (res.ok ? res.json() : null))
+                .then(data => {
+                    if (!data?.token) return false;
+
+                    this.authToken = data.token;
+                    this.refreshToken = data.refreshToken;
+                    localStorage.setItem('authToken', data.token);
+                    localStorage.setItem('refreshToken', data.refreshToken);
+                    return true;
+                })
+                .catch(err => {
+                    console.error('Token refresh error:', err);
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return this.refreshPromise;
+    }
+
+    clearSession() {
+        this.authToken = null;
+        this.refreshToken = null;
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
+        localStorage.removeItem('currentUser');
+    }
+
     // ========== EVENT LISTENERS ==========
 
     setupEventListeners() {
         this.setupSidebarNavigation();
         this.setupProfileManagement();
+        this.setupDependents();
+        this.setupProfileSwitcher();
         this.setupTestBooking();
         this.setupPasswordManagement();
         this.setupLogout();
@@ -148,13 +195,43 @@ class GoldbondDashboard {
             e.preventDefault();
             this.handleLogout();
         });
+
+        const logoutAllBtn = document.getElementById('logoutAllBtn');
+        logoutAllBtn?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.handleLogoutAll();
+        });
+
+        document.getElementById('exportDataBtn')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.exportMyData();
+        });
+
+        document.getElementById('deletionRequestForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.requestAccountDeletion();
+        });
+
+        document.getElementById('sendDeletionCodeBtn')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.sendDeletionCode();
+        });
     }
 
-    handleLogout() {
+    async handleLogout() {
         if (!confirm('Are you sure you want to logout?')) return;
 
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('currentUser');
+        // End the session server-side too; local sign-out happens regardless
+        try {
+            await fetch(`${this.baseUrl}/auth/logout`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${this.authToken}` }
+            });
+        } catch (err) {
+            console.error('Logout error:', err);
+        }
+
+        this.clearSession();
 
         if (window.GOLDBOND?.showNotification) {
             window.GOLDBOND.showNotification('Logged out successfully', 'success');
@@ -165,6 +242,20 @@ class GoldbondDashboard {
         }, 1000);
     }
 
+    async handleLogoutAll() {
+        if (!confirm('This will sign you out on every device, including this one. Continue?')) return;
+
+        const res = await this.makeRequest('/auth/logout-all', { method: 'POST' });
+        if (!res?.success) return;
+
+        this.clearSession();
+        this.showMessage('Success', 'You have been logged out from all devices.', 'success');
+
+        setTimeout(() => {
+            window.location.href = 'login.html';
+        }, 1500);
+    }
+
     setupPasswordToggles() {
         const toggles = document.querySelectorAll('.password-toggle');
         toggles.forEach(toggle => {
@@ -249,6 +340,10 @@ class GoldbondDashboard {
             'change-password': {
                 title: 'Change Password',
                 subtitle: 'Update your account security settings'
+            },
+            'security': {
+                title: 'Security',
+                subtitle: 'Signed-in devices, login activity and your personal data'
             }
         };
 
@@ -276,6 +371,11 @@ class GoldbondDashboard {
             case 'notifications':
                 this.loadNotifications();
                 break;
+            case 'security':
+                this.loadSessions();
+                this.loadLoginHistory();
+                this.loadDeletionRequest();
+                break;
         }
     }
 
@@ -310,6 +410,7 @@ class GoldbondDashboard {
 
             this.displayUserProfile(this.currentUser);
             this.updateSidebarUser(this.currentUser);
+            this.renderDependents();
 
         } catch (err) {
             console.error('Profile load error:', err);
@@ -450,6 +551,162 @@ class GoldbondDashboard {
         }
     }
 
+    // ========== FAMILY MEMBERS ==========
+
+    setupDependents() {
+        const addBtn = document.getElementById('addDependentBtn');
+        const cancelBtn = document.getElementById('cancelDependentBtn');
+        const form = document.getElementById('dependentForm');
+
+        addBtn?.addEventListener('click', () => this.toggleDependentForm(true));
+        cancelBtn?.addEventListener('click', () => this.toggleDependentForm(false));
+        form?.addEventListener('submit', (e) => this.handleAddDependent(e));
+    }
+
+    toggleDependentForm(isOpen) {
+        const form = document.getElementById('dependentForm');
+        const addBtn = document.getElementById('addDependentBtn');
+        if (!form) return;
+
+        form.style.display = isOpen ? 'block' : 'none';
+        if (addBtn) addBtn.style.display = isOpen ? 'none' : 'inline-flex';
+        if (!isOpen) form.reset();
+    }
+
+    getDependents() {
+        return this.currentUser?.dependents || [];
+    }
+
+    // Keep the cached profile, the family list and both profile selects in step
+    setDependents(dependents) {
+        this.currentUser.dependents = dependents;
+        localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+        this.renderDependents();
+    }
+
+    renderDependents() {
+        const dependents = this.getDependents();
+        const container = document.getElementById('dependentsList');
+
+        if (container) {
+            container.innerHTML = dependents.length === 0
+                ? '<p class="form-help">No family members added yet.</p>'
+                : dependents.map(dependent => `
+                    <div class="list-item">
+                        <div class="list-item-header">
+                            <div>
+                                <div class="list-item-title">${this.escapeHtml(this.getDisplayName(dependent))}</div>
+                                <div class="list-item-subtitle">
+                                    ${this.capitalizeFirst(dependent.relationship)} •
+                                    Born ${new Date(dependent.dateOfBirth).toLocaleDateString()} •
+                                    ${dependent.gender}
+                                </div>
+                            </div>
+                            <button class="action-btn danger" onclick="dashboard.removeDependent('${dependent._id}')">
+                                <i class="fas fa-trash"></i> Remove
+                            </button>
+                        </div>
+                    </div>
+                `).join('');
+        }
+
+        this.populateProfileSelects();
+    }
+
+    populateProfileSelects() {
+        const dependents = this.getDependents();
+        const selfLabel = `Me (${this.escapeHtml(this.getDisplayName(this.currentUser))})`;
+        const dependentOptions = dependents
+            .map(dependent => `<option value="${dependent._id}">${this.escapeHtml(this.getDisplayName(dependent))}</option>`)
+            .join('');
+
+        // Fall back to everyone when the selected dependent was removed
+        if (!['all', 'self'].includes(this.activeProfile) &&
+            !dependents.some(dependent => dependent._id === this.activeProfile)) {
+            this.activeProfile = 'all';
+        // Bookable branches and home collection, from /locations
+        this.locations = [];
+        }
+
+        const switcher = document.getElementById('profileSwitcher');
+        const switcherWrap = document.getElementById('profileSwitcherWrap');
+        if (switcher) {
+            switcher.innerHTML = `<option value="all">Everyone</option><option value="self">${selfLabel}</option>${dependentOptions}`;
+            switcher.value = this.activeProfile;
+        }
+        if (switcherWrap) switcherWrap.style.display = dependents.length > 0 ? 'flex' : 'none';
+
+        const bookingFor = document.getElementById('bookingFor');
+        const bookingForGroup = document.getElementById('bookingForGroup');
+        if (bookingFor) {
+            bookingFor.innerHTML = `<option value="self">${selfLabel}</option>${dependentOptions}`;
+            if (this.activeProfile !== 'all') bookingFor.value = this.activeProfile;
+        }
+        if (bookingForGroup) bookingForGroup.style.display = dependents.length > 0 ? 'block' : 'none';
+    }
+
+    setupProfileSwitcher() {
+        document.getElementById('profileSwitcher')?.addEventListener('change', (e) => {
+            this.activeProfile = e.target.value;
+
+            const bookingFor = document.getElementById('bookingFor');
+            if (bookingFor && this.activeProfile !== 'all') bookingFor.value = this.activeProfile;
+
+            this.loadSectionData(this.currentSection);
+        });
+    }
+
+    // Records without a dependent belong to the account holder
+    filterByProfile(items, dependentField) {
+        if (this.activeProfile === 'all') return items;
+
+        return items.filter(item => {
+            const dependentId = item[dependentField] || null;
+            return this.activeProfile === 'self' ? !dependentId : dependentId === this.activeProfile;
+        });
+    }
+
+    async handleAddDependent(e) {
+        e.preventDefault();
+
+        const dependent = {
+            firstName: document.getElementById('dependentFirstName')?.value.trim() || '',
+            lastName: document.getElementById('dependentLastName')?.value.trim() || '',
+            dateOfBirth: document.getElementById('dependentDob')?.value || '',
+            gender: document.getElementById('dependentGender')?.value || '',
+            relationship: document.getElementById('dependentRelationship')?.value || ''
+        };
+
+        if (Object.values(dependent).some(value => !value)) {
+            this.showMessage('Error', 'Please fill in all required fields.', 'error');
+            return;
+        }
+
+        const res = await this.makeRequest('/auth/dependents', {
+            method: 'POST',
+            body: dependent
+        });
+
+        if (res?.success) {
+            this.setDependents(res.dependents);
+            this.toggleDependentForm(false);
+            this.showMessage('Success', `${this.getDisplayName(dependent)} was added to your account.`, 'success');
+        }
+    }
+
+    async removeDependent(dependentId) {
+        if (!confirm('Remove this family member from your account?')) return;
+
+        const res = await this.makeRequest(`/auth/dependents/${dependentId}`, {
+            method: 'DELETE'
+        });
+
+        if (res?.success) {
+            this.setDependents(res.dependents);
+            this.showMessage('Success', 'Family member removed.', 'success');
+        }
+    }
+
     // ========== TEST RESULTS ==========
 
     async loadTestResults() {
@@ -461,7 +718,12 @@ class GoldbondDashboard {
             return;
         }
 
-        const patientId = this.currentUser.id || this.currentUser._id;
+        // Results are only released to accounts with a confirmed email address
+        // (or, for phone-only accounts, a phone confirmed by an SMS login code)
+        if (!this.currentUser.emailVerified && (this.currentUser.email || !this.currentUser.phoneVerified)) {
+            container.innerHTML = this.getVerifyEmailStateHTML();
+            return;
+        }
 
         container.innerHTML = `
             <div class="loading-message">
@@ -470,12 +732,14 @@ class GoldbondDashboard {
         `;
 
         try {
-            const data = await this.makeRequest(`/results/patient/${patientId}`, {
+            const data = await this.makeRequest('/results/user-results', {
                 method: 'GET'
             });
 
-            if (data?.success && data.results && data.results.length > 0) {
-                this.displayTestResults(data.results);
+            const results = data?.success ? this.filterByProfile(data.results || [], 'dependentId') : [];
+
+            if (results.length > 0) {
+                this.displayTestResults(results);
             } else {
                 container.innerHTML = this.getEmptyStateHTML(
                     'test results',
@@ -522,7 +786,7 @@ class GoldbondDashboard {
                         <div>
                             <div class="list-item-title">${result.testName || 'Laboratory Test'}</div>
                             <div class="list-item-subtitle">
-                                ${category} • Reg No: ${result.registrationNumber || 'N/A'}
+                                ${this.escapeHtml(result.patientName || '')} • ${category} • Reg No: ${result.registrationNumber || 'N/A'}
                             </div>
                         </div>
                         <span class="status-badge ${statusClass}">${statusLabel}</span>
@@ -550,17 +814,271 @@ class GoldbondDashboard {
         container.innerHTML = html;
     }
     
-    // ========== BOOKINGS ==========
+    getVerifyEmailStateHTML() {
+        return `
+            <div class="empty-state">
+                <i class="fas fa-envelope-open-text"></i>
+                <h3>Verify your email</h3>
+                <p>
+                    For your privacy, test results are only shown once your email address
+                    (${this.currentUser.email}) has been confirmed. Check your inbox for the confirmation link.
+                </p>
+                <button class="action-btn primary" onclick="dashboard.resendVerificationEmail()">
+                    <i class="fas fa-paper-plane"></i> Resend Confirmation Email
+                </button>
+            </div>
+        `;
+    }
 
-    async loadBookings() {
-        const container = document.getElementById('bookingsList');
+    async resendVerificationEmail() {
+        if (!this.currentUser?.email) return;
+
+        try {
+            const res = await this.makeRequest('/auth/resend-verification', {
+                method: 'POST',
+                body: { email: this.currentUser.email }
+            });
+
+            if (res?.success) {
+                this.showMessage('Success', 'A new confirmation link has been sent to your email.', 'success');
+            }
+        } catch (err) {
+            console.error('Resend verification error:', err);
+        }
+    }
+
+    // ========== SECURITY ==========
+
+    async loadSessions() {
+        const container = document.getElementById('sessionsList');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="loading-message">
+                <i class="fas fa-spinner fa-spin"></i> Loading your devices...
+            </div>
+        `;
+
+        const data = await this.makeRequest('/auth/sessions', { method: 'GET' });
+        if (!data?.success) {
+            container.innerHTML = this.getErrorStateHTML('Failed to load your signed-in devices.');
+            return;
+        }
+
+        container.innerHTML = data.sessions.map(session => `
+            <div class="list-item">
+                <div class="list-item-header">
+                    <div>
+                        <div class="list-item-title">${this.describeDevice(session.userAgent)}</div>
+                        <div class="list-item-subtitle">
+                            IP ${this.escapeHtml(session.ipAddress || 'unknown')} &nbsp; | &nbsp;
+                            Signed in ${new Date(session.signedInAt).toLocaleString()} &nbsp; | &nbsp;
+                            Last active ${new Date(session.lastUsedAt).toLocaleString()}
+                        </div>
+                    </div>
+                    ${session.current ? '<span class="status-badge completed">This device</span>' : ''}
+                </div>
+                ${!session.current ? `
+                    <div class="list-item-actions">
+                        <button class="action-btn danger" onclick="dashboard.revokeSession('${session.id}')">
+                            <i class="fas fa-sign-out-alt"></i> Sign Out Device
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `).join('');
+    }
+
+    async revokeSession(sessionId) {
+        if (!confirm('Sign this device out of your account?')) return;
+
+        const res = await this.makeRequest(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+        if (!res?.success) return;
+
+        this.showMessage('Success', 'The device has been signed out.', 'success');
+        this.loadSessions();
+    }
+
+    async loadLoginHistory() {
+        const container = document.getElementById('loginHistoryList');
         if (!container) return;
 
-        if (!this.currentUser?.email) {
-            container.innerHTML = this.getErrorStateHTML('Email not found. Please log in again.');
+        container.innerHTML = `
+            <div class="loading-message">
+                <i class="fas fa-spinner fa-spin"></i> Loading login activity...
+            </div>
+        `;
+
+        const data = await this.makeRequest('/auth/login-history?limit=20', { method: 'GET' });
+        if (!data?.success) {
+            container.innerHTML = this.getErrorStateHTML('Failed to load your login activity.');
             return;
         }
 
+        if (data.events.length === 0) {
+            container.innerHTML = this.getEmptyStateHTML('Login Activity', 'history', 'Your recent logins will appear here.');
+            return;
+        }
+
+        const methodLabels = {
+            'password': 'Account login',
+            'results-credentials': 'Result lookup',
+            'admin': 'Staff portal login'
+        };
+        const outcomeBadges = {
+            success: '<span class="status-badge completed">Successful</span>',
+            failure: '<span class="status-badge failed">Failed</span>',
+            blocked: '<span class="status-badge pending">Blocked</span>'
+        };
+
+        container.innerHTML = data.events.map(event => `
+            <div class="list-item">
+                <div class="list-item-header">
+                    <div>
+                        <div class="list-item-title">${methodLabels[event.method] || event.method}</div>
+                        <div class="list-item-subtitle">
+                            ${new Date(event.createdAt).toLocaleString()} &nbsp; | &nbsp;
+                            IP ${this.escapeHtml(event.ipAddress || 'unknown')} &nbsp; | &nbsp;
+                            ${this.describeDevice(event.userAgent)}
+                        </div>
+                    </div>
+                    ${outcomeBadges[event.outcome] || ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // The export is a ZIP file, so it can't go through makeRequest()
+    async exportMyData(isRetry = false) {
+        const btn = document.getElementById('exportDataBtn');
+        if (btn) btn.disabled = true;
+
+        try {
+            const res = await fetch(`${this.baseUrl}/auth/me/export`, {
+                headers: { 'Authorization': `Bearer ${this.authToken}` }
+            });
+
+            if (res.status === 401 && !isRetry && await this.refreshAuthToken()) {
+                return this.exportMyData(true);
+            }
+            if (!res.ok) throw new Error('Export failed');
+
+            const blob = await res.blob();
+            const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = match ? match[1] : 'goldbond-data.zip';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        } catch (err) {
+            console.error('Export error:', err);
+            this.showMessage('Error', 'Failed to download your data. Please try again.', 'error');
+        } finally {
+            if (btn) btn.disabled = false;
+        }
+    }
+
+    async loadDeletionRequest() {
+        const status = document.getElementById('deletionRequestStatus');
+        const form = document.getElementById('deletionRequestForm');
+        if (!status || !form) return;
+
+        const data = await this.makeRequest('/auth/me/deletion-request', { method: 'GET' });
+        if (!data?.success) return;
+
+        const years = document.getElementById('retentionYears');
+        if (years) years.textContent = `${data.resultRetentionYears} years`;
+
+        // Phone-only accounts have no password to confirm with
+        const passwordless = !this.currentUser.email;
+        document.getElementById('deletionConfirmLabel').textContent = passwordless ? 'Code Sent to Your Phone *' : 'Confirm Password *';
+        document.getElementById('sendDeletionCodeBtn').style.display = passwordless ? 'inline-flex' : 'none';
+        document.getElementById('deletionPassword').autocomplete = passwordless ? 'one-time-code' : 'current-password';
+
+        const request = data.deletionRequest;
+        form.style.display = request ? 'none' : 'block';
+        status.innerHTML = request ? `
+            <div class="list-item" style="border-left: 4px solid var(--danger);">
+                <div class="list-item-header">
+                    <div>
+                        <div class="list-item-title">Account deletion requested</div>
+                        <div class="list-item-subtitle">${new Date(request.createdAt).toLocaleString()}</div>
+                    </div>
+                    <span class="status-badge pending">Pending</span>
+                </div>
+                <div class="list-item-actions">
+                    <button class="action-btn secondary" onclick="dashboard.cancelDeletionRequest()">
+                        <i class="fas fa-undo"></i> Cancel Request
+                    </button>
+                </div>
+            </div>
+        ` : '';
+    }
+
+    async requestAccountDeletion() {
+        if (!confirm('Request deletion of your account? This cannot be undone once processed.')) return;
+
+        const secret = document.getElementById('deletionPassword').value;
+        const res = await this.makeRequest('/auth/me/deletion-request', {
+            method: 'POST',
+            body: {
+                ...(this.currentUser.email ? { password: secret } : { code: secret.trim() }),
+                reason: document.getElementById('deletionReason').value.trim()
+            }
+        });
+        if (!res?.success) return;
+
+        document.getElementById('deletionRequestForm').reset();
+        this.showMessage('Request Received', res.message, 'success');
+        this.loadDeletionRequest();
+    }
+
+    async sendDeletionCode() {
+        const res = await this.makeRequest('/auth/otp/request', {
+            method: 'POST',
+            body: { phone: this.currentUser.phone }
+        });
+
+        if (res?.success) {
+            this.showMessage('Code Sent', `We texted a code to ${res.phone}. Enter it to confirm.`, 'success');
+        }
+    }
+
+    async cancelDeletionRequest() {
+        const res = await this.makeRequest('/auth/me/deletion-request', { method: 'DELETE' });
+        if (!res?.success) return;
+
+        this.showMessage('Success', 'Your deletion request has been cancelled.', 'success');
+        this.loadDeletionRequest();
+    }
+
+    // Rough "Browser on OS" label from a user agent string
+    describeDevice(userAgent) {
+        if (!userAgent) return 'Unknown device';
+
+        const browser = [
+            ['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'],
+            ['Firefox/', 'Firefox'], ['Safari/', 'Safari']
+        ].find(([token]) => userAgent.includes(token));
+
+        const os = [
+            ['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'],
+            ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']
+        ].find(([token]) => userAgent.includes(token));
+
+        if (!browser && !os) return 'Unknown device';
+        return `${browser ? browser[1] : 'Browser'} on ${os ? os[1] : 'unknown OS'}`;
+    }
+
+    // ========== BOOKINGS ==========
+
+    async loadBookings() {
+        const container = document.getElementById('bookingsList');
+        if (!container) return;
+
         container.innerHTML = `
             <div class="loading-message">
                 <i class="fas fa-spinner fa-spin"></i> Loading your bookings...
@@ -568,12 +1086,14 @@ class GoldbondDashboard {
         `;
 
         try {
-            const data = await this.makeRequest(`/booking/user/${encodeURIComponent(this.currentUser.email)}`, {
+            const data = await this.makeRequest('/bookings/mine', {
                 method: 'GET'
             });
 
-            if (data?.success && data.bookings && data.bookings.length > 0) {
-                this.displayBookings(data.bookings);
+            const bookings = data?.success ? this.filterByProfile(data.bookings || [], 'dependent') : [];
+
+            if (bookings.length > 0) {
+                this.displayBookings(bookings);
             } else {
                 container.innerHTML = this.getEmptyStateHTML(
                     'appointments',
@@ -585,23 +1105,41 @@ class GoldbondDashboard {
             console.error('Load bookings error:', err);
             container.innerHTML = this.getErrorStateHTML('Failed to load your bookings.');
         }
+
+        this.loadWaitlist();
     }
 
     displayBookings(bookings) {
         const container = document.getElementById('bookingsList');
         if (!container) return;
 
+        this.bookings = bookings;
+
+        // Badge colour for each booking status
+        const badges = {
+            pending: 'pending',
+            confirmed: 'processing',
+            checked_in: 'processing',
+            sample_collected: 'processing',
+            completed: 'completed',
+            cancelled: 'failed',
+            no_show: 'failed'
+        };
+
         const html = bookings.map(booking => {
             const status = booking.status || 'pending';
-            const statusClass = status.toLowerCase();
-            const statusLabel = this.capitalizeFirst(status);
+            const statusClass = badges[status] || 'pending';
+            const statusLabel = this.capitalizeFirst(status.replace(/_/g, ' '));
 
             const date = booking.appointmentDate
                 ? new Date(booking.appointmentDate).toLocaleDateString()
                 : 'Not set';
 
             const time = booking.appointmentTime || 'Not set';
-            const location = booking.location || 'Lab';
+            const location = this.escapeHtml(booking.location?.name || 'Lab');
+            const tests = booking.items?.length
+                ? booking.items.map(item => (item.quantity > 1 ? `${item.name} x${item.quantity}` : item.name)).join(', ')
+                : booking.testType || 'Lab Test';
 
             const isFuture =
                 booking.appointmentDate &&
@@ -611,9 +1149,9 @@ class GoldbondDashboard {
                 <div class="list-item">
                     <div class="list-item-header">
                         <div>
-                            <div class="list-item-title">${booking.testType || 'Lab Test'}</div>
+                            <div class="list-item-title">${this.escapeHtml(tests)}</div>
                             <div class="list-item-subtitle">
-                                Booking ID: ${booking.bookingId || 'N/A'}
+                                ${booking.patientName ? `For: ${this.escapeHtml(booking.patientName)} • ` : ''}Booking ID: ${booking.bookingId || 'N/A'}
                             </div>
                         </div>
                         <span class="status-badge ${statusClass}">${statusLabel}</span>
@@ -622,6 +1160,7 @@ class GoldbondDashboard {
                         <strong>Date:</strong> ${date} &nbsp; | &nbsp;
                         <strong>Time:</strong> ${time} &nbsp; | &nbsp;
                         <strong>Location:</strong> ${location}
+                        ${booking.total !== undefined ? ` &nbsp; | &nbsp; <strong>Total:</strong> ${this.formatNaira(booking.total)}` : ''}
                     </p>
                     ${booking.specialInstructions ? `
                         <p style="margin-top: 0.5rem;">
@@ -629,7 +1168,22 @@ class GoldbondDashboard {
                         </p>
                     ` : ''}
                     <div class="list-item-actions">
-                        ${status !== 'cancelled' && isFuture ? `
+                        ${['pending', 'confirmed'].includes(status) && isFuture ? `
+                            <button class="action-btn" onclick="dashboard.downloadBookingCalendar('${booking.bookingId}')">
+                                <i class="fas fa-calendar-plus"></i> Add to Calendar
+                            </button>
+                        ` : ''}
+                        ${['pending', 'confirmed'].includes(status) && isFuture && booking.location?.type !== 'home' ? `
+                            <button class="action-btn" onclick="dashboard.showCheckInCode('${booking.bookingId}')">
+                                <i class="fas fa-qrcode"></i> Check-in Code
+                            </button>
+                        ` : ''}
+                        ${['pending', 'confirmed'].includes(status) && isFuture ? `
+                            <button class="action-btn" onclick="dashboard.openRescheduleModal('${booking.bookingId}')">
+                                <i class="fas fa-calendar-alt"></i> Reschedule
+                            </button>
+                        ` : ''}
+                        ${['pending', 'confirmed'].includes(status) && isFuture ? `
                             <button class="action-btn danger" onclick="dashboard.cancelBooking('${booking.bookingId}')">
                                 <i class="fas fa-times"></i> Cancel Booking
                             </button>
@@ -642,12 +1196,53 @@ class GoldbondDashboard {
         container.innerHTML = html;
     }
 
+    // The .ics file can't go through makeRequest() either
+    async downloadBookingCalendar(bookingId, isRetry = false) {
+        try {
+            const res = await fetch(`${this.baseUrl}/bookings/${bookingId}/calendar.ics`, {
+                headers: { 'Authorization': `Bearer ${this.authToken}` }
+            });
+
+            if (res.status === 401 && !isRetry && await this.refreshAuthToken()) {
+                return this.downloadBookingCalendar(bookingId, true);
+            }
+            if (!res.ok) throw new Error('Calendar export failed');
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await res.blob());
+            link.download = `goldbond-${bookingId}.ics`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        } catch (err) {
+            console.error('Calendar export error:', err);
+            this.showMessage('Error', 'Failed to add this booking to your calendar. Please try again.', 'error');
+        }
+    }
+
+    // Subscription link that keeps the patient's calendar in sync with their bookings
+    async showCalendarFeed() {
+        const data = await this.makeRequest('/bookings/feed', { method: 'GET' });
+        if (!data?.success) return;
+
+        prompt('Subscribe to this link in Google Calendar, Outlook or Apple Calendar to see your appointments there. Keep it private:', data.url);
+    }
+
+    // QR code reception scans on arrival, opened full size to show from the phone
+    async showCheckInCode(bookingId) {
+        const data = await this.makeRequest(`/bookings/${bookingId}/check-in`, { method: 'GET' });
+        if (!data?.success) return;
+
+        window.open(data.qrUrl, '_blank');
+    }
+
     async cancelBooking(bookingId) {
         if (!bookingId) return;
         if (!confirm('Are you sure you want to cancel this booking?')) return;
 
         try {
-            const res = await this.makeRequest(`/booking/${bookingId}`, {
+            const res = await this.makeRequest(`/bookings/${bookingId}`, {
                 method: 'DELETE'
             });
 
@@ -660,6 +1255,208 @@ class GoldbondDashboard {
         }
     }
 
+    openRescheduleModal(bookingId) {
+        const booking = (this.bookings || []).find(b => b.bookingId === bookingId);
+        const modal = document.getElementById('rescheduleModal');
+        if (!booking || !modal) return;
+
+        this.reschedulingBooking = booking;
+
+        const dateEl = document.getElementById('rescheduleDate');
+        dateEl.min = new Date().toISOString().split('T')[0];
+        dateEl.value = booking.appointmentDate ? booking.appointmentDate.split('T')[0] : '';
+        document.getElementById('rescheduleReason').value = '';
+        document.getElementById('rescheduleCurrent').textContent =
+            `${new Date(booking.appointmentDate).toLocaleDateString()} at ${booking.appointmentTime} - ${booking.location?.name || 'Lab'}`;
+
+        modal.style.display = 'flex';
+        this.loadRescheduleSlots();
+    }
+
+    closeRescheduleModal() {
+        const modal = document.getElementById('rescheduleModal');
+        if (modal) modal.style.display = 'none';
+        this.reschedulingBooking = null;
+    }
+
+    loadRescheduleSlots() {
+        const location = this.reschedulingBooking?.location;
+        this.fillTimeSlots(
+            document.getElementById('rescheduleTime'),
+            document.getElementById('rescheduleDate')?.value,
+            location?._id || location
+        );
+    }
+
+    async handleReschedule(e) {
+        e.preventDefault();
+
+        const booking = this.reschedulingBooking;
+        if (!booking) return;
+
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        const originalText = submitBtn?.innerHTML;
+        if (submitBtn) {
+            submitBtn.disabled = true;
+            submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Rescheduling...';
+        }
+
+        try {
+            const res = await this.makeRequest(`/bookings/${booking.bookingId}/reschedule`, {
+                method: 'POST',
+                body: {
+                    appointmentDate: document.getElementById('rescheduleDate').value,
+                    appointmentTime: document.getElementById('rescheduleTime').value,
+                    reason: document.getElementById('rescheduleReason').value.trim() || undefined
+                }
+            });
+
+            if (res?.success) {
+                this.closeRescheduleModal();
+                this.showMessage('Success', 'Your booking has been rescheduled.', 'success');
+                this.loadBookings();
+            }
+        } catch (err) {
+            // Someone may have taken the slot in the meantime
+            console.error('Reschedule booking error:', err);
+            this.loadRescheduleSlots();
+        } finally {
+            if (submitBtn) {
+                submitBtn.disabled = false;
+                submitBtn.innerHTML = originalText;
+            }
+        }
+    }
+
+    // ========== WAITLIST ==========
+
+    async loadWaitlist() {
+        const card = document.getElementById('waitlistCard');
+        const container = document.getElementById('waitlistList');
+        if (!card || !container) return;
+
+        const data = await this.makeRequest('/waitlist/mine', { method: 'GET' });
+        const entries = (data?.entries || []).filter(entry => ['waiting', 'offered'].includes(entry.status));
+
+        card.style.display = entries.length > 0 ? 'block' : 'none';
+
+        container.innerHTML = entries.map(entry => {
+            const offered = entry.status === 'offered';
+            const who = entry.details?.patientName ? `For: ${this.escapeHtml(entry.details.patientName)} • ` : '';
+
+            return `
+                <div class="list-item">
+                    <div class="list-item-header">
+                        <div>
+                            <div class="list-item-title">
+                                ${new Date(entry.date).toLocaleDateString()} - ${this.escapeHtml(entry.location?.name || 'Lab')}
+                            </div>
+                            <div class="list-item-subtitle">
+                                ${who}Any time from ${entry.windowStart} to ${entry.windowEnd}
+                            </div>
+                        </div>
+                        <span class="status-badge ${offered ? 'completed' : 'pending'}">${offered ? 'Place available' : 'Waiting'}</span>
+                    </div>
+                    ${offered ? `
+                        <p class="list-item-subtitle">
+                            <strong>${entry.offer.time}</strong> is being held for you until
+                            ${new Date(entry.offer.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                        </p>
+                    ` : ''}
+                    <div class="list-item-actions">
+                        ${offered ? `
+                            <button class="action-btn" onclick="dashboard.claimWaitlistOffer('${entry._id}')">
+                                <i class="fas fa-check"></i> Book This Place
+                            </button>
+                        ` : ''}
+                        <button class="action-btn danger" onclick="dashboard.leaveWaitlist('${entry._id}')">
+                            <i class="fas fa-times"></i> Leave Waitlist
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Offer the waitlist when a slot on the chosen day is fully booked
+    toggleBookingWaitlist(slots) {
+        const group = document.getElementById('bookingWaitlistGroup');
+        if (!group) return;
+
+        // Slots closed for a holiday or closure aren't worth waiting for
+        const upcoming = (slots || []).filter(slot => !slot.passed && !slot.closedReason);
+        const show = upcoming.some(slot => slot.remaining === 0);
+
+        group.style.display = show ? 'block' : 'none';
+        if (!show) return;
+
+        const options = upcoming.map(slot => `<option value="${slot.time}">${slot.time}</option>`).join('');
+        const fromEl = document.getElementById('waitlistFrom');
+        const toEl = document.getElementById('waitlistTo');
+        fromEl.innerHTML = options;
+        toEl.innerHTML = options;
+        toEl.value = upcoming[upcoming.length - 1].time;
+    }
+
+    async joinWaitlist() {
+        const location = document.getElementById('bookingLocation')?.value;
+        const date = document.getElementById('bookingDate')?.value;
+        const bookingFor = document.getElementById('bookingFor')?.value || 'self';
+
+        if (this.cart.size === 0) {
+            this.showMessage('Error', 'Please choose at least one test.', 'error');
+            return;
+        }
+
+        const body = {
+            location,
+            date,
+            windowStart: document.getElementById('waitlistFrom').value,
+            windowEnd: document.getElementById('waitlistTo').value,
+            items: this.getCartItems(),
+            address: document.getElementById('bookingAddress')?.value.trim() || undefined,
+            notes: document.getElementById('bookingNotes')?.value.trim() || undefined
+        };
+
+        if (bookingFor !== 'self') {
+            body.dependentId = bookingFor;
+        }
+
+        const res = await this.makeRequest('/waitlist', { method: 'POST', body });
+
+        if (res?.success) {
+            this.showMessage(
+                'Success',
+                `You are number ${res.position} on the waitlist. We will send you a link if a place opens up.`,
+                'success'
+            );
+            this.loadWaitlist();
+        } else {
+            // Places may have opened up meanwhile
+            this.loadBookingSlots();
+        }
+    }
+
+    async claimWaitlistOffer(entryId) {
+        const res = await this.makeRequest(`/waitlist/${entryId}/claim`, { method: 'POST' });
+
+        if (res?.success) {
+            this.showMessage('Success', `Your booking is confirmed. Booking ID: ${res.booking.bookingId}.`, 'success');
+        }
+        this.loadBookings();
+    }
+
+    async leaveWaitlist(entryId) {
+        if (!confirm('Are you sure you want to leave the waitlist?')) return;
+
+        const res = await this.makeRequest(`/waitlist/${entryId}`, { method: 'DELETE' });
+
+        if (res?.success) {
+            this.showMessage('Success', 'You have left the waitlist.', 'success');
+        }
+        this.loadWaitlist();
+    }
+
     // ========== BOOK NEW TEST ==========
 
     setupTestBooking() {
@@ -674,9 +1471,250 @@ class GoldbondDashboard {
             dateInput.min = today.toISOString().split('T')[0];
         }
 
+        dateInput?.addEventListener('change', () => this.loadBookingSlots());
+        document.getElementById('bookingLocation')?.addEventListener('change', () => {
+            this.toggleBookingAddress();
+            this.loadBookingSlots();
+        });
+
+        document.getElementById('bookingShareLocation')?.addEventListener('change', (e) => this.shareBookingLocation(e.target));
+        document.getElementById('joinWaitlistBtn')?.addEventListener('click', () => this.joinWaitlist());
+
+        this.loadBookingLocations();
+        this.loadCatalog();
+
         form.addEventListener('submit', (e) => this.handleTestBooking(e));
     }
 
+    async loadCatalog() {
+        const container = document.getElementById('bookingCatalog');
+        if (!container) return;
+
+        try {
+            const data = await this.makeRequest('/catalog', { method: 'GET' });
+            this.catalog = data?.success ? data.items : [];
+            this.renderCatalog();
+        } catch (err) {
+            console.error('Load catalog error:', err);
+            container.innerHTML = this.getErrorStateHTML('Failed to load our tests.');
+        }
+    }
+
+    renderCatalog() {
+        const container = document.getElementById('bookingCatalog');
+        if (!container) return;
+
+        if (this.catalog.length === 0) {
+            container.innerHTML = '<p>No tests are available to book online right now.</p>';
+            return;
+        }
+
+        container.innerHTML = this.catalog.map(item => {
+            const quantity = this.cart.get(item.code);
+            const details = [item.kind === 'panel' ? 'Panel' : '', item.preparation || ''].filter(Boolean).join(' • ');
+
+            return `
+                <label class="catalog-item ${quantity ? 'selected' : ''}">
+                    <input type="checkbox" data-code="${this.escapeHtml(item.code)}" ${quantity ? 'checked' : ''}>
+                    <span class="catalog-name">
+                        ${this.escapeHtml(item.name)}
+                        ${details ? `<small>${this.escapeHtml(details)}</small>` : ''}
+                    </span>
+                    ${quantity ? `
+                        <input type="number" min="1" max="10" value="${quantity}" data-quantity="${this.escapeHtml(item.code)}" aria-label="Quantity">
+                    ` : ''}
+                    <strong>${this.formatNaira(item.price)}</strong>
+                </label>
+            `;
+        }).join('');
+
+        container.querySelectorAll('input[data-code]').forEach(input => {
+            input.addEventListener('change', () => {
+                if (input.checked) this.cart.set(input.dataset.code, 1);
+                else this.cart.delete(input.dataset.code);
+                this.renderCatalog();
+                this.updateOrderSummary();
+            });
+        });
+
+        container.querySelectorAll('input[data-quantity]').forEach(input => {
+            input.addEventListener('change', () => {
+                const quantity = Math.min(Math.max(parseInt(input.value, 10) || 1, 1), 10);
+                this.cart.set(input.dataset.quantity, quantity);
+                input.value = quantity;
+                this.updateOrderSummary();
+            });
+        });
+    }
+
+    // Prices come from the server so the summary matches what the booking will cost
+    async updateOrderSummary() {
+        const summary = document.getElementById('bookingSummary');
+        if (!summary) return;
+
+        if (this.cart.size === 0) {
+            summary.style.display = 'none';
+            return;
+        }
+
+        try {
+            const data = await this.makeRequest('/catalog/quote', {
+                method: 'POST',
+                body: { items: this.getCartItems() }
+            });
+            if (!data?.success) return;
+
+            const { order } = data;
+
+            document.getElementById('bookingSummaryLines').innerHTML = order.items.map(item => `
+                <div class="payment-item">
+                    <span>${this.escapeHtml(item.name)}${item.quantity > 1 ? ` x${item.quantity}` : ''}</span>
+                    <span>${this.formatNaira(item.lineTotal)}</span>
+                </div>
+            `).join('');
+            document.getElementById('bookingSubtotal').textContent = this.formatNaira(order.subtotal);
+            document.getElementById('bookingDiscounts').innerHTML = order.discounts.map(discount => `
+                <div class="payment-item">
+                    <span>${this.escapeHtml(discount.label)}</span>
+                    <span>-${this.formatNaira(discount.amount)}</span>
+                </div>
+            `).join('');
+            document.getElementById('bookingTotal').textContent = this.formatNaira(order.total);
+
+            summary.style.display = 'block';
+        } catch (err) {
+            console.error('Quote error:', err);
+        }
+    }
+
+    getCartItems() {
+        return [...this.cart].map(([code, quantity]) => ({ code, quantity }));
+    }
+
+    clearCart() {
+        this.cart.clear();
+        this.renderCatalog();
+        this.updateOrderSummary();
+    }
+
+    async loadBookingLocations() {
+        const select = document.getElementById('bookingLocation');
+        if (!select) return;
+
+        try {
+            const data = await this.makeRequest('/locations', { method: 'GET' });
+            this.locations = data?.success ? data.locations : [];
+
+            select.innerHTML = '<option value="">Select Location</option>' + this.locations.map(location => `
+                <option value="${location._id}">${this.escapeHtml(location.name)}</option>
+            `).join('');
+        } catch (err) {
+            console.error('Load locations error:', err);
+        }
+    }
+
+    // Home collection needs an address; prefill it from the profile
+    toggleBookingAddress() {
+        const group = document.getElementById('bookingAddressGroup');
+        const addressEl = document.getElementById('bookingAddress');
+        const locationId = document.getElementById('bookingLocation')?.value;
+        const isHome = this.locations.find(location => location._id === locationId)?.type === 'home';
+
+        if (!group || !addressEl) return;
+
+        group.style.display = isHome ? 'block' : 'none';
+        addressEl.required = isHome;
+        if (isHome && !addressEl.value) addressEl.value = this.currentUser?.address || '';
+    }
+
+    // Optional pin for home collection; the address alone is used if this is refused
+    shareBookingLocation(checkbox) {
+        const statusEl = document.getElementById('bookingLocationStatus');
+        this.bookingCoordinates = null;
+        if (statusEl) statusEl.textContent = '';
+        if (!checkbox.checked) return;
+
+        if (!navigator.geolocation) {
+            checkbox.checked = false;
+            if (statusEl) statusEl.textContent = 'Your browser cannot share its location.';
+            return;
+        }
+
+        if (statusEl) statusEl.textContent = 'Finding your location...';
+        navigator.geolocation.getCurrentPosition(
+            (pos) => {
+                this.bookingCoordinates = { lat: pos.coords.latitude, lng: pos.coords.longitude };
+                if (statusEl) statusEl.textContent = 'Location added to your booking.';
+            },
+            () => {
+                checkbox.checked = false;
+                if (statusEl) statusEl.textContent = 'We could not get your location. We will use your address.';
+            },
+            { enableHighAccuracy: true, timeout: 10000 }
+        );
+    }
+
+    async loadBookingSlots() {
+        const slots = await this.fillTimeSlots(
+            document.getElementById('bookingTime'),
+            document.getElementById('bookingDate')?.value,
+            document.getElementById('bookingLocation')?.value
+        );
+        this.toggleBookingWaitlist(slots);
+    }
+
+    // Fill a time picker with slots that still have places for the chosen
+    // day; resolves to the day's slots, or null if there are none
+    async fillTimeSlots(timeEl, date, location) {
+        if (!timeEl) return null;
+
+        const setPlaceholder = (text) => {
+            timeEl.innerHTML = `<option value="">${text}</option>`;
+        };
+
+        if (!date || !location) {
+            setPlaceholder('Choose a date and location first');
+            return null;
+        }
+
+        setPlaceholder('Loading available times...');
+
+        try {
+            const data = await this.makeRequest(`/bookings/slots/${date}?location=${encodeURIComponent(location)}`, {
+                method: 'GET'
+            });
+
+            if (!data?.success) {
+                setPlaceholder('Unable to load times');
+                return null;
+            }
+
+            if (data.closed || data.slots.length === 0) {
+                setPlaceholder(data.reason
+                    ? `Closed on this day (${this.escapeHtml(data.reason)}) - choose another date`
+                    : 'Closed on this day - choose another date');
+                return null;
+            }
+
+            const slotLabel = (slot) => {
+                if (slot.closedReason) return ' (closed)';
+                return slot.remaining === 0 ? ' (fully booked)' : ` (${slot.remaining} left)`;
+            };
+
+            timeEl.innerHTML = '<option value="">Select Time</option>' + data.slots.map(slot => `
+                <option value="${slot.time}" ${slot.remaining === 0 ? 'disabled' : ''}>
+                    ${slot.time}${slotLabel(slot)}
+                </option>
+            `).join('');
+
+            return data.slots;
+        } catch (err) {
+            console.error('Load slots error:', err);
+            setPlaceholder('Unable to load times');
+            return null;
+        }
+    }
+
     async handleTestBooking(e) {
         e.preventDefault();
 
@@ -685,19 +1723,24 @@ class GoldbondDashboard {
             return;
         }
 
-        const testTypeEl = document.getElementById('bookingTestType');
         const dateEl = document.getElementById('bookingDate');
         const timeEl = document.getElementById('bookingTime');
-        const collectionEl = document.getElementById('collectionType');
+        const locationEl = document.getElementById('bookingLocation');
         const notesEl = document.getElementById('bookingNotes');
 
-        const testType = testTypeEl?.value || '';
         const appointmentDate = dateEl?.value || '';
         const appointmentTime = timeEl?.value || '';
-        const collectionType = collectionEl?.value || '';
+        const location = locationEl?.value || '';
+        const address = document.getElementById('bookingAddress')?.value.trim() || '';
         const specialInstructions = notesEl?.value.trim() || '';
+        const bookingFor = document.getElementById('bookingFor')?.value || 'self';
 
-        if (!testType || !appointmentDate || !appointmentTime || !collectionType) {
+        if (this.cart.size === 0) {
+            this.showMessage('Error', 'Please choose at least one test.', 'error');
+            return;
+        }
+
+        if (!appointmentDate || !appointmentTime || !location) {
             this.showMessage('Error', 'Please fill in all required fields.', 'error');
             return;
         }
@@ -708,33 +1751,46 @@ class GoldbondDashboard {
             fullName,
             email: this.currentUser.email,
             phone: this.currentUser.phone,
-            testType,
+            items: this.getCartItems(),
             appointmentDate,
             appointmentTime,
-            location: collectionType, // "lab" or "home"
+            location,
+            address,
+            addressCoordinates: address ? this.bookingCoordinates || undefined : undefined,
             specialInstructions
         };
 
+        if (bookingFor !== 'self') {
+            bookingData.dependentId = bookingFor;
+        }
+
         try {
-            const res = await this.makeRequest('/booking', {
+            const res = await this.makeRequest('/bookings', {
                 method: 'POST',
                 body: bookingData
             });
 
             if (res?.success) {
-                const bookingId = res.bookingId || 'N/A';
+                const bookingId = res.booking?.bookingId || res.bookingId || 'N/A';
+                const total = res.booking?.total !== undefined ? ` Total: ${this.formatNaira(res.booking.total)}.` : '';
                 this.showMessage(
                     'Success',
-                    `Your test has been booked successfully. Booking ID: ${bookingId}`,
+                    `Your tests have been booked successfully. Booking ID: ${bookingId}.${total}`,
                     'success'
                 );
 
                 e.target.reset();
+                this.bookingCoordinates = null;
+                const locationStatusEl = document.getElementById('bookingLocationStatus');
+                if (locationStatusEl) locationStatusEl.textContent = '';
+                this.clearCart();
                 this.loadBookings();
                 this.showSection('bookings');
             }
         } catch (err) {
             console.error('Booking error:', err);
+            // The slot may have filled up meanwhile
+            this.loadBookingSlots();
         }
     }
 
@@ -904,6 +1960,19 @@ class GoldbondDashboard {
             if (e.target === paymentModal) paymentModal.style.display = 'none';
         });
 
+        const rescheduleModal = document.getElementById('rescheduleModal');
+
+        [document.getElementById('closeRescheduleModal'), document.getElementById('cancelRescheduleBtn')].forEach(btn => {
+            btn?.addEventListener('click', () => this.closeRescheduleModal());
+        });
+
+        rescheduleModal?.addEventListener('click', (e) => {
+            if (e.target === rescheduleModal) this.closeRescheduleModal();
+        });
+
+        document.getElementById('rescheduleDate')?.addEventListener('change', () => this.loadRescheduleSlots());
+        document.getElementById('rescheduleForm')?.addEventListener('submit', (e) => this.handleReschedule(e));
+
         messageModal?.addEventListener('click', (e) => {
             if (e.target === messageModal) messageModal.style.display = 'none';
         });
@@ -961,6 +2030,17 @@ class GoldbondDashboard {
         `;
     }
 
+    // Client-supplied values (IPs come from X-Forwarded-For) must not be rendered as HTML
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+
+    formatNaira(amount) {
+        return `₦${Number(amount || 0).toLocaleString('en-NG')}`;
+    }
+
     capitalizeFirst(str) {
         if (!str) return '';
         return str.charAt(0).toUpperCase() + str.slice(1);
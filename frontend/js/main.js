@@ -257,6 +257,7 @@ const getCurrentUser = () => {
 
 const logout = () => {
     localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('currentUser');
     showNotification('Logged out successfully!', 'success');
     setTimeout(() => {